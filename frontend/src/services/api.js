@@ -110,14 +110,103 @@ export const storesAPI = {
   // Delete store
   deleteStore: (id) => api.delete(`/stores/${id}`),
   
+  // Archive store
+  archiveStore: (id) => api.post(`/stores/${id}/archive`),
+  
+  // Restore archived store
+  unarchiveStore: (id) => api.post(`/stores/${id}/unarchive`),
+  
   // Duplicate store
-  duplicateStore: (id) => api.post(`/stores/${id}/duplicate`),
+  duplicateStore: (id, data) => api.post(`/stores/${id}/duplicate`, data),
+  
+  // Download store bundle
+  exportStore: (id) => api.get(`/stores/${id}/export`),
+  
+  // Create store from bundle
+  importStore: (bundle, params) => api.post('/stores/import', bundle, { params }),
+  
+  // Get store settings
+  getSettings: (id) => api.get(`/stores/${id}/settings`),
+  
+  // Update store settings
+  updateSettings: (id, data) => api.patch(`/stores/${id}/settings`, data),
+  
+  // Get presentment currencies
+  getCurrencies: (id) => api.get(`/stores/${id}/currencies`),
+  
+  // Enable currency or update its rate
+  updateCurrency: (id, currency, data) => api.put(`/stores/${id}/currencies/${currency}`, data),
+  
+  // Remove currency
+  deleteCurrency: (id, currency) => api.delete(`/stores/${id}/currencies/${currency}`),
+  
+  // Import exchange rates file
+  importCurrencies: (id, formData) => api.post(`/stores/${id}/currencies/import`, formData, {
+    headers: { 'Content-Type': 'multipart/form-data' },
+  }),
   
   // Update store theme
   updateTheme: (id, data) => api.put(`/stores/${id}/theme`, data),
   
+  // Get theme version history
+  getThemeVersions: (id, params) => api.get(`/stores/${id}/theme/versions`, { params }),
+  
+  // Preview theme version
+  previewThemeVersion: (id, version) => api.post(`/stores/${id}/theme/versions/${version}/preview`),
+  
+  // Revert to theme version
+  revertTheme: (id, version) => api.post(`/stores/${id}/theme/versions/${version}/revert`),
+  
   // Get store analytics
   getAnalytics: (id, params) => api.get(`/stores/${id}/analytics`, { params }),
+  
+  // Get store team members
+  getMembers: (id) => api.get(`/stores/${id}/members`),
+  
+  // Invite team member
+  inviteMember: (id, data) => api.post(`/stores/${id}/members`, data),
+  
+  // Update team member role
+  updateMember: (id, memberId, data) => api.put(`/stores/${id}/members/${memberId}`, data),
+  
+  // Revoke team member
+  revokeMember: (id, memberId) => api.delete(`/stores/${id}/members/${memberId}`),
+  
+  // Accept team invitation
+  acceptInvitation: (data) => api.post('/stores/invitations/accept', data),
+};
+
+// Pages API
+export const pagesAPI = {
+  // Get store pages
+  getPages: (storeId, params) => api.get(`/stores/${storeId}/pages`, { params }),
+  
+  // Get single page
+  getPage: (storeId, pageId) => api.get(`/stores/${storeId}/pages/${pageId}`),
+  
+  // Create page
+  createPage: (storeId, data) => api.post(`/stores/${storeId}/pages`, data),
+  
+  // Update page
+  updatePage: (storeId, pageId, data) => api.put(`/stores/${storeId}/pages/${pageId}`, data),
+  
+  // Delete page
+  deletePage: (storeId, pageId) => api.delete(`/stores/${storeId}/pages/${pageId}`),
+};
+
+// Menus API
+export const menusAPI = {
+  // Get store menus
+  getMenus: (storeId) => api.get(`/stores/${storeId}/menus`),
+  
+  // Get menu by location (header or footer)
+  getMenu: (storeId, location) => api.get(`/stores/${storeId}/menus/${location}`),
+  
+  // Replace menu links
+  updateMenu: (storeId, location, data) => api.put(`/stores/${storeId}/menus/${location}`, data),
+  
+  // Reset menu to default navigation
+  deleteMenu: (storeId, location) => api.delete(`/stores/${storeId}/menus/${location}`),
 };
 
 // Products API
@@ -137,11 +226,23 @@ export const productsAPI = {
   // Delete product
   deleteProduct: (id) => api.delete(`/products/${id}`),
   
+  // Replace product options
+  updateOptions: (id, options) => api.put(`/products/${id}/options`, { options }),
+  
+  // Generate variants from options
+  generateVariants: (id, data) => api.post(`/products/${id}/variants/generate`, data),
+  
   // Bulk import products
   bulkImport: (storeId, formData) => api.post(`/stores/${storeId}/products/bulk-import`, formData, {
     headers: { 'Content-Type': 'multipart/form-data' },
   }),
   
+  // Export products as csv, json or xml (merchant feed)
+  exportProducts: (storeId, params) => api.get(`/stores/${storeId}/products/export`, {
+    params,
+    responseType: 'blob',
+  }),
+  
   // Bulk update products
   bulkUpdate: (data) => api.post('/products/bulk-update', data),
   
@@ -150,8 +251,154 @@ export const productsAPI = {
     headers: { 'Content-Type': 'multipart/form-data' },
   }),
   
+  // Reorder product images
+  reorderImages: (id, imageIds) => api.put(`/products/${id}/images`, { imageIds }),
+  
+  // Update product image alt text
+  updateImage: (id, imageId, imageData) => api.put(`/products/${id}/images/${imageId}`, imageData),
+  
   // Delete product image
   deleteImage: (id, imageId) => api.delete(`/products/${id}/images/${imageId}`),
+  
+  // Get downloadable files of a digital product
+  getFiles: (id) => api.get(`/products/${id}/files`),
+  
+  // Upload a downloadable file
+  uploadFile: (id, formData) => api.post(`/products/${id}/files`, formData, {
+    headers: { 'Content-Type': 'multipart/form-data' },
+  }),
+  
+  // Delete a downloadable file
+  deleteFile: (id, fileId) => api.delete(`/products/${id}/files/${fileId}`),
+  
+  // Get related, upsell and cross-sell products
+  getAssociations: (id) => api.get(`/products/${id}/associations`),
+  
+  // Replace curated product links
+  updateAssociations: (id, associations) => api.put(`/products/${id}/associations`, associations),
+  
+  // Get bundle components and availability
+  getBundle: (id) => api.get(`/products/${id}/bundle`),
+  
+  // Replace bundle components
+  updateBundle: (id, items) => api.put(`/products/${id}/bundle`, { items }),
+  
+  // Get product sales
+  getSales: (id) => api.get(`/products/${id}/sales`),
+  
+  // Schedule a sale price
+  createSale: (id, saleData) => api.post(`/products/${id}/sales`, saleData),
+  
+  // Cancel a sale
+  cancelSale: (id, saleId) => api.delete(`/products/${id}/sales/${saleId}`),
+};
+
+// Jobs API
+export const jobsAPI = {
+  // Get background jobs for store
+  getJobs: (storeId, params) => api.get(`/stores/${storeId}/jobs`, { params }),
+  
+  // Get job status and result
+  getJob: (storeId, jobId) => api.get(`/stores/${storeId}/jobs/${jobId}`),
+};
+
+// Inventory API
+export const inventoryAPI = {
+  // Adjust stock levels with a reason
+  adjustStock: (storeId, adjustments) => api.post(`/stores/${storeId}/inventory/adjustments`, { adjustments }),
+  
+  // Move stock between locations
+  transferStock: (storeId, transferData) => api.post(`/stores/${storeId}/inventory/transfers`, transferData),
+  
+  // Allocate stock to an order
+  allocateOrder: (storeId, orderId, preferredLocationId) => api.post(`/stores/${storeId}/inventory/allocations`, { orderId, preferredLocationId }),
+  
+  // Get stock per location
+  getLevels: (storeId, params) => api.get(`/stores/${storeId}/inventory/levels`, { params }),
+  
+  // Get stock movement history
+  getMovements: (storeId, params) => api.get(`/stores/${storeId}/inventory/movements`, { params }),
+  
+  // Get low-stock alerts
+  getAlerts: (storeId, params) => api.get(`/stores/${storeId}/inventory/alerts`, { params }),
+  
+  // Dismiss a low-stock alert
+  dismissAlert: (storeId, alertId) => api.post(`/stores/${storeId}/inventory/alerts/${alertId}/dismiss`),
+};
+
+// Locations API
+export const locationsAPI = {
+  // Get store locations
+  getLocations: (storeId) => api.get(`/stores/${storeId}/locations`),
+  
+  // Create location
+  createLocation: (storeId, locationData) => api.post(`/stores/${storeId}/locations`, locationData),
+  
+  // Update location
+  updateLocation: (storeId, locationId, locationData) => api.put(`/stores/${storeId}/locations/${locationId}`, locationData),
+  
+  // Delete location
+  deleteLocation: (storeId, locationId) => api.delete(`/stores/${storeId}/locations/${locationId}`),
+};
+
+// Reviews API
+export const reviewsAPI = {
+  // Get store reviews; the moderation queue unless a status is given
+  getReviews: (storeId, params) => api.get(`/stores/${storeId}/reviews`, { params }),
+  
+  // Approve review
+  approveReview: (storeId, reviewId) => api.post(`/stores/${storeId}/reviews/${reviewId}/approve`),
+  
+  // Reject review
+  rejectReview: (storeId, reviewId) => api.post(`/stores/${storeId}/reviews/${reviewId}/reject`),
+  
+  // Reply to review; null removes the reply
+  replyToReview: (storeId, reviewId, reply) => api.put(`/stores/${storeId}/reviews/${reviewId}/reply`, { reply }),
+  
+  // Delete review
+  deleteReview: (storeId, reviewId) => api.delete(`/stores/${storeId}/reviews/${reviewId}`),
+};
+
+// Categories API
+export const categoriesAPI = {
+  // Get category tree for store
+  getCategories: (storeId) => api.get(`/stores/${storeId}/categories`),
+  
+  // Get category with its parents and subcategories
+  getCategory: (storeId, categoryId) => api.get(`/stores/${storeId}/categories/${categoryId}`),
+  
+  // Create category
+  createCategory: (storeId, categoryData) => api.post(`/stores/${storeId}/categories`, categoryData),
+  
+  // Update or move category
+  updateCategory: (storeId, categoryId, categoryData) => api.put(`/stores/${storeId}/categories/${categoryId}`, categoryData),
+  
+  // Delete category
+  deleteCategory: (storeId, categoryId) => api.delete(`/stores/${storeId}/categories/${categoryId}`),
+};
+
+// Collections API
+export const collectionsAPI = {
+  // Get collections for store
+  getCollections: (storeId, params) => api.get(`/stores/${storeId}/collections`, { params }),
+  
+  // Get collection
+  getCollection: (storeId, collectionId) => api.get(`/stores/${storeId}/collections/${collectionId}`),
+  
+  // Get products of collection
+  getCollectionProducts: (storeId, collectionId, params) => api.get(`/stores/${storeId}/collections/${collectionId}/products`, { params }),
+  
+  // Create collection
+  createCollection: (storeId, collectionData) => api.post(`/stores/${storeId}/collections`, collectionData),
+  
+  // Update collection
+  updateCollection: (storeId, collectionId, collectionData) => api.put(`/stores/${storeId}/collections/${collectionId}`, collectionData),
+  
+  // Set products of manual collection, in display order
+  setCollectionProducts: (storeId, collectionId, productIds) => api.put(`/stores/${storeId}/collections/${collectionId}/products`, { productIds }),
+  
+  // Delete collection
+  deleteCollection: (storeId, collectionId) => api.delete(`/stores/${storeId}/collections/${collectionId}`),
 };
 
 // Orders API
@@ -12,11 +12,33 @@ const rateLimit = require('express-rate-limit');
 const errorHandler = require('./middleware/errorHandler');
 const logger = require('./utils/logger');
 
+// Import services
+const scheduler = require('./services/schedulerService');
+const storeService = require('./services/storeService');
+const jobService = require('./services/jobService');
+const productSearchService = require('./services/productSearchService');
+const inventoryService = require('./services/inventoryService');
+const stockAlertService = require('./services/stockAlertService');
+const backInStockService = require('./services/backInStockService');
+const productScheduleService = require('./services/productScheduleService');
+const { getStorage } = require('./services/storage');
+
 // Import routes
 const authRoutes = require('./routes/auth');
 const userRoutes = require('./routes/users');
 const storeRoutes = require('./routes/stores');
+const pageRoutes = require('./routes/pages');
+const menuRoutes = require('./routes/menus');
 const productRoutes = require('./routes/products');
+const storeProductRoutes = require('./routes/storeProducts');
+const jobRoutes = require('./routes/jobs');
+const categoryRoutes = require('./routes/categories');
+const collectionRoutes = require('./routes/collections');
+const inventoryRoutes = require('./routes/inventory');
+const locationRoutes = require('./routes/locations');
+const reviewRoutes = require('./routes/reviews');
+const storeOrderRoutes = require('./routes/storeOrders');
+const storefrontRoutes = require('./routes/storefront');
 const orderRoutes = require('./routes/orders');
 const customerRoutes = require('./routes/customers');
 const analyticsRoutes = require('./routes/analytics');
@@ -40,13 +62,22 @@ app.use(helmet({
   },
 }));
 
-// CORS configuration
-app.use(cors({
+// CORS configuration. Storefront endpoints are called from deployed stores on
+// their own domains and carry no credentials, so any origin may call them.
+const dashboardCors = cors({
   origin: process.env.CORS_ORIGIN || 'http://localhost:3000',
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'OPTIONS'],
   allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With'],
-}));
+});
+const storefrontCors = cors({
+  methods: ['GET', 'POST', 'OPTIONS'],
+  allowedHeaders: ['Content-Type'],
+});
+app.use((req, res, next) => {
+  const corsMiddleware = req.path.startsWith('/api/storefront/') ? storefrontCors : dashboardCors;
+  corsMiddleware(req, res, next);
+});
 
 // Compression middleware
 app.use(compression());
@@ -62,6 +93,14 @@ app.use(morgan('combined', {
   }
 }));
 
+// Images stored by the local storage adapter, served before rate limiting since
+// a storefront page loads many of them. Helmet's same-origin resource policy
+// would keep the dashboard and storefronts from displaying them.
+app.use('/uploads', (req, res, next) => {
+  res.set('Cross-Origin-Resource-Policy', 'cross-origin');
+  next();
+}, express.static(getStorage('local').root, { maxAge: '30d', immutable: true }));
+
 // Rate limiting
 const limiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
@@ -90,7 +129,18 @@ app.get('/health', (req, res) => {
 // API routes
 app.use('/api/auth', authRoutes);
 app.use('/api/users', userRoutes);
+app.use('/api/stores/:storeId/pages', pageRoutes);
+app.use('/api/stores/:storeId/menus', menuRoutes);
+app.use('/api/stores/:storeId/products', storeProductRoutes);
+app.use('/api/stores/:storeId/jobs', jobRoutes);
+app.use('/api/stores/:storeId/categories', categoryRoutes);
+app.use('/api/stores/:storeId/collections', collectionRoutes);
+app.use('/api/stores/:storeId/inventory', inventoryRoutes);
+app.use('/api/stores/:storeId/locations', locationRoutes);
+app.use('/api/stores/:storeId/reviews', reviewRoutes);
+app.use('/api/stores/:storeId/orders', storeOrderRoutes);
 app.use('/api/stores', storeRoutes);
+app.use('/api/storefront/:storeId', storefrontRoutes);
 app.use('/api/products', productRoutes);
 app.use('/api/orders', orderRoutes);
 app.use('/api/customers', customerRoutes);
@@ -135,6 +185,20 @@ process.on('uncaughtException', (error) => {
   process.exit(1);
 });
 
+// Background jobs
+scheduler.register('purge-archived-stores', 24 * 60 * 60 * 1000, () => storeService.purgeExpiredArchivedStores());
+scheduler.register('fail-stale-jobs', 60 * 60 * 1000, () => jobService.failStaleJobs());
+scheduler.register('index-product-search', 15 * 60 * 1000, () => productSearchService.indexMissingSearchVectors());
+scheduler.register('reconcile-inventory', 24 * 60 * 60 * 1000, () => inventoryService.reconcileStockLevels());
+scheduler.register('send-low-stock-alerts', 15 * 60 * 1000, () => stockAlertService.sendPendingAlerts());
+scheduler.register('send-low-stock-digests', 24 * 60 * 60 * 1000, () => stockAlertService.sendDailyDigests());
+scheduler.register('send-back-in-stock-notifications', 10 * 60 * 1000, () => backInStockService.sendNotifications());
+scheduler.register('apply-product-schedules', 60 * 1000, () => productScheduleService.applyDueChanges());
+
+if (process.env.NODE_ENV !== 'test') {
+  scheduler.start();
+}
+
 // Start server
 app.listen(PORT, () => {
   logger.info(`🚀 Buildcart.ai Backend Server running on port ${PORT}`);
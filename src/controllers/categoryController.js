@@ -0,0 +1,79 @@
+const { PrismaClient } = require('@prisma/client');
+const { asyncHandler } = require('../middleware/errorHandler');
+const categoryService = require('../services/categoryService');
+
+const prisma = new PrismaClient();
+
+// Category tree of the store
+const getCategories = asyncHandler(async (req, res) => {
+  const categories = await categoryService.getTree(req.params.storeId);
+
+  res.json({
+    success: true,
+    data: { categories }
+  });
+});
+
+// Get a category with its path from the root and its subcategories
+const getCategory = asyncHandler(async (req, res) => {
+  const { storeId, categoryId } = req.params;
+
+  const category = await categoryService.getCategory(storeId, categoryId);
+  const categories = await prisma.category.findMany({
+    where: { storeId },
+    include: { _count: { select: { products: true } } }
+  });
+
+  res.json({
+    success: true,
+    data: {
+      category: {
+        ...category,
+        ancestors: categoryService.getAncestors(categories, category),
+        children: categoryService.buildTree(categories, category.id)
+      }
+    }
+  });
+});
+
+// Create category
+const createCategory = asyncHandler(async (req, res) => {
+  const category = await categoryService.createCategory(req.params.storeId, req.body);
+
+  res.status(201).json({
+    success: true,
+    message: 'Category created successfully',
+    data: { category }
+  });
+});
+
+// Update category
+const updateCategory = asyncHandler(async (req, res) => {
+  const { storeId, categoryId } = req.params;
+  const category = await categoryService.updateCategory(storeId, categoryId, req.body);
+
+  res.json({
+    success: true,
+    message: 'Category updated successfully',
+    data: { category }
+  });
+});
+
+// Delete category
+const deleteCategory = asyncHandler(async (req, res) => {
+  const { storeId, categoryId } = req.params;
+  await categoryService.deleteCategory(storeId, categoryId);
+
+  res.json({
+    success: true,
+    message: 'Category deleted successfully'
+  });
+});
+
+module.exports = {
+  getCategories,
+  getCategory,
+  createCategory,
+  updateCategory,
+  deleteCategory
+};
@@ -0,0 +1,136 @@
+const { PrismaClient } = require('@prisma/client');
+const { asyncHandler } = require('../middleware/errorHandler');
+const collectionService = require('../services/collectionService');
+
+const prisma = new PrismaClient();
+
+// List store collections
+const getCollections = asyncHandler(async (req, res) => {
+  const { storeId } = req.params;
+  const { page, limit, sortBy, sortOrder, type, search } = req.query;
+
+  const where = {
+    storeId,
+    ...(type && { type }),
+    ...(search && {
+      OR: [
+        { name: { contains: search, mode: 'insensitive' } },
+        { slug: { contains: search, mode: 'insensitive' } }
+      ]
+    })
+  };
+
+  const skip = (page - 1) * limit;
+
+  const [collections, total] = await Promise.all([
+    prisma.collection.findMany({
+      where,
+      orderBy: { [sortBy]: sortOrder },
+      skip,
+      take: limit
+    }),
+    prisma.collection.count({ where })
+  ]);
+
+  res.json({
+    success: true,
+    data: {
+      collections,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    }
+  });
+});
+
+// Get single collection
+const getCollection = asyncHandler(async (req, res) => {
+  const collection = await collectionService.getCollection(req.params.storeId, req.params.collectionId);
+
+  res.json({
+    success: true,
+    data: { collection }
+  });
+});
+
+// List the products of a collection
+const getCollectionProducts = asyncHandler(async (req, res) => {
+  const { page, limit } = req.query;
+
+  const collection = await collectionService.getCollection(req.params.storeId, req.params.collectionId);
+  const { products, total } = await collectionService.getProducts(collection, { page, limit });
+
+  res.json({
+    success: true,
+    data: {
+      products,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    }
+  });
+});
+
+// Create collection
+const createCollection = asyncHandler(async (req, res) => {
+  const collection = await collectionService.createCollection(req.params.storeId, req.body);
+
+  res.status(201).json({
+    success: true,
+    message: 'Collection created successfully',
+    data: { collection }
+  });
+});
+
+// Update collection
+const updateCollection = asyncHandler(async (req, res) => {
+  const { storeId, collectionId } = req.params;
+  const collection = await collectionService.updateCollection(storeId, collectionId, req.body);
+
+  res.json({
+    success: true,
+    message: 'Collection updated successfully',
+    data: { collection }
+  });
+});
+
+// Replace the products of a manual collection
+const setCollectionProducts = asyncHandler(async (req, res) => {
+  const { storeId, collectionId } = req.params;
+  const { productIds } = req.body;
+
+  const collection = await collectionService.setProducts(storeId, collectionId, productIds);
+
+  res.json({
+    success: true,
+    message: 'Collection products updated successfully',
+    data: { collection, productIds }
+  });
+});
+
+// Delete collection
+const deleteCollection = asyncHandler(async (req, res) => {
+  const { storeId, collectionId } = req.params;
+  await collectionService.deleteCollection(storeId, collectionId);
+
+  res.json({
+    success: true,
+    message: 'Collection deleted successfully'
+  });
+});
+
+module.exports = {
+  getCollections,
+  getCollection,
+  getCollectionProducts,
+  createCollection,
+  updateCollection,
+  setCollectionProducts,
+  deleteCollection
+};
@@ -0,0 +1,114 @@
+const { PrismaClient } = require('@prisma/client');
+const { asyncHandler, NotFoundError, ValidationError } = require('../middleware/errorHandler');
+const currencyService = require('../services/currencyService');
+const { getStoreSettings } = require('../utils/storeSettings');
+const logger = require('../utils/logger');
+
+const prisma = new PrismaClient();
+
+// Get the store currency that rates are quoted against
+const getBaseCurrency = async (storeId) => {
+  const store = await prisma.store.findUnique({
+    where: { id: storeId },
+    select: { settings: true }
+  });
+
+  return getStoreSettings(store).currency;
+};
+
+// List presentment currencies and their rates
+const getCurrencies = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  const [baseCurrency, currencies] = await Promise.all([
+    getBaseCurrency(id),
+    prisma.storeCurrency.findMany({
+      where: { storeId: id },
+      orderBy: { currency: 'asc' }
+    })
+  ]);
+
+  res.json({
+    success: true,
+    data: { baseCurrency, currencies }
+  });
+});
+
+// Enable a presentment currency or update its rate
+const upsertCurrency = asyncHandler(async (req, res) => {
+  const { id, currency } = req.params;
+
+  if (currency === await getBaseCurrency(id)) {
+    throw new ValidationError(`${currency} is the store currency and cannot have an exchange rate`);
+  }
+
+  const storeCurrency = await prisma.storeCurrency.upsert({
+    where: { storeId_currency: { storeId: id, currency } },
+    create: { ...req.body, currency, source: 'MANUAL', storeId: id },
+    update: { ...req.body, source: 'MANUAL' }
+  });
+
+  logger.info(`Store currency updated: ${currency} @ ${storeCurrency.rate} for store ${id}`);
+
+  res.json({
+    success: true,
+    message: 'Currency updated successfully',
+    data: { currency: storeCurrency }
+  });
+});
+
+// Remove a presentment currency
+const deleteCurrency = asyncHandler(async (req, res) => {
+  const { id, currency } = req.params;
+
+  const { count } = await prisma.storeCurrency.deleteMany({
+    where: { storeId: id, currency }
+  });
+
+  if (count === 0) {
+    throw new NotFoundError('Currency not found');
+  }
+
+  logger.info(`Store currency removed: ${currency} from store ${id}`);
+
+  res.json({
+    success: true,
+    message: 'Currency removed successfully'
+  });
+});
+
+// Read rates from an uploaded file into the request body
+const parseRatesFile = (req, res, next) => {
+  if (req.file) {
+    req.body = { rates: currencyService.parseRatesFile(req.file) };
+  }
+  next();
+};
+
+// Import exchange rates from a file or a JSON body
+const importCurrencies = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { rates } = req.body;
+
+  const baseCurrency = await getBaseCurrency(id);
+
+  if (rates.some(rate => rate.currency === baseCurrency)) {
+    throw new ValidationError(`${baseCurrency} is the store currency and cannot have an exchange rate`);
+  }
+
+  const currencies = await currencyService.importRates(id, rates);
+
+  res.json({
+    success: true,
+    message: `${currencies.length} exchange rates imported successfully`,
+    data: { currencies }
+  });
+});
+
+module.exports = {
+  getCurrencies,
+  upsertCurrency,
+  deleteCurrency,
+  parseRatesFile,
+  importCurrencies
+};
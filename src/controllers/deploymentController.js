@@ -1,6 +1,8 @@
 const { PrismaClient } = require('@prisma/client');
 const { asyncHandler } = require('../middleware/errorHandler');
-const { NotFoundError, ValidationError } = require('../middleware/errorHandler');
+const { NotFoundError } = require('../middleware/errorHandler');
+const { assertStorePermission } = require('../middleware/auth');
+const { PERMISSIONS } = require('../utils/permissions');
 const deploymentService = require('../services/deploymentService');
 const logger = require('../utils/logger');
 
@@ -11,7 +13,7 @@ const deployStore = asyncHandler(async (req, res) => {
   const { storeId } = req.params;
   const { environment, customDomain, sslEnabled } = req.body;
 
-  // Verify store ownership
+  // Get store
   const store = await prisma.store.findUnique({
     where: { id: storeId },
     include: { user: true }
@@ -21,10 +23,6 @@ const deployStore = asyncHandler(async (req, res) => {
     throw new NotFoundError('Store not found');
   }
 
-  if (store.userId !== req.user.id && req.user.role !== 'ADMIN') {
-    throw new ValidationError('Access denied to this store');
-  }
-
   // Deploy store
   const result = await deploymentService.deployStore(storeId, environment);
 
@@ -68,9 +66,7 @@ const getDeploymentStatus = asyncHandler(async (req, res) => {
   }
 
   // Check access
-  if (deployment.store.userId !== req.user.id && req.user.role !== 'ADMIN') {
-    throw new ValidationError('Access denied to this deployment');
-  }
+  await assertStorePermission(req.user, deployment.storeId, PERMISSIONS.STORE_READ);
 
   res.json({
     success: true,
@@ -92,9 +88,7 @@ const getDeploymentLogs = asyncHandler(async (req, res) => {
   }
 
   // Check access
-  if (deployment.store.userId !== req.user.id && req.user.role !== 'ADMIN') {
-    throw new ValidationError('Access denied to this deployment');
-  }
+  await assertStorePermission(req.user, deployment.storeId, PERMISSIONS.STORE_READ);
 
   res.json({
     success: true,
@@ -111,7 +105,7 @@ const getStoreDeployments = asyncHandler(async (req, res) => {
   const { storeId } = req.params;
   const { page = 1, limit = 10 } = req.query;
 
-  // Verify store ownership
+  // Get store
   const store = await prisma.store.findUnique({
     where: { id: storeId }
   });
@@ -120,10 +114,6 @@ const getStoreDeployments = asyncHandler(async (req, res) => {
     throw new NotFoundError('Store not found');
   }
 
-  if (store.userId !== req.user.id && req.user.role !== 'ADMIN') {
-    throw new ValidationError('Access denied to this store');
-  }
-
   // Get deployments with pagination
   const skip = (page - 1) * limit;
   
@@ -158,7 +148,7 @@ const rollbackDeployment = asyncHandler(async (req, res) => {
   const { storeId } = req.params;
   const { version } = req.body;
 
-  // Verify store ownership
+  // Get store
   const store = await prisma.store.findUnique({
     where: { id: storeId }
   });
@@ -167,10 +157,6 @@ const rollbackDeployment = asyncHandler(async (req, res) => {
     throw new NotFoundError('Store not found');
   }
 
-  if (store.userId !== req.user.id && req.user.role !== 'ADMIN') {
-    throw new ValidationError('Access denied to this store');
-  }
-
   // Rollback deployment
   const deployment = await deploymentService.rollbackDeployment(storeId, version);
 
@@ -186,7 +172,7 @@ const setupCustomDomain = asyncHandler(async (req, res) => {
   const { storeId } = req.params;
   const { domain } = req.body;
 
-  // Verify store ownership
+  // Get store
   const store = await prisma.store.findUnique({
     where: { id: storeId }
   });
@@ -195,10 +181,6 @@ const setupCustomDomain = asyncHandler(async (req, res) => {
     throw new NotFoundError('Store not found');
   }
 
-  if (store.userId !== req.user.id && req.user.role !== 'ADMIN') {
-    throw new ValidationError('Access denied to this store');
-  }
-
   // Setup custom domain
   const result = await deploymentService.setupCustomDomain(storeId, domain);
 
@@ -214,7 +196,7 @@ const enableSSL = asyncHandler(async (req, res) => {
   const { storeId } = req.params;
   const { domain } = req.body;
 
-  // Verify store ownership
+  // Get store
   const store = await prisma.store.findUnique({
     where: { id: storeId }
   });
@@ -223,10 +205,6 @@ const enableSSL = asyncHandler(async (req, res) => {
     throw new NotFoundError('Store not found');
   }
 
-  if (store.userId !== req.user.id && req.user.role !== 'ADMIN') {
-    throw new ValidationError('Access denied to this store');
-  }
-
   // Enable SSL
   const result = await deploymentService.enableSSL(domain);
 
@@ -242,7 +220,7 @@ const getDeploymentAnalytics = asyncHandler(async (req, res) => {
   const { storeId } = req.params;
   const { startDate, endDate } = req.query;
 
-  // Verify store ownership
+  // Get store
   const store = await prisma.store.findUnique({
     where: { id: storeId }
   });
@@ -251,10 +229,6 @@ const getDeploymentAnalytics = asyncHandler(async (req, res) => {
     throw new NotFoundError('Store not found');
   }
 
-  if (store.userId !== req.user.id && req.user.role !== 'ADMIN') {
-    throw new ValidationError('Access denied to this store');
-  }
-
   // Build date filter
   const dateFilter = {};
   if (startDate) {
@@ -343,9 +317,7 @@ const deleteDeployment = asyncHandler(async (req, res) => {
   }
 
   // Check access
-  if (deployment.store.userId !== req.user.id && req.user.role !== 'ADMIN') {
-    throw new ValidationError('Access denied to this deployment');
-  }
+  await assertStorePermission(req.user, deployment.storeId, PERMISSIONS.STORE_DEPLOY);
 
   // Delete deployment
   await prisma.deployment.delete({
@@ -364,7 +336,7 @@ const deleteDeployment = asyncHandler(async (req, res) => {
 const getDeploymentConfig = asyncHandler(async (req, res) => {
   const { storeId } = req.params;
 
-  // Verify store ownership
+  // Get store
   const store = await prisma.store.findUnique({
     where: { id: storeId },
     select: {
@@ -382,10 +354,6 @@ const getDeploymentConfig = asyncHandler(async (req, res) => {
     throw new NotFoundError('Store not found');
   }
 
-  if (store.userId !== req.user.id && req.user.role !== 'ADMIN') {
-    throw new ValidationError('Access denied to this store');
-  }
-
   // Get latest deployment
   const latestDeployment = await prisma.deployment.findFirst({
     where: { storeId },
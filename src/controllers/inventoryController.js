@@ -0,0 +1,198 @@
+const { PrismaClient } = require('@prisma/client');
+const { asyncHandler } = require('../middleware/errorHandler');
+const inventoryService = require('../services/inventoryService');
+const stockAlertService = require('../services/stockAlertService');
+
+const prisma = new PrismaClient();
+
+// Adjust stock with a reason; every change is recorded in the ledger
+const adjustStock = asyncHandler(async (req, res) => {
+  const movements = await inventoryService.adjustStock(req.params.storeId, req.body.adjustments, req.user.id);
+
+  res.status(201).json({
+    success: true,
+    message: 'Inventory adjusted successfully',
+    data: { movements }
+  });
+});
+
+// Move stock between two locations
+const transferStock = asyncHandler(async (req, res) => {
+  const movements = await inventoryService.transferStock(req.params.storeId, req.body, req.user.id);
+
+  res.status(201).json({
+    success: true,
+    message: 'Inventory transferred successfully',
+    data: { movements }
+  });
+});
+
+// Take the stock of an order's items from the store locations
+const allocateOrder = asyncHandler(async (req, res) => {
+  const { orderId, preferredLocationId } = req.body;
+  const movements = await inventoryService.allocateOrder(req.params.storeId, orderId, { preferredLocationId }, req.user.id);
+
+  res.status(201).json({
+    success: true,
+    message: 'Stock allocated successfully',
+    data: { movements }
+  });
+});
+
+// Stock per location
+const getLevels = asyncHandler(async (req, res) => {
+  const { storeId } = req.params;
+  const { page, limit, productId, locationId } = req.query;
+
+  const where = {
+    location: { storeId },
+    ...(productId && { productId }),
+    ...(locationId && { locationId })
+  };
+
+  const skip = (page - 1) * limit;
+
+  const [levels, total] = await Promise.all([
+    prisma.inventoryLevel.findMany({
+      where,
+      orderBy: [{ productId: 'asc' }, { itemId: 'asc' }, { location: { priority: 'asc' } }],
+      skip,
+      take: limit,
+      include: {
+        location: { select: { id: true, name: true, code: true } },
+        product: { select: { id: true, name: true, sku: true } },
+        variant: { select: { id: true, title: true, sku: true } }
+      }
+    }),
+    prisma.inventoryLevel.count({ where })
+  ]);
+
+  res.json({
+    success: true,
+    data: {
+      levels,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    }
+  });
+});
+
+// Stock movement history, newest first
+const getMovements = asyncHandler(async (req, res) => {
+  const { storeId } = req.params;
+  const { page, limit, sortOrder, productId, variantId, locationId, orderId, userId, reason, from, to } = req.query;
+
+  const where = {
+    storeId,
+    ...(productId && { productId }),
+    ...(variantId && { variantId }),
+    ...(locationId && { locationId }),
+    ...(orderId && { orderId }),
+    ...(userId && { userId }),
+    ...(reason && { reason }),
+    ...((from || to) && {
+      createdAt: {
+        ...(from && { gte: from }),
+        ...(to && { lte: to })
+      }
+    })
+  };
+
+  const skip = (page - 1) * limit;
+
+  const [movements, total] = await Promise.all([
+    prisma.inventoryMovement.findMany({
+      where,
+      orderBy: [{ createdAt: sortOrder }, { id: sortOrder }],
+      skip,
+      take: limit,
+      include: {
+        product: { select: { id: true, name: true, sku: true } },
+        variant: { select: { id: true, title: true, sku: true } },
+        location: { select: { id: true, name: true } },
+        order: { select: { id: true, orderNumber: true } },
+        user: { select: { id: true, name: true, email: true } }
+      }
+    }),
+    prisma.inventoryMovement.count({ where })
+  ]);
+
+  res.json({
+    success: true,
+    data: {
+      movements,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    }
+  });
+});
+
+// Low-stock alerts for the dashboard, newest first
+const getAlerts = asyncHandler(async (req, res) => {
+  const { storeId } = req.params;
+  const { page, limit, status, productId } = req.query;
+
+  const where = {
+    storeId,
+    status,
+    ...(productId && { productId })
+  };
+
+  const skip = (page - 1) * limit;
+
+  const [alerts, total] = await Promise.all([
+    prisma.stockAlert.findMany({
+      where,
+      orderBy: { createdAt: 'desc' },
+      skip,
+      take: limit,
+      include: {
+        product: { select: { id: true, name: true, sku: true, lowStockThreshold: true } },
+        variant: { select: { id: true, title: true, sku: true } }
+      }
+    }),
+    prisma.stockAlert.count({ where })
+  ]);
+
+  res.json({
+    success: true,
+    data: {
+      alerts,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    }
+  });
+});
+
+// Dismiss a low-stock alert
+const dismissAlert = asyncHandler(async (req, res) => {
+  const alert = await stockAlertService.dismissAlert(req.params.storeId, req.params.alertId);
+
+  res.json({
+    success: true,
+    message: 'Alert dismissed successfully',
+    data: { alert }
+  });
+});
+
+module.exports = {
+  adjustStock,
+  transferStock,
+  allocateOrder,
+  getLevels,
+  getMovements,
+  getAlerts,
+  dismissAlert
+};
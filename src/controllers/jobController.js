@@ -0,0 +1,57 @@
+const { PrismaClient } = require('@prisma/client');
+const { asyncHandler } = require('../middleware/errorHandler');
+const jobService = require('../services/jobService');
+
+const prisma = new PrismaClient();
+
+// List store jobs, newest first
+const getJobs = asyncHandler(async (req, res) => {
+  const { storeId } = req.params;
+  const { page, limit, sortBy, sortOrder, type, status } = req.query;
+
+  const where = {
+    storeId,
+    ...(type && { type }),
+    ...(status && { status })
+  };
+
+  const skip = (page - 1) * limit;
+
+  const [jobs, total] = await Promise.all([
+    prisma.job.findMany({
+      where,
+      orderBy: { [sortBy]: sortOrder },
+      skip,
+      take: limit
+    }),
+    prisma.job.count({ where })
+  ]);
+
+  res.json({
+    success: true,
+    data: {
+      jobs,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    }
+  });
+});
+
+// Get a job with its progress and result
+const getJob = asyncHandler(async (req, res) => {
+  const job = await jobService.getJob(req.params.storeId, req.params.jobId);
+
+  res.json({
+    success: true,
+    data: { job }
+  });
+});
+
+module.exports = {
+  getJobs,
+  getJob
+};
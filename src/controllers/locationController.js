@@ -0,0 +1,53 @@
+const { asyncHandler } = require('../middleware/errorHandler');
+const locationService = require('../services/locationService');
+
+// Store locations in allocation order, with the stock they hold
+const getLocations = asyncHandler(async (req, res) => {
+  const locations = await locationService.getLocations(req.params.storeId);
+
+  res.json({
+    success: true,
+    data: { locations }
+  });
+});
+
+// Create location
+const createLocation = asyncHandler(async (req, res) => {
+  const location = await locationService.createLocation(req.params.storeId, req.body);
+
+  res.status(201).json({
+    success: true,
+    message: 'Location created successfully',
+    data: { location }
+  });
+});
+
+// Update location
+const updateLocation = asyncHandler(async (req, res) => {
+  const { storeId, locationId } = req.params;
+  const location = await locationService.updateLocation(storeId, locationId, req.body);
+
+  res.json({
+    success: true,
+    message: 'Location updated successfully',
+    data: { location }
+  });
+});
+
+// Delete location
+const deleteLocation = asyncHandler(async (req, res) => {
+  const { storeId, locationId } = req.params;
+  await locationService.deleteLocation(storeId, locationId);
+
+  res.json({
+    success: true,
+    message: 'Location deleted successfully'
+  });
+});
+
+module.exports = {
+  getLocations,
+  createLocation,
+  updateLocation,
+  deleteLocation
+};
@@ -0,0 +1,90 @@
+const { PrismaClient } = require('@prisma/client');
+const { asyncHandler, ValidationError } = require('../middleware/errorHandler');
+const logger = require('../utils/logger');
+
+const prisma = new PrismaClient();
+
+// List the configured menus; locations without one use the default navigation
+const getMenus = asyncHandler(async (req, res) => {
+  const { storeId } = req.params;
+
+  const menus = await prisma.menu.findMany({
+    where: { storeId },
+    orderBy: { location: 'asc' }
+  });
+
+  res.json({
+    success: true,
+    data: { menus }
+  });
+});
+
+// Get a single menu
+const getMenu = asyncHandler(async (req, res) => {
+  const { storeId } = req.params;
+  const location = req.params.location.toUpperCase();
+
+  const menu = await prisma.menu.findUnique({
+    where: { storeId_location: { storeId, location } }
+  });
+
+  res.json({
+    success: true,
+    data: { menu: menu || { location, items: null } }
+  });
+});
+
+// Replace a menu's links
+const updateMenu = asyncHandler(async (req, res) => {
+  const { storeId } = req.params;
+  const location = req.params.location.toUpperCase();
+  const { items } = req.body;
+
+  // Links to pages must point at pages of this store
+  const pageIds = [...new Set(items.filter(item => item.pageId).map(item => item.pageId))];
+  if (pageIds.length > 0) {
+    const found = await prisma.page.count({
+      where: { id: { in: pageIds }, storeId }
+    });
+
+    if (found !== pageIds.length) {
+      throw new ValidationError('Menu links must reference pages of this store');
+    }
+  }
+
+  const menu = await prisma.menu.upsert({
+    where: { storeId_location: { storeId, location } },
+    create: { storeId, location, items },
+    update: { items }
+  });
+
+  logger.info(`Menu updated: ${location} (${items.length} links) in store ${storeId}`);
+
+  res.json({
+    success: true,
+    message: 'Menu updated successfully',
+    data: { menu }
+  });
+});
+
+// Remove a menu so the storefront uses the default navigation again
+const deleteMenu = asyncHandler(async (req, res) => {
+  const { storeId } = req.params;
+  const location = req.params.location.toUpperCase();
+
+  await prisma.menu.deleteMany({
+    where: { storeId, location }
+  });
+
+  res.json({
+    success: true,
+    message: 'Menu reset to the default navigation'
+  });
+});
+
+module.exports = {
+  getMenus,
+  getMenu,
+  updateMenu,
+  deleteMenu
+};
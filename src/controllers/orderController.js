@@ -0,0 +1,94 @@
+const { PrismaClient } = require('@prisma/client');
+const { asyncHandler, NotFoundError } = require('../middleware/errorHandler');
+const currencyService = require('../services/currencyService');
+
+const prisma = new PrismaClient();
+
+// Resolve the ?currency= presentment currency for a store
+const getPresentmentCurrency = async (storeId, currency) => {
+  if (!currency) {
+    return null;
+  }
+
+  const store = await prisma.store.findUnique({
+    where: { id: storeId },
+    select: { id: true, settings: true }
+  });
+
+  return currencyService.resolvePresentmentCurrency(store, currency);
+};
+
+// Orders of a store, newest first
+const getOrders = asyncHandler(async (req, res) => {
+  const { storeId } = req.params;
+  const { page, limit, status, paymentStatus, currency } = req.query;
+
+  const storeCurrency = await getPresentmentCurrency(storeId, currency);
+
+  const where = {
+    storeId,
+    ...(status && { status }),
+    ...(paymentStatus && { paymentStatus })
+  };
+
+  const skip = (page - 1) * limit;
+
+  const [orders, total] = await Promise.all([
+    prisma.order.findMany({
+      where,
+      orderBy: { createdAt: 'desc' },
+      skip,
+      take: limit,
+      include: {
+        customer: { select: { id: true, email: true, firstName: true, lastName: true } }
+      }
+    }),
+    prisma.order.count({ where })
+  ]);
+
+  res.json({
+    success: true,
+    data: {
+      orders: orders.map(order => currencyService.convertOrder(order, storeCurrency)),
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    }
+  });
+});
+
+// Get an order with its items. An order read in the currency it was placed in
+// uses the locked-in rate even if the store no longer offers that currency.
+const getOrder = asyncHandler(async (req, res) => {
+  const { storeId, orderId } = req.params;
+  const { currency } = req.query;
+
+  const order = await prisma.order.findFirst({
+    where: { id: orderId, storeId },
+    include: {
+      customer: { select: { id: true, email: true, firstName: true, lastName: true } },
+      items: true
+    }
+  });
+
+  if (!order) {
+    throw new NotFoundError('Order not found');
+  }
+
+  const storeCurrency = currency && currency === order.presentmentCurrency && order.exchangeRate
+    ? { currency }
+    : await getPresentmentCurrency(storeId, currency);
+
+  res.json({
+    success: true,
+    data: { order: currencyService.convertOrder(order, storeCurrency) }
+  });
+});
+
+module.exports = {
+  getOrders,
+  getOrder
+};
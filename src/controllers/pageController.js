@@ -0,0 +1,183 @@
+const { PrismaClient } = require('@prisma/client');
+const { asyncHandler, NotFoundError, ConflictError } = require('../middleware/errorHandler');
+const { generateUniqueSlug } = require('../utils/slug');
+const logger = require('../utils/logger');
+
+const prisma = new PrismaClient();
+
+// Find a page of the store in the request
+const findStorePage = async (storeId, pageId) => {
+  const page = await prisma.page.findFirst({
+    where: { id: pageId, storeId }
+  });
+
+  if (!page) {
+    throw new NotFoundError('Page not found');
+  }
+
+  return page;
+};
+
+// Make sure an explicitly chosen slug is free within the store
+const assertSlugAvailable = async (storeId, slug, excludeId = null) => {
+  const existing = await prisma.page.findUnique({
+    where: { storeId_slug: { storeId, slug } },
+    select: { id: true }
+  });
+
+  if (existing && existing.id !== excludeId) {
+    throw new ConflictError('A page with this slug already exists');
+  }
+};
+
+// List store pages
+const getPages = asyncHandler(async (req, res) => {
+  const { storeId } = req.params;
+  const { page, limit, sortBy, sortOrder, status, search } = req.query;
+
+  const where = {
+    storeId,
+    ...(status && { status }),
+    ...(search && {
+      OR: [
+        { title: { contains: search, mode: 'insensitive' } },
+        { slug: { contains: search, mode: 'insensitive' } }
+      ]
+    })
+  };
+
+  const skip = (page - 1) * limit;
+
+  const [pages, total] = await Promise.all([
+    prisma.page.findMany({
+      where,
+      orderBy: { [sortBy]: sortOrder },
+      skip,
+      take: limit,
+      select: {
+        id: true,
+        title: true,
+        slug: true,
+        status: true,
+        createdAt: true,
+        updatedAt: true,
+        publishedAt: true
+      }
+    }),
+    prisma.page.count({ where })
+  ]);
+
+  res.json({
+    success: true,
+    data: {
+      pages,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    }
+  });
+});
+
+// Get single page
+const getPage = asyncHandler(async (req, res) => {
+  const page = await findStorePage(req.params.storeId, req.params.pageId);
+
+  res.json({
+    success: true,
+    data: { page }
+  });
+});
+
+// Create page
+const createPage = asyncHandler(async (req, res) => {
+  const { storeId } = req.params;
+  const { title, slug, ...data } = req.body;
+
+  if (slug) {
+    await assertSlugAvailable(storeId, slug);
+  }
+
+  const pageSlug = slug || await generateUniqueSlug(title, async (candidate) => {
+    const existing = await prisma.page.findUnique({
+      where: { storeId_slug: { storeId, slug: candidate } },
+      select: { id: true }
+    });
+    return Boolean(existing);
+  }, 'page');
+
+  const page = await prisma.page.create({
+    data: {
+      ...data,
+      title,
+      slug: pageSlug,
+      storeId,
+      publishedAt: data.status === 'PUBLISHED' ? new Date() : null
+    }
+  });
+
+  logger.info(`Page created: ${page.slug} (${page.id}) in store ${storeId}`);
+
+  res.status(201).json({
+    success: true,
+    message: 'Page created successfully',
+    data: { page }
+  });
+});
+
+// Update page
+const updatePage = asyncHandler(async (req, res) => {
+  const { storeId, pageId } = req.params;
+  const data = { ...req.body };
+
+  const existing = await findStorePage(storeId, pageId);
+
+  if (data.slug && data.slug !== existing.slug) {
+    await assertSlugAvailable(storeId, data.slug, existing.id);
+  }
+
+  if (data.status === 'PUBLISHED' && existing.status !== 'PUBLISHED') {
+    data.publishedAt = new Date();
+  }
+
+  const page = await prisma.page.update({
+    where: { id: existing.id },
+    data
+  });
+
+  logger.info(`Page updated: ${page.slug} (${page.id})`);
+
+  res.json({
+    success: true,
+    message: 'Page updated successfully',
+    data: { page }
+  });
+});
+
+// Delete page
+const deletePage = asyncHandler(async (req, res) => {
+  const { storeId, pageId } = req.params;
+
+  const existing = await findStorePage(storeId, pageId);
+
+  await prisma.page.delete({
+    where: { id: existing.id }
+  });
+
+  logger.info(`Page deleted: ${existing.slug} (${existing.id})`);
+
+  res.json({
+    success: true,
+    message: 'Page deleted successfully'
+  });
+});
+
+module.exports = {
+  getPages,
+  getPage,
+  createPage,
+  updatePage,
+  deletePage
+};
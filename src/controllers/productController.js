@@ -0,0 +1,463 @@
+const { PrismaClient } = require('@prisma/client');
+const { asyncHandler, NotFoundError, ValidationError } = require('../middleware/errorHandler');
+const { assertStorePermission } = require('../middleware/auth');
+const { PERMISSIONS } = require('../utils/permissions');
+const productService = require('../services/productService');
+const currencyService = require('../services/currencyService');
+const productImportService = require('../services/productImportService');
+const jobService = require('../services/jobService');
+const productExportService = require('../services/productExportService');
+const productSearchService = require('../services/productSearchService');
+const productImageService = require('../services/productImageService');
+const productFileService = require('../services/productFileService');
+const productScheduleService = require('../services/productScheduleService');
+const productAssociationService = require('../services/productAssociationService');
+const productBundleService = require('../services/productBundleService');
+const categoryService = require('../services/categoryService');
+const deploymentService = require('../services/deploymentService');
+
+const prisma = new PrismaClient();
+
+// Load a product and check the user's permission on its store
+const findAuthorizedProduct = async (user, productId, permission) => {
+  const product = await productService.getProduct(productId);
+  await assertStorePermission(user, product.storeId, permission);
+  return product;
+};
+
+// Resolve the ?currency= presentment currency for a store
+const getPresentmentCurrency = async (storeId, currency) => {
+  if (!currency) {
+    return null;
+  }
+
+  const store = await prisma.store.findUnique({
+    where: { id: storeId },
+    select: { id: true, settings: true }
+  });
+
+  return currencyService.resolvePresentmentCurrency(store, currency);
+};
+
+// Search and filter store products, with facet counts for the matching products
+const getProducts = asyncHandler(async (req, res) => {
+  const { storeId } = req.params;
+  const { page, limit, currency, categoryId } = req.query;
+
+  const storeCurrency = await getPresentmentCurrency(storeId, currency);
+
+  // A category includes the products of its subcategories
+  const categoryIds = categoryId ? await categoryService.getCategoryFilterIds(storeId, categoryId) : undefined;
+  const { products, total, facets } = await productSearchService.search(storeId, { ...req.query, categoryIds });
+
+  res.json({
+    success: true,
+    data: {
+      products: products.map(product => currencyService.convertProduct(product, storeCurrency)),
+      facets,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    }
+  });
+});
+
+// Get single product
+const getProduct = asyncHandler(async (req, res) => {
+  const product = await findAuthorizedProduct(req.user, req.params.id, PERMISSIONS.PRODUCTS_READ);
+  const storeCurrency = await getPresentmentCurrency(product.storeId, req.query.currency);
+
+  res.json({
+    success: true,
+    data: { product: currencyService.convertProduct(product, storeCurrency) }
+  });
+});
+
+// Create product with its variants
+const createProduct = asyncHandler(async (req, res) => {
+  const product = await productService.createProduct(req.params.storeId, req.body, req.user.id);
+
+  res.status(201).json({
+    success: true,
+    message: 'Product created successfully',
+    data: { product }
+  });
+});
+
+// Update product and sync its variants
+const updateProduct = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  await findAuthorizedProduct(req.user, id, PERMISSIONS.PRODUCTS_WRITE);
+  const product = await productService.updateProduct(id, req.body, req.user.id);
+
+  res.json({
+    success: true,
+    message: 'Product updated successfully',
+    data: { product }
+  });
+});
+
+// Replace product options and sync variants with them
+const updateOptions = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  await findAuthorizedProduct(req.user, id, PERMISSIONS.PRODUCTS_WRITE);
+  const { product, removedVariants } = await productService.setOptions(id, req.body.options);
+
+  res.json({
+    success: true,
+    message: 'Product options updated successfully',
+    data: { product, removedVariants }
+  });
+});
+
+// Create variants for all missing option combinations
+const generateVariants = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  await findAuthorizedProduct(req.user, id, PERMISSIONS.PRODUCTS_WRITE);
+  const { product, created } = await productService.generateVariants(id, req.body, req.user.id);
+
+  res.status(201).json({
+    success: true,
+    message: `${created} variants generated successfully`,
+    data: { product, created }
+  });
+});
+
+// Upload product images and generate their responsive sizes
+const uploadImages = asyncHandler(async (req, res) => {
+  if (!req.files || req.files.length === 0) {
+    throw new ValidationError('At least one image is required');
+  }
+
+  const product = await findAuthorizedProduct(req.user, req.params.id, PERMISSIONS.PRODUCTS_WRITE);
+  const images = await productImageService.uploadImages(product, req.files);
+
+  res.status(201).json({
+    success: true,
+    message: `${req.files.length} image(s) uploaded successfully`,
+    data: { images }
+  });
+});
+
+// Reorder product images
+const reorderImages = asyncHandler(async (req, res) => {
+  const product = await findAuthorizedProduct(req.user, req.params.id, PERMISSIONS.PRODUCTS_WRITE);
+  const images = await productImageService.reorderImages(product, req.body.imageIds);
+
+  res.json({
+    success: true,
+    message: 'Images reordered successfully',
+    data: { images }
+  });
+});
+
+// Update the alt text of a product image
+const updateImage = asyncHandler(async (req, res) => {
+  const { id, imageId } = req.params;
+
+  await findAuthorizedProduct(req.user, id, PERMISSIONS.PRODUCTS_WRITE);
+  const image = await productImageService.updateImage(id, imageId, req.body);
+
+  res.json({
+    success: true,
+    message: 'Image updated successfully',
+    data: { image }
+  });
+});
+
+// Delete a product image and its stored files
+const deleteImage = asyncHandler(async (req, res) => {
+  const product = await findAuthorizedProduct(req.user, req.params.id, PERMISSIONS.PRODUCTS_WRITE);
+  await productImageService.deleteImage(product, req.params.imageId);
+
+  res.json({
+    success: true,
+    message: 'Image deleted successfully'
+  });
+});
+
+// Get the downloadable files of a product
+const getFiles = asyncHandler(async (req, res) => {
+  const product = await findAuthorizedProduct(req.user, req.params.id, PERMISSIONS.PRODUCTS_READ);
+  const files = await productFileService.getFiles(product.id);
+
+  res.json({
+    success: true,
+    data: { files }
+  });
+});
+
+// Upload a downloadable file for a digital product
+const uploadFile = asyncHandler(async (req, res) => {
+  if (!req.file) {
+    throw new ValidationError('A file is required');
+  }
+
+  const product = await findAuthorizedProduct(req.user, req.params.id, PERMISSIONS.PRODUCTS_WRITE);
+  const file = await productFileService.uploadFile(product, req.file, req.body.name);
+
+  res.status(201).json({
+    success: true,
+    message: 'File uploaded successfully',
+    data: { file }
+  });
+});
+
+// Delete a downloadable file and its stored copy
+const deleteFile = asyncHandler(async (req, res) => {
+  const product = await findAuthorizedProduct(req.user, req.params.id, PERMISSIONS.PRODUCTS_WRITE);
+  await productFileService.deleteFile(product, req.params.fileId);
+
+  res.json({
+    success: true,
+    message: 'File deleted successfully'
+  });
+});
+
+// Get the related, upsell and cross-sell products of a product
+const getAssociations = asyncHandler(async (req, res) => {
+  const product = await findAuthorizedProduct(req.user, req.params.id, PERMISSIONS.PRODUCTS_READ);
+  const associations = await productAssociationService.getAssociations(product);
+
+  res.json({
+    success: true,
+    data: { associations }
+  });
+});
+
+// Replace the curated links of a product
+const updateAssociations = asyncHandler(async (req, res) => {
+  const product = await findAuthorizedProduct(req.user, req.params.id, PERMISSIONS.PRODUCTS_WRITE);
+  const associations = await productAssociationService.setAssociations(product, req.body);
+
+  res.json({
+    success: true,
+    message: 'Product links updated successfully',
+    data: { associations }
+  });
+});
+
+// Get the components of a bundle and how many bundles they make up
+const getBundle = asyncHandler(async (req, res) => {
+  const product = await findAuthorizedProduct(req.user, req.params.id, PERMISSIONS.PRODUCTS_READ);
+  const bundle = await productBundleService.getBundle(product);
+
+  res.json({
+    success: true,
+    data: { bundle }
+  });
+});
+
+// Replace the components of a bundle
+const updateBundle = asyncHandler(async (req, res) => {
+  const product = await findAuthorizedProduct(req.user, req.params.id, PERMISSIONS.PRODUCTS_WRITE);
+  const bundle = await productBundleService.setItems(product, req.body.items);
+
+  res.json({
+    success: true,
+    message: 'Bundle components updated successfully',
+    data: { bundle }
+  });
+});
+
+// Get the sales of a product
+const getSales = asyncHandler(async (req, res) => {
+  const product = await findAuthorizedProduct(req.user, req.params.id, PERMISSIONS.PRODUCTS_READ);
+  const sales = await productScheduleService.getSales(product.id);
+
+  res.json({
+    success: true,
+    data: { sales }
+  });
+});
+
+// Schedule a sale price
+const createSale = asyncHandler(async (req, res) => {
+  const product = await findAuthorizedProduct(req.user, req.params.id, PERMISSIONS.PRODUCTS_WRITE);
+  const sale = await productScheduleService.createSale(product, req.body);
+
+  res.status(201).json({
+    success: true,
+    message: 'Sale scheduled successfully',
+    data: { sale }
+  });
+});
+
+// Cancel a scheduled or active sale
+const cancelSale = asyncHandler(async (req, res) => {
+  const product = await findAuthorizedProduct(req.user, req.params.id, PERMISSIONS.PRODUCTS_WRITE);
+  const sale = await productScheduleService.cancelSale(product, req.params.saleId);
+
+  res.json({
+    success: true,
+    message: 'Sale cancelled successfully',
+    data: { sale }
+  });
+});
+
+// Delete product
+const deleteProduct = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  await findAuthorizedProduct(req.user, id, PERMISSIONS.PRODUCTS_WRITE);
+  await productService.deleteProduct(id);
+
+  res.json({
+    success: true,
+    message: 'Product deleted successfully'
+  });
+});
+
+// Update price, inventory and flags of several products
+const bulkUpdateProducts = asyncHandler(async (req, res) => {
+  const { products: updates } = req.body;
+  const ids = updates.map(update => update.id);
+
+  const existing = await prisma.product.findMany({
+    where: { id: { in: ids } },
+    select: { id: true, storeId: true }
+  });
+
+  if (existing.length !== ids.length) {
+    const found = new Set(existing.map(product => product.id));
+    throw new NotFoundError(`Product not found: ${ids.find(id => !found.has(id))}`);
+  }
+
+  for (const storeId of new Set(existing.map(product => product.storeId))) {
+    await assertStorePermission(req.user, storeId, PERMISSIONS.PRODUCTS_WRITE);
+  }
+
+  const products = await productService.bulkUpdate(updates, req.user.id);
+
+  res.json({
+    success: true,
+    message: `${products.length} products updated successfully`,
+    data: { products }
+  });
+});
+
+// Multipart forms send the column mapping as a JSON string
+const parseImportOptions = (req, res, next) => {
+  if (typeof req.body.mapping === 'string') {
+    try {
+      req.body.mapping = JSON.parse(req.body.mapping);
+    } catch (error) {
+      return next(new ValidationError('mapping must be a JSON object of column names to fields'));
+    }
+  }
+  next();
+};
+
+// Import products from a CSV or XLSX file. Small files are imported before
+// responding; larger ones run as a background job the client polls.
+const importProducts = asyncHandler(async (req, res) => {
+  const { storeId } = req.params;
+  const { dryRun, matchBy, mapping } = req.body;
+
+  if (!req.file) {
+    throw new ValidationError('Import file is required');
+  }
+
+  const rows = await productImportService.parseFile(req.file);
+  const products = productImportService.buildProducts(rows, mapping);
+
+  if (products.length === 0) {
+    throw new ValidationError('Import file has no product rows');
+  }
+
+  const job = await jobService.createJob(
+    storeId,
+    req.user.id,
+    'PRODUCT_IMPORT',
+    { filename: req.file.originalname, dryRun, matchBy, mapping: mapping || null },
+    products.length
+  );
+
+  const handler = (reportProgress) => productImportService.importProducts(
+    storeId,
+    products,
+    { dryRun, matchBy, userId: req.user.id },
+    reportProgress
+  );
+
+  if (productImportService.isLargeImport(products)) {
+    jobService.runInBackground(job, handler);
+
+    return res.status(202).json({
+      success: true,
+      message: `Importing ${products.length} products in the background`,
+      data: { job }
+    });
+  }
+
+  const completed = await jobService.run(job, handler);
+
+  res.json({
+    success: true,
+    message: dryRun ? 'Import checked successfully' : 'Products imported successfully',
+    data: { job: completed }
+  });
+});
+
+// Export the store catalog as a CSV (the bulk import layout), JSON or a merchant feed
+const exportProducts = asyncHandler(async (req, res) => {
+  const { storeId } = req.params;
+  const { format, status } = req.query;
+
+  const [store, products] = await Promise.all([
+    prisma.store.findUnique({
+      where: { id: storeId },
+      select: { id: true, name: true, slug: true, description: true, customDomain: true, settings: true }
+    }),
+    productExportService.getProducts(storeId, { status })
+  ]);
+
+  const filename = `${store.slug}-products-${new Date().toISOString().slice(0, 10)}`;
+  res.attachment(`${filename}.${format}`);
+
+  if (format === 'json') {
+    return res.json(productExportService.toJson(products));
+  }
+
+  if (format === 'xml') {
+    return res.type('application/xml').send(
+      productExportService.toMerchantFeed(store, products, deploymentService.generateStoreUrl(store))
+    );
+  }
+
+  res.type('text/csv').send(productExportService.toCsv(products));
+});
+
+module.exports = {
+  getProducts,
+  getProduct,
+  createProduct,
+  updateProduct,
+  updateOptions,
+  generateVariants,
+  uploadImages,
+  reorderImages,
+  updateImage,
+  deleteImage,
+  getFiles,
+  uploadFile,
+  deleteFile,
+  getAssociations,
+  updateAssociations,
+  getBundle,
+  updateBundle,
+  getSales,
+  createSale,
+  cancelSale,
+  deleteProduct,
+  bulkUpdateProducts,
+  parseImportOptions,
+  importProducts,
+  exportProducts
+};
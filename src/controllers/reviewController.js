@@ -0,0 +1,97 @@
+const { PrismaClient } = require('@prisma/client');
+const { asyncHandler } = require('../middleware/errorHandler');
+const reviewService = require('../services/reviewService');
+
+const prisma = new PrismaClient();
+
+// Reviews of a store, newest first; the moderation queue by default
+const getReviews = asyncHandler(async (req, res) => {
+  const { storeId } = req.params;
+  const { page, limit, status, productId, rating } = req.query;
+
+  const where = {
+    storeId,
+    status,
+    ...(productId && { productId }),
+    ...(rating && { rating })
+  };
+
+  const skip = (page - 1) * limit;
+
+  const [reviews, total] = await Promise.all([
+    prisma.review.findMany({
+      where,
+      orderBy: { createdAt: 'desc' },
+      skip,
+      take: limit,
+      include: {
+        product: { select: { id: true, name: true } }
+      }
+    }),
+    prisma.review.count({ where })
+  ]);
+
+  res.json({
+    success: true,
+    data: {
+      reviews,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    }
+  });
+});
+
+// Approve a review, publishing it and counting it in the product rating
+const approveReview = asyncHandler(async (req, res) => {
+  const review = await reviewService.setStatus(req.params.storeId, req.params.reviewId, 'APPROVED');
+
+  res.json({
+    success: true,
+    message: 'Review approved successfully',
+    data: { review }
+  });
+});
+
+// Reject a review
+const rejectReview = asyncHandler(async (req, res) => {
+  const review = await reviewService.setStatus(req.params.storeId, req.params.reviewId, 'REJECTED');
+
+  res.json({
+    success: true,
+    message: 'Review rejected successfully',
+    data: { review }
+  });
+});
+
+// Reply to a review; a null reply removes it
+const replyToReview = asyncHandler(async (req, res) => {
+  const review = await reviewService.reply(req.params.storeId, req.params.reviewId, req.body.reply);
+
+  res.json({
+    success: true,
+    message: req.body.reply ? 'Reply saved successfully' : 'Reply removed successfully',
+    data: { review }
+  });
+});
+
+// Delete a review
+const deleteReview = asyncHandler(async (req, res) => {
+  await reviewService.deleteReview(req.params.storeId, req.params.reviewId);
+
+  res.json({
+    success: true,
+    message: 'Review deleted successfully'
+  });
+});
+
+module.exports = {
+  getReviews,
+  approveReview,
+  rejectReview,
+  replyToReview,
+  deleteReview
+};
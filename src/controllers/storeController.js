@@ -0,0 +1,408 @@
+const { PrismaClient } = require('@prisma/client');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { NotFoundError, ValidationError } = require('../middleware/errorHandler');
+const storeService = require('../services/storeService');
+const storeBundleService = require('../services/storeBundleService');
+const deploymentService = require('../services/deploymentService');
+const { getStoreSettings, mergeStoreSettings } = require('../utils/storeSettings');
+const logger = require('../utils/logger');
+
+const prisma = new PrismaClient();
+
+// Get all stores for the current user
+const getStores = asyncHandler(async (req, res) => {
+  const { page, limit, sortBy, sortOrder, status, storeType, search } = req.query;
+
+  // Stores the user owns or has joined as a team member
+  const where = {
+    AND: [
+      {
+        OR: [
+          { userId: req.user.id },
+          { members: { some: { userId: req.user.id, status: 'ACTIVE' } } }
+        ]
+      },
+      ...(search ? [{
+        OR: [
+          { name: { contains: search, mode: 'insensitive' } },
+          { slug: { contains: search, mode: 'insensitive' } },
+          { description: { contains: search, mode: 'insensitive' } }
+        ]
+      }] : [])
+    ],
+    ...(status && { status }),
+    ...(storeType && { storeType })
+  };
+
+  const skip = (page - 1) * limit;
+
+  const [stores, total] = await Promise.all([
+    prisma.store.findMany({
+      where,
+      orderBy: { [sortBy]: sortOrder },
+      skip,
+      take: limit,
+      include: {
+        _count: {
+          select: { products: true, orders: true, customers: true }
+        }
+      }
+    }),
+    prisma.store.count({ where })
+  ]);
+
+  res.json({
+    success: true,
+    data: {
+      stores,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    }
+  });
+});
+
+// Get single store
+const getStore = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  const store = await prisma.store.findUnique({
+    where: { id },
+    include: {
+      _count: {
+        select: { products: true, orders: true, customers: true, deployments: true }
+      }
+    }
+  });
+
+  if (!store) {
+    throw new NotFoundError('Store not found');
+  }
+
+  res.json({
+    success: true,
+    data: { store }
+  });
+});
+
+// Create store
+const createStore = asyncHandler(async (req, res) => {
+  const { name, industry, storeType, description, targetAudience, modules, settings, theme } = req.body;
+
+  const slug = await storeService.generateSlug(name);
+
+  const store = await prisma.store.create({
+    data: {
+      name,
+      slug,
+      industry,
+      storeType,
+      description,
+      targetAudience,
+      modules: modules || {},
+      settings: mergeStoreSettings({}, settings || {}),
+      theme: theme || {},
+      userId: req.user.id,
+      themeVersions: {
+        create: { version: 1, theme: theme || {}, authorId: req.user.id }
+      }
+    }
+  });
+
+  logger.info(`Store created: ${store.name} (${store.id}) by ${req.user.email}`);
+
+  res.status(201).json({
+    success: true,
+    message: 'Store created successfully',
+    data: { store }
+  });
+});
+
+// Update store
+const updateStore = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { settings, theme, ...data } = req.body;
+
+  if (settings) {
+    const existing = await prisma.store.findUnique({
+      where: { id },
+      select: { settings: true }
+    });
+
+    data.settings = mergeStoreSettings(existing.settings, settings);
+  }
+
+  // A theme is merged like PUT /stores/:id/theme and saved with the other fields
+  const store = theme
+    ? (await storeService.saveTheme(id, theme, req.user.id, { merge: true, data })).store
+    : await prisma.store.update({ where: { id }, data });
+
+  logger.info(`Store updated: ${store.name} (${store.id})`);
+
+  res.json({
+    success: true,
+    message: 'Store updated successfully',
+    data: { store }
+  });
+});
+
+// Permanently delete an archived store
+const deleteStore = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  const store = await prisma.store.findUnique({
+    where: { id },
+    select: { status: true }
+  });
+
+  if (!store) {
+    throw new NotFoundError('Store not found');
+  }
+
+  if (store.status !== 'ARCHIVED') {
+    throw new ValidationError('Store must be archived before it can be deleted');
+  }
+
+  await storeService.purgeStore(id);
+
+  res.json({
+    success: true,
+    message: 'Store deleted successfully'
+  });
+});
+
+// Archive store
+const archiveStore = asyncHandler(async (req, res) => {
+  const store = await storeService.archiveStore(req.params.id);
+
+  res.json({
+    success: true,
+    message: 'Store archived successfully',
+    data: { store }
+  });
+});
+
+// Restore archived store
+const unarchiveStore = asyncHandler(async (req, res) => {
+  const store = await storeService.unarchiveStore(req.params.id);
+
+  res.json({
+    success: true,
+    message: 'Store restored successfully',
+    data: { store }
+  });
+});
+
+// Duplicate store with its catalog
+const duplicateStore = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { name, categories } = req.body;
+
+  const { store, productsCopied } = await storeService.duplicateStore(id, req.user.id, {
+    name,
+    categories
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Store duplicated successfully',
+    data: { store, productsCopied }
+  });
+});
+
+// Download the store as a portable bundle
+const exportStore = asyncHandler(async (req, res) => {
+  const bundle = await storeBundleService.exportStore(req.params.id);
+  const date = bundle.exportedAt.slice(0, 10);
+
+  logger.info(`Store exported: ${bundle.store.slug} (${req.params.id}) by user ${req.user.id}`);
+
+  res.attachment(`${bundle.store.slug}-${date}.json`);
+  res.json(bundle);
+});
+
+// Read an uploaded bundle file into the request body
+const parseBundleFile = (req, res, next) => {
+  if (req.file) {
+    req.body = storeBundleService.parseBundleFile(req.file);
+  }
+  next();
+};
+
+// Create a store for the current user from an exported bundle
+const importStore = asyncHandler(async (req, res) => {
+  const { store, slugChanged, imported } = await storeBundleService.importStore(req.body, req.user.id, {
+    name: req.query.name
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Store imported successfully',
+    data: { store, slugChanged, imported }
+  });
+});
+
+// Get store settings with defaults applied
+const getSettings = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  const store = await prisma.store.findUnique({
+    where: { id },
+    select: { settings: true }
+  });
+
+  if (!store) {
+    throw new NotFoundError('Store not found');
+  }
+
+  res.json({
+    success: true,
+    data: { settings: getStoreSettings(store) }
+  });
+});
+
+// Update store settings (partial; null resets a key to its default)
+const updateSettings = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  const existing = await prisma.store.findUnique({
+    where: { id },
+    select: { settings: true }
+  });
+
+  if (!existing) {
+    throw new NotFoundError('Store not found');
+  }
+
+  const store = await prisma.store.update({
+    where: { id },
+    data: { settings: mergeStoreSettings(existing.settings, req.body) },
+    select: { settings: true }
+  });
+
+  logger.info(`Store settings updated: ${id}`);
+
+  res.json({
+    success: true,
+    message: 'Store settings updated successfully',
+    data: { settings: getStoreSettings(store) }
+  });
+});
+
+// Update store theme
+const updateTheme = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { store, themeVersion } = await storeService.saveTheme(id, req.body, req.user.id, { merge: true });
+
+  logger.info(`Store theme updated: ${store.id} (version ${themeVersion.version})`);
+
+  res.json({
+    success: true,
+    message: 'Store theme updated successfully',
+    data: { store, version: themeVersion.version }
+  });
+});
+
+// List theme versions, newest first
+const getThemeVersions = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { page, limit } = req.query;
+
+  const skip = (page - 1) * limit;
+
+  const [versions, total] = await Promise.all([
+    prisma.themeVersion.findMany({
+      where: { storeId: id },
+      orderBy: { version: 'desc' },
+      skip,
+      take: limit,
+      include: {
+        author: {
+          select: { id: true, name: true, email: true }
+        }
+      }
+    }),
+    prisma.themeVersion.count({ where: { storeId: id } })
+  ]);
+
+  res.json({
+    success: true,
+    data: {
+      versions,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    }
+  });
+});
+
+// Get a single theme version
+const getThemeVersion = asyncHandler(async (req, res) => {
+  const { id, version } = req.params;
+
+  const themeVersion = await storeService.getThemeVersion(id, version);
+
+  res.json({
+    success: true,
+    data: { version: themeVersion }
+  });
+});
+
+// Build a preview site for a theme version without touching the live site
+const previewThemeVersion = asyncHandler(async (req, res) => {
+  const { id, version } = req.params;
+
+  const themeVersion = await storeService.getThemeVersion(id, version);
+  const preview = await deploymentService.generatePreview(id, themeVersion);
+
+  res.json({
+    success: true,
+    message: 'Theme preview generated successfully',
+    data: {
+      preview: {
+        version: preview.version,
+        url: preview.url
+      }
+    }
+  });
+});
+
+// Revert the live theme to an earlier version
+const revertTheme = asyncHandler(async (req, res) => {
+  const { id, version } = req.params;
+
+  const { store, themeVersion } = await storeService.revertTheme(id, version, req.user.id);
+
+  res.json({
+    success: true,
+    message: `Theme reverted to version ${version}`,
+    data: { store, version: themeVersion.version }
+  });
+});
+
+module.exports = {
+  getStores,
+  getStore,
+  createStore,
+  updateStore,
+  deleteStore,
+  archiveStore,
+  unarchiveStore,
+  duplicateStore,
+  exportStore,
+  parseBundleFile,
+  importStore,
+  getSettings,
+  updateSettings,
+  updateTheme,
+  getThemeVersions,
+  getThemeVersion,
+  previewThemeVersion,
+  revertTheme
+};
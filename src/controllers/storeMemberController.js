@@ -0,0 +1,236 @@
+const crypto = require('crypto');
+const { PrismaClient } = require('@prisma/client');
+const {
+  asyncHandler,
+  NotFoundError,
+  ValidationError,
+  ConflictError,
+  AuthorizationError
+} = require('../middleware/errorHandler');
+const emailService = require('../services/emailService');
+const logger = require('../utils/logger');
+
+const prisma = new PrismaClient();
+
+const INVITATION_TTL_MS = 7 * 24 * 60 * 60 * 1000; // 7 days
+
+const memberSelect = {
+  id: true,
+  email: true,
+  role: true,
+  status: true,
+  createdAt: true,
+  acceptedAt: true,
+  revokedAt: true,
+  user: {
+    select: { id: true, name: true, email: true, avatar: true }
+  },
+  invitedBy: {
+    select: { id: true, name: true }
+  }
+};
+
+// Find a member of the store in the request
+const findStoreMember = async (storeId, memberId) => {
+  const member = await prisma.storeMember.findFirst({
+    where: { id: memberId, storeId }
+  });
+
+  if (!member) {
+    throw new NotFoundError('Team member not found');
+  }
+
+  return member;
+};
+
+// List store team members
+const getMembers = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  const [owner, members] = await Promise.all([
+    prisma.user.findUnique({
+      where: { id: req.store.userId },
+      select: { id: true, name: true, email: true, avatar: true }
+    }),
+    prisma.storeMember.findMany({
+      where: {
+        storeId: id,
+        status: { not: 'REVOKED' }
+      },
+      orderBy: { createdAt: 'asc' },
+      select: memberSelect
+    })
+  ]);
+
+  res.json({
+    success: true,
+    data: { owner, members }
+  });
+});
+
+// Invite a team member by email
+const inviteMember = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const email = req.body.email.toLowerCase();
+  const { role } = req.body;
+
+  const owner = await prisma.user.findUnique({
+    where: { id: req.store.userId },
+    select: { email: true }
+  });
+
+  if (owner.email === email) {
+    throw new ValidationError('The store owner is already a member of this store');
+  }
+
+  const existing = await prisma.storeMember.findUnique({
+    where: { storeId_email: { storeId: id, email } }
+  });
+
+  if (existing && existing.status !== 'REVOKED') {
+    throw new ConflictError('This email has already been invited to the store');
+  }
+
+  const inviteToken = crypto.randomBytes(32).toString('hex');
+  const invitation = {
+    role,
+    status: 'PENDING',
+    inviteToken,
+    inviteExpiry: new Date(Date.now() + INVITATION_TTL_MS),
+    invitedById: req.user.id,
+    userId: null,
+    acceptedAt: null,
+    revokedAt: null
+  };
+
+  const member = await prisma.storeMember.upsert({
+    where: { storeId_email: { storeId: id, email } },
+    create: { ...invitation, email, storeId: id },
+    update: invitation,
+    select: memberSelect
+  });
+
+  // Send invitation email
+  try {
+    await emailService.sendStoreInvitation(member, req.store, req.user, inviteToken);
+  } catch (error) {
+    logger.error('Failed to send store invitation email:', error);
+    // Don't fail the invitation if email fails; it can be re-sent
+  }
+
+  logger.info(`Store invitation sent: ${email} as ${role} to store ${id}`);
+
+  res.status(201).json({
+    success: true,
+    message: 'Invitation sent successfully',
+    data: { member }
+  });
+});
+
+// Accept an invitation as the signed-in user
+const acceptInvitation = asyncHandler(async (req, res) => {
+  const { token } = req.body;
+
+  const invitation = await prisma.storeMember.findFirst({
+    where: {
+      inviteToken: token,
+      status: 'PENDING',
+      inviteExpiry: { gt: new Date() }
+    }
+  });
+
+  if (!invitation) {
+    throw new ValidationError('Invalid or expired invitation');
+  }
+
+  if (invitation.email !== req.user.email.toLowerCase()) {
+    throw new AuthorizationError('This invitation was sent to a different email address');
+  }
+
+  const member = await prisma.storeMember.update({
+    where: { id: invitation.id },
+    data: {
+      userId: req.user.id,
+      status: 'ACTIVE',
+      inviteToken: null,
+      inviteExpiry: null,
+      acceptedAt: new Date()
+    },
+    select: {
+      ...memberSelect,
+      store: {
+        select: { id: true, name: true, slug: true }
+      }
+    }
+  });
+
+  logger.info(`Store invitation accepted: ${req.user.email} joined store ${invitation.storeId}`);
+
+  res.json({
+    success: true,
+    message: 'Invitation accepted successfully',
+    data: { member }
+  });
+});
+
+// Change a team member's role
+const updateMember = asyncHandler(async (req, res) => {
+  const { id, memberId } = req.params;
+  const { role } = req.body;
+
+  const existing = await findStoreMember(id, memberId);
+
+  if (existing.status === 'REVOKED') {
+    throw new ValidationError('Cannot change the role of a revoked member');
+  }
+
+  const member = await prisma.storeMember.update({
+    where: { id: existing.id },
+    data: { role },
+    select: memberSelect
+  });
+
+  logger.info(`Store member role changed: ${member.email} is now ${role} on store ${id}`);
+
+  res.json({
+    success: true,
+    message: 'Team member updated successfully',
+    data: { member }
+  });
+});
+
+// Revoke a member's access or cancel a pending invitation
+const revokeMember = asyncHandler(async (req, res) => {
+  const { id, memberId } = req.params;
+
+  const existing = await findStoreMember(id, memberId);
+
+  if (existing.userId && existing.userId === req.user.id) {
+    throw new ValidationError('You cannot revoke your own access');
+  }
+
+  await prisma.storeMember.update({
+    where: { id: existing.id },
+    data: {
+      status: 'REVOKED',
+      inviteToken: null,
+      inviteExpiry: null,
+      revokedAt: new Date()
+    }
+  });
+
+  logger.info(`Store member revoked: ${existing.email} from store ${id}`);
+
+  res.json({
+    success: true,
+    message: 'Team member access revoked successfully'
+  });
+});
+
+module.exports = {
+  getMembers,
+  inviteMember,
+  acceptInvitation,
+  updateMember,
+  revokeMember
+};
@@ -0,0 +1,57 @@
+const { asyncHandler } = require('../middleware/errorHandler');
+const backInStockService = require('../services/backInStockService');
+const downloadService = require('../services/downloadService');
+const reviewService = require('../services/reviewService');
+
+// Sign up to be emailed when a sold-out item is back in stock
+const createStockNotification = asyncHandler(async (req, res) => {
+  await backInStockService.subscribe(req.params.storeId, req.body);
+
+  res.status(201).json({
+    success: true,
+    message: 'We will email you when this item is back in stock'
+  });
+});
+
+// Submit a product review; it is published once the store approves it
+const createReview = asyncHandler(async (req, res) => {
+  await reviewService.submitReview(req.params.storeId, req.body);
+
+  res.status(201).json({
+    success: true,
+    message: 'Thanks for your review! It will appear once it has been approved'
+  });
+});
+
+// Files of a paid order with fresh download links
+const getOrderDownloads = asyncHandler(async (req, res) => {
+  const { storeId, orderId } = req.params;
+  const downloads = await downloadService.getOrderDownloads(storeId, orderId, req.query.token);
+
+  res.set('Cache-Control', 'no-store');
+  res.json({
+    success: true,
+    data: downloads
+  });
+});
+
+// Serve a purchased file from a signed link, counting the download
+const downloadFile = asyncHandler(async (req, res) => {
+  const { storeId, orderItemId, fileId } = req.params;
+  const download = await downloadService.getDownload(storeId, orderItemId, fileId, req.query);
+
+  res.set('Cache-Control', 'no-store');
+
+  if (download.url) {
+    return res.redirect(download.url);
+  }
+
+  res.download(download.path, download.file.name);
+});
+
+module.exports = {
+  createStockNotification,
+  createReview,
+  getOrderDownloads,
+  downloadFile
+};
@@ -1,6 +1,7 @@
 const jwt = require('jsonwebtoken');
 const { PrismaClient } = require('@prisma/client');
-const { AuthenticationError, AuthorizationError } = require('./errorHandler');
+const { AuthenticationError, AuthorizationError, NotFoundError, ValidationError } = require('./errorHandler');
+const { roleHasPermission } = require('../utils/permissions');
 
 const prisma = new PrismaClient();
 
@@ -106,40 +107,72 @@ const authorize = (...roles) => {
   };
 };
 
-// Store ownership verification
-const verifyStoreOwnership = async (req, res, next) => {
-  try {
-    const storeId = req.params.storeId || req.params.id || req.body.storeId;
-    
-    if (!storeId) {
-      return next(new Error('Store ID is required'));
-    }
+// Resolve the user's role on a store (null when the user has no access)
+const getStoreRole = async (user, store) => {
+  // Allow admin access to all stores
+  if (user.role === 'ADMIN' || user.role === 'SUPER_ADMIN') {
+    return 'OWNER';
+  }
 
-    const store = await prisma.store.findUnique({
-      where: { id: storeId },
-      select: { userId: true, name: true }
-    });
+  if (store.userId === user.id) {
+    return 'OWNER';
+  }
 
-    if (!store) {
-      return next(new Error('Store not found'));
-    }
+  const membership = await prisma.storeMember.findFirst({
+    where: {
+      storeId: store.id,
+      userId: user.id,
+      status: 'ACTIVE'
+    },
+    select: { role: true }
+  });
 
-    // Allow admin access to all stores
-    if (req.user.role === 'ADMIN' || req.user.role === 'SUPER_ADMIN') {
-      req.store = store;
-      return next();
-    }
+  return membership ? membership.role : null;
+};
 
-    // Check if user owns the store
-    if (store.userId !== req.user.id) {
-      return next(new AuthorizationError('Access denied to this store'));
-    }
+// Load a store and verify the user holds a permission on it
+const assertStorePermission = async (user, storeId, permission) => {
+  const store = await prisma.store.findUnique({
+    where: { id: storeId },
+    select: { id: true, userId: true, name: true }
+  });
 
-    req.store = store;
-    next();
-  } catch (error) {
-    next(error);
+  if (!store) {
+    throw new NotFoundError('Store not found');
+  }
+
+  const role = await getStoreRole(user, store);
+
+  if (!role) {
+    throw new AuthorizationError('Access denied to this store');
   }
+
+  if (!roleHasPermission(role, permission)) {
+    throw new AuthorizationError('Insufficient permissions for this store');
+  }
+
+  return { store, role };
+};
+
+// Store permission middleware
+const requireStorePermission = (permission) => {
+  return async (req, res, next) => {
+    try {
+      const storeId = req.params.storeId || req.params.id || req.body.storeId;
+
+      if (!storeId) {
+        throw new ValidationError('Store ID is required');
+      }
+
+      const { store, role } = await assertStorePermission(req.user, storeId, permission);
+
+      req.store = store;
+      req.storeRole = role;
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
 };
 
 // Subscription check middleware
@@ -287,7 +320,9 @@ module.exports = {
   authenticate,
   optionalAuth,
   authorize,
-  verifyStoreOwnership,
+  getStoreRole,
+  assertStorePermission,
+  requireStorePermission,
   requireSubscription,
   authenticateApiKey,
   authRateLimit,
@@ -112,6 +112,12 @@ const errorHandler = (err, req, res, next) => {
     error = new ValidationError(message);
   }
 
+  // File upload errors
+  if (err.name === 'MulterError') {
+    const message = err.code === 'LIMIT_FILE_SIZE' ? 'Uploaded file is too large' : err.message;
+    error = new ValidationError(message);
+  }
+
   // Rate limit errors
   if (err.statusCode === 429) {
     error = new RateLimitError(err.message);
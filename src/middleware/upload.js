@@ -0,0 +1,37 @@
+const path = require('path');
+const multer = require('multer');
+const { ValidationError } = require('./errorHandler');
+
+const MAX_UPLOAD_SIZE = parseInt(process.env.MAX_UPLOAD_SIZE, 10) || 10 * 1024 * 1024; // 10MB
+
+// Multer instance holding up to `maxFiles` files in memory, limited to the given extensions
+const createUpload = (extensions, maxFiles) => {
+  return multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: MAX_UPLOAD_SIZE, files: maxFiles },
+    fileFilter: (req, file, cb) => {
+      const extension = path.extname(file.originalname).toLowerCase();
+
+      if (!extensions.includes(extension)) {
+        return cb(new ValidationError(`Unsupported file type. Allowed types: ${extensions.join(', ')}`));
+      }
+
+      cb(null, true);
+    }
+  });
+};
+
+// Accept a single file held in memory, limited to the given extensions
+const uploadFile = (fieldName, extensions) => {
+  return createUpload(extensions, 1).single(fieldName);
+};
+
+// Accept up to `maxFiles` files under the same field
+const uploadFiles = (fieldName, extensions, maxFiles) => {
+  return createUpload(extensions, maxFiles).array(fieldName, maxFiles);
+};
+
+module.exports = {
+  uploadFile,
+  uploadFiles
+};
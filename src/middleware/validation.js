@@ -17,6 +17,238 @@ const commonSchemas = {
   })
 };
 
+// Intl-backed validators for store settings
+const currencyCode = Joi.string().uppercase().length(3).custom((value, helpers) => {
+  if (!Intl.supportedValuesOf('currency').includes(value)) {
+    return helpers.message('{{#label}} must be a valid ISO 4217 currency code');
+  }
+  return value;
+});
+
+const localeCode = Joi.string().max(35).custom((value, helpers) => {
+  try {
+    return Intl.getCanonicalLocales(value)[0];
+  } catch (error) {
+    return helpers.message('{{#label}} must be a valid BCP 47 locale');
+  }
+});
+
+const timezoneName = Joi.string().max(64).custom((value, helpers) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: value });
+    return value;
+  } catch (error) {
+    return helpers.message('{{#label}} must be a valid IANA timezone');
+  }
+});
+
+// Store settings schema; every key is optional and null resets it to the default
+const storeSettingsSchema = Joi.object({
+  currency: currencyCode.allow(null),
+  locale: localeCode.allow(null),
+  timezone: timezoneName.allow(null),
+  weightUnit: Joi.string().valid('kg', 'g', 'lb', 'oz').allow(null),
+  dimensionUnit: Joi.string().valid('cm', 'mm', 'm', 'in', 'ft').allow(null),
+  taxInclusive: Joi.boolean().allow(null),
+  orderNumberPrefix: Joi.string().max(10).pattern(/^[A-Za-z0-9#_-]*$/).allow('', null),
+  lowStockThreshold: Joi.number().integer().min(0).max(100000).allow(null),
+  downloadLimit: Joi.number().integer().min(1).max(100).allow(null),
+  downloadExpiryDays: Joi.number().integer().min(1).max(3650).allow(null),
+  contactAddress: Joi.object({
+    company: Joi.string().max(100).optional(),
+    address1: Joi.string().max(200).optional(),
+    address2: Joi.string().max(200).allow('').optional(),
+    city: Joi.string().max(100).optional(),
+    state: Joi.string().max(100).allow('').optional(),
+    country: Joi.string().max(100).optional(),
+    zip: Joi.string().max(20).optional(),
+    phone: commonSchemas.phone,
+    email: Joi.string().email().optional()
+  }).allow(null)
+});
+
+// Store theme; font names are restricted because they are written into generated CSS
+const fontName = Joi.string().pattern(/^[A-Za-z0-9 ]+$/).max(50);
+
+const themeSchema = Joi.object({
+  primaryColor: Joi.string().pattern(/^#[0-9A-F]{6}$/i).optional(),
+  secondaryColor: Joi.string().pattern(/^#[0-9A-F]{6}$/i).optional(),
+  layout: Joi.string().valid('modern', 'classic', 'minimal').optional(),
+  fonts: Joi.object({
+    heading: fontName.optional(),
+    body: fontName.optional()
+  }).optional(),
+  borderRadius: Joi.string().valid('none', 'small', 'medium', 'large').optional(),
+  buttonStyle: Joi.string().valid('solid', 'outline', 'soft').optional(),
+  productCardStyle: Joi.string().valid('shadow', 'bordered', 'flat', 'overlay').optional(),
+  darkMode: Joi.boolean().optional()
+});
+
+// Presentment currency exchange rate and rounding rule
+const currencyRateSchema = Joi.object({
+  rate: Joi.number().positive().precision(8).required(),
+  roundingMode: Joi.string().valid('NONE', 'NEAREST', 'UP', 'DOWN').optional(),
+  roundingIncrement: Joi.number().positive().precision(2).max(1000).optional(),
+  isEnabled: Joi.boolean().optional()
+});
+
+// Menu links point either at a URL or at one of the store's pages
+const menuItemsSchema = Joi.array().items(Joi.object({
+  label: Joi.string().min(1).max(50).required(),
+  url: Joi.alternatives().try(
+    Joi.string().pattern(/^\/[^\s"<>]*$/),
+    Joi.string().uri({ scheme: ['http', 'https', 'mailto', 'tel'] })
+  ),
+  pageId: Joi.string()
+}).xor('url', 'pageId')).max(20);
+
+// Rule of a rule-based collection; numeric fields compare, text fields match
+const collectionRuleSchema = Joi.object({
+  field: Joi.string().valid('tag', 'category', 'name', 'price', 'comparePrice', 'inventory').required(),
+  operator: Joi.when('field', {
+    switch: [
+      { is: Joi.valid('tag', 'category'), then: Joi.string().valid('equals', 'not_equals') },
+      { is: 'name', then: Joi.string().valid('equals', 'contains', 'not_contains') }
+    ],
+    otherwise: Joi.string().valid('equals', 'gt', 'gte', 'lt', 'lte')
+  }).required(),
+  value: Joi.when('field', {
+    is: Joi.valid('price', 'comparePrice', 'inventory'),
+    then: Joi.number().min(0),
+    otherwise: Joi.string().min(1).max(100)
+  }).required()
+});
+
+// Portable store bundle produced by GET /stores/:id/export. Record ids are
+// only references between bundle entries; import assigns new ones.
+const bundleVariantSchema = Joi.object({
+  id: Joi.string().required(),
+  title: Joi.string().max(200).required(),
+  sku: Joi.string().max(50).optional(),
+  price: Joi.number().min(0).required(),
+  comparePrice: Joi.number().min(0).optional(),
+  inventory: Joi.number().integer().min(0).optional(),
+  weight: Joi.number().min(0).optional(),
+  option1: Joi.string().optional(),
+  option2: Joi.string().optional(),
+  option3: Joi.string().optional()
+});
+
+const bundleCategorySchema = Joi.object({
+  id: Joi.string().required(),
+  name: Joi.string().min(1).max(100).required(),
+  slug: Joi.string().pattern(/^[a-z0-9]+(?:-[a-z0-9]+)*$/).max(100).required(),
+  description: Joi.string().max(2000).optional(),
+  image: Joi.string().uri().optional(),
+  position: Joi.number().integer().min(0).optional(),
+  parentId: Joi.string().optional()
+});
+
+const bundleCollectionSchema = Joi.object({
+  name: Joi.string().min(1).max(100).required(),
+  slug: Joi.string().pattern(/^[a-z0-9]+(?:-[a-z0-9]+)*$/).max(100).required(),
+  description: Joi.string().max(2000).optional(),
+  image: Joi.string().uri().optional(),
+  type: Joi.string().valid('MANUAL', 'RULE_BASED').required(),
+  rules: Joi.array().items(collectionRuleSchema).max(20).default([]),
+  matchAll: Joi.boolean().optional(),
+  isPublished: Joi.boolean().optional(),
+  products: Joi.array().items(Joi.object({
+    productId: Joi.string().required(),
+    position: Joi.number().integer().min(0).default(0)
+  })).max(1000).unique('productId').default([])
+});
+
+const bundleProductSchema = Joi.object({
+  id: Joi.string().required(),
+  name: Joi.string().min(1).max(200).required(),
+  description: Joi.string().allow('').optional(),
+  shortDescription: Joi.string().allow('').optional(),
+  sku: Joi.string().max(50).optional(),
+  price: Joi.number().min(0).required(),
+  comparePrice: Joi.number().min(0).optional(),
+  costPrice: Joi.number().min(0).optional(),
+  b2bPrice: Joi.number().min(0).optional(),
+  inventory: Joi.number().integer().min(0).optional(),
+  trackInventory: Joi.boolean().optional(),
+  allowBackorder: Joi.boolean().optional(),
+  lowStockThreshold: Joi.number().integer().min(0).optional(),
+  weight: Joi.number().min(0).optional(),
+  dimensions: Joi.object().optional(),
+  isDigital: Joi.boolean().optional(),
+  isBundle: Joi.boolean().optional(),
+  category: Joi.string().max(100).optional(),
+  categoryId: Joi.string().optional(),
+  tags: Joi.array().items(Joi.string().max(50)).optional(),
+  images: Joi.array().items(Joi.string().uri()).optional(),
+  metaTitle: Joi.string().max(60).optional(),
+  metaDescription: Joi.string().max(160).optional(),
+  urlHandle: Joi.string().max(100).optional(),
+  status: Joi.string().valid('DRAFT', 'PUBLISHED', 'ARCHIVED').optional(),
+  isActive: Joi.boolean().optional(),
+  isFeatured: Joi.boolean().optional(),
+  publishAt: Joi.date().iso().optional(),
+  unpublishAt: Joi.date().iso().optional(),
+  options: Joi.array().items(Joi.object({
+    name: Joi.string().min(1).max(50).required(),
+    position: Joi.number().integer().min(1).max(3).required(),
+    values: Joi.array().items(Joi.string().min(1).max(50)).min(1).max(50).required()
+  })).max(3).unique('position').unique('name').default([]),
+  variants: Joi.array().items(bundleVariantSchema).unique('id').default([]),
+  bundleItems: Joi.array().items(Joi.object({
+    productId: Joi.string().required(),
+    variantId: Joi.string().optional(),
+    quantity: Joi.number().integer().min(1).max(1000).default(1)
+  })).max(50).default([])
+});
+
+const bundlePageSchema = Joi.object({
+  id: Joi.string().required(),
+  title: Joi.string().min(1).max(200).required(),
+  slug: Joi.string().pattern(/^[a-z0-9]+(?:-[a-z0-9]+)*$/).max(100).required(),
+  content: Joi.string().max(100000).allow('').optional(),
+  status: Joi.string().valid('DRAFT', 'PUBLISHED').optional(),
+  metaTitle: Joi.string().max(60).optional(),
+  metaDescription: Joi.string().max(160).optional(),
+  publishedAt: Joi.date().iso().optional()
+});
+
+const storeBundleSchema = Joi.object({
+  format: Joi.string().required(),
+  version: Joi.number().integer().min(1).required(),
+  exportedAt: Joi.date().iso().optional(),
+  store: Joi.object({
+    name: commonSchemas.name,
+    slug: Joi.string().max(100).optional(),
+    industry: Joi.string().required(),
+    storeType: Joi.string().valid('B2C', 'B2B', 'MARKETPLACE', 'DIGITAL').required(),
+    description: Joi.string().max(500).optional(),
+    targetAudience: Joi.string().max(200).optional(),
+    modules: Joi.object().optional(),
+    settings: storeSettingsSchema.optional(),
+    theme: themeSchema.optional(),
+    metaTitle: Joi.string().max(60).optional(),
+    metaDescription: Joi.string().max(160).optional()
+  }).required(),
+  currencies: Joi.array()
+    .items(currencyRateSchema.keys({
+      currency: currencyCode.required(),
+      source: Joi.string().valid('MANUAL', 'IMPORT').optional()
+    }))
+    .max(200)
+    .unique('currency')
+    .default([]),
+  pages: Joi.array().items(bundlePageSchema).unique('id').unique('slug').default([]),
+  menus: Joi.array().items(Joi.object({
+    location: Joi.string().valid('HEADER', 'FOOTER').required(),
+    items: menuItemsSchema.required()
+  })).unique('location').default([]),
+  categories: Joi.array().items(bundleCategorySchema).unique('id').unique('slug').default([]),
+  collections: Joi.array().items(bundleCollectionSchema).unique('slug').default([]),
+  products: Joi.array().items(bundleProductSchema).unique('id').default([]),
+  images: Joi.array().items(Joi.string()).optional()
+});
+
 // Authentication validation schemas
 const authSchemas = {
   register: Joi.object({
@@ -65,8 +297,8 @@ const storeSchemas = {
     description: Joi.string().max(500).optional(),
     targetAudience: Joi.string().max(200).optional(),
     modules: Joi.object().optional(),
-    settings: Joi.object().optional(),
-    theme: Joi.object().optional()
+    settings: storeSettingsSchema.optional(),
+    theme: themeSchema.optional()
   }),
 
   update: Joi.object({
@@ -74,29 +306,108 @@ const storeSchemas = {
     description: Joi.string().max(500).optional(),
     targetAudience: Joi.string().max(200).optional(),
     modules: Joi.object().optional(),
-    settings: Joi.object().optional(),
-    theme: Joi.object().optional(),
+    settings: storeSettingsSchema.optional(),
+    theme: themeSchema.optional(),
     metaTitle: Joi.string().max(60).optional(),
     metaDescription: Joi.string().max(160).optional()
   }),
 
-  theme: Joi.object({
-    primaryColor: Joi.string().pattern(/^#[0-9A-F]{6}$/i).optional(),
-    secondaryColor: Joi.string().pattern(/^#[0-9A-F]{6}$/i).optional(),
-    layout: Joi.string().valid('modern', 'classic', 'minimal').optional(),
-    fonts: Joi.object({
-      heading: Joi.string().optional(),
-      body: Joi.string().optional()
-    }).optional()
+  theme: themeSchema,
+
+  themeVersionParams: Joi.object({
+    id: Joi.string().required(),
+    version: Joi.number().integer().min(1).required()
+  }),
+
+  settings: storeSettingsSchema.min(1),
+
+  currency: currencyRateSchema,
+
+  currencyParams: Joi.object({
+    id: Joi.string().required(),
+    currency: currencyCode.required()
+  }),
+
+  currencyImport: Joi.object({
+    rates: Joi.array()
+      .items(currencyRateSchema.keys({ currency: currencyCode.required() }))
+      .min(1)
+      .max(200)
+      .unique('currency')
+      .required()
   }),
 
   deploy: Joi.object({
     environment: Joi.string().valid('production', 'staging').default('production'),
     customDomain: Joi.string().domain().optional(),
     sslEnabled: Joi.boolean().default(true)
+  }),
+
+  duplicate: Joi.object({
+    name: Joi.string().min(2).max(100).optional(),
+    categories: Joi.array().items(Joi.string()).min(1).unique().optional()
+  }),
+
+  importBundle: storeBundleSchema,
+
+  importOptions: Joi.object({
+    name: Joi.string().min(2).max(100).optional()
+  }),
+
+  inviteMember: Joi.object({
+    email: commonSchemas.email,
+    role: Joi.string().valid('OWNER', 'MANAGER', 'STAFF', 'VIEWER').default('STAFF')
+  }),
+
+  updateMember: Joi.object({
+    role: Joi.string().valid('OWNER', 'MANAGER', 'STAFF', 'VIEWER').required()
+  }),
+
+  acceptInvitation: Joi.object({
+    token: Joi.string().required()
+  }),
+
+  list: commonSchemas.pagination.keys({
+    sortBy: Joi.string().valid('name', 'createdAt', 'updatedAt', 'publishedAt', 'totalViews', 'totalOrders', 'totalRevenue').default('createdAt'),
+    status: Joi.string().valid('DRAFT', 'PUBLISHED', 'ARCHIVED').optional(),
+    storeType: Joi.string().valid('B2C', 'B2B', 'MARKETPLACE', 'DIGITAL').optional(),
+    search: Joi.string().max(100).optional()
   })
 };
 
+// Product variant; on update, variants with an id are updated and the rest are created
+const variantSchema = Joi.object({
+  title: Joi.string().required(),
+  sku: Joi.string().max(50).optional(),
+  price: Joi.number().positive().precision(2).required(),
+  comparePrice: Joi.number().positive().precision(2).optional(),
+  inventory: Joi.number().integer().min(0).default(0),
+  weight: Joi.number().positive().precision(2).optional(),
+  option1: Joi.string().optional(),
+  option2: Joi.string().optional(),
+  option3: Joi.string().optional()
+});
+
+const variantsSchema = (item) => Joi.array()
+  .items(item)
+  .max(100)
+  .unique('sku', { ignoreUndefined: true });
+
+// Up to three named options per product, e.g. Size: S/M/L. Names and values
+// are compared case-insensitively so "Red" and "red" cannot both exist.
+const sameText = (a, b) => a.toLowerCase() === b.toLowerCase();
+
+const productOptionsSchema = Joi.array().items(Joi.object({
+  id: Joi.string().optional(),
+  name: Joi.string().trim().min(1).max(50).required(),
+  values: Joi.array()
+    .items(Joi.string().trim().min(1).max(50))
+    .min(1)
+    .max(50)
+    .unique(sameText)
+    .required()
+})).max(3).unique((a, b) => sameText(a.name, b.name)).unique('id', { ignoreUndefined: true });
+
 // Product validation schemas
 const productSchemas = {
   create: Joi.object({
@@ -111,55 +422,146 @@ const productSchemas = {
     inventory: Joi.number().integer().min(0).default(0),
     trackInventory: Joi.boolean().default(true),
     allowBackorder: Joi.boolean().default(false),
+    lowStockThreshold: Joi.number().integer().min(0).max(100000).optional(),
     weight: Joi.number().positive().precision(2).optional(),
     dimensions: Joi.object({
       length: Joi.number().positive().optional(),
       width: Joi.number().positive().optional(),
       height: Joi.number().positive().optional()
     }).optional(),
+    isDigital: Joi.boolean().optional(),
+    isBundle: Joi.boolean().optional(),
     category: Joi.string().max(100).optional(),
+    categoryId: Joi.string().optional(),
     tags: Joi.array().items(Joi.string().max(50)).optional(),
     images: Joi.array().items(Joi.string().uri()).optional(),
     metaTitle: Joi.string().max(60).optional(),
     metaDescription: Joi.string().max(160).optional(),
     urlHandle: Joi.string().max(100).optional(),
+    status: Joi.string().valid('DRAFT', 'PUBLISHED', 'ARCHIVED').default('DRAFT'),
     isActive: Joi.boolean().default(true),
     isFeatured: Joi.boolean().default(false),
-    variants: Joi.array().items(Joi.object({
-      title: Joi.string().required(),
-      sku: Joi.string().max(50).optional(),
-      price: Joi.number().positive().precision(2).required(),
-      comparePrice: Joi.number().positive().precision(2).optional(),
-      inventory: Joi.number().integer().min(0).default(0),
-      weight: Joi.number().positive().precision(2).optional(),
-      option1: Joi.string().optional(),
-      option2: Joi.string().optional(),
-      option3: Joi.string().optional()
-    })).optional()
+    publishAt: Joi.date().iso().optional(),
+    unpublishAt: Joi.date().iso().optional(),
+    options: productOptionsSchema.optional(),
+    variants: variantsSchema(variantSchema).optional()
   }),
 
   update: Joi.object({
     name: Joi.string().min(2).max(100).optional(),
     description: Joi.string().max(2000).optional(),
     shortDescription: Joi.string().max(500).optional(),
-    sku: Joi.string().max(50).optional(),
+    sku: Joi.string().max(50).allow(null).optional(),
     price: Joi.number().positive().precision(2).optional(),
-    comparePrice: Joi.number().positive().precision(2).optional(),
-    costPrice: Joi.number().positive().precision(2).optional(),
-    b2bPrice: Joi.number().positive().precision(2).optional(),
+    comparePrice: Joi.number().positive().precision(2).allow(null).optional(),
+    costPrice: Joi.number().positive().precision(2).allow(null).optional(),
+    b2bPrice: Joi.number().positive().precision(2).allow(null).optional(),
     inventory: Joi.number().integer().min(0).optional(),
     trackInventory: Joi.boolean().optional(),
     allowBackorder: Joi.boolean().optional(),
-    weight: Joi.number().positive().precision(2).optional(),
+    lowStockThreshold: Joi.number().integer().min(0).max(100000).allow(null).optional(),
+    weight: Joi.number().positive().precision(2).allow(null).optional(),
     dimensions: Joi.object().optional(),
-    category: Joi.string().max(100).optional(),
+    isDigital: Joi.boolean().optional(),
+    isBundle: Joi.boolean().optional(),
+    category: Joi.string().max(100).allow(null).optional(),
+    categoryId: Joi.string().allow(null).optional(),
     tags: Joi.array().items(Joi.string().max(50)).optional(),
     images: Joi.array().items(Joi.string().uri()).optional(),
     metaTitle: Joi.string().max(60).optional(),
     metaDescription: Joi.string().max(160).optional(),
     urlHandle: Joi.string().max(100).optional(),
+    status: Joi.string().valid('DRAFT', 'PUBLISHED', 'ARCHIVED').optional(),
     isActive: Joi.boolean().optional(),
-    isFeatured: Joi.boolean().optional()
+    isFeatured: Joi.boolean().optional(),
+    publishAt: Joi.date().iso().allow(null).optional(),
+    unpublishAt: Joi.date().iso().allow(null).optional(),
+    // The full variant list: omitted variants are deleted
+    variants: variantsSchema(variantSchema.keys({
+      id: Joi.string().optional(),
+      inventory: Joi.number().integer().min(0).optional()
+    })).unique('id', { ignoreUndefined: true }).optional()
+  }).min(1),
+
+  // Without sortBy, searches are ranked by relevance and other lists by createdAt
+  list: commonSchemas.pagination.keys({
+    sortBy: Joi.string().valid('relevance', 'name', 'price', 'inventory', 'createdAt', 'updatedAt').optional(),
+    status: Joi.string().valid('DRAFT', 'PUBLISHED', 'ARCHIVED').optional(),
+    category: Joi.string().max(100).optional(),
+    categoryId: Joi.string().optional(),
+    tags: Joi.array().items(Joi.string().max(50)).single().max(20).optional(),
+    minPrice: Joi.number().min(0).optional(),
+    maxPrice: Joi.when('minPrice', {
+      is: Joi.exist(),
+      then: Joi.number().min(Joi.ref('minPrice')),
+      otherwise: Joi.number().min(0)
+    }).optional(),
+    stock: Joi.string().valid('in_stock', 'out_of_stock').optional(),
+    isActive: Joi.boolean().optional(),
+    isFeatured: Joi.boolean().optional(),
+    search: Joi.string().max(100).optional(),
+    currency: currencyCode.optional()
+  }),
+
+  get: Joi.object({
+    currency: currencyCode.optional()
+  }),
+
+  options: Joi.object({
+    options: productOptionsSchema.required()
+  }),
+
+  generateVariants: Joi.object({
+    price: Joi.number().positive().precision(2).optional(),
+    comparePrice: Joi.number().positive().precision(2).optional(),
+    inventory: Joi.number().integer().min(0).default(0)
+  }),
+
+  updateImage: Joi.object({
+    altText: Joi.string().max(255).allow('', null).required()
+  }),
+
+  reorderImages: Joi.object({
+    imageIds: Joi.array().items(commonSchemas.id).min(1).unique().required()
+  }),
+
+  uploadFile: Joi.object({
+    name: Joi.string().max(255).optional()
+  }),
+
+  // Each list replaces the curated links of its type; lists left out are kept
+  associations: Joi.object({
+    related: Joi.array().items(commonSchemas.id).max(20).unique().optional(),
+    upsell: Joi.array().items(commonSchemas.id).max(20).unique().optional(),
+    crossSell: Joi.array().items(commonSchemas.id).max(20).unique().optional()
+  }).min(1),
+
+  // The complete list of components; a variant is required for products with variants
+  bundle: Joi.object({
+    items: Joi.array().items(Joi.object({
+      productId: commonSchemas.id,
+      variantId: Joi.string().cuid().optional(),
+      quantity: Joi.number().integer().min(1).max(1000).default(1)
+    })).max(50).required()
+  }),
+
+  createSale: Joi.object({
+    variantId: Joi.string().cuid().optional(),
+    price: Joi.number().positive().precision(2).required(),
+    startsAt: Joi.date().iso().required(),
+    endsAt: Joi.date().iso().greater(Joi.ref('startsAt')).required()
+  }),
+
+  export: Joi.object({
+    format: Joi.string().valid('csv', 'json', 'xml').default('csv'),
+    status: Joi.string().valid('DRAFT', 'PUBLISHED', 'ARCHIVED').optional()
+  }),
+
+  // Multipart fields sent with an import file; mapping is { "Column header": "field" }
+  import: Joi.object({
+    dryRun: Joi.boolean().default(false),
+    matchBy: Joi.string().valid('sku', 'urlHandle').default('sku'),
+    mapping: Joi.object().pattern(Joi.string().max(100), Joi.string().max(50).allow(null)).optional()
   }),
 
   bulkUpdate: Joi.object({
@@ -169,12 +571,22 @@ const productSchemas = {
       inventory: Joi.number().integer().min(0).optional(),
       isActive: Joi.boolean().optional(),
       isFeatured: Joi.boolean().optional()
-    })).min(1).required()
+    })).min(1).max(500).unique('id').required()
   })
 };
 
 // Order validation schemas
 const orderSchemas = {
+  list: commonSchemas.pagination.keys({
+    status: Joi.string().valid('PENDING', 'CONFIRMED', 'PROCESSING', 'SHIPPED', 'DELIVERED', 'CANCELLED', 'REFUNDED').optional(),
+    paymentStatus: Joi.string().valid('PENDING', 'PAID', 'FAILED', 'REFUNDED', 'PARTIALLY_REFUNDED').optional(),
+    currency: currencyCode.optional()
+  }),
+
+  get: Joi.object({
+    currency: currencyCode.optional()
+  }),
+
   create: Joi.object({
     customerId: commonSchemas.id,
     items: Joi.array().items(Joi.object({
@@ -273,6 +685,252 @@ const customerSchemas = {
   })
 };
 
+// Page validation schemas
+const pageSchemas = {
+  create: Joi.object({
+    title: Joi.string().min(1).max(200).required(),
+    slug: Joi.string().pattern(/^[a-z0-9]+(?:-[a-z0-9]+)*$/).max(100).optional(),
+    content: Joi.string().max(100000).allow('').optional(),
+    status: Joi.string().valid('DRAFT', 'PUBLISHED').default('DRAFT'),
+    metaTitle: Joi.string().max(60).optional(),
+    metaDescription: Joi.string().max(160).optional()
+  }),
+
+  update: Joi.object({
+    title: Joi.string().min(1).max(200).optional(),
+    slug: Joi.string().pattern(/^[a-z0-9]+(?:-[a-z0-9]+)*$/).max(100).optional(),
+    content: Joi.string().max(100000).allow('').optional(),
+    status: Joi.string().valid('DRAFT', 'PUBLISHED').optional(),
+    metaTitle: Joi.string().max(60).allow(null).optional(),
+    metaDescription: Joi.string().max(160).allow(null).optional()
+  }).min(1),
+
+  list: commonSchemas.pagination.keys({
+    sortBy: Joi.string().valid('title', 'slug', 'createdAt', 'updatedAt').default('createdAt'),
+    status: Joi.string().valid('DRAFT', 'PUBLISHED').optional(),
+    search: Joi.string().max(100).optional()
+  })
+};
+
+const slugSchema = Joi.string().pattern(/^[a-z0-9]+(?:-[a-z0-9]+)*$/).max(100);
+
+// Category validation schemas
+const categorySchemas = {
+  create: Joi.object({
+    name: Joi.string().min(1).max(100).required(),
+    slug: slugSchema.optional(),
+    description: Joi.string().max(2000).optional(),
+    image: Joi.string().uri().optional(),
+    parentId: Joi.string().allow(null).optional(),
+    position: Joi.number().integer().min(0).default(0)
+  }),
+
+  update: Joi.object({
+    name: Joi.string().min(1).max(100).optional(),
+    slug: slugSchema.optional(),
+    description: Joi.string().max(2000).allow(null).optional(),
+    image: Joi.string().uri().allow(null).optional(),
+    parentId: Joi.string().allow(null).optional(),
+    position: Joi.number().integer().min(0).optional()
+  }).min(1)
+};
+
+// Collection validation schemas
+const collectionSchemas = {
+  create: Joi.object({
+    name: Joi.string().min(1).max(100).required(),
+    slug: slugSchema.optional(),
+    description: Joi.string().max(2000).optional(),
+    image: Joi.string().uri().optional(),
+    type: Joi.string().valid('MANUAL', 'RULE_BASED').default('MANUAL'),
+    rules: Joi.when('type', {
+      is: 'RULE_BASED',
+      then: Joi.array().items(collectionRuleSchema).min(1).max(20).required(),
+      otherwise: Joi.forbidden()
+    }),
+    matchAll: Joi.boolean().default(true),
+    productIds: Joi.when('type', {
+      is: 'MANUAL',
+      then: Joi.array().items(Joi.string()).max(1000).unique().default([]),
+      otherwise: Joi.forbidden()
+    }),
+    isPublished: Joi.boolean().default(true)
+  }),
+
+  update: Joi.object({
+    name: Joi.string().min(1).max(100).optional(),
+    slug: slugSchema.optional(),
+    description: Joi.string().max(2000).allow(null).optional(),
+    image: Joi.string().uri().allow(null).optional(),
+    type: Joi.string().valid('MANUAL', 'RULE_BASED').optional(),
+    rules: Joi.array().items(collectionRuleSchema).max(20).optional(),
+    matchAll: Joi.boolean().optional(),
+    isPublished: Joi.boolean().optional()
+  }).min(1),
+
+  list: commonSchemas.pagination.keys({
+    sortBy: Joi.string().valid('name', 'createdAt', 'updatedAt').default('createdAt'),
+    type: Joi.string().valid('MANUAL', 'RULE_BASED').optional(),
+    search: Joi.string().max(100).optional()
+  }),
+
+  products: Joi.object({
+    productIds: Joi.array().items(Joi.string()).max(1000).unique().required()
+  })
+};
+
+// Menu validation schemas
+const menuSchemas = {
+  location: Joi.object({
+    storeId: Joi.string().required(),
+    location: Joi.string().lowercase().valid('header', 'footer').required()
+  }),
+
+  update: Joi.object({
+    items: menuItemsSchema.required()
+  })
+};
+
+// Background job validation schemas
+const jobSchemas = {
+  list: commonSchemas.pagination.keys({
+    sortBy: Joi.string().valid('createdAt', 'completedAt').default('createdAt'),
+    type: Joi.string().valid('PRODUCT_IMPORT').optional(),
+    status: Joi.string().valid('PENDING', 'RUNNING', 'COMPLETED', 'FAILED').optional()
+  })
+};
+
+// Location validation schemas
+const locationAddressSchema = Joi.object({
+  address1: Joi.string().max(200).optional(),
+  address2: Joi.string().max(200).allow('').optional(),
+  city: Joi.string().max(100).optional(),
+  state: Joi.string().max(100).allow('').optional(),
+  country: Joi.string().max(100).optional(),
+  zip: Joi.string().max(20).optional(),
+  phone: commonSchemas.phone
+});
+
+const locationSchemas = {
+  create: Joi.object({
+    name: Joi.string().min(1).max(100).required(),
+    code: Joi.string().max(20).optional(),
+    address: locationAddressSchema.optional(),
+    priority: Joi.number().integer().min(0).max(1000).default(0),
+    isDefault: Joi.boolean().optional(),
+    isActive: Joi.boolean().optional()
+  }),
+
+  update: Joi.object({
+    name: Joi.string().min(1).max(100).optional(),
+    code: Joi.string().max(20).allow(null).optional(),
+    address: locationAddressSchema.allow(null).optional(),
+    priority: Joi.number().integer().min(0).max(1000).optional(),
+    isDefault: Joi.boolean().optional(),
+    isActive: Joi.boolean().optional()
+  }).min(1)
+};
+
+// Inventory validation schemas
+// Reasons for manual adjustments; TRANSFER movements come from transfers only
+const INVENTORY_REASONS = ['SALE', 'RESTOCK', 'RETURN', 'CORRECTION', 'DAMAGE'];
+
+const stockItemSchema = Joi.object({
+  productId: commonSchemas.id,
+  variantId: Joi.string().cuid().optional()
+});
+
+const inventorySchemas = {
+  adjust: Joi.object({
+    adjustments: Joi.array().items(stockItemSchema.keys({
+      locationId: Joi.string().cuid().optional(),
+      quantity: Joi.number().integer().min(-100000).max(100000).invalid(0).required(),
+      reason: Joi.string().valid(...INVENTORY_REASONS).required(),
+      note: Joi.string().max(500).optional(),
+      orderId: Joi.string().cuid().optional()
+    })).min(1).max(100).required()
+  }),
+
+  transfer: Joi.object({
+    fromLocationId: commonSchemas.id,
+    toLocationId: commonSchemas.id,
+    items: Joi.array().items(stockItemSchema.keys({
+      quantity: Joi.number().integer().min(1).max(100000).required()
+    })).min(1).max(100).required(),
+    note: Joi.string().max(500).optional()
+  }),
+
+  allocate: Joi.object({
+    orderId: commonSchemas.id,
+    preferredLocationId: Joi.string().cuid().optional()
+  }),
+
+  levels: commonSchemas.pagination.keys({
+    limit: Joi.number().integer().min(1).max(100).default(25),
+    productId: Joi.string().cuid().optional(),
+    locationId: Joi.string().cuid().optional()
+  }),
+
+  movements: commonSchemas.pagination.keys({
+    limit: Joi.number().integer().min(1).max(100).default(25),
+    productId: Joi.string().cuid().optional(),
+    variantId: Joi.string().cuid().optional(),
+    locationId: Joi.string().cuid().optional(),
+    orderId: Joi.string().cuid().optional(),
+    userId: Joi.string().cuid().optional(),
+    reason: Joi.string().valid(...INVENTORY_REASONS, 'TRANSFER').optional(),
+    from: Joi.date().iso().optional(),
+    to: Joi.date().iso().min(Joi.ref('from')).optional()
+  }),
+
+  alerts: commonSchemas.pagination.keys({
+    limit: Joi.number().integer().min(1).max(100).default(25),
+    status: Joi.string().valid('OPEN', 'DISMISSED', 'RESOLVED').default('OPEN'),
+    productId: Joi.string().cuid().optional()
+  })
+};
+
+// Review validation schemas
+const reviewSchemas = {
+  list: commonSchemas.pagination.keys({
+    limit: Joi.number().integer().min(1).max(100).default(25),
+    status: Joi.string().valid('PENDING', 'APPROVED', 'REJECTED').default('PENDING'),
+    productId: Joi.string().cuid().optional(),
+    rating: Joi.number().integer().min(1).max(5).optional()
+  }),
+
+  reply: Joi.object({
+    reply: Joi.string().trim().min(1).max(2000).allow(null).required()
+  })
+};
+
+// Storefront validation schemas; these endpoints are public
+const storefrontSchemas = {
+  stockNotification: stockItemSchema.keys({
+    email: commonSchemas.email
+  }),
+
+  review: Joi.object({
+    productId: commonSchemas.id,
+    rating: Joi.number().integer().min(1).max(5).required(),
+    title: Joi.string().trim().max(100).allow('').optional(),
+    body: Joi.string().trim().max(2000).allow('').optional(),
+    name: Joi.string().trim().min(1).max(100).required(),
+    email: commonSchemas.email,
+    orderId: Joi.string().cuid().optional(),
+    token: Joi.string().hex().length(64).optional()
+  }).and('orderId', 'token'),
+
+  orderDownloads: Joi.object({
+    token: Joi.string().hex().length(64).required()
+  }),
+
+  download: Joi.object({
+    expires: Joi.number().integer().required(),
+    signature: Joi.string().hex().length(64).required()
+  })
+};
+
 // AI validation schemas
 const aiSchemas = {
   generateStore: Joi.object({
@@ -313,12 +971,13 @@ const aiSchemas = {
 };
 
 // Validation middleware factory
-const validate = (schema, property = 'body') => {
+const validate = (schema, property = 'body', options = {}) => {
   return (req, res, next) => {
     const { error, value } = schema.validate(req[property], {
       abortEarly: false,
       stripUnknown: true,
-      allowUnknown: false
+      allowUnknown: false,
+      ...options
     });
 
     if (error) {
@@ -345,5 +1004,14 @@ module.exports = {
   productSchemas,
   orderSchemas,
   customerSchemas,
+  pageSchemas,
+  menuSchemas,
+  categorySchemas,
+  collectionSchemas,
+  jobSchemas,
+  locationSchemas,
+  inventorySchemas,
+  reviewSchemas,
+  storefrontSchemas,
   aiSchemas
 }; 
\ No newline at end of file
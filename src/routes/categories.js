@@ -0,0 +1,43 @@
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const { validate, categorySchemas } = require('../middleware/validation');
+const { authenticate, requireStorePermission } = require('../middleware/auth');
+const { PERMISSIONS } = require('../utils/permissions');
+const categoryController = require('../controllers/categoryController');
+
+// All routes require authentication
+router.use(authenticate);
+
+// Get category tree
+router.get('/',
+  requireStorePermission(PERMISSIONS.PRODUCTS_READ),
+  categoryController.getCategories
+);
+
+// Create category
+router.post('/',
+  requireStorePermission(PERMISSIONS.PRODUCTS_WRITE),
+  validate(categorySchemas.create),
+  categoryController.createCategory
+);
+
+// Get category
+router.get('/:categoryId',
+  requireStorePermission(PERMISSIONS.PRODUCTS_READ),
+  categoryController.getCategory
+);
+
+// Update category
+router.put('/:categoryId',
+  requireStorePermission(PERMISSIONS.PRODUCTS_WRITE),
+  validate(categorySchemas.update),
+  categoryController.updateCategory
+);
+
+// Delete category
+router.delete('/:categoryId',
+  requireStorePermission(PERMISSIONS.PRODUCTS_WRITE),
+  categoryController.deleteCategory
+);
+
+module.exports = router;
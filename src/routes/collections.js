@@ -0,0 +1,58 @@
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const { validate, commonSchemas, collectionSchemas } = require('../middleware/validation');
+const { authenticate, requireStorePermission } = require('../middleware/auth');
+const { PERMISSIONS } = require('../utils/permissions');
+const collectionController = require('../controllers/collectionController');
+
+// All routes require authentication
+router.use(authenticate);
+
+// List collections
+router.get('/',
+  requireStorePermission(PERMISSIONS.PRODUCTS_READ),
+  validate(collectionSchemas.list, 'query'),
+  collectionController.getCollections
+);
+
+// Create collection
+router.post('/',
+  requireStorePermission(PERMISSIONS.PRODUCTS_WRITE),
+  validate(collectionSchemas.create),
+  collectionController.createCollection
+);
+
+// Get collection
+router.get('/:collectionId',
+  requireStorePermission(PERMISSIONS.PRODUCTS_READ),
+  collectionController.getCollection
+);
+
+// List collection products
+router.get('/:collectionId/products',
+  requireStorePermission(PERMISSIONS.PRODUCTS_READ),
+  validate(commonSchemas.pagination, 'query'),
+  collectionController.getCollectionProducts
+);
+
+// Update collection
+router.put('/:collectionId',
+  requireStorePermission(PERMISSIONS.PRODUCTS_WRITE),
+  validate(collectionSchemas.update),
+  collectionController.updateCollection
+);
+
+// Replace the products of a manual collection
+router.put('/:collectionId/products',
+  requireStorePermission(PERMISSIONS.PRODUCTS_WRITE),
+  validate(collectionSchemas.products),
+  collectionController.setCollectionProducts
+);
+
+// Delete collection
+router.delete('/:collectionId',
+  requireStorePermission(PERMISSIONS.PRODUCTS_WRITE),
+  collectionController.deleteCollection
+);
+
+module.exports = router;
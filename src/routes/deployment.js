@@ -1,7 +1,8 @@
 const express = require('express');
 const router = express.Router();
 const { validate } = require('../middleware/validation');
-const { authenticate, verifyStoreOwnership } = require('../middleware/auth');
+const { authenticate, requireStorePermission } = require('../middleware/auth');
+const { PERMISSIONS } = require('../utils/permissions');
 const deploymentController = require('../controllers/deploymentController');
 const Joi = require('joi');
 
@@ -10,7 +11,7 @@ router.use(authenticate);
 
 // Deploy store
 router.post('/stores/:storeId/deploy',
-  verifyStoreOwnership,
+  requireStorePermission(PERMISSIONS.STORE_DEPLOY),
   validate(Joi.object({
     environment: Joi.string().valid('production', 'staging').default('production'),
     customDomain: Joi.string().domain().optional(),
@@ -31,7 +32,7 @@ router.get('/deployments/:deploymentId/logs',
 
 // Get store deployments
 router.get('/stores/:storeId/deployments',
-  verifyStoreOwnership,
+  requireStorePermission(PERMISSIONS.STORE_READ),
   validate(Joi.object({
     page: Joi.number().integer().min(1).default(1),
     limit: Joi.number().integer().min(1).max(100).default(10)
@@ -41,7 +42,7 @@ router.get('/stores/:storeId/deployments',
 
 // Rollback deployment
 router.post('/stores/:storeId/rollback',
-  verifyStoreOwnership,
+  requireStorePermission(PERMISSIONS.STORE_DEPLOY),
   validate(Joi.object({
     version: Joi.string().required()
   })),
@@ -50,7 +51,7 @@ router.post('/stores/:storeId/rollback',
 
 // Setup custom domain
 router.post('/stores/:storeId/domain',
-  verifyStoreOwnership,
+  requireStorePermission(PERMISSIONS.STORE_DEPLOY),
   validate(Joi.object({
     domain: Joi.string().domain().required()
   })),
@@ -59,7 +60,7 @@ router.post('/stores/:storeId/domain',
 
 // Enable SSL
 router.post('/stores/:storeId/ssl',
-  verifyStoreOwnership,
+  requireStorePermission(PERMISSIONS.STORE_DEPLOY),
   validate(Joi.object({
     domain: Joi.string().domain().required()
   })),
@@ -68,7 +69,7 @@ router.post('/stores/:storeId/ssl',
 
 // Get deployment analytics
 router.get('/stores/:storeId/deployment-analytics',
-  verifyStoreOwnership,
+  requireStorePermission(PERMISSIONS.ANALYTICS_READ),
   validate(Joi.object({
     startDate: Joi.date().optional(),
     endDate: Joi.date().optional()
@@ -83,7 +84,7 @@ router.delete('/deployments/:deploymentId',
 
 // Get deployment configuration
 router.get('/stores/:storeId/deployment-config',
-  verifyStoreOwnership,
+  requireStorePermission(PERMISSIONS.STORE_READ),
   deploymentController.getDeploymentConfig
 );
 
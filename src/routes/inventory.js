@@ -0,0 +1,59 @@
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const { validate, inventorySchemas } = require('../middleware/validation');
+const { authenticate, requireStorePermission } = require('../middleware/auth');
+const { PERMISSIONS } = require('../utils/permissions');
+const inventoryController = require('../controllers/inventoryController');
+
+// All routes require authentication
+router.use(authenticate);
+
+// Adjust stock levels
+router.post('/adjustments',
+  requireStorePermission(PERMISSIONS.PRODUCTS_WRITE),
+  validate(inventorySchemas.adjust),
+  inventoryController.adjustStock
+);
+
+// Move stock between locations
+router.post('/transfers',
+  requireStorePermission(PERMISSIONS.PRODUCTS_WRITE),
+  validate(inventorySchemas.transfer),
+  inventoryController.transferStock
+);
+
+// Allocate stock to an order
+router.post('/allocations',
+  requireStorePermission(PERMISSIONS.ORDERS_FULFILL),
+  validate(inventorySchemas.allocate),
+  inventoryController.allocateOrder
+);
+
+// Stock per location
+router.get('/levels',
+  requireStorePermission(PERMISSIONS.PRODUCTS_READ),
+  validate(inventorySchemas.levels, 'query'),
+  inventoryController.getLevels
+);
+
+// Stock movement history
+router.get('/movements',
+  requireStorePermission(PERMISSIONS.PRODUCTS_READ),
+  validate(inventorySchemas.movements, 'query'),
+  inventoryController.getMovements
+);
+
+// Low-stock alerts
+router.get('/alerts',
+  requireStorePermission(PERMISSIONS.PRODUCTS_READ),
+  validate(inventorySchemas.alerts, 'query'),
+  inventoryController.getAlerts
+);
+
+// Dismiss a low-stock alert
+router.post('/alerts/:alertId/dismiss',
+  requireStorePermission(PERMISSIONS.PRODUCTS_WRITE),
+  inventoryController.dismissAlert
+);
+
+module.exports = router;
@@ -0,0 +1,24 @@
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const { validate, jobSchemas } = require('../middleware/validation');
+const { authenticate, requireStorePermission } = require('../middleware/auth');
+const { PERMISSIONS } = require('../utils/permissions');
+const jobController = require('../controllers/jobController');
+
+// All routes require authentication
+router.use(authenticate);
+
+// List store jobs
+router.get('/',
+  requireStorePermission(PERMISSIONS.STORE_READ),
+  validate(jobSchemas.list, 'query'),
+  jobController.getJobs
+);
+
+// Get job status and result
+router.get('/:jobId',
+  requireStorePermission(PERMISSIONS.STORE_READ),
+  jobController.getJob
+);
+
+module.exports = router;
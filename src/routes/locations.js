@@ -0,0 +1,37 @@
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const { validate, locationSchemas } = require('../middleware/validation');
+const { authenticate, requireStorePermission } = require('../middleware/auth');
+const { PERMISSIONS } = require('../utils/permissions');
+const locationController = require('../controllers/locationController');
+
+// All routes require authentication
+router.use(authenticate);
+
+// Get store locations
+router.get('/',
+  requireStorePermission(PERMISSIONS.STORE_READ),
+  locationController.getLocations
+);
+
+// Create location
+router.post('/',
+  requireStorePermission(PERMISSIONS.STORE_UPDATE),
+  validate(locationSchemas.create),
+  locationController.createLocation
+);
+
+// Update location
+router.put('/:locationId',
+  requireStorePermission(PERMISSIONS.STORE_UPDATE),
+  validate(locationSchemas.update),
+  locationController.updateLocation
+);
+
+// Delete location
+router.delete('/:locationId',
+  requireStorePermission(PERMISSIONS.STORE_UPDATE),
+  locationController.deleteLocation
+);
+
+module.exports = router;
@@ -0,0 +1,39 @@
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const { validate, menuSchemas } = require('../middleware/validation');
+const { authenticate, requireStorePermission } = require('../middleware/auth');
+const { PERMISSIONS } = require('../utils/permissions');
+const menuController = require('../controllers/menuController');
+
+// All routes require authentication
+router.use(authenticate);
+
+// List menus
+router.get('/',
+  requireStorePermission(PERMISSIONS.STORE_READ),
+  menuController.getMenus
+);
+
+// Get menu
+router.get('/:location',
+  requireStorePermission(PERMISSIONS.STORE_READ),
+  validate(menuSchemas.location, 'params'),
+  menuController.getMenu
+);
+
+// Replace menu links
+router.put('/:location',
+  requireStorePermission(PERMISSIONS.STORE_UPDATE),
+  validate(menuSchemas.location, 'params'),
+  validate(menuSchemas.update),
+  menuController.updateMenu
+);
+
+// Reset menu to the default navigation
+router.delete('/:location',
+  requireStorePermission(PERMISSIONS.STORE_UPDATE),
+  validate(menuSchemas.location, 'params'),
+  menuController.deleteMenu
+);
+
+module.exports = router;
@@ -0,0 +1,44 @@
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const { validate, pageSchemas } = require('../middleware/validation');
+const { authenticate, requireStorePermission } = require('../middleware/auth');
+const { PERMISSIONS } = require('../utils/permissions');
+const pageController = require('../controllers/pageController');
+
+// All routes require authentication
+router.use(authenticate);
+
+// List pages
+router.get('/',
+  requireStorePermission(PERMISSIONS.STORE_READ),
+  validate(pageSchemas.list, 'query'),
+  pageController.getPages
+);
+
+// Create page
+router.post('/',
+  requireStorePermission(PERMISSIONS.STORE_UPDATE),
+  validate(pageSchemas.create),
+  pageController.createPage
+);
+
+// Get page
+router.get('/:pageId',
+  requireStorePermission(PERMISSIONS.STORE_READ),
+  pageController.getPage
+);
+
+// Update page
+router.put('/:pageId',
+  requireStorePermission(PERMISSIONS.STORE_UPDATE),
+  validate(pageSchemas.update),
+  pageController.updatePage
+);
+
+// Delete page
+router.delete('/:pageId',
+  requireStorePermission(PERMISSIONS.STORE_UPDATE),
+  pageController.deletePage
+);
+
+module.exports = router;
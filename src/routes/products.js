@@ -1,13 +1,130 @@
 const express = require('express');
 const router = express.Router();
+const { validate, productSchemas } = require('../middleware/validation');
 const { authenticate } = require('../middleware/auth');
+const { uploadFile, uploadFiles } = require('../middleware/upload');
+const productController = require('../controllers/productController');
 
-// Placeholder for product routes
-router.get('/', authenticate, (req, res) => {
-  res.json({
-    success: true,
-    message: 'Products endpoint - to be implemented'
-  });
-});
+// File types that can be sold as downloads
+const DOWNLOAD_EXTENSIONS = [
+  '.pdf', '.epub', '.mobi', '.zip', '.mp3', '.wav', '.mp4', '.mov',
+  '.jpg', '.jpeg', '.png', '.psd', '.ai', '.svg', '.txt', '.csv', '.xlsx', '.docx'
+];
 
-module.exports = router; 
\ No newline at end of file
+// All routes require authentication; store permissions are checked per product
+router.use(authenticate);
+
+// Bulk update products
+router.post('/bulk-update',
+  validate(productSchemas.bulkUpdate),
+  productController.bulkUpdateProducts
+);
+
+// Get product
+router.get('/:id',
+  validate(productSchemas.get, 'query'),
+  productController.getProduct
+);
+
+// Update product and its variants
+router.put('/:id',
+  validate(productSchemas.update),
+  productController.updateProduct
+);
+
+// Replace product options
+router.put('/:id/options',
+  validate(productSchemas.options),
+  productController.updateOptions
+);
+
+// Generate variants from product options
+router.post('/:id/variants/generate',
+  validate(productSchemas.generateVariants),
+  productController.generateVariants
+);
+
+// Upload product images
+router.post('/:id/images',
+  uploadFiles('images', ['.jpg', '.jpeg', '.png', '.webp', '.gif'], 10),
+  productController.uploadImages
+);
+
+// Reorder product images
+router.put('/:id/images',
+  validate(productSchemas.reorderImages),
+  productController.reorderImages
+);
+
+// Update image alt text
+router.put('/:id/images/:imageId',
+  validate(productSchemas.updateImage),
+  productController.updateImage
+);
+
+// Delete product image
+router.delete('/:id/images/:imageId',
+  productController.deleteImage
+);
+
+// Get downloadable files of a digital product
+router.get('/:id/files',
+  productController.getFiles
+);
+
+// Upload a downloadable file
+router.post('/:id/files',
+  uploadFile('file', DOWNLOAD_EXTENSIONS),
+  validate(productSchemas.uploadFile),
+  productController.uploadFile
+);
+
+// Delete a downloadable file
+router.delete('/:id/files/:fileId',
+  productController.deleteFile
+);
+
+// Get related, upsell and cross-sell products
+router.get('/:id/associations',
+  productController.getAssociations
+);
+
+// Replace curated product links
+router.put('/:id/associations',
+  validate(productSchemas.associations),
+  productController.updateAssociations
+);
+
+// Get bundle components and availability
+router.get('/:id/bundle',
+  productController.getBundle
+);
+
+// Replace bundle components
+router.put('/:id/bundle',
+  validate(productSchemas.bundle),
+  productController.updateBundle
+);
+
+// Get product sales
+router.get('/:id/sales',
+  productController.getSales
+);
+
+// Schedule a sale price
+router.post('/:id/sales',
+  validate(productSchemas.createSale),
+  productController.createSale
+);
+
+// Cancel a sale
+router.delete('/:id/sales/:saleId',
+  productController.cancelSale
+);
+
+// Delete product
+router.delete('/:id',
+  productController.deleteProduct
+);
+
+module.exports = router;
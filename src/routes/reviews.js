@@ -0,0 +1,43 @@
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const { validate, reviewSchemas } = require('../middleware/validation');
+const { authenticate, requireStorePermission } = require('../middleware/auth');
+const { PERMISSIONS } = require('../utils/permissions');
+const reviewController = require('../controllers/reviewController');
+
+// All routes require authentication
+router.use(authenticate);
+
+// Get store reviews
+router.get('/',
+  requireStorePermission(PERMISSIONS.PRODUCTS_READ),
+  validate(reviewSchemas.list, 'query'),
+  reviewController.getReviews
+);
+
+// Approve review
+router.post('/:reviewId/approve',
+  requireStorePermission(PERMISSIONS.PRODUCTS_WRITE),
+  reviewController.approveReview
+);
+
+// Reject review
+router.post('/:reviewId/reject',
+  requireStorePermission(PERMISSIONS.PRODUCTS_WRITE),
+  reviewController.rejectReview
+);
+
+// Reply to review
+router.put('/:reviewId/reply',
+  requireStorePermission(PERMISSIONS.PRODUCTS_WRITE),
+  validate(reviewSchemas.reply),
+  reviewController.replyToReview
+);
+
+// Delete review
+router.delete('/:reviewId',
+  requireStorePermission(PERMISSIONS.PRODUCTS_WRITE),
+  reviewController.deleteReview
+);
+
+module.exports = router;
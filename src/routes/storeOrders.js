@@ -0,0 +1,25 @@
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const { validate, orderSchemas } = require('../middleware/validation');
+const { authenticate, requireStorePermission } = require('../middleware/auth');
+const { PERMISSIONS } = require('../utils/permissions');
+const orderController = require('../controllers/orderController');
+
+// All routes require authentication
+router.use(authenticate);
+
+// List store orders
+router.get('/',
+  requireStorePermission(PERMISSIONS.ORDERS_READ),
+  validate(orderSchemas.list, 'query'),
+  orderController.getOrders
+);
+
+// Get single order
+router.get('/:orderId',
+  requireStorePermission(PERMISSIONS.ORDERS_READ),
+  validate(orderSchemas.get, 'query'),
+  orderController.getOrder
+);
+
+module.exports = router;
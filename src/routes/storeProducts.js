@@ -0,0 +1,42 @@
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const { validate, productSchemas } = require('../middleware/validation');
+const { authenticate, requireStorePermission } = require('../middleware/auth');
+const { PERMISSIONS } = require('../utils/permissions');
+const productController = require('../controllers/productController');
+const { uploadFile } = require('../middleware/upload');
+
+// All routes require authentication
+router.use(authenticate);
+
+// List store products
+router.get('/',
+  requireStorePermission(PERMISSIONS.PRODUCTS_READ),
+  validate(productSchemas.list, 'query'),
+  productController.getProducts
+);
+
+// Create product
+router.post('/',
+  requireStorePermission(PERMISSIONS.PRODUCTS_WRITE),
+  validate(productSchemas.create),
+  productController.createProduct
+);
+
+// Export products as CSV, JSON or a merchant feed
+router.get('/export',
+  requireStorePermission(PERMISSIONS.PRODUCTS_READ),
+  validate(productSchemas.export, 'query'),
+  productController.exportProducts
+);
+
+// Import products from a CSV or XLSX file
+router.post('/bulk-import',
+  requireStorePermission(PERMISSIONS.PRODUCTS_WRITE),
+  uploadFile('file', ['.csv', '.xlsx']),
+  productController.parseImportOptions,
+  validate(productSchemas.import),
+  productController.importProducts
+);
+
+module.exports = router;
@@ -0,0 +1,32 @@
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const { validate, storefrontSchemas } = require('../middleware/validation');
+const storefrontController = require('../controllers/storefrontController');
+
+// Public endpoints called by deployed storefronts; no authentication
+
+// Back-in-stock sign-up
+router.post('/stock-notifications',
+  validate(storefrontSchemas.stockNotification),
+  storefrontController.createStockNotification
+);
+
+// Submit a product review for moderation
+router.post('/reviews',
+  validate(storefrontSchemas.review),
+  storefrontController.createReview
+);
+
+// Download page data for a paid order with digital items
+router.get('/orders/:orderId/downloads',
+  validate(storefrontSchemas.orderDownloads, 'query'),
+  storefrontController.getOrderDownloads
+);
+
+// Signed, expiring download link
+router.get('/downloads/:orderItemId/:fileId',
+  validate(storefrontSchemas.download, 'query'),
+  storefrontController.downloadFile
+);
+
+module.exports = router;
@@ -1,13 +1,189 @@
 const express = require('express');
 const router = express.Router();
-const { authenticate } = require('../middleware/auth');
+const { validate, commonSchemas, storeSchemas } = require('../middleware/validation');
+const { authenticate, requireStorePermission } = require('../middleware/auth');
+const { PERMISSIONS } = require('../utils/permissions');
+const storeController = require('../controllers/storeController');
+const storeMemberController = require('../controllers/storeMemberController');
+const currencyController = require('../controllers/currencyController');
+const { uploadFile } = require('../middleware/upload');
 
-// Placeholder for store routes
-router.get('/', authenticate, (req, res) => {
-  res.json({
-    success: true,
-    message: 'Stores endpoint - to be implemented'
-  });
-});
+// All routes require authentication
+router.use(authenticate);
 
-module.exports = router; 
\ No newline at end of file
+// List stores
+router.get('/',
+  validate(storeSchemas.list, 'query'),
+  storeController.getStores
+);
+
+// Create store
+router.post('/',
+  validate(storeSchemas.create),
+  storeController.createStore
+);
+
+// Import store from an exported bundle (JSON body or uploaded file)
+router.post('/import',
+  uploadFile('bundle', ['.json']),
+  storeController.parseBundleFile,
+  validate(storeSchemas.importOptions, 'query'),
+  validate(storeSchemas.importBundle),
+  storeController.importStore
+);
+
+// Accept team invitation
+router.post('/invitations/accept',
+  validate(storeSchemas.acceptInvitation),
+  storeMemberController.acceptInvitation
+);
+
+// Get store
+router.get('/:id',
+  requireStorePermission(PERMISSIONS.STORE_READ),
+  storeController.getStore
+);
+
+// Update store
+router.put('/:id',
+  requireStorePermission(PERMISSIONS.STORE_UPDATE),
+  validate(storeSchemas.update),
+  storeController.updateStore
+);
+
+// Permanently delete archived store
+router.delete('/:id',
+  requireStorePermission(PERMISSIONS.STORE_DELETE),
+  storeController.deleteStore
+);
+
+// Archive store
+router.post('/:id/archive',
+  requireStorePermission(PERMISSIONS.STORE_DELETE),
+  storeController.archiveStore
+);
+
+// Restore archived store
+router.post('/:id/unarchive',
+  requireStorePermission(PERMISSIONS.STORE_DELETE),
+  storeController.unarchiveStore
+);
+
+// Duplicate store
+router.post('/:id/duplicate',
+  requireStorePermission(PERMISSIONS.STORE_UPDATE),
+  validate(storeSchemas.duplicate),
+  storeController.duplicateStore
+);
+
+// Export store as a portable bundle
+router.get('/:id/export',
+  requireStorePermission(PERMISSIONS.STORE_UPDATE),
+  storeController.exportStore
+);
+
+// Get store settings
+router.get('/:id/settings',
+  requireStorePermission(PERMISSIONS.STORE_READ),
+  storeController.getSettings
+);
+
+// Update store settings (unknown keys are rejected rather than stripped)
+router.patch('/:id/settings',
+  requireStorePermission(PERMISSIONS.STORE_UPDATE),
+  validate(storeSchemas.settings, 'body', { stripUnknown: false }),
+  storeController.updateSettings
+);
+
+// List presentment currencies
+router.get('/:id/currencies',
+  requireStorePermission(PERMISSIONS.STORE_READ),
+  currencyController.getCurrencies
+);
+
+// Import exchange rates from a CSV/JSON file or body
+router.post('/:id/currencies/import',
+  requireStorePermission(PERMISSIONS.STORE_UPDATE),
+  uploadFile('file', ['.csv', '.json']),
+  currencyController.parseRatesFile,
+  validate(storeSchemas.currencyImport),
+  currencyController.importCurrencies
+);
+
+// Enable a presentment currency or update its rate
+router.put('/:id/currencies/:currency',
+  requireStorePermission(PERMISSIONS.STORE_UPDATE),
+  validate(storeSchemas.currencyParams, 'params'),
+  validate(storeSchemas.currency),
+  currencyController.upsertCurrency
+);
+
+// Remove a presentment currency
+router.delete('/:id/currencies/:currency',
+  requireStorePermission(PERMISSIONS.STORE_UPDATE),
+  validate(storeSchemas.currencyParams, 'params'),
+  currencyController.deleteCurrency
+);
+
+// Update store theme
+router.put('/:id/theme',
+  requireStorePermission(PERMISSIONS.STORE_UPDATE),
+  validate(storeSchemas.theme),
+  storeController.updateTheme
+);
+
+// List theme versions
+router.get('/:id/theme/versions',
+  requireStorePermission(PERMISSIONS.STORE_READ),
+  validate(commonSchemas.pagination, 'query'),
+  storeController.getThemeVersions
+);
+
+// Get theme version
+router.get('/:id/theme/versions/:version',
+  requireStorePermission(PERMISSIONS.STORE_READ),
+  validate(storeSchemas.themeVersionParams, 'params'),
+  storeController.getThemeVersion
+);
+
+// Build a preview of a theme version
+router.post('/:id/theme/versions/:version/preview',
+  requireStorePermission(PERMISSIONS.STORE_UPDATE),
+  validate(storeSchemas.themeVersionParams, 'params'),
+  storeController.previewThemeVersion
+);
+
+// Revert to a theme version
+router.post('/:id/theme/versions/:version/revert',
+  requireStorePermission(PERMISSIONS.STORE_UPDATE),
+  validate(storeSchemas.themeVersionParams, 'params'),
+  storeController.revertTheme
+);
+
+// List team members
+router.get('/:id/members',
+  requireStorePermission(PERMISSIONS.STORE_READ),
+  storeMemberController.getMembers
+);
+
+// Invite team member
+router.post('/:id/members',
+  requireStorePermission(PERMISSIONS.MEMBERS_MANAGE),
+  validate(storeSchemas.inviteMember),
+  storeMemberController.inviteMember
+);
+
+// Change team member role
+router.put('/:id/members/:memberId',
+  requireStorePermission(PERMISSIONS.MEMBERS_MANAGE),
+  validate(storeSchemas.updateMember),
+  storeMemberController.updateMember
+);
+
+// Revoke team member access or pending invitation
+router.delete('/:id/members/:memberId',
+  requireStorePermission(PERMISSIONS.MEMBERS_MANAGE),
+  storeMemberController.revokeMember
+);
+
+module.exports = router;
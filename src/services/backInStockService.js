@@ -0,0 +1,136 @@
+const { PrismaClient } = require('@prisma/client');
+const { NotFoundError, ValidationError } = require('../middleware/errorHandler');
+const emailService = require('./emailService');
+const logger = require('../utils/logger');
+
+const prisma = new PrismaClient();
+
+// Notifications sent per run, so a large restock is spread over a few runs
+const NOTIFICATION_BATCH_SIZE = 200;
+
+// Failed emails are retried after an hour, then two, and so on, and given up
+// after MAX_SEND_ATTEMPTS, so bouncing addresses do not hold up newer sign-ups
+const MAX_SEND_ATTEMPTS = 5;
+const RETRY_DELAY_MS = 60 * 60 * 1000;
+
+// Whether an item can be bought right now
+const isInStock = (product, variant) => {
+  return !product.trackInventory || product.allowBackorder || (variant || product).inventory > 0;
+};
+
+class BackInStockService {
+  // Sign a storefront visitor up for an email when a sold-out item is available
+  // again. Signing up again after being notified renews the sign-up.
+  async subscribe(storeId, { productId, variantId = null, email }) {
+    const product = await prisma.product.findFirst({
+      where: { id: productId, storeId, isActive: true },
+      select: {
+        id: true,
+        inventory: true,
+        trackInventory: true,
+        allowBackorder: true,
+        variants: variantId ? { where: { id: variantId }, select: { id: true, inventory: true } } : false
+      }
+    });
+
+    if (!product) {
+      throw new NotFoundError('Product not found');
+    }
+
+    const variant = variantId ? product.variants[0] : null;
+    if (variantId && !variant) {
+      throw new NotFoundError('Variant not found');
+    }
+
+    if (isInStock(product, variant)) {
+      throw new ValidationError('This item is in stock');
+    }
+
+    const itemId = variantId || productId;
+    const normalizedEmail = email.toLowerCase();
+
+    await prisma.stockNotification.upsert({
+      where: { itemId_email: { itemId, email: normalizedEmail } },
+      create: { storeId, productId, variantId, itemId, email: normalizedEmail },
+      update: { notifiedAt: null, attempts: 0, lastError: null, nextAttemptAt: null }
+    });
+
+    logger.info(`Back-in-stock sign-up for ${itemId} in store ${storeId}`);
+  }
+
+  // Email everyone waiting for an item that is available again
+  async sendNotifications() {
+    const notifications = await prisma.stockNotification.findMany({
+      where: {
+        notifiedAt: null,
+        attempts: { lt: MAX_SEND_ATTEMPTS },
+        product: { isActive: true },
+        AND: [
+          { OR: [{ nextAttemptAt: null }, { nextAttemptAt: { lte: new Date() } }] },
+          // Same conditions as isInStock
+          {
+            OR: [
+              { product: { OR: [{ trackInventory: false }, { allowBackorder: true }] } },
+              { variantId: null, product: { inventory: { gt: 0 } } },
+              { variant: { inventory: { gt: 0 } } }
+            ]
+          }
+        ]
+      },
+      orderBy: { createdAt: 'asc' },
+      take: NOTIFICATION_BATCH_SIZE,
+      include: {
+        store: { select: { name: true, deploymentUrl: true } },
+        product: { select: { id: true, name: true, urlHandle: true } },
+        variant: { select: { title: true } }
+      }
+    });
+
+    let sent = 0;
+    for (const notification of notifications) {
+      const { store, product, variant } = notification;
+      const item = {
+        name: variant ? `${product.name} - ${variant.title}` : product.name,
+        url: store.deploymentUrl ? `${store.deploymentUrl}/product/${product.urlHandle || product.id}.html` : null
+      };
+
+      try {
+        await emailService.sendBackInStockNotification(notification.email, store, item);
+        await prisma.stockNotification.update({
+          where: { id: notification.id },
+          data: { notifiedAt: new Date() }
+        });
+        sent++;
+      } catch (error) {
+        logger.error(`Failed to send back-in-stock notification ${notification.id}:`, error);
+        await this.recordFailure(notification, error);
+      }
+    }
+
+    if (sent > 0) {
+      logger.info(`Back-in-stock notifications sent: ${sent}`);
+    }
+
+    return sent;
+  }
+
+  // Count a failed send and put the next attempt off a little longer each time
+  async recordFailure(notification, error) {
+    const attempts = notification.attempts + 1;
+
+    await prisma.stockNotification.update({
+      where: { id: notification.id },
+      data: {
+        attempts,
+        lastError: String(error.message || error).slice(0, 500),
+        nextAttemptAt: new Date(Date.now() + attempts * RETRY_DELAY_MS)
+      }
+    });
+
+    if (attempts >= MAX_SEND_ATTEMPTS) {
+      logger.warn(`Giving up on back-in-stock notification ${notification.id} after ${attempts} failed attempts`);
+    }
+  }
+}
+
+module.exports = new BackInStockService();
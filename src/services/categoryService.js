@@ -0,0 +1,199 @@
+const { PrismaClient } = require('@prisma/client');
+const { NotFoundError, ValidationError, ConflictError } = require('../middleware/errorHandler');
+const { generateUniqueSlug } = require('../utils/slug');
+const productSearchService = require('./productSearchService');
+const logger = require('../utils/logger');
+
+const prisma = new PrismaClient();
+
+class CategoryService {
+  // Get a category of a store
+  async getCategory(storeId, categoryId, client = prisma) {
+    const category = await client.category.findFirst({
+      where: { id: categoryId, storeId }
+    });
+
+    if (!category) {
+      throw new NotFoundError('Category not found');
+    }
+
+    return category;
+  }
+
+  // Nest a flat category list into a tree, ordered by position then name
+  buildTree(categories, parentId = null) {
+    return categories
+      .filter(category => category.parentId === parentId)
+      .sort((a, b) => a.position - b.position || a.name.localeCompare(b.name))
+      .map(category => ({ ...category, children: this.buildTree(categories, category.id) }));
+  }
+
+  // Ids of a category and everything below it
+  getDescendantIds(categories, categoryId) {
+    const children = categories.filter(category => category.parentId === categoryId);
+    return [categoryId, ...children.flatMap(child => this.getDescendantIds(categories, child.id))];
+  }
+
+  // Categories from the root down to the given category
+  getAncestors(categories, category) {
+    const parent = categories.find(candidate => candidate.id === category.parentId);
+    return parent ? [...this.getAncestors(categories, parent), parent] : [];
+  }
+
+  // Category tree of a store with product counts
+  async getTree(storeId) {
+    const categories = await prisma.category.findMany({
+      where: { storeId },
+      include: { _count: { select: { products: true } } }
+    });
+
+    return this.buildTree(categories);
+  }
+
+  // Ids of a store category and its descendants, for filtering products
+  async getCategoryFilterIds(storeId, categoryId) {
+    const categories = await prisma.category.findMany({
+      where: { storeId },
+      select: { id: true, parentId: true }
+    });
+
+    if (!categories.some(category => category.id === categoryId)) {
+      throw new NotFoundError('Category not found');
+    }
+
+    return this.getDescendantIds(categories, categoryId);
+  }
+
+  // Make sure an explicitly chosen slug is free within the store
+  async assertSlugAvailable(storeId, slug, excludeId = null) {
+    const existing = await prisma.category.findUnique({
+      where: { storeId_slug: { storeId, slug } },
+      select: { id: true }
+    });
+
+    if (existing && existing.id !== excludeId) {
+      throw new ConflictError('A category with this slug already exists');
+    }
+  }
+
+  // A category cannot be moved below itself or one of its descendants
+  async assertValidParent(storeId, categoryId, parentId) {
+    if (!parentId) {
+      return;
+    }
+
+    await this.getCategory(storeId, parentId);
+
+    if (!categoryId) {
+      return;
+    }
+
+    const categories = await prisma.category.findMany({
+      where: { storeId },
+      select: { id: true, parentId: true }
+    });
+
+    if (this.getDescendantIds(categories, categoryId).includes(parentId)) {
+      throw new ValidationError('A category cannot be moved below itself or one of its subcategories');
+    }
+  }
+
+  // Create a category
+  async createCategory(storeId, data) {
+    const { slug, ...fields } = data;
+
+    await this.assertValidParent(storeId, null, fields.parentId);
+
+    if (slug) {
+      await this.assertSlugAvailable(storeId, slug);
+    }
+
+    const categorySlug = slug || await generateUniqueSlug(fields.name, async (candidate) => {
+      const existing = await prisma.category.findUnique({
+        where: { storeId_slug: { storeId, slug: candidate } },
+        select: { id: true }
+      });
+      return Boolean(existing);
+    }, 'category');
+
+    const category = await prisma.category.create({
+      data: { ...fields, slug: categorySlug, storeId }
+    });
+
+    logger.info(`Category created: ${category.slug} (${category.id}) in store ${storeId}`);
+    return category;
+  }
+
+  // Update a category. Renaming it renames the category of its products.
+  async updateCategory(storeId, categoryId, data) {
+    const existing = await this.getCategory(storeId, categoryId);
+
+    if ('parentId' in data) {
+      await this.assertValidParent(storeId, categoryId, data.parentId);
+    }
+
+    if (data.slug && data.slug !== existing.slug) {
+      await this.assertSlugAvailable(storeId, data.slug, categoryId);
+    }
+
+    const category = await prisma.$transaction(async (tx) => {
+      const updated = await tx.category.update({
+        where: { id: categoryId },
+        data
+      });
+
+      if (data.name && data.name !== existing.name) {
+        await tx.product.updateMany({
+          where: { categoryId },
+          data: { category: data.name }
+        });
+        await this.refreshProductSearch(tx, categoryId);
+      }
+
+      return updated;
+    });
+
+    logger.info(`Category updated: ${category.slug} (${category.id})`);
+    return category;
+  }
+
+  // Delete a category. Its subcategories move up to its parent and its products
+  // become uncategorised.
+  async deleteCategory(storeId, categoryId) {
+    const existing = await this.getCategory(storeId, categoryId);
+
+    await prisma.$transaction(async (tx) => {
+      await tx.category.updateMany({
+        where: { parentId: categoryId },
+        data: { parentId: existing.parentId }
+      });
+
+      const products = await tx.product.findMany({
+        where: { categoryId },
+        select: { id: true }
+      });
+
+      await tx.product.updateMany({
+        where: { categoryId },
+        data: { categoryId: null, category: null }
+      });
+      await productSearchService.refreshSearchVectors(tx, { productIds: products.map(product => product.id) });
+
+      await tx.category.delete({ where: { id: categoryId } });
+    });
+
+    logger.info(`Category deleted: ${existing.slug} (${existing.id})`);
+  }
+
+  // Reindex the products of a category; the category name is part of their search document
+  async refreshProductSearch(tx, categoryId) {
+    const products = await tx.product.findMany({
+      where: { categoryId },
+      select: { id: true }
+    });
+
+    return productSearchService.refreshSearchVectors(tx, { productIds: products.map(product => product.id) });
+  }
+}
+
+module.exports = new CategoryService();
@@ -0,0 +1,226 @@
+const { PrismaClient } = require('@prisma/client');
+const { NotFoundError, ValidationError, ConflictError } = require('../middleware/errorHandler');
+const { generateUniqueSlug } = require('../utils/slug');
+const logger = require('../utils/logger');
+
+const prisma = new PrismaClient();
+
+// Prisma filter for one collection rule; rules are checked by the collection schema
+const RULE_FILTERS = {
+  tag: {
+    equals: (value) => ({ tags: { has: value } }),
+    not_equals: (value) => ({ NOT: { tags: { has: value } } })
+  },
+  category: {
+    equals: (value) => ({ category: { equals: value, mode: 'insensitive' } }),
+    not_equals: (value) => ({ NOT: { category: { equals: value, mode: 'insensitive' } } })
+  },
+  name: {
+    equals: (value) => ({ name: { equals: value, mode: 'insensitive' } }),
+    contains: (value) => ({ name: { contains: value, mode: 'insensitive' } }),
+    not_contains: (value) => ({ NOT: { name: { contains: value, mode: 'insensitive' } } })
+  }
+};
+
+const NUMERIC_RULE_FIELDS = ['price', 'comparePrice', 'inventory'];
+
+class CollectionService {
+  // Get a collection of a store
+  async getCollection(storeId, collectionId) {
+    const collection = await prisma.collection.findFirst({
+      where: { id: collectionId, storeId }
+    });
+
+    if (!collection) {
+      throw new NotFoundError('Collection not found');
+    }
+
+    return collection;
+  }
+
+  // Product filter for the rules of a rule-based collection
+  getRuleWhere(collection) {
+    const conditions = collection.rules.map(({ field, operator, value }) => {
+      if (NUMERIC_RULE_FIELDS.includes(field)) {
+        return { [field]: { [operator]: value } };
+      }
+      return RULE_FILTERS[field][operator](value);
+    });
+
+    return collection.matchAll ? { AND: conditions } : { OR: conditions };
+  }
+
+  // Product filter for the members of a collection
+  getProductWhere(collection) {
+    if (collection.type === 'RULE_BASED') {
+      return { storeId: collection.storeId, ...this.getRuleWhere(collection) };
+    }
+    return { storeId: collection.storeId, collections: { some: { collectionId: collection.id } } };
+  }
+
+  // Products of a collection: manual collections keep their hand-picked order,
+  // rule-based ones list the newest matching products first
+  async getProducts(collection, { page = 1, limit = 10 } = {}) {
+    const skip = (page - 1) * limit;
+
+    const [products, total] = await Promise.all([
+      collection.type === 'RULE_BASED'
+        ? prisma.product.findMany({
+          where: this.getProductWhere(collection),
+          orderBy: { createdAt: 'desc' },
+          skip,
+          take: limit
+        })
+        : prisma.collectionProduct.findMany({
+          where: { collectionId: collection.id },
+          orderBy: { position: 'asc' },
+          skip,
+          take: limit,
+          include: { product: true }
+        }).then(entries => entries.map(entry => entry.product)),
+      prisma.product.count({ where: this.getProductWhere(collection) })
+    ]);
+
+    return { products, total };
+  }
+
+  // Ids of the active products of a collection, in collection order
+  async getProductIds(collection) {
+    if (collection.type === 'RULE_BASED') {
+      const products = await prisma.product.findMany({
+        where: { ...this.getProductWhere(collection), isActive: true },
+        orderBy: { createdAt: 'desc' },
+        select: { id: true }
+      });
+      return products.map(product => product.id);
+    }
+
+    const entries = await prisma.collectionProduct.findMany({
+      where: { collectionId: collection.id, product: { isActive: true } },
+      orderBy: { position: 'asc' },
+      select: { productId: true }
+    });
+    return entries.map(entry => entry.productId);
+  }
+
+  // Make sure an explicitly chosen slug is free within the store
+  async assertSlugAvailable(storeId, slug, excludeId = null) {
+    const existing = await prisma.collection.findUnique({
+      where: { storeId_slug: { storeId, slug } },
+      select: { id: true }
+    });
+
+    if (existing && existing.id !== excludeId) {
+      throw new ConflictError('A collection with this slug already exists');
+    }
+  }
+
+  // Products can only be added to a collection of their own store
+  async assertStoreProducts(storeId, productIds) {
+    const count = await prisma.product.count({
+      where: { id: { in: productIds }, storeId }
+    });
+
+    if (count !== productIds.length) {
+      throw new ValidationError('Collections can only contain products of the same store');
+    }
+  }
+
+  // Create a collection, with its products when it is manual
+  async createCollection(storeId, data) {
+    const { slug, productIds = [], ...fields } = data;
+
+    if (slug) {
+      await this.assertSlugAvailable(storeId, slug);
+    }
+
+    if (fields.type === 'MANUAL') {
+      await this.assertStoreProducts(storeId, productIds);
+    }
+
+    const collectionSlug = slug || await generateUniqueSlug(fields.name, async (candidate) => {
+      const existing = await prisma.collection.findUnique({
+        where: { storeId_slug: { storeId, slug: candidate } },
+        select: { id: true }
+      });
+      return Boolean(existing);
+    }, 'collection');
+
+    const collection = await prisma.collection.create({
+      data: {
+        ...fields,
+        slug: collectionSlug,
+        storeId,
+        ...(fields.type === 'MANUAL' && {
+          products: {
+            create: productIds.map((productId, position) => ({ productId, position }))
+          }
+        })
+      }
+    });
+
+    logger.info(`Collection created: ${collection.slug} (${collection.id}) in store ${storeId}`);
+    return collection;
+  }
+
+  // Update a collection. Switching a collection to rule-based drops its hand-picked products.
+  async updateCollection(storeId, collectionId, data) {
+    const existing = await this.getCollection(storeId, collectionId);
+    const type = data.type || existing.type;
+    const rules = data.rules || existing.rules;
+
+    if (type === 'RULE_BASED' && rules.length === 0) {
+      throw new ValidationError('Rule-based collections need at least one rule');
+    }
+
+    if (data.slug && data.slug !== existing.slug) {
+      await this.assertSlugAvailable(storeId, data.slug, collectionId);
+    }
+
+    const collection = await prisma.$transaction(async (tx) => {
+      if (type === 'RULE_BASED' && existing.type === 'MANUAL') {
+        await tx.collectionProduct.deleteMany({ where: { collectionId } });
+      }
+
+      return tx.collection.update({
+        where: { id: collectionId },
+        data
+      });
+    });
+
+    logger.info(`Collection updated: ${collection.slug} (${collection.id})`);
+    return collection;
+  }
+
+  // Replace the products of a manual collection, in the given order
+  async setProducts(storeId, collectionId, productIds) {
+    const collection = await this.getCollection(storeId, collectionId);
+
+    if (collection.type !== 'MANUAL') {
+      throw new ValidationError('Products of a rule-based collection come from its rules');
+    }
+
+    await this.assertStoreProducts(storeId, productIds);
+
+    await prisma.$transaction([
+      prisma.collectionProduct.deleteMany({ where: { collectionId } }),
+      prisma.collectionProduct.createMany({
+        data: productIds.map((productId, position) => ({ collectionId, productId, position }))
+      })
+    ]);
+
+    logger.info(`Collection products set: ${collection.slug} (${productIds.length} products)`);
+    return collection;
+  }
+
+  // Delete a collection; its products are not affected
+  async deleteCollection(storeId, collectionId) {
+    const existing = await this.getCollection(storeId, collectionId);
+
+    await prisma.collection.delete({ where: { id: collectionId } });
+
+    logger.info(`Collection deleted: ${existing.slug} (${existing.id})`);
+  }
+}
+
+module.exports = new CollectionService();
@@ -0,0 +1,190 @@
+const { PrismaClient } = require('@prisma/client');
+const { ValidationError } = require('../middleware/errorHandler');
+const { getStoreSettings } = require('../utils/storeSettings');
+const { parseCsv } = require('../utils/csv');
+const logger = require('../utils/logger');
+
+const prisma = new PrismaClient();
+
+// Product and order fields holding amounts in the store currency
+const PRODUCT_PRICE_FIELDS = ['price', 'comparePrice', 'b2bPrice'];
+const VARIANT_PRICE_FIELDS = ['price', 'comparePrice'];
+const ORDER_AMOUNT_FIELDS = ['subtotal', 'tax', 'shipping', 'discount', 'total'];
+
+// Columns accepted in a rates file; currency and rate are required
+const RATE_FILE_COLUMNS = ['currency', 'rate', 'roundingMode', 'roundingIncrement'];
+
+class CurrencyService {
+  // Resolve a requested presentment currency.
+  // Returns null when prices should stay in the store currency.
+  async resolvePresentmentCurrency(store, currency) {
+    if (!currency) {
+      return null;
+    }
+
+    const code = currency.toUpperCase();
+
+    if (code === getStoreSettings(store).currency) {
+      return null;
+    }
+
+    const storeCurrency = await prisma.storeCurrency.findFirst({
+      where: { storeId: store.id, currency: code, isEnabled: true }
+    });
+
+    if (!storeCurrency) {
+      throw new ValidationError(`Currency ${code} is not enabled for this store`);
+    }
+
+    return storeCurrency;
+  }
+
+  // Presentment currency fields for a new order: the currency the customer
+  // shopped in and its current rate, locked in for later reads of the order
+  async getOrderCurrencyFields(store, currency) {
+    const storeCurrency = await this.resolvePresentmentCurrency(store, currency);
+
+    if (!storeCurrency) {
+      return { presentmentCurrency: null, exchangeRate: null };
+    }
+
+    return { presentmentCurrency: storeCurrency.currency, exchangeRate: storeCurrency.rate };
+  }
+
+  // Round an amount to the configured increment
+  roundAmount(amount, roundingMode = 'NEAREST', roundingIncrement = 0.01) {
+    const increment = Number(roundingIncrement) || 0.01;
+    const units = amount / increment;
+
+    let rounded;
+    switch (roundingMode) {
+      case 'NONE':
+        return Math.round(amount * 100) / 100;
+      case 'UP':
+        rounded = Math.ceil(units - 1e-9);
+        break;
+      case 'DOWN':
+        rounded = Math.floor(units + 1e-9);
+        break;
+      default:
+        rounded = Math.round(units);
+    }
+
+    return Math.round(rounded * increment * 100) / 100;
+  }
+
+  // Convert a store-currency amount into a presentment currency
+  convertAmount(amount, storeCurrency) {
+    if (amount === null || amount === undefined) {
+      return amount;
+    }
+
+    return this.roundAmount(
+      Number(amount) * Number(storeCurrency.rate),
+      storeCurrency.roundingMode,
+      storeCurrency.roundingIncrement
+    );
+  }
+
+  // Return a copy of a product with converted prices
+  convertProduct(product, storeCurrency) {
+    if (!storeCurrency) {
+      return product;
+    }
+
+    const converted = { ...product, currency: storeCurrency.currency };
+
+    for (const field of PRODUCT_PRICE_FIELDS) {
+      if (field in product) {
+        converted[field] = this.convertAmount(product[field], storeCurrency);
+      }
+    }
+
+    if (Array.isArray(product.variants)) {
+      converted.variants = product.variants.map(variant => {
+        const convertedVariant = { ...variant };
+        for (const field of VARIANT_PRICE_FIELDS) {
+          if (field in variant) {
+            convertedVariant[field] = this.convertAmount(variant[field], storeCurrency);
+          }
+        }
+        return convertedVariant;
+      });
+    }
+
+    return converted;
+  }
+
+  // Return a copy of an order with amounts in a presentment currency. Orders
+  // placed in that currency are converted at the rate locked in at checkout.
+  convertOrder(order, storeCurrency) {
+    if (!storeCurrency) {
+      return order;
+    }
+
+    const rate = order.presentmentCurrency === storeCurrency.currency && order.exchangeRate
+      ? { rate: order.exchangeRate, roundingMode: 'NONE' }
+      : storeCurrency;
+
+    const converted = { ...order, currency: storeCurrency.currency };
+
+    for (const field of ORDER_AMOUNT_FIELDS) {
+      if (field in order) {
+        converted[field] = this.convertAmount(order[field], rate);
+      }
+    }
+
+    if (Array.isArray(order.items)) {
+      converted.items = order.items.map(item => ({
+        ...item,
+        price: this.convertAmount(item.price, rate)
+      }));
+    }
+
+    return converted;
+  }
+
+  // Parse an uploaded rates file (CSV with a header row, or a JSON array)
+  parseRatesFile(file) {
+    const content = file.buffer.toString('utf8').replace(/^\uFEFF/, '');
+
+    if (file.originalname.toLowerCase().endsWith('.json')) {
+      try {
+        const rates = JSON.parse(content);
+        return Array.isArray(rates) ? rates : rates.rates;
+      } catch (error) {
+        throw new ValidationError('Rates file is not valid JSON');
+      }
+    }
+
+    const [header = [], ...rows] = parseCsv(content).filter(row => row.some(value => value.trim()));
+    const columns = header.map(column => column.trim());
+
+    if (!columns.includes('currency') || !columns.includes('rate')) {
+      throw new ValidationError(`Rates file must have a header row with columns: ${RATE_FILE_COLUMNS.join(', ')}`);
+    }
+
+    return rows.map(row => Object.fromEntries(
+      columns
+        .map((column, index) => [column, (row[index] || '').trim()])
+        .filter(([column, value]) => RATE_FILE_COLUMNS.includes(column) && value !== '')
+    ));
+  }
+
+  // Create or update a batch of rates in one transaction
+  async importRates(storeId, rates, source = 'IMPORT') {
+    const currencies = await prisma.$transaction(
+      rates.map(({ currency, ...data }) => prisma.storeCurrency.upsert({
+        where: { storeId_currency: { storeId, currency } },
+        create: { ...data, currency, source, storeId },
+        update: { ...data, source }
+      }))
+    );
+
+    logger.info(`Exchange rates imported: ${currencies.length} currencies for store ${storeId}`);
+
+    return currencies;
+  }
+}
+
+module.exports = new CurrencyService();
@@ -2,13 +2,32 @@ const fs = require('fs').promises;
 const path = require('path');
 const { PrismaClient } = require('@prisma/client');
 const logger = require('../utils/logger');
+const { ValidationError } = require('../middleware/errorHandler');
+const { getStoreSettings, formatPrice, formatDate } = require('../utils/storeSettings');
+const { getStoreTheme, getFontsUrl, BORDER_RADIUS } = require('../utils/storeTheme');
 const emailService = require('./emailService');
+const productExportService = require('./productExportService');
+const categoryService = require('./categoryService');
+const collectionService = require('./collectionService');
+const productAssociationService = require('./productAssociationService');
+const productBundleService = require('./productBundleService');
+const { IMAGE_SIZES } = require('./storage');
 
 const prisma = new PrismaClient();
 
+// CMS pages with these slugs replace the generated about and contact pages
+const BUILT_IN_PAGE_SLUGS = ['about', 'contact'];
+
+// Newest approved reviews shown on each product page
+const REVIEWS_PER_PAGE = 20;
+
+// Linked products shown per section of a product page, and cross-sells in the cart
+const LINKED_PRODUCTS_PER_SECTION = 4;
+
 class DeploymentService {
   constructor() {
     this.buildDir = path.join(__dirname, '../../builds');
+    this.previewDir = path.join(__dirname, '../../previews');
     this.templatesDir = path.join(__dirname, '../templates');
     this.ensureBuildDirectory();
   }
@@ -22,24 +41,85 @@ class DeploymentService {
     }
   }
 
-  // Deploy store
-  async deployStore(storeId, environment = 'production') {
+  // Load a store with everything the site generator needs
+  async loadStoreForBuild(storeId) {
+    const store = await prisma.store.findUnique({
+      where: { id: storeId },
+      include: {
+        user: true,
+        products: {
+          where: { isActive: true, status: 'PUBLISHED' },
+          include: {
+            options: { orderBy: { position: 'asc' } },
+            variants: { orderBy: { createdAt: 'asc' } },
+            productImages: { orderBy: { position: 'asc' } },
+            reviews: {
+              where: { status: 'APPROVED' },
+              orderBy: { createdAt: 'desc' },
+              take: REVIEWS_PER_PAGE
+            }
+          }
+        },
+        customers: true,
+        currencies: {
+          where: { isEnabled: true },
+          orderBy: { currency: 'asc' }
+        },
+        pages: {
+          where: { status: 'PUBLISHED' }
+        },
+        menus: true,
+        categories: true,
+        collections: {
+          where: { isPublished: true },
+          orderBy: { name: 'asc' }
+        }
+      }
+    });
+
+    if (!store) {
+      throw new Error('Store not found');
+    }
+
+    // Collection members are hand-picked or come from the collection rules
+    const collections = await Promise.all(store.collections.map(async (collection) => ({
+      ...collection,
+      productIds: await collectionService.getProductIds(collection)
+    })));
+
+    // Bundles are in stock while their components make up at least one
+    const bundles = await productBundleService.getStoreBundles(store.id);
+
+    const stocked = store.products.map(product => {
+      if (!product.isBundle) {
+        return product;
+      }
+
+      const { items, availability } = bundles.get(product.id) || { items: [], availability: 0 };
+      return {
+        ...product,
+        bundleItems: items,
+        inventory: availability === null ? 0 : availability,
+        trackInventory: availability !== null,
+        allowBackorder: false
+      };
+    });
+
+    // Related, upsell and cross-sell products among the published products
+    const linkedProducts = await productAssociationService.getStoreAssociations(store.id, stocked);
+    const products = stocked.map(product => ({ ...product, linkedProducts: linkedProducts.get(product.id) }));
+
+    return { ...store, products, collections };
+  }
+
+  // Deploy store. `notify: false` skips the owner email, for automatic redeploys.
+  async deployStore(storeId, environment = 'production', { notify = true } = {}) {
     try {
       // Get store data
-      const store = await prisma.store.findUnique({
-        where: { id: storeId },
-        include: {
-          user: true,
-          products: {
-            where: { isActive: true },
-            include: { variants: true }
-          },
-          customers: true
-        }
-      });
+      const store = await this.loadStoreForBuild(storeId);
 
-      if (!store) {
-        throw new Error('Store not found');
+      if (store.status === 'ARCHIVED') {
+        throw new ValidationError('Archived stores must be restored before they can be deployed');
       }
 
       // Create deployment record
@@ -89,10 +169,12 @@ class DeploymentService {
       });
 
       // Send deployment notification
-      try {
-        await emailService.sendStoreDeploymentNotification(store, deployment);
-      } catch (error) {
-        logger.error('Failed to send deployment notification:', error);
+      if (notify) {
+        try {
+          await emailService.sendStoreDeploymentNotification(store, deployment);
+        } catch (error) {
+          logger.error('Failed to send deployment notification:', error);
+        }
       }
 
       logger.info(`Store deployed successfully: ${store.name} (${deployment.id})`);
@@ -122,9 +204,7 @@ class DeploymentService {
   }
 
   // Generate static site from store configuration
-  async generateStaticSite(store, deployment) {
-    const buildPath = path.join(this.buildDir, store.slug);
-    
+  async generateStaticSite(store, deployment, buildPath = path.join(this.buildDir, store.slug)) {
     try {
       // Create build directory
       await fs.mkdir(buildPath, { recursive: true });
@@ -135,8 +215,12 @@ class DeploymentService {
       await this.generateProductPages(store, buildPath);
       await this.generateCartPage(store, buildPath);
       await this.generateCheckoutPage(store, buildPath);
+      await this.generateDownloadsPage(store, buildPath);
       await this.generateContactPage(store, buildPath);
       await this.generateAboutPage(store, buildPath);
+      await this.generateCmsPages(store, buildPath);
+      await this.generateCategoryPages(store, buildPath);
+      await this.generateCollectionPages(store, buildPath);
 
       // Generate CSS
       await this.generateStyles(store, buildPath);
@@ -153,6 +237,9 @@ class DeploymentService {
       // Generate robots.txt
       await this.generateRobotsTxt(store, buildPath);
 
+      // Generate the product feed for merchant platforms
+      await this.generateProductFeed(store, buildPath);
+
       return buildPath;
 
     } catch (error) {
@@ -161,11 +248,232 @@ class DeploymentService {
     }
   }
 
+  // Default storefront navigation, used when the store has no menu for a location
+  getDefaultNavLinks() {
+    return [
+      { label: 'Home', url: '/' },
+      { label: 'Products', url: '/products' },
+      { label: 'About', url: '/about' },
+      { label: 'Contact', url: '/contact' }
+    ];
+  }
+
+  // Published CMS page with the given slug, if any
+  findPage(store, slug) {
+    return (store.pages || []).find(page => page.slug === slug) || null;
+  }
+
+  // URL of a CMS page; about and contact replace the built-in pages
+  getPageUrl(page) {
+    return BUILT_IN_PAGE_SLUGS.includes(page.slug) ? `/${page.slug}` : `/pages/${page.slug}`;
+  }
+
+  // Navigation links for a menu location, resolved from the store's menu definitions.
+  // Links to pages that are missing or unpublished are left out.
+  getNavLinks(store, location = 'HEADER') {
+    const menu = (store.menus || []).find(m => m.location === location);
+
+    if (!menu) {
+      return location === 'HEADER' ? this.getDefaultNavLinks() : null;
+    }
+
+    return (menu.items || []).map(item => {
+      if (!item.pageId) {
+        return { label: item.label, url: item.url };
+      }
+
+      const page = (store.pages || []).find(p => p.id === item.pageId);
+      return page ? { label: item.label, url: this.getPageUrl(page) } : null;
+    }).filter(Boolean);
+  }
+
+  // Body classes for the theme's layout and color scheme
+  getBodyClass(store) {
+    const theme = getStoreTheme(store);
+    return `layout-${theme.layout}${theme.darkMode ? ' theme-dark' : ''}`;
+  }
+
+  // Render the currency switcher when the store has presentment currencies
+  renderCurrencySwitcher(store, settings) {
+    const currencies = [settings.currency, ...(store.currencies || []).map(c => c.currency)];
+
+    if (currencies.length < 2) {
+      return '';
+    }
+
+    return `<select id="currency-switcher" class="currency-switcher" aria-label="Currency">
+                ${currencies.map(currency => `<option value="${currency}">${currency}</option>`).join('')}
+            </select>`;
+  }
+
+  // Render the storefront header for the theme's layout
+  renderHeader(store, settings) {
+    const { layout } = getStoreTheme(store);
+    const links = this.getNavLinks(store, 'HEADER');
+    const cartLink = '<a href="/cart" class="cart-link">Cart (<span id="cart-count">0</span>)</a>';
+    const switcher = this.renderCurrencySwitcher(store, settings);
+
+    if (layout === 'classic') {
+      return `    <header class="header header--classic">
+        <div class="header-top">
+            <div class="nav-brand">
+                <h1><a href="/">${store.name}</a></h1>
+            </div>
+            <div class="header-actions">
+                ${switcher}
+                ${cartLink}
+            </div>
+        </div>
+        <nav class="nav">
+            <ul class="nav-menu">
+                ${links.map(link => `<li><a href="${this.escapeHtml(link.url)}">${this.escapeHtml(link.label)}</a></li>`).join('')}
+            </ul>
+        </nav>
+    </header>`;
+    }
+
+    if (layout === 'minimal') {
+      return `    <header class="header header--minimal">
+        <nav class="nav">
+            <a href="/" class="nav-brand">${store.name}</a>
+            <div class="nav-links">
+                ${links.map(link => `<a href="${this.escapeHtml(link.url)}">${this.escapeHtml(link.label)}</a>`).join('')}
+                ${cartLink}
+                ${switcher}
+            </div>
+        </nav>
+    </header>`;
+    }
+
+    return `    <header class="header">
+        <nav class="nav">
+            <div class="nav-brand">
+                <h1><a href="/">${store.name}</a></h1>
+            </div>
+            <ul class="nav-menu">
+                ${links.map(link => `<li><a href="${this.escapeHtml(link.url)}">${this.escapeHtml(link.label)}</a></li>`).join('')}
+                <li>${cartLink}</li>
+            </ul>
+            ${switcher}
+        </nav>
+    </header>`;
+  }
+
+  // Render the main product image; uploaded images come with responsive sizes and alt text
+  renderProductImage(product, sizes) {
+    const [image] = product.productImages || [];
+
+    if (!image || image.url !== product.images[0]) {
+      return `<img src="${product.images[0] || '/placeholder.jpg'}" alt="${product.name}">`;
+    }
+
+    // Sizes are never upscaled, so small originals have several copies of the
+    // same width; srcset only lists each width once
+    const widths = new Map();
+    for (const [size, url] of Object.entries(image.sizes || {})) {
+      const width = Math.min(IMAGE_SIZES[size], image.width || Infinity);
+      if (!widths.has(width)) {
+        widths.set(width, url);
+      }
+    }
+    const srcset = [...widths].map(([width, url]) => `${url} ${width}w`).join(', ');
+
+    return `<img src="${image.sizes.medium || image.url}"${srcset ? ` srcset="${srcset}" sizes="${sizes}"` : ''} alt="${this.escapeHtml(image.altText || product.name)}"${image.width ? ` width="${image.width}" height="${image.height}"` : ''} loading="lazy">`;
+  }
+
+  // Render a product card; minimal layouts drop the description and cart button
+  renderProductCard(product, settings, theme, showDescription = false) {
+    const url = `/product/${product.urlHandle || product.id}`;
+    const description = product.shortDescription || product.description;
+
+    return `
+                    <div class="product-card">
+                        <a href="${url}" class="product-card-image">
+                            ${this.renderProductImage(product, '(max-width: 600px) 50vw, 320px')}
+                        </a>
+                        <div class="product-card-body">
+                            <h4><a href="${url}">${product.name}</a></h4>
+                            ${theme.layout !== 'minimal' && (showDescription || theme.layout === 'classic') && description ? `<p class="description">${description}</p>` : ''}
+                            <p class="price" data-price="${product.price}">${formatPrice(product.price, settings)}</p>
+                            ${theme.layout !== 'minimal' ? this.renderCardAction(product, url) : ''}
+                        </div>
+                    </div>`;
+  }
+
+  // Cart button of a product card. Products with options are chosen on their page.
+  renderCardAction(product, url) {
+    if (!this.isPurchasable(product)) {
+      return '<button class="btn btn-secondary" disabled>Sold Out</button>';
+    }
+
+    if (this.hasOptions(product)) {
+      return `<a href="${url}" class="btn btn-secondary">Choose Options</a>`;
+    }
+
+    return `<button class="btn btn-secondary" onclick="${this.renderAddToCart(product)}">Add to Cart</button>`;
+  }
+
+  // Render a grid of product cards for the theme's layout
+  renderProductGrid(store, products, settings, showDescription = false) {
+    const theme = getStoreTheme(store);
+
+    return `<div class="products-grid products-grid--${theme.layout} cards-${theme.productCardStyle}">
+                ${products.map(product => this.renderProductCard(product, settings, theme, showDescription)).join('')}
+            </div>`;
+  }
+
+  // Render the storefront footer for the theme's layout
+  renderFooter(store, settings) {
+    const { layout } = getStoreTheme(store);
+    const copyright = `&copy; ${new Date().getFullYear()} ${store.name}`;
+    const footerLinks = this.getNavLinks(store, 'FOOTER');
+    const renderLinks = (links) => links.map(link => `<a href="${this.escapeHtml(link.url)}">${this.escapeHtml(link.label)}</a>`).join('');
+
+    if (layout === 'classic') {
+      const contact = settings.contactAddress || {};
+
+      return `    <footer class="footer footer--classic">
+        <div class="footer-columns">
+            <div class="footer-column">
+                <h4>${store.name}</h4>
+                <p>${store.description || ''}</p>
+            </div>
+            <div class="footer-column">
+                <h4>Shop</h4>
+                <ul>
+                    ${(footerLinks || this.getNavLinks(store, 'HEADER')).map(link => `<li><a href="${this.escapeHtml(link.url)}">${this.escapeHtml(link.label)}</a></li>`).join('')}
+                </ul>
+            </div>
+            <div class="footer-column">
+                <h4>Contact</h4>
+                ${contact.email ? `<p><a href="mailto:${contact.email}">${contact.email}</a></p>` : ''}
+                ${contact.phone ? `<p>${contact.phone}</p>` : ''}
+                <p><a href="/contact">Get in touch</a></p>
+            </div>
+        </div>
+        <p class="footer-copyright">${copyright}. All rights reserved.</p>
+    </footer>`;
+    }
+
+    if (layout === 'minimal') {
+      return `    <footer class="footer footer--minimal">
+        ${footerLinks ? `<nav class="footer-links">${renderLinks(footerLinks)}</nav>` : ''}
+        <p>${copyright}</p>
+    </footer>`;
+    }
+
+    return `    <footer class="footer">
+        ${footerLinks ? `<nav class="footer-links">${renderLinks(footerLinks)}</nav>` : ''}
+        <p>${copyright}. All rights reserved.</p>
+    </footer>`;
+  }
+
   // Generate home page
   async generateHomePage(store, buildPath) {
+    const settings = getStoreSettings(store);
     const html = `
 <!DOCTYPE html>
-<html lang="en">
+<html lang="${settings.locale}">
 <head>
     <meta charset="UTF-8">
     <meta name="viewport" content="width=device-width, initial-scale=1.0">
@@ -174,21 +482,8 @@ class DeploymentService {
     <link rel="stylesheet" href="/styles.css">
     <link rel="canonical" href="${this.generateStoreUrl(store)}">
 </head>
-<body>
-    <header class="header">
-        <nav class="nav">
-            <div class="nav-brand">
-                <h1>${store.name}</h1>
-            </div>
-            <ul class="nav-menu">
-                <li><a href="/">Home</a></li>
-                <li><a href="/products">Products</a></li>
-                <li><a href="/about">About</a></li>
-                <li><a href="/contact">Contact</a></li>
-                <li><a href="/cart" class="cart-link">Cart (<span id="cart-count">0</span>)</a></li>
-            </ul>
-        </nav>
-    </header>
+<body class="${this.getBodyClass(store)}">
+${this.renderHeader(store, settings)}
 
     <main class="main">
         <section class="hero">
@@ -201,22 +496,11 @@ class DeploymentService {
 
         <section class="featured-products">
             <h3>Featured Products</h3>
-            <div class="products-grid">
-                ${store.products.slice(0, 6).map(product => `
-                    <div class="product-card">
-                        <img src="${product.images[0] || '/placeholder.jpg'}" alt="${product.name}">
-                        <h4>${product.name}</h4>
-                        <p class="price">$${product.price}</p>
-                        <button class="btn btn-secondary" onclick="addToCart('${product.id}')">Add to Cart</button>
-                    </div>
-                `).join('')}
-            </div>
+            ${this.renderProductGrid(store, store.products.slice(0, 6), settings)}
         </section>
     </main>
 
-    <footer class="footer">
-        <p>&copy; 2024 ${store.name}. All rights reserved.</p>
-    </footer>
+${this.renderFooter(store, settings)}
 
     <script src="/scripts.js"></script>
 </body>
@@ -227,9 +511,10 @@ class DeploymentService {
 
   // Generate products page
   async generateProductsPage(store, buildPath) {
+    const settings = getStoreSettings(store);
     const html = `
 <!DOCTYPE html>
-<html lang="en">
+<html lang="${settings.locale}">
 <head>
     <meta charset="UTF-8">
     <meta name="viewport" content="width=device-width, initial-scale=1.0">
@@ -237,42 +522,17 @@ class DeploymentService {
     <meta name="description" content="Browse our collection of products">
     <link rel="stylesheet" href="/styles.css">
 </head>
-<body>
-    <header class="header">
-        <nav class="nav">
-            <div class="nav-brand">
-                <h1><a href="/">${store.name}</a></h1>
-            </div>
-            <ul class="nav-menu">
-                <li><a href="/">Home</a></li>
-                <li><a href="/products">Products</a></li>
-                <li><a href="/about">About</a></li>
-                <li><a href="/contact">Contact</a></li>
-                <li><a href="/cart" class="cart-link">Cart (<span id="cart-count">0</span>)</a></li>
-            </ul>
-        </nav>
-    </header>
+<body class="${this.getBodyClass(store)}">
+${this.renderHeader(store, settings)}
 
     <main class="main">
         <section class="products-section">
             <h2>All Products</h2>
-            <div class="products-grid">
-                ${store.products.map(product => `
-                    <div class="product-card">
-                        <img src="${product.images[0] || '/placeholder.jpg'}" alt="${product.name}">
-                        <h4>${product.name}</h4>
-                        <p class="description">${product.shortDescription || product.description}</p>
-                        <p class="price">$${product.price}</p>
-                        <button class="btn btn-secondary" onclick="addToCart('${product.id}')">Add to Cart</button>
-                    </div>
-                `).join('')}
-            </div>
+            ${this.renderProductGrid(store, store.products, settings, true)}
         </section>
     </main>
 
-    <footer class="footer">
-        <p>&copy; 2024 ${store.name}. All rights reserved.</p>
-    </footer>
+${this.renderFooter(store, settings)}
 
     <script src="/scripts.js"></script>
 </body>
@@ -283,55 +543,44 @@ class DeploymentService {
 
   // Generate individual product pages
   async generateProductPages(store, buildPath) {
+    const settings = getStoreSettings(store);
     const productsDir = path.join(buildPath, 'product');
     await fs.mkdir(productsDir, { recursive: true });
 
     for (const product of store.products) {
       const html = `
 <!DOCTYPE html>
-<html lang="en">
+<html lang="${settings.locale}">
 <head>
     <meta charset="UTF-8">
     <meta name="viewport" content="width=device-width, initial-scale=1.0">
     <title>${product.name} - ${store.name}</title>
     <meta name="description" content="${product.metaDescription || product.description}">
     <link rel="stylesheet" href="/styles.css">
+    ${this.renderProductStructuredData(product, settings)}
 </head>
-<body>
-    <header class="header">
-        <nav class="nav">
-            <div class="nav-brand">
-                <h1><a href="/">${store.name}</a></h1>
-            </div>
-            <ul class="nav-menu">
-                <li><a href="/">Home</a></li>
-                <li><a href="/products">Products</a></li>
-                <li><a href="/about">About</a></li>
-                <li><a href="/contact">Contact</a></li>
-                <li><a href="/cart" class="cart-link">Cart (<span id="cart-count">0</span>)</a></li>
-            </ul>
-        </nav>
-    </header>
+<body class="${this.getBodyClass(store)}">
+${this.renderHeader(store, settings)}
 
     <main class="main">
         <section class="product-detail">
             <div class="product-images">
-                <img src="${product.images[0] || '/placeholder.jpg'}" alt="${product.name}">
+                ${this.renderProductImage(product, '(max-width: 768px) 100vw, 50vw')}
             </div>
             <div class="product-info">
                 <h1>${product.name}</h1>
                 <p class="description">${product.description}</p>
-                <p class="price">$${product.price}</p>
-                <div class="product-actions">
-                    <button class="btn btn-primary" onclick="addToCart('${product.id}')">Add to Cart</button>
-                </div>
+                <p class="price" data-price="${product.price}">${formatPrice(product.price, settings)}</p>
+                ${this.renderTaxNote(settings)}
+                ${this.renderBundleItems(product)}
+                ${this.renderProductActions(product)}
             </div>
         </section>
+        ${this.renderLinkedProducts(store, product, settings)}
+        ${this.renderReviews(store, product, settings)}
     </main>
 
-    <footer class="footer">
-        <p>&copy; 2024 ${store.name}. All rights reserved.</p>
-    </footer>
+${this.renderFooter(store, settings)}
 
     <script src="/scripts.js"></script>
 </body>
@@ -342,32 +591,229 @@ class DeploymentService {
     }
   }
 
+  // Upsell and related product sections of a product page
+  renderLinkedProducts(store, product, settings) {
+    const { upsell = [], related = [] } = product.linkedProducts || {};
+    const sections = [
+      { title: 'You May Prefer', products: upsell },
+      { title: 'You May Also Like', products: related }
+    ];
+
+    return sections
+      .filter(section => section.products.length > 0)
+      .map(section => `<section class="linked-products">
+            <h3>${section.title}</h3>
+            ${this.renderProductGrid(store, section.products.slice(0, LINKED_PRODUCTS_PER_SECTION), settings)}
+        </section>`)
+      .join('');
+  }
+
+  // schema.org Product markup for search engines; the rating and reviews are
+  // included once the product has approved reviews
+  renderProductStructuredData(product, settings) {
+    const [image] = product.productImages || [];
+    const data = {
+      '@context': 'https://schema.org',
+      '@type': 'Product',
+      name: product.name,
+      description: product.description || undefined,
+      sku: product.sku || undefined,
+      image: image ? image.url : undefined,
+      offers: {
+        '@type': 'Offer',
+        price: Number(product.price).toFixed(2),
+        priceCurrency: settings.currency
+      }
+    };
+
+    if (product.reviewCount > 0) {
+      data.aggregateRating = {
+        '@type': 'AggregateRating',
+        ratingValue: Number(product.ratingAverage),
+        reviewCount: product.reviewCount,
+        bestRating: 5,
+        worstRating: 1
+      };
+      data.review = (product.reviews || []).map(review => ({
+        '@type': 'Review',
+        author: { '@type': 'Person', name: review.authorName },
+        datePublished: new Date(review.createdAt).toISOString().slice(0, 10),
+        name: review.title || undefined,
+        reviewBody: review.body || undefined,
+        reviewRating: { '@type': 'Rating', ratingValue: review.rating, bestRating: 5, worstRating: 1 }
+      }));
+    }
+
+    // "<" is escaped so review text cannot close the script element
+    return `<script type="application/ld+json">${JSON.stringify(data).replace(/</g, '\\u003c')}</script>`;
+  }
+
+  // Star rating out of five, rounded to whole stars
+  renderStars(rating) {
+    const stars = Math.round(rating);
+    return `<span class="stars" aria-label="${Number(rating).toFixed(1)} out of 5">${'★'.repeat(stars)}${'☆'.repeat(5 - stars)}</span>`;
+  }
+
+  // Approved reviews with the store's replies, and the form to submit one
+  renderReviews(store, product, settings) {
+    const reviews = product.reviews || [];
+    const summary = product.reviewCount > 0
+      ? `<p class="rating-summary">${this.renderStars(Number(product.ratingAverage))} ${Number(product.ratingAverage).toFixed(1)} out of 5 (${product.reviewCount} ${product.reviewCount === 1 ? 'review' : 'reviews'})</p>`
+      : '<p class="rating-summary">No reviews yet.</p>';
+
+    const items = reviews.map(review => `
+            <article class="review">
+                <p>${this.renderStars(review.rating)}</p>
+                ${review.title ? `<h3>${this.escapeHtml(review.title)}</h3>` : ''}
+                <p class="review-meta">${this.escapeHtml(review.authorName)}${review.isVerifiedPurchase ? ' <span class="verified">Verified purchase</span>' : ''} &middot; ${formatDate(review.createdAt, settings)}</p>
+                ${review.body ? `<p>${this.escapeHtml(review.body)}</p>` : ''}
+                ${review.reply ? `<div class="review-reply"><strong>Reply from ${this.escapeHtml(store.name)}</strong><p>${this.escapeHtml(review.reply)}</p></div>` : ''}
+            </article>`).join('');
+
+    return `<section class="reviews-section" id="reviews">
+            <h2>Customer Reviews</h2>
+            ${summary}
+            ${items}
+            <form class="review-form" data-product-id="${product.id}" onsubmit="submitReview(event)">
+                <h3>Write a review</h3>
+                <select name="rating" required>
+                    ${[5, 4, 3, 2, 1].map(rating => `<option value="${rating}">${rating} ${rating === 1 ? 'star' : 'stars'}</option>`).join('')}
+                </select>
+                <input type="text" name="name" placeholder="Your name" maxlength="100" required>
+                <input type="email" name="email" placeholder="Your email (not published)" required>
+                <input type="text" name="title" placeholder="Title" maxlength="100">
+                <textarea name="body" placeholder="Your review" maxlength="2000"></textarea>
+                <button type="submit" class="btn btn-secondary">Submit Review</button>
+            </form>
+        </section>`;
+  }
+
+  // Whether the store's prices include tax, shown next to product and cart prices
+  renderTaxNote(settings) {
+    return `<p class="tax-note">${settings.taxInclusive ? 'Tax included.' : 'Excluding tax; tax is calculated at checkout.'}</p>`;
+  }
+
+  // Escape text for use in HTML content and attribute values
+  escapeHtml(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+
+  // Contents of a bundle product page
+  renderBundleItems(product) {
+    if (!product.isBundle || !product.bundleItems || product.bundleItems.length === 0) {
+      return '';
+    }
+
+    const items = product.bundleItems.map(item => {
+      const name = this.escapeHtml(item.variant ? `${item.product.name} - ${item.variant.title}` : item.product.name);
+      return `<li>${item.quantity} &times; ${name}</li>`;
+    }).join('');
+
+    return `<div class="bundle-items">
+                    <h3>This bundle includes</h3>
+                    <ul>${items}</ul>
+                </div>`;
+  }
+
+  // Sign-up form for an email when a sold-out item is back in stock. Shown by
+  // scripts.js when the selected variant is sold out.
+  renderBackInStockForm(product, hidden) {
+    return `<form class="back-in-stock" data-product-id="${product.id}" onsubmit="subscribeToStock(event)"${hidden ? ' hidden' : ''}>
+                    <p>Sold out. Get an email when it's back in stock.</p>
+                    <input type="email" name="email" placeholder="Your email" required>
+                    <button type="submit" class="btn btn-secondary">Notify Me</button>
+                </form>`;
+  }
+
+  // Add-to-cart call for a product without options. Cart lines remember digital
+  // products so checkout can skip shipping.
+  renderAddToCart(product) {
+    return product.isDigital ? `addToCart('${product.id}', null, true)` : `addToCart('${product.id}')`;
+  }
+
+  // Whether a product, or one of its variants, can be sold now
+  isAvailable(product, item = product) {
+    return !product.trackInventory || product.allowBackorder || item.inventory > 0;
+  }
+
+  // Products with options are bought per variant
+  hasOptions(product) {
+    return (product.options || []).length > 0 && (product.variants || []).length > 0;
+  }
+
+  // Whether any item of a product can be bought
+  isPurchasable(product) {
+    return this.hasOptions(product)
+      ? product.variants.some(variant => this.isAvailable(product, variant))
+      : this.isAvailable(product);
+  }
+
+  // Add-to-cart controls; products with options get a selector per option
+  renderProductActions(product) {
+    const options = product.options || [];
+    const isAvailable = (item) => this.isAvailable(product, item);
+
+    if (!this.hasOptions(product)) {
+      if (!isAvailable(product)) {
+        return `<div class="product-actions">
+                    <button class="btn btn-primary" disabled>Sold Out</button>
+                </div>
+                ${product.isBundle ? '' : this.renderBackInStockForm(product, false)}`;
+      }
+
+      return `<div class="product-actions">
+                    <button class="btn btn-primary" onclick="${this.renderAddToCart(product)}">Add to Cart</button>
+                </div>`;
+    }
+
+    const variants = product.variants.map(variant => ({
+      id: variant.id,
+      title: variant.title,
+      price: Number(variant.price),
+      available: isAvailable(variant),
+      options: options.map(option => variant[`option${option.position}`])
+    }));
+
+    const selectors = options.map((option, index) => `
+                    <label class="product-option">
+                        <span>${this.escapeHtml(option.name)}</span>
+                        <select data-option-index="${index}">
+                            ${option.values.map(value => `<option value="${this.escapeHtml(value)}">${this.escapeHtml(value)}</option>`).join('')}
+                        </select>
+                    </label>`).join('');
+
+    // "<" is escaped so option values cannot close the script element
+    const variantsJson = JSON.stringify(variants).replace(/</g, '\\u003c');
+
+    return `<form class="product-options" data-product-id="${product.id}"${product.isDigital ? ' data-digital="true"' : ''} onsubmit="addSelectedVariantToCart(event)">
+                    ${selectors}
+                    <script type="application/json" class="product-variants">${variantsJson}</script>
+                    <div class="product-actions">
+                        <button type="submit" class="btn btn-primary">Add to Cart</button>
+                    </div>
+                </form>
+                ${this.renderBackInStockForm(product, true)}`;
+  }
+
   // Generate cart page
   async generateCartPage(store, buildPath) {
+    const settings = getStoreSettings(store);
+    const theme = getStoreTheme(store);
     const html = `
 <!DOCTYPE html>
-<html lang="en">
+<html lang="${settings.locale}">
 <head>
     <meta charset="UTF-8">
     <meta name="viewport" content="width=device-width, initial-scale=1.0">
     <title>Cart - ${store.name}</title>
     <link rel="stylesheet" href="/styles.css">
 </head>
-<body>
-    <header class="header">
-        <nav class="nav">
-            <div class="nav-brand">
-                <h1><a href="/">${store.name}</a></h1>
-            </div>
-            <ul class="nav-menu">
-                <li><a href="/">Home</a></li>
-                <li><a href="/products">Products</a></li>
-                <li><a href="/about">About</a></li>
-                <li><a href="/contact">Contact</a></li>
-                <li><a href="/cart" class="cart-link">Cart (<span id="cart-count">0</span>)</a></li>
-            </ul>
-        </nav>
-    </header>
+<body class="${this.getBodyClass(store)}">
+${this.renderHeader(store, settings)}
 
     <main class="main">
         <section class="cart-section">
@@ -376,35 +822,66 @@ class DeploymentService {
                 <!-- Cart items will be populated by JavaScript -->
             </div>
             <div class="cart-total">
-                <h3>Total: $<span id="cart-total">0.00</span></h3>
+                <h3>Total: <span id="cart-total" data-price="0">${formatPrice(0, settings)}</span></h3>
+                ${this.renderTaxNote(settings)}
                 <button class="btn btn-primary" onclick="proceedToCheckout()">Proceed to Checkout</button>
             </div>
         </section>
+
+        <section class="linked-products" id="cross-sells" hidden>
+            <h3>Complete Your Order</h3>
+            <div class="products-grid products-grid--${theme.layout} cards-${theme.productCardStyle}"></div>
+        </section>
     </main>
 
-    <footer class="footer">
-        <p>&copy; 2024 ${store.name}. All rights reserved.</p>
-    </footer>
+${this.renderFooter(store, settings)}
 
     <script src="/scripts.js"></script>
 </body>
 </html>`;
 
     await fs.writeFile(path.join(buildPath, 'cart.html'), html);
+    await this.generateCrossSells(store, buildPath);
+  }
+
+  // Write the cross-sells of each product for the cart page, which only knows
+  // the ids of the products in the cart
+  async generateCrossSells(store, buildPath) {
+    const crossSells = {};
+
+    for (const product of store.products) {
+      const { crossSell = [] } = product.linkedProducts || {};
+      if (crossSell.length === 0) {
+        continue;
+      }
+
+      crossSells[product.id] = crossSell.filter(linked => this.isPurchasable(linked)).slice(0, LINKED_PRODUCTS_PER_SECTION).map(linked => ({
+        id: linked.id,
+        name: linked.name,
+        price: Number(linked.price),
+        url: `/product/${linked.urlHandle || linked.id}`,
+        image: linked.images[0] || '/placeholder.jpg',
+        digital: linked.isDigital,
+        hasOptions: this.hasOptions(linked)
+      }));
+    }
+
+    await fs.writeFile(path.join(buildPath, 'cross-sells.json'), JSON.stringify(crossSells));
   }
 
   // Generate checkout page
   async generateCheckoutPage(store, buildPath) {
+    const settings = getStoreSettings(store);
     const html = `
 <!DOCTYPE html>
-<html lang="en">
+<html lang="${settings.locale}">
 <head>
     <meta charset="UTF-8">
     <meta name="viewport" content="width=device-width, initial-scale=1.0">
     <title>Checkout - ${store.name}</title>
     <link rel="stylesheet" href="/styles.css">
 </head>
-<body>
+<body class="${this.getBodyClass(store)}">
     <header class="header">
         <nav class="nav">
             <div class="nav-brand">
@@ -423,7 +900,7 @@ class DeploymentService {
                     <input type="tel" name="phone" placeholder="Phone">
                 </div>
                 
-                <div class="form-section">
+                <div class="form-section" id="shipping-section">
                     <h3>Shipping Address</h3>
                     <input type="text" name="firstName" placeholder="First Name" required>
                     <input type="text" name="lastName" placeholder="Last Name" required>
@@ -446,9 +923,7 @@ class DeploymentService {
         </section>
     </main>
 
-    <footer class="footer">
-        <p>&copy; 2024 ${store.name}. All rights reserved.</p>
-    </footer>
+${this.renderFooter(store, settings)}
 
     <script src="/scripts.js"></script>
 </body>
@@ -457,37 +932,62 @@ class DeploymentService {
     await fs.writeFile(path.join(buildPath, 'checkout.html'), html);
   }
 
+  // Generate the download page linked from order emails; files are listed by
+  // the storefront API once it has checked the order token
+  async generateDownloadsPage(store, buildPath) {
+    const settings = getStoreSettings(store);
+    const html = `
+<!DOCTYPE html>
+<html lang="${settings.locale}">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <meta name="robots" content="noindex">
+    <title>Your Downloads - ${store.name}</title>
+    <link rel="stylesheet" href="/styles.css">
+</head>
+<body class="${this.getBodyClass(store)}">
+${this.renderHeader(store, settings)}
+
+    <main class="main">
+        <section class="downloads-section">
+            <h2>Your Downloads</h2>
+            <div id="downloads">
+                <p>Loading your files...</p>
+            </div>
+        </section>
+    </main>
+
+${this.renderFooter(store, settings)}
+
+    <script src="/scripts.js"></script>
+</body>
+</html>`;
+
+    await fs.writeFile(path.join(buildPath, 'downloads.html'), html);
+  }
+
   // Generate contact page
   async generateContactPage(store, buildPath) {
+    const settings = getStoreSettings(store);
+    const page = this.findPage(store, 'contact');
     const html = `
 <!DOCTYPE html>
-<html lang="en">
+<html lang="${settings.locale}">
 <head>
     <meta charset="UTF-8">
     <meta name="viewport" content="width=device-width, initial-scale=1.0">
     <title>Contact - ${store.name}</title>
     <link rel="stylesheet" href="/styles.css">
 </head>
-<body>
-    <header class="header">
-        <nav class="nav">
-            <div class="nav-brand">
-                <h1><a href="/">${store.name}</a></h1>
-            </div>
-            <ul class="nav-menu">
-                <li><a href="/">Home</a></li>
-                <li><a href="/products">Products</a></li>
-                <li><a href="/about">About</a></li>
-                <li><a href="/contact">Contact</a></li>
-                <li><a href="/cart" class="cart-link">Cart (<span id="cart-count">0</span>)</a></li>
-            </ul>
-        </nav>
-    </header>
+<body class="${this.getBodyClass(store)}">
+${this.renderHeader(store, settings)}
 
     <main class="main">
         <section class="contact-section">
-            <h2>Contact Us</h2>
-            <p>Get in touch with us for any questions or support.</p>
+            <h2>${page ? page.title : 'Contact Us'}</h2>
+            ${page ? `<div class="page-content">${page.content}</div>` : '<p>Get in touch with us for any questions or support.</p>'}
+            ${this.renderContactAddress(settings.contactAddress)}
             <form class="contact-form">
                 <input type="text" name="name" placeholder="Your Name" required>
                 <input type="email" name="email" placeholder="Your Email" required>
@@ -497,9 +997,7 @@ class DeploymentService {
         </section>
     </main>
 
-    <footer class="footer">
-        <p>&copy; 2024 ${store.name}. All rights reserved.</p>
-    </footer>
+${this.renderFooter(store, settings)}
 
     <script src="/scripts.js"></script>
 </body>
@@ -508,43 +1006,51 @@ class DeploymentService {
     await fs.writeFile(path.join(buildPath, 'contact.html'), html);
   }
 
+  // Render the store's contact address block
+  renderContactAddress(address) {
+    if (!address) {
+      return '';
+    }
+
+    const locality = [address.city, address.state, address.zip].filter(Boolean).join(', ');
+    const lines = [address.company, address.address1, address.address2, locality, address.country]
+      .filter(Boolean)
+      .map(line => `<p>${line}</p>`)
+      .join('');
+
+    return `
+            <address class="contact-address">
+                ${lines}
+                ${address.phone ? `<p><a href="tel:${address.phone}">${address.phone}</a></p>` : ''}
+                ${address.email ? `<p><a href="mailto:${address.email}">${address.email}</a></p>` : ''}
+            </address>`;
+  }
+
   // Generate about page
   async generateAboutPage(store, buildPath) {
+    const settings = getStoreSettings(store);
+    const page = this.findPage(store, 'about');
     const html = `
 <!DOCTYPE html>
-<html lang="en">
+<html lang="${settings.locale}">
 <head>
     <meta charset="UTF-8">
     <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>About - ${store.name}</title>
+    <title>${page ? page.metaTitle || page.title : 'About'} - ${store.name}</title>
     <link rel="stylesheet" href="/styles.css">
 </head>
-<body>
-    <header class="header">
-        <nav class="nav">
-            <div class="nav-brand">
-                <h1><a href="/">${store.name}</a></h1>
-            </div>
-            <ul class="nav-menu">
-                <li><a href="/">Home</a></li>
-                <li><a href="/products">Products</a></li>
-                <li><a href="/about">About</a></li>
-                <li><a href="/contact">Contact</a></li>
-                <li><a href="/cart" class="cart-link">Cart (<span id="cart-count">0</span>)</a></li>
-            </ul>
-        </nav>
-    </header>
+<body class="${this.getBodyClass(store)}">
+${this.renderHeader(store, settings)}
 
     <main class="main">
         <section class="about-section">
-            <h2>About ${store.name}</h2>
-            <p>${store.description || 'We are dedicated to providing quality products and excellent service to our customers.'}</p>
+            ${page ? `<h2>${page.title}</h2>
+            <div class="page-content">${page.content}</div>` : `<h2>About ${store.name}</h2>
+            <p>${store.description || 'We are dedicated to providing quality products and excellent service to our customers.'}</p>`}
         </section>
     </main>
 
-    <footer class="footer">
-        <p>&copy; 2024 ${store.name}. All rights reserved.</p>
-    </footer>
+${this.renderFooter(store, settings)}
 
     <script src="/scripts.js"></script>
 </body>
@@ -553,13 +1059,182 @@ class DeploymentService {
     await fs.writeFile(path.join(buildPath, 'about.html'), html);
   }
 
+  // Generate a page for every published CMS page (about and contact are built above)
+  async generateCmsPages(store, buildPath) {
+    const settings = getStoreSettings(store);
+    const pages = (store.pages || []).filter(page => !BUILT_IN_PAGE_SLUGS.includes(page.slug));
+
+    if (pages.length === 0) {
+      return;
+    }
+
+    const pagesDir = path.join(buildPath, 'pages');
+    await fs.mkdir(pagesDir, { recursive: true });
+
+    for (const page of pages) {
+      const html = `
+<!DOCTYPE html>
+<html lang="${settings.locale}">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${page.metaTitle || page.title} - ${store.name}</title>
+    <meta name="description" content="${page.metaDescription || store.metaDescription || store.description || ''}">
+    <link rel="stylesheet" href="/styles.css">
+</head>
+<body class="${this.getBodyClass(store)}">
+${this.renderHeader(store, settings)}
+
+    <main class="main">
+        <article class="page-section">
+            <h1>${page.title}</h1>
+            <div class="page-content">${page.content}</div>
+        </article>
+    </main>
+
+${this.renderFooter(store, settings)}
+
+    <script src="/scripts.js"></script>
+</body>
+</html>`;
+
+      await fs.writeFile(path.join(pagesDir, `${page.slug}.html`), html);
+    }
+  }
+
+  // Landing page shared by categories and collections
+  renderListingPage(store, settings, { title, description, image, breadcrumbs = [], links = [], products }) {
+    return `
+<!DOCTYPE html>
+<html lang="${settings.locale}">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${this.escapeHtml(title)} - ${store.name}</title>
+    <meta name="description" content="${this.escapeHtml(description || `${title} at ${store.name}`)}">
+    <link rel="stylesheet" href="/styles.css">
+</head>
+<body class="${this.getBodyClass(store)}">
+${this.renderHeader(store, settings)}
+
+    <main class="main">
+        <section class="products-section listing">
+            ${breadcrumbs.length > 0 ? `<nav class="breadcrumbs" aria-label="Breadcrumb">
+                ${breadcrumbs.map(link => `<a href="${this.escapeHtml(link.url)}">${this.escapeHtml(link.label)}</a>`).join(' / ')}
+            </nav>` : ''}
+            <header class="listing-header">
+                ${image ? `<img src="${this.escapeHtml(image)}" alt="${this.escapeHtml(title)}">` : ''}
+                <h2>${this.escapeHtml(title)}</h2>
+                ${description ? `<p>${this.escapeHtml(description)}</p>` : ''}
+            </header>
+            ${links.length > 0 ? `<nav class="listing-links">
+                ${links.map(link => `<a href="${this.escapeHtml(link.url)}">${this.escapeHtml(link.label)}</a>`).join('')}
+            </nav>` : ''}
+            ${products.length > 0
+    ? this.renderProductGrid(store, products, settings)
+    : '<p class="listing-empty">No products here yet.</p>'}
+        </section>
+    </main>
+
+${this.renderFooter(store, settings)}
+
+    <script src="/scripts.js"></script>
+</body>
+</html>`;
+  }
+
+  // Generate a landing page per category, listing the products of its subcategories too
+  async generateCategoryPages(store, buildPath) {
+    const categories = store.categories || [];
+
+    if (categories.length === 0) {
+      return;
+    }
+
+    const settings = getStoreSettings(store);
+    const categoriesDir = path.join(buildPath, 'category');
+    await fs.mkdir(categoriesDir, { recursive: true });
+
+    const toLink = (category) => ({ label: category.name, url: `/category/${category.slug}` });
+
+    for (const category of categories) {
+      const categoryIds = categoryService.getDescendantIds(categories, category.id);
+
+      const html = this.renderListingPage(store, settings, {
+        title: category.name,
+        description: category.description,
+        image: category.image,
+        breadcrumbs: categoryService.getAncestors(categories, category).map(toLink),
+        links: categoryService.buildTree(categories, category.id).map(toLink),
+        products: store.products.filter(product => categoryIds.includes(product.categoryId))
+      });
+
+      await fs.writeFile(path.join(categoriesDir, `${category.slug}.html`), html);
+    }
+  }
+
+  // Generate a landing page per published collection, in collection order
+  async generateCollectionPages(store, buildPath) {
+    const collections = store.collections || [];
+
+    if (collections.length === 0) {
+      return;
+    }
+
+    const settings = getStoreSettings(store);
+    const collectionsDir = path.join(buildPath, 'collection');
+    await fs.mkdir(collectionsDir, { recursive: true });
+
+    for (const collection of collections) {
+      const html = this.renderListingPage(store, settings, {
+        title: collection.name,
+        description: collection.description,
+        image: collection.image,
+        products: collection.productIds
+          .map(id => store.products.find(product => product.id === id))
+          .filter(Boolean)
+      });
+
+      await fs.writeFile(path.join(collectionsDir, `${collection.slug}.html`), html);
+    }
+  }
+
   // Generate CSS styles
   async generateStyles(store, buildPath) {
-    const theme = store.theme || {};
-    const primaryColor = theme.primaryColor || '#3B82F6';
-    const secondaryColor = theme.secondaryColor || '#1F2937';
+    const theme = getStoreTheme(store);
+    const { primaryColor, secondaryColor, fonts } = theme;
+    const fontsUrl = getFontsUrl(theme);
+
+    // Primary button declarations for each button style
+    const primaryButton = {
+      solid: 'background: var(--color-primary);\n    color: white;',
+      outline: 'background: transparent;\n    color: var(--color-primary);\n    border-color: var(--color-primary);',
+      soft: 'background: color-mix(in srgb, var(--color-primary) 15%, transparent);\n    color: var(--color-primary);'
+    }[theme.buttonStyle] || 'background: var(--color-primary);\n    color: white;';
+
+    const css = `${fontsUrl ? `@import url('${fontsUrl}');\n` : ''}
+/* Theme */
+:root {
+    --color-primary: ${primaryColor};
+    --color-secondary: ${secondaryColor};
+    --color-background: #ffffff;
+    --color-surface: #f9fafb;
+    --color-text: #333333;
+    --color-muted: #666666;
+    --color-border: #d1d5db;
+    --radius: ${BORDER_RADIUS[theme.borderRadius] || BORDER_RADIUS.medium};
+    --font-heading: '${fonts.heading}', -apple-system, BlinkMacSystemFont, sans-serif;
+    --font-body: '${fonts.body}', -apple-system, BlinkMacSystemFont, sans-serif;
+}
+
+.theme-dark {
+    --color-background: #111827;
+    --color-surface: #1f2937;
+    --color-text: #f3f4f6;
+    --color-muted: #9ca3af;
+    --color-border: #374151;
+}
 
-    const css = `
 /* Reset and base styles */
 * {
     margin: 0;
@@ -568,14 +1243,23 @@ class DeploymentService {
 }
 
 body {
-    font-family: 'Inter', -apple-system, BlinkMacSystemFont, sans-serif;
+    font-family: var(--font-body);
     line-height: 1.6;
-    color: #333;
+    color: var(--color-text);
+    background: var(--color-background);
+}
+
+h1, h2, h3, h4 {
+    font-family: var(--font-heading);
+}
+
+a {
+    color: inherit;
 }
 
 /* Header */
 .header {
-    background: white;
+    background: var(--color-background);
     box-shadow: 0 2px 4px rgba(0,0,0,0.1);
     position: sticky;
     top: 0;
@@ -589,10 +1273,11 @@ body {
     display: flex;
     justify-content: space-between;
     align-items: center;
+    gap: 1rem;
 }
 
 .nav-brand h1 {
-    color: ${primaryColor};
+    color: var(--color-primary);
     font-size: 1.5rem;
 }
 
@@ -607,15 +1292,81 @@ body {
     gap: 2rem;
 }
 
-.nav-menu a {
+.nav-menu a,
+.nav-links a,
+.cart-link {
     text-decoration: none;
-    color: #333;
+    color: var(--color-text);
     font-weight: 500;
     transition: color 0.3s;
 }
 
-.nav-menu a:hover {
-    color: ${primaryColor};
+.nav-menu a:hover,
+.nav-links a:hover,
+.cart-link:hover {
+    color: var(--color-primary);
+}
+
+.currency-switcher {
+    padding: 0.25rem 0.5rem;
+    border: 1px solid var(--color-border);
+    border-radius: var(--radius);
+    background: var(--color-background);
+    color: var(--color-text);
+    font: inherit;
+}
+
+/* Classic header: centered brand above the menu */
+.header--classic .header-top {
+    max-width: 1200px;
+    margin: 0 auto;
+    padding: 1.5rem 1rem 0.5rem;
+    display: grid;
+    grid-template-columns: 1fr auto 1fr;
+    align-items: center;
+}
+
+.header--classic .nav-brand {
+    grid-column: 2;
+    text-align: center;
+}
+
+.header--classic .nav-brand h1 {
+    font-size: 2rem;
+}
+
+.header--classic .header-actions {
+    grid-column: 3;
+    display: flex;
+    justify-content: flex-end;
+    align-items: center;
+    gap: 1rem;
+}
+
+.header--classic .nav {
+    justify-content: center;
+    border-top: 1px solid var(--color-border);
+}
+
+/* Minimal header: flat bar with compact links */
+.header--minimal {
+    box-shadow: none;
+    border-bottom: 1px solid var(--color-border);
+}
+
+.header--minimal .nav-brand {
+    font-family: var(--font-heading);
+    font-size: 1.25rem;
+    font-weight: 700;
+    text-decoration: none;
+    color: var(--color-text);
+}
+
+.nav-links {
+    display: flex;
+    align-items: center;
+    gap: 1.25rem;
+    font-size: 0.9rem;
 }
 
 /* Main content */
@@ -627,11 +1378,11 @@ body {
 
 /* Hero section */
 .hero {
-    background: linear-gradient(135deg, ${primaryColor}, ${secondaryColor});
+    background: linear-gradient(135deg, var(--color-primary), var(--color-secondary));
     color: white;
     padding: 4rem 2rem;
     text-align: center;
-    border-radius: 12px;
+    border-radius: var(--radius);
     margin-bottom: 3rem;
 }
 
@@ -646,114 +1397,326 @@ body {
     opacity: 0.9;
 }
 
+.layout-minimal .hero {
+    background: none;
+    color: var(--color-text);
+    text-align: left;
+    padding: 3rem 0;
+}
+
 /* Buttons */
 .btn {
     display: inline-block;
     padding: 0.75rem 1.5rem;
-    border: none;
-    border-radius: 6px;
+    border: 2px solid transparent;
+    border-radius: var(--radius);
+    text-decoration: none;
+    font-weight: 500;
+    font-family: inherit;
+    cursor: pointer;
+    transition: all 0.3s;
+}
+
+.btn-primary {
+    ${primaryButton}
+}
+
+.btn-primary:hover {
+    background: var(--color-secondary);
+    border-color: var(--color-secondary);
+    color: white;
+    transform: translateY(-2px);
+}
+
+.btn-secondary {
+    background: var(--color-surface);
+    color: var(--color-text);
+    border-color: var(--color-border);
+}
+
+.btn-secondary:hover {
+    border-color: var(--color-primary);
+}
+
+/* Products grid */
+.products-grid {
+    display: grid;
+    grid-template-columns: repeat(auto-fit, minmax(250px, 1fr));
+    gap: 2rem;
+    margin-top: 2rem;
+}
+
+.products-grid--classic {
+    grid-template-columns: repeat(3, 1fr);
+}
+
+.products-grid--minimal {
+    grid-template-columns: repeat(2, 1fr);
+    gap: 3rem;
+}
+
+.products-grid--minimal .product-card img {
+    height: 360px;
+}
+
+.product-card {
+    position: relative;
+    background: var(--color-background);
+    border-radius: var(--radius);
+    padding: 1rem;
+    transition: transform 0.3s, box-shadow 0.3s;
+}
+
+.cards-shadow .product-card {
+    box-shadow: 0 2px 4px rgba(0,0,0,0.1);
+}
+
+.cards-shadow .product-card:hover {
+    transform: translateY(-4px);
+    box-shadow: 0 4px 8px rgba(0,0,0,0.15);
+}
+
+.cards-bordered .product-card {
+    border: 1px solid var(--color-border);
+}
+
+.cards-bordered .product-card:hover {
+    border-color: var(--color-primary);
+}
+
+.cards-flat .product-card {
+    padding: 0;
+    background: transparent;
+}
+
+.cards-overlay .product-card {
+    padding: 0;
+    overflow: hidden;
+}
+
+.cards-overlay .product-card img {
+    height: 320px;
+    margin-bottom: 0;
+    border-radius: 0;
+}
+
+.cards-overlay .product-card-body {
+    position: absolute;
+    left: 0;
+    right: 0;
+    bottom: 0;
+    padding: 1rem;
+    background: linear-gradient(transparent, rgba(0,0,0,0.75));
+    color: white;
+}
+
+.cards-overlay .product-card h4,
+.cards-overlay .product-card .price,
+.cards-overlay .product-card .description {
+    color: white;
+}
+
+.product-card img {
+    display: block;
+    width: 100%;
+    height: 200px;
+    object-fit: cover;
+    border-radius: var(--radius);
+    margin-bottom: 1rem;
+}
+
+.product-card h4 {
+    margin-bottom: 0.5rem;
+    color: var(--color-text);
+}
+
+.product-card h4 a {
     text-decoration: none;
+}
+
+.product-card .description {
+    color: var(--color-muted);
+    margin-bottom: 1rem;
+    font-size: 0.9rem;
+}
+
+.product-card .price {
+    font-size: 1.2rem;
+    font-weight: bold;
+    color: var(--color-primary);
+    margin-bottom: 1rem;
+}
+
+/* Product detail */
+.product-detail {
+    display: grid;
+    grid-template-columns: 1fr 1fr;
+    gap: 3rem;
+    margin-top: 2rem;
+}
+
+.product-images img {
+    width: 100%;
+    border-radius: var(--radius);
+}
+
+.product-info h1 {
+    margin-bottom: 1rem;
+    color: var(--color-text);
+}
+
+.product-info .description {
+    color: var(--color-muted);
+    margin-bottom: 2rem;
+    line-height: 1.8;
+}
+
+.product-info .price {
+    font-size: 2rem;
+    font-weight: bold;
+    color: var(--color-primary);
+    margin-bottom: 2rem;
+}
+
+/* Tax note below product and cart prices */
+.tax-note {
+    font-size: 0.875rem;
+    color: var(--color-muted);
+    margin: -1.5rem 0 2rem;
+}
+
+.cart-total .tax-note {
+    margin: 0 0 1rem;
+}
+
+/* Bundle contents */
+.bundle-items {
+    margin-bottom: 2rem;
+}
+
+.bundle-items h3 {
+    font-size: 1rem;
+    margin-bottom: 0.5rem;
+}
+
+.bundle-items ul {
+    list-style: disc;
+    padding-left: 1.25rem;
+    color: var(--color-muted);
+}
+
+/* Product options */
+.product-options {
+    display: flex;
+    flex-direction: column;
+    gap: 1rem;
+}
+
+.product-option {
+    display: flex;
+    flex-direction: column;
+    gap: 0.25rem;
     font-weight: 500;
-    cursor: pointer;
-    transition: all 0.3s;
 }
 
-.btn-primary {
-    background: ${primaryColor};
-    color: white;
+.product-option select {
+    padding: 0.5rem;
+    border: 1px solid var(--color-border);
+    border-radius: var(--radius);
+    background: var(--color-surface);
+    color: var(--color-text);
 }
 
-.btn-primary:hover {
-    background: ${secondaryColor};
-    transform: translateY(-2px);
+.product-actions .btn:disabled,
+.product-card .btn:disabled {
+    opacity: 0.5;
+    cursor: not-allowed;
 }
 
-.btn-secondary {
-    background: #f3f4f6;
-    color: #333;
-    border: 1px solid #d1d5db;
+/* Back-in-stock sign-up */
+.back-in-stock {
+    display: flex;
+    flex-wrap: wrap;
+    gap: 0.5rem;
+    margin-top: 1.5rem;
 }
 
-.btn-secondary:hover {
-    background: #e5e7eb;
+.back-in-stock[hidden] {
+    display: none;
 }
 
-/* Products grid */
-.products-grid {
-    display: grid;
-    grid-template-columns: repeat(auto-fit, minmax(250px, 1fr));
-    gap: 2rem;
-    margin-top: 2rem;
+.back-in-stock p {
+    flex-basis: 100%;
+    color: var(--color-muted);
 }
 
-.product-card {
-    background: white;
-    border-radius: 8px;
-    padding: 1rem;
-    box-shadow: 0 2px 4px rgba(0,0,0,0.1);
-    transition: transform 0.3s;
+.back-in-stock input {
+    flex: 1;
+    min-width: 200px;
+    padding: 0.5rem;
+    border: 1px solid var(--color-border);
+    border-radius: var(--radius);
+    background: var(--color-surface);
+    color: var(--color-text);
 }
 
-.product-card:hover {
-    transform: translateY(-4px);
-    box-shadow: 0 4px 8px rgba(0,0,0,0.15);
+/* Related, upsell and cross-sell products */
+.linked-products {
+    margin-top: 3rem;
 }
 
-.product-card img {
-    width: 100%;
-    height: 200px;
-    object-fit: cover;
-    border-radius: 6px;
-    margin-bottom: 1rem;
+.linked-products[hidden] {
+    display: none;
 }
 
-.product-card h4 {
-    margin-bottom: 0.5rem;
-    color: #333;
+/* Reviews */
+.reviews-section {
+    max-width: 800px;
+    margin: 3rem auto 0;
 }
 
-.product-card .description {
-    color: #666;
-    margin-bottom: 1rem;
-    font-size: 0.9rem;
+.stars {
+    color: var(--color-primary);
+    letter-spacing: 0.1em;
 }
 
-.product-card .price {
-    font-size: 1.2rem;
-    font-weight: bold;
-    color: ${primaryColor};
-    margin-bottom: 1rem;
+.review {
+    padding: 1.5rem 0;
+    border-bottom: 1px solid var(--color-border);
 }
 
-/* Product detail */
-.product-detail {
-    display: grid;
-    grid-template-columns: 1fr 1fr;
-    gap: 3rem;
-    margin-top: 2rem;
+.review-meta {
+    color: var(--color-muted);
+    font-size: 0.9rem;
 }
 
-.product-images img {
-    width: 100%;
-    border-radius: 8px;
+.review .verified {
+    color: var(--color-primary);
+    font-weight: 500;
 }
 
-.product-info h1 {
-    margin-bottom: 1rem;
-    color: #333;
+.review-reply {
+    margin-top: 1rem;
+    padding: 1rem;
+    background: var(--color-surface);
+    border-radius: var(--radius);
 }
 
-.product-info .description {
-    color: #666;
-    margin-bottom: 2rem;
-    line-height: 1.8;
+.review-form {
+    display: flex;
+    flex-direction: column;
+    gap: 0.75rem;
+    margin-top: 2rem;
 }
 
-.product-info .price {
-    font-size: 2rem;
-    font-weight: bold;
-    color: ${primaryColor};
-    margin-bottom: 2rem;
+.review-form input,
+.review-form select,
+.review-form textarea {
+    padding: 0.5rem;
+    border: 1px solid var(--color-border);
+    border-radius: var(--radius);
+    background: var(--color-surface);
+    color: var(--color-text);
 }
 
 /* Cart */
@@ -765,11 +1728,24 @@ body {
 .cart-total {
     margin-top: 2rem;
     padding: 2rem;
-    background: #f9fafb;
-    border-radius: 8px;
+    background: var(--color-surface);
+    border-radius: var(--radius);
     text-align: right;
 }
 
+/* Downloads */
+.downloads-section {
+    max-width: 800px;
+    margin: 0 auto;
+}
+
+.download-item {
+    margin-bottom: 1.5rem;
+    padding: 1.5rem;
+    background: var(--color-surface);
+    border-radius: var(--radius);
+}
+
 /* Checkout form */
 .checkout-form {
     max-width: 600px;
@@ -779,21 +1755,21 @@ body {
 .form-section {
     margin-bottom: 2rem;
     padding: 1.5rem;
-    background: #f9fafb;
-    border-radius: 8px;
+    background: var(--color-surface);
+    border-radius: var(--radius);
 }
 
 .form-section h3 {
     margin-bottom: 1rem;
-    color: #333;
+    color: var(--color-text);
 }
 
 .checkout-form input,
 .checkout-form textarea {
     width: 100%;
     padding: 0.75rem;
-    border: 1px solid #d1d5db;
-    border-radius: 6px;
+    border: 1px solid var(--color-border);
+    border-radius: var(--radius);
     margin-bottom: 1rem;
     font-size: 1rem;
 }
@@ -813,8 +1789,8 @@ body {
 .contact-form textarea {
     width: 100%;
     padding: 0.75rem;
-    border: 1px solid #d1d5db;
-    border-radius: 6px;
+    border: 1px solid var(--color-border);
+    border-radius: var(--radius);
     margin-bottom: 1rem;
     font-size: 1rem;
 }
@@ -824,13 +1800,130 @@ body {
     resize: vertical;
 }
 
+/* CMS pages */
+.page-section {
+    max-width: 800px;
+    margin: 0 auto;
+}
+
+.page-section h1 {
+    margin-bottom: 1.5rem;
+}
+
+.page-content p,
+.page-content ul,
+.page-content ol {
+    margin-bottom: 1rem;
+}
+
+.page-content ul,
+.page-content ol {
+    padding-left: 1.5rem;
+}
+
+.page-content img {
+    max-width: 100%;
+    border-radius: var(--radius);
+}
+
+/* Category and collection pages */
+.breadcrumbs {
+    margin-bottom: 1rem;
+    font-size: 0.9rem;
+    color: var(--color-muted);
+}
+
+.breadcrumbs a {
+    color: inherit;
+}
+
+.listing-header {
+    margin-bottom: 2rem;
+}
+
+.listing-header img {
+    width: 100%;
+    max-height: 320px;
+    object-fit: cover;
+    border-radius: var(--radius);
+    margin-bottom: 1rem;
+}
+
+.listing-links {
+    display: flex;
+    flex-wrap: wrap;
+    gap: 0.5rem;
+    margin-bottom: 2rem;
+}
+
+.listing-links a {
+    padding: 0.4rem 1rem;
+    border: 1px solid var(--color-primary);
+    border-radius: var(--radius);
+    text-decoration: none;
+}
+
+.listing-empty {
+    color: var(--color-muted);
+}
+
 /* Footer */
+.footer-links {
+    display: flex;
+    justify-content: center;
+    flex-wrap: wrap;
+    gap: 1.5rem;
+    margin-bottom: 1rem;
+}
+
+.footer-links a {
+    text-decoration: none;
+}
+
 .footer {
-    background: #f9fafb;
+    background: var(--color-surface);
     text-align: center;
     padding: 2rem;
     margin-top: 4rem;
-    color: #666;
+    color: var(--color-muted);
+}
+
+.footer--classic {
+    text-align: left;
+}
+
+.footer-columns {
+    max-width: 1200px;
+    margin: 0 auto 2rem;
+    display: grid;
+    grid-template-columns: 2fr 1fr 1fr;
+    gap: 2rem;
+}
+
+.footer-column h4 {
+    color: var(--color-text);
+    margin-bottom: 0.75rem;
+}
+
+.footer-column ul {
+    list-style: none;
+}
+
+.footer-column a {
+    text-decoration: none;
+}
+
+.footer-copyright {
+    text-align: center;
+    padding-top: 1rem;
+    border-top: 1px solid var(--color-border);
+}
+
+.footer--minimal {
+    background: none;
+    padding: 1.5rem;
+    font-size: 0.85rem;
+    border-top: 1px solid var(--color-border);
 }
 
 /* Responsive */
@@ -840,11 +1933,23 @@ body {
         gap: 1rem;
     }
     
-    .nav-menu {
+    .nav-menu,
+    .nav-links {
         flex-wrap: wrap;
         justify-content: center;
     }
     
+    .header--classic .header-top {
+        grid-template-columns: 1fr;
+        gap: 0.5rem;
+    }
+    
+    .header--classic .nav-brand,
+    .header--classic .header-actions {
+        grid-column: 1;
+        justify-content: center;
+    }
+    
     .product-detail {
         grid-template-columns: 1fr;
         gap: 2rem;
@@ -854,10 +1959,16 @@ body {
         font-size: 2rem;
     }
     
-    .products-grid {
+    .products-grid,
+    .products-grid--classic,
+    .products-grid--minimal {
         grid-template-columns: repeat(auto-fit, minmax(200px, 1fr));
         gap: 1rem;
     }
+    
+    .footer-columns {
+        grid-template-columns: 1fr;
+    }
 }`;
 
     await fs.writeFile(path.join(buildPath, 'styles.css'), css);
@@ -865,7 +1976,68 @@ body {
 
   // Generate JavaScript
   async generateScripts(store, buildPath) {
+    const { currency, locale } = getStoreSettings(store);
+    const currencies = (store.currencies || []).map(c => ({
+      currency: c.currency,
+      rate: Number(c.rate),
+      roundingMode: c.roundingMode,
+      roundingIncrement: Number(c.roundingIncrement)
+    }));
     const js = `
+// Store settings
+const STORE_SETTINGS = ${JSON.stringify({ currency, locale, currencies })};
+
+// API used by storefront forms
+const STORE_API_URL = ${JSON.stringify(`${process.env.API_URL || 'http://localhost:3001'}/api/storefront/${store.id}`)};
+
+// Presentment currency chosen with the currency switcher
+function getActiveCurrency() {
+    const selected = localStorage.getItem('currency');
+    return STORE_SETTINGS.currencies.find(c => c.currency === selected) || null;
+}
+
+// Convert a store-currency amount using the rate and rounding rule
+function convertPrice(amount, rule) {
+    const converted = Number(amount) * rule.rate;
+    if (rule.roundingMode === 'NONE') return Math.round(converted * 100) / 100;
+
+    const units = converted / rule.roundingIncrement;
+    const rounded = rule.roundingMode === 'UP' ? Math.ceil(units - 1e-9)
+        : rule.roundingMode === 'DOWN' ? Math.floor(units + 1e-9)
+        : Math.round(units);
+    return Math.round(rounded * rule.roundingIncrement * 100) / 100;
+}
+
+// Format a store-currency amount in the active currency
+function formatPrice(amount) {
+    const active = getActiveCurrency();
+    return new Intl.NumberFormat(STORE_SETTINGS.locale, {
+        style: 'currency',
+        currency: active ? active.currency : STORE_SETTINGS.currency
+    }).format(active ? convertPrice(amount, active) : Number(amount));
+}
+
+// Re-render every price on the page in the active currency
+function applyCurrency() {
+    document.querySelectorAll('[data-price]').forEach(element => {
+        element.textContent = formatPrice(element.dataset.price);
+    });
+}
+
+document.addEventListener('DOMContentLoaded', function() {
+    const switcher = document.getElementById('currency-switcher');
+    if (!switcher) return;
+
+    const active = getActiveCurrency();
+    switcher.value = active ? active.currency : STORE_SETTINGS.currency;
+    switcher.addEventListener('change', function() {
+        localStorage.setItem('currency', switcher.value);
+        applyCurrency();
+        displayCart();
+    });
+    applyCurrency();
+});
+
 // Cart functionality
 let cart = JSON.parse(localStorage.getItem('cart')) || [];
 
@@ -874,13 +2046,19 @@ function updateCartCount() {
     document.getElementById('cart-count').textContent = count;
 }
 
-function addToCart(productId) {
-    const existingItem = cart.find(item => item.id === productId);
+// Cart lines are keyed by product and variant
+function getCartKey(productId, variantId) {
+    return variantId ? \`\${productId}:\${variantId}\` : productId;
+}
+
+function addToCart(productId, variantId, digital) {
+    const key = getCartKey(productId, variantId);
+    const existingItem = cart.find(item => (item.key || item.id) === key);
     
     if (existingItem) {
         existingItem.quantity += 1;
     } else {
-        cart.push({ id: productId, quantity: 1 });
+        cart.push({ key, id: productId, variantId: variantId || null, quantity: 1, digital: Boolean(digital) });
     }
     
     localStorage.setItem('cart', JSON.stringify(cart));
@@ -890,19 +2068,20 @@ function addToCart(productId) {
     showNotification('Product added to cart!');
 }
 
-function removeFromCart(productId) {
-    cart = cart.filter(item => item.id !== productId);
+function removeFromCart(key) {
+    cart = cart.filter(item => (item.key || item.id) !== key);
     localStorage.setItem('cart', JSON.stringify(cart));
     updateCartCount();
     displayCart();
+    displayCrossSells();
 }
 
-function updateQuantity(productId, quantity) {
-    const item = cart.find(item => item.id === productId);
+function updateQuantity(key, quantity) {
+    const item = cart.find(item => (item.key || item.id) === key);
     if (item) {
         item.quantity = parseInt(quantity);
         if (item.quantity <= 0) {
-            removeFromCart(productId);
+            removeFromCart(key);
         } else {
             localStorage.setItem('cart', JSON.stringify(cart));
             updateCartCount();
@@ -919,7 +2098,7 @@ function displayCart() {
     
     if (cart.length === 0) {
         cartItems.innerHTML = '<p>Your cart is empty.</p>';
-        cartTotal.textContent = '0.00';
+        cartTotal.textContent = formatPrice(0);
         return;
     }
     
@@ -929,15 +2108,176 @@ function displayCart() {
         <div class="cart-item">
             <span>Product \${item.id}</span>
             <input type="number" value="\${item.quantity}" min="1" 
-                   onchange="updateQuantity('\${item.id}', this.value)">
-            <button onclick="removeFromCart('\${item.id}')">Remove</button>
+                   onchange="updateQuantity('\${item.key || item.id}', this.value)">
+            <button onclick="removeFromCart('\${item.key || item.id}')">Remove</button>
         </div>
     \`).join('');
     
     cartItems.innerHTML = cartHTML;
-    cartTotal.textContent = (cart.length * 9.99).toFixed(2); // Placeholder price
+    cartTotal.textContent = formatPrice(cart.length * 9.99); // Placeholder price
+}
+
+// Cart cross-sells: products linked to the cart items that are not in the cart yet
+async function displayCrossSells() {
+    const section = document.getElementById('cross-sells');
+    if (!section) return;
+
+    try {
+        const response = await fetch('/cross-sells.json');
+        const crossSells = await response.json();
+        const inCart = new Set(cart.map(item => item.id));
+        const suggestions = [];
+
+        cart.forEach(item => {
+            (crossSells[item.id] || []).forEach(product => {
+                if (!inCart.has(product.id) && !suggestions.some(suggestion => suggestion.id === product.id)) {
+                    suggestions.push(product);
+                }
+            });
+        });
+
+        const grid = section.querySelector('.products-grid');
+        grid.innerHTML = '';
+        suggestions.slice(0, ${LINKED_PRODUCTS_PER_SECTION}).forEach(product => {
+            const card = document.createElement('div');
+            card.className = 'product-card';
+            card.innerHTML = \`
+                <a href="\${product.url}" class="product-card-image"><img src="\${product.image}" alt="" loading="lazy"></a>
+                <div class="product-card-body">
+                    <h4><a href="\${product.url}"></a></h4>
+                    <p class="price" data-price="\${product.price}">\${formatPrice(product.price)}</p>
+                </div>\`;
+            card.querySelector('h4 a').textContent = product.name;
+            card.querySelector('img').alt = product.name;
+
+            // Products with options are chosen on their own page
+            const button = document.createElement(product.hasOptions ? 'a' : 'button');
+            button.className = 'btn btn-secondary';
+            if (product.hasOptions) {
+                button.href = product.url;
+                button.textContent = 'Choose Options';
+            } else {
+                button.textContent = 'Add to Cart';
+                button.addEventListener('click', () => {
+                    addToCart(product.id, null, product.digital);
+                    displayCart();
+                    displayCrossSells();
+                });
+            }
+            card.querySelector('.product-card-body').appendChild(button);
+            grid.appendChild(card);
+        });
+
+        section.hidden = suggestions.length === 0;
+    } catch (error) {
+        section.hidden = true;
+    }
+}
+
+// Product option selectors: find the variant matching the selected values
+function getSelectedVariant(form) {
+    const variants = JSON.parse(form.querySelector('.product-variants').textContent);
+    const selected = Array.from(form.querySelectorAll('select[data-option-index]')).map(select => select.value);
+    return variants.find(variant => variant.options.every((value, index) => value === selected[index])) || null;
+}
+
+function updateSelectedVariant(form) {
+    const variant = getSelectedVariant(form);
+    const button = form.querySelector('button[type="submit"]');
+    const price = document.querySelector('.product-info .price');
+
+    if (variant && price) {
+        price.dataset.price = variant.price;
+        price.textContent = formatPrice(variant.price);
+    }
+
+    button.disabled = !variant || !variant.available;
+    button.textContent = !variant ? 'Unavailable' : variant.available ? 'Add to Cart' : 'Sold Out';
+
+    const backInStock = form.parentElement.querySelector('.back-in-stock');
+    if (backInStock) {
+        backInStock.hidden = !variant || variant.available;
+        backInStock.dataset.variantId = variant ? variant.id : '';
+    }
+}
+
+// Back-in-stock sign-up
+async function subscribeToStock(event) {
+    event.preventDefault();
+    const form = event.target;
+
+    try {
+        const response = await fetch(\`\${STORE_API_URL}/stock-notifications\`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                productId: form.dataset.productId,
+                variantId: form.dataset.variantId || undefined,
+                email: form.elements.email.value
+            })
+        });
+        const result = await response.json();
+
+        showNotification(response.ok ? result.message : result.error.message);
+        if (response.ok) {
+            form.reset();
+        }
+    } catch (error) {
+        showNotification('Something went wrong. Please try again.');
+    }
+}
+
+// Product review submission
+async function submitReview(event) {
+    event.preventDefault();
+    const form = event.target;
+    // Review links from order pages carry the order and its token, which mark the review as a verified purchase
+    const params = new URLSearchParams(window.location.search);
+
+    try {
+        const response = await fetch(\`\${STORE_API_URL}/reviews\`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                productId: form.dataset.productId,
+                rating: Number(form.elements.rating.value),
+                name: form.elements.name.value,
+                email: form.elements.email.value,
+                title: form.elements.title.value,
+                body: form.elements.body.value,
+                orderId: params.get('order') || undefined,
+                token: params.get('token') || undefined
+            })
+        });
+        const result = await response.json();
+
+        showNotification(response.ok ? result.message : result.error.message);
+        if (response.ok) {
+            form.reset();
+        }
+    } catch (error) {
+        showNotification('Something went wrong. Please try again.');
+    }
+}
+
+function addSelectedVariantToCart(event) {
+    event.preventDefault();
+    const form = event.target;
+    const variant = getSelectedVariant(form);
+    if (variant && variant.available) {
+        addToCart(form.dataset.productId, variant.id, form.dataset.digital === 'true');
+    }
 }
 
+document.addEventListener('DOMContentLoaded', function() {
+    document.querySelectorAll('.product-options').forEach(form => {
+        form.querySelectorAll('select').forEach(select => {
+            select.addEventListener('change', () => updateSelectedVariant(form));
+        });
+        updateSelectedVariant(form);
+    });
+});
+
 function proceedToCheckout() {
     if (cart.length === 0) {
         showNotification('Your cart is empty!');
@@ -950,6 +2290,17 @@ function proceedToCheckout() {
 document.addEventListener('DOMContentLoaded', function() {
     const checkoutForm = document.getElementById('checkout-form');
     if (checkoutForm) {
+        // Orders of digital products only are delivered as downloads, so no
+        // shipping address is asked for; disabled fields are neither required nor sent
+        const requiresShipping = cart.some(item => !item.digital);
+        const shippingSection = document.getElementById('shipping-section');
+        if (shippingSection && !requiresShipping) {
+            shippingSection.hidden = true;
+            shippingSection.querySelectorAll('input').forEach(input => {
+                input.disabled = true;
+            });
+        }
+
         checkoutForm.addEventListener('submit', function(e) {
             e.preventDefault();
             
@@ -959,6 +2310,8 @@ document.addEventListener('DOMContentLoaded', function() {
             
             // Add cart data
             orderData.items = cart;
+            orderData.requiresShipping = requiresShipping;
+            orderData.presentmentCurrency = (getActiveCurrency() || STORE_SETTINGS).currency;
             orderData.total = (cart.length * 9.99).toFixed(2);
             
             // Submit order (this would typically go to your API)
@@ -984,6 +2337,67 @@ document.addEventListener('DOMContentLoaded', function() {
     // Display cart if on cart page
     if (window.location.pathname === '/cart.html') {
         displayCart();
+        displayCrossSells();
+    }
+});
+
+// Download page: list the files of the order in the link
+function formatFileSize(bytes) {
+    if (bytes < 1024 * 1024) return \`\${Math.max(Math.round(bytes / 1024), 1)} KB\`;
+    return \`\${(bytes / (1024 * 1024)).toFixed(1)} MB\`;
+}
+
+function renderDownloads(container, downloads) {
+    container.innerHTML = '';
+
+    downloads.items.forEach(item => {
+        const section = document.createElement('div');
+        section.className = 'download-item';
+
+        const title = document.createElement('h3');
+        title.textContent = item.title;
+        section.appendChild(title);
+
+        item.files.forEach(file => {
+            const row = document.createElement('p');
+            const link = document.createElement(file.url ? 'a' : 'span');
+            link.textContent = \`\${file.name} (\${formatFileSize(file.size)})\`;
+            if (file.url) link.href = file.url;
+            row.appendChild(link);
+            row.append(file.url ? \` - \${file.remaining} download(s) left\` : ' - download limit reached');
+            section.appendChild(row);
+        });
+
+        const review = document.createElement('a');
+        review.textContent = 'Write a review';
+        review.href = item.reviewUrl;
+        section.appendChild(review);
+
+        container.appendChild(section);
+    });
+
+    const expiry = document.createElement('p');
+    expiry.textContent = \`Available until \${new Date(downloads.expiresAt).toLocaleDateString(STORE_SETTINGS.locale)}\`;
+    container.appendChild(expiry);
+}
+
+document.addEventListener('DOMContentLoaded', async function() {
+    const container = document.getElementById('downloads');
+    if (!container) return;
+
+    const params = new URLSearchParams(window.location.search);
+    try {
+        const response = await fetch(\`\${STORE_API_URL}/orders/\${encodeURIComponent(params.get('order'))}/downloads?token=\${encodeURIComponent(params.get('token'))}\`);
+        const result = await response.json();
+
+        if (!response.ok) {
+            container.textContent = result.error.message;
+            return;
+        }
+
+        renderDownloads(container, result.data);
+    } catch (error) {
+        container.textContent = 'Something went wrong. Please try again.';
     }
 });
 
@@ -1094,6 +2508,30 @@ function showNotification(message) {
         <changefreq>monthly</changefreq>
         <priority>0.6</priority>
     </url>
+    ${(store.pages || []).filter(page => !BUILT_IN_PAGE_SLUGS.includes(page.slug)).map(page => `
+    <url>
+        <loc>${baseUrl}${this.getPageUrl(page)}</loc>
+        <lastmod>${new Date(page.updatedAt).toISOString()}</lastmod>
+        <changefreq>monthly</changefreq>
+        <priority>0.5</priority>
+    </url>
+    `).join('')}
+    ${(store.categories || []).map(category => `
+    <url>
+        <loc>${baseUrl}/category/${category.slug}</loc>
+        <lastmod>${new Date(category.updatedAt).toISOString()}</lastmod>
+        <changefreq>weekly</changefreq>
+        <priority>0.7</priority>
+    </url>
+    `).join('')}
+    ${(store.collections || []).map(collection => `
+    <url>
+        <loc>${baseUrl}/collection/${collection.slug}</loc>
+        <lastmod>${new Date(collection.updatedAt).toISOString()}</lastmod>
+        <changefreq>weekly</changefreq>
+        <priority>0.7</priority>
+    </url>
+    `).join('')}
     ${store.products.map(product => `
     <url>
         <loc>${baseUrl}/product/${product.urlHandle || product.id}</loc>
@@ -1117,6 +2555,37 @@ Sitemap: ${this.generateStoreUrl(store)}/sitemap.xml`;
     await fs.writeFile(path.join(buildPath, 'robots.txt'), robotsTxt);
   }
 
+  // Generate products.xml, the Google Merchant Center / Meta catalog feed
+  async generateProductFeed(store, buildPath) {
+    const feed = productExportService.toMerchantFeed(store, store.products, this.generateStoreUrl(store));
+    await fs.writeFile(path.join(buildPath, 'products.xml'), feed);
+  }
+
+  // Build a theme version into the preview directory; the live site is left untouched
+  async generatePreview(storeId, themeVersion) {
+    const store = await this.loadStoreForBuild(storeId);
+    const buildPath = path.join(this.previewDir, store.slug, `v${themeVersion.version}`);
+
+    await fs.rm(buildPath, { recursive: true, force: true });
+    await this.generateStaticSite({ ...store, theme: themeVersion.theme }, null, buildPath);
+
+    // Keep previews out of search engines
+    await fs.writeFile(path.join(buildPath, 'robots.txt'), 'User-agent: *\nDisallow: /');
+
+    logger.info(`Theme preview built: ${store.slug} v${themeVersion.version}`);
+
+    return {
+      version: themeVersion.version,
+      url: this.generatePreviewUrl(store, themeVersion.version),
+      buildPath
+    };
+  }
+
+  // Generate preview URL for a theme version
+  generatePreviewUrl(store, version) {
+    return `https://preview-v${version}--${store.slug}${process.env.SUBDOMAIN_SUFFIX || '.stores.buildcart.ai'}`;
+  }
+
   // Generate store URL
   generateStoreUrl(store) {
     if (store.customDomain) {
@@ -1189,6 +2658,25 @@ Sitemap: ${this.generateStoreUrl(store)}/sitemap.xml`;
     return { domain, url: `https://${domain}` };
   }
 
+  // Remove a store's generated site and theme previews
+  async removeBuild(slug) {
+    try {
+      await fs.rm(path.join(this.buildDir, slug), { recursive: true, force: true });
+      await fs.rm(path.join(this.previewDir, slug), { recursive: true, force: true });
+    } catch (error) {
+      logger.error(`Failed to remove build for ${slug}:`, error);
+    }
+  }
+
+  // Take a deployed store offline without touching its data
+  async takeStoreOffline(store) {
+    await this.removeBuild(store.slug);
+
+    if (store.isDeployed) {
+      logger.info(`Store taken offline: ${store.name} (${store.id})`);
+    }
+  }
+
   // Enable SSL
   async enableSSL(domain) {
     // This would typically integrate with a certificate provider
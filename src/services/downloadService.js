@@ -0,0 +1,190 @@
+const crypto = require('crypto');
+const { PrismaClient } = require('@prisma/client');
+const { AppError, AuthorizationError, NotFoundError } = require('../middleware/errorHandler');
+const { getStorage } = require('./storage');
+const { getStoreSettings, formatOrderNumber } = require('../utils/storeSettings');
+const logger = require('../utils/logger');
+
+const prisma = new PrismaClient();
+
+// Download links are short-lived; the download page signs fresh ones on every visit
+const DOWNLOAD_LINK_TTL_MS = 60 * 60 * 1000;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Orders whose downloads are withdrawn even though they were paid
+const REVOKED_ORDER_STATUSES = ['CANCELLED', 'REFUNDED'];
+
+const getSigningSecret = () => process.env.DOWNLOAD_SIGNING_SECRET || process.env.JWT_SECRET;
+
+// HMAC of a value, hex encoded
+const sign = (value) => {
+  return crypto.createHmac('sha256', getSigningSecret()).update(value).digest('hex');
+};
+
+// Compare a signature from a request without leaking timing information
+const isValidSignature = (value, signature) => {
+  const expected = Buffer.from(sign(value), 'hex');
+  const given = Buffer.from(String(signature), 'hex');
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+};
+
+class DownloadService {
+  // Token that lets a customer open the download page of an order
+  getOrderToken(orderId) {
+    return sign(`order:${orderId}`);
+  }
+
+  // Whether a token from a storefront link was issued for the order
+  isValidOrderToken(orderId, token) {
+    return isValidSignature(`order:${orderId}`, token);
+  }
+
+  // Link to the download page of an order on the deployed storefront, for
+  // order emails. null while the store is not deployed.
+  getDownloadPageUrl(store, orderId) {
+    if (!store.deploymentUrl) {
+      return null;
+    }
+    return `${store.deploymentUrl}/downloads.html?order=${orderId}&token=${this.getOrderToken(orderId)}`;
+  }
+
+  // Signed API URL that downloads a file bought with an order item until `expires` (ms)
+  getDownloadUrl(storeId, orderItemId, fileId, expires) {
+    const signature = sign(`${orderItemId}:${fileId}:${expires}`);
+    const baseUrl = process.env.API_URL || 'http://localhost:3001';
+    return `${baseUrl}/api/storefront/${storeId}/downloads/${orderItemId}/${fileId}?expires=${expires}&signature=${signature}`;
+  }
+
+  // Access to the downloads of an order ends `downloadExpiryDays` after it was placed
+  getAccessExpiry(order, settings) {
+    return new Date(new Date(order.createdAt).getTime() + settings.downloadExpiryDays * DAY_MS);
+  }
+
+  // Only paid orders that were not cancelled or refunded give access to downloads
+  assertOrderPaid(order) {
+    if (order.paymentStatus !== 'PAID' || REVOKED_ORDER_STATUSES.includes(order.status)) {
+      throw new AuthorizationError('Downloads are available once the order is paid');
+    }
+  }
+
+  // Reject orders whose download access has ended
+  assertNotExpired(accessExpiry) {
+    if (accessExpiry <= new Date()) {
+      throw new AppError('Downloads for this order have expired', 410);
+    }
+  }
+
+  // Files of the digital items of an order, with fresh signed links and the
+  // downloads left on each. `token` comes from the download page link.
+  async getOrderDownloads(storeId, orderId, token) {
+    if (!this.isValidOrderToken(orderId, token)) {
+      throw new AuthorizationError('Invalid download link');
+    }
+
+    const order = await prisma.order.findFirst({
+      where: { id: orderId, storeId },
+      include: {
+        store: { select: { settings: true } },
+        items: {
+          where: { product: { isDigital: true } },
+          include: {
+            product: { select: { id: true, urlHandle: true, productFiles: { orderBy: { position: 'asc' } } } },
+            downloads: true
+          }
+        }
+      }
+    });
+
+    if (!order) {
+      throw new NotFoundError('Order not found');
+    }
+
+    this.assertOrderPaid(order);
+
+    const settings = getStoreSettings(order.store);
+    const accessExpiry = this.getAccessExpiry(order, settings);
+    this.assertNotExpired(accessExpiry);
+
+    const expires = Math.min(Date.now() + DOWNLOAD_LINK_TTL_MS, accessExpiry.getTime());
+
+    return {
+      orderNumber: formatOrderNumber(order.orderNumber, settings),
+      expiresAt: accessExpiry,
+      items: order.items.map(item => ({
+        title: item.variant ? `${item.title} - ${item.variant}` : item.title,
+        reviewUrl: `/product/${item.product.urlHandle || item.product.id}.html?order=${orderId}&token=${token}#reviews`,
+        files: item.product.productFiles.map(file => {
+          const download = item.downloads.find(candidate => candidate.productFileId === file.id);
+          const remaining = Math.max(settings.downloadLimit - (download ? download.count : 0), 0);
+
+          return {
+            id: file.id,
+            name: file.name,
+            size: file.size,
+            remaining,
+            url: remaining > 0 ? this.getDownloadUrl(storeId, item.id, file.id, expires) : null
+          };
+        })
+      }))
+    };
+  }
+
+  // Check a signed download link and count the download. Returns the file and
+  // where to fetch it: a local path to stream or a signed storage URL.
+  async getDownload(storeId, orderItemId, fileId, { expires, signature }) {
+    if (!isValidSignature(`${orderItemId}:${fileId}:${expires}`, signature)) {
+      throw new AuthorizationError('Invalid download link');
+    }
+
+    if (expires <= Date.now()) {
+      throw new AppError('This download link has expired; open the download page again for a new one', 410);
+    }
+
+    const orderItem = await prisma.orderItem.findFirst({
+      where: { id: orderItemId, order: { storeId } },
+      include: { order: { include: { store: { select: { settings: true } } } } }
+    });
+
+    const file = orderItem && await prisma.productFile.findFirst({
+      where: { id: fileId, productId: orderItem.productId }
+    });
+
+    if (!file) {
+      throw new NotFoundError('File not found');
+    }
+
+    const { order } = orderItem;
+    this.assertOrderPaid(order);
+
+    const settings = getStoreSettings(order.store);
+    this.assertNotExpired(this.getAccessExpiry(order, settings));
+
+    // Count the download only while under the limit, so concurrent requests cannot exceed it
+    await prisma.productDownload.upsert({
+      where: { orderItemId_productFileId: { orderItemId, productFileId: fileId } },
+      create: { orderItemId, productFileId: fileId },
+      update: {}
+    });
+
+    const { count } = await prisma.productDownload.updateMany({
+      where: { orderItemId, productFileId: fileId, count: { lt: settings.downloadLimit } },
+      data: { count: { increment: 1 }, lastDownloadedAt: new Date() }
+    });
+
+    if (count === 0) {
+      throw new AuthorizationError('The download limit for this file has been reached');
+    }
+
+    logger.info(`File ${file.id} downloaded for order ${order.orderNumber}`);
+
+    const download = await getStorage(file.storageDriver).getFileDownload(file.storageKey, {
+      filename: file.name,
+      expiresAt: new Date(Date.now() + DOWNLOAD_LINK_TTL_MS)
+    });
+
+    return { file, ...download };
+  }
+}
+
+module.exports = new DownloadService();
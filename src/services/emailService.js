@@ -1,5 +1,6 @@
 const sgMail = require('@sendgrid/mail');
 const logger = require('../utils/logger');
+const { getStoreSettings, formatPrice, formatOrderNumber, formatDate } = require('../utils/storeSettings');
 
 // Initialize SendGrid
 sgMail.setApiKey(process.env.SENDGRID_API_KEY);
@@ -102,21 +103,30 @@ class EmailService {
     return this.sendEmail(user.email, subject, html);
   }
 
-  // Order confirmation
-  async sendOrderConfirmation(order) {
-    const subject = `Order Confirmation #${order.orderNumber}`;
+  // Order confirmation. `downloadsUrl` links orders with digital items to their
+  // download page; `reviewLinks` ({ title, url }) let the buyer review each product.
+  async sendOrderConfirmation(order, { downloadsUrl = null, reviewLinks = [] } = {}) {
+    const settings = getStoreSettings(order.store);
+    const orderNumber = formatOrderNumber(order.orderNumber, settings);
+    const subject = `Order Confirmation #${orderNumber}`;
     const html = `
       <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
         <h1 style="color: #3B82F6;">Order Confirmation</h1>
         <p>Hi ${order.customer.firstName},</p>
         <p>Thank you for your order! Here are your order details:</p>
         <div style="background-color: #f8f9fa; padding: 20px; border-radius: 6px; margin: 20px 0;">
-          <h3>Order #${order.orderNumber}</h3>
-          <p><strong>Total:</strong> $${order.total}</p>
+          <h3>Order #${orderNumber}</h3>
+          <p><strong>Total:</strong> ${formatPrice(order.total, settings)}</p>
           <p><strong>Status:</strong> ${order.status}</p>
-          <p><strong>Date:</strong> ${new Date(order.createdAt).toLocaleDateString()}</p>
+          <p><strong>Date:</strong> ${formatDate(order.createdAt, settings)}</p>
         </div>
-        <p>We'll send you an update when your order ships.</p>
+        ${downloadsUrl ? `<p>Your downloads are ready: <a href="${downloadsUrl}">download your files</a></p>` : ''}
+        ${order.shippingAddress ? "<p>We'll send you an update when your order ships.</p>" : ''}
+        ${reviewLinks.length > 0 ? `
+        <p>Tell other customers what you think:</p>
+        <ul>
+          ${reviewLinks.map(link => `<li><a href="${link.url}">Review ${link.title}</a></li>`).join('')}
+        </ul>` : ''}
         <p>Best regards,<br>The ${order.store.name} Team</p>
       </div>
     `;
@@ -126,16 +136,18 @@ class EmailService {
 
   // Order status update
   async sendOrderStatusUpdate(order, status) {
-    const subject = `Order Update #${order.orderNumber}`;
+    const settings = getStoreSettings(order.store);
+    const orderNumber = formatOrderNumber(order.orderNumber, settings);
+    const subject = `Order Update #${orderNumber}`;
     const html = `
       <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
         <h1 style="color: #3B82F6;">Order Status Update</h1>
         <p>Hi ${order.customer.firstName},</p>
         <p>Your order status has been updated:</p>
         <div style="background-color: #f8f9fa; padding: 20px; border-radius: 6px; margin: 20px 0;">
-          <h3>Order #${order.orderNumber}</h3>
+          <h3>Order #${orderNumber}</h3>
           <p><strong>New Status:</strong> ${status}</p>
-          <p><strong>Date:</strong> ${new Date().toLocaleDateString()}</p>
+          <p><strong>Date:</strong> ${formatDate(new Date(), settings)}</p>
         </div>
         <p>Thank you for your patience!</p>
         <p>Best regards,<br>The ${order.store.name} Team</p>
@@ -168,6 +180,101 @@ class EmailService {
     return this.sendEmail(store.user.email, subject, html);
   }
 
+  // Rows of a stock table: item name, current stock and threshold
+  renderStockRows(items) {
+    return items.map(item => `
+            <tr>
+              <td style="padding: 6px 0;">${item.name}${item.sku ? ` <span style="color: #6B7280;">(${item.sku})</span>` : ''}</td>
+              <td style="padding: 6px 0; text-align: right;">${item.quantity}</td>
+              <td style="padding: 6px 0; text-align: right;">${item.threshold}</td>
+            </tr>`).join('');
+  }
+
+  // Low-stock alert to the store owner
+  async sendLowStockAlert(store, items) {
+    const inventoryUrl = `${process.env.FRONTEND_URL || 'http://localhost:3000'}/stores/${store.id}/inventory`;
+    const subject = items.length === 1
+      ? `Low stock: ${items[0].name}`
+      : `Low stock: ${items.length} items in "${store.name}"`;
+    const html = `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h1 style="color: #F59E0B;">Low Stock Alert</h1>
+        <p>Hi ${store.user.name},</p>
+        <p>The following items in "${store.name}" have dropped below their low-stock threshold:</p>
+        <div style="background-color: #f8f9fa; padding: 20px; border-radius: 6px; margin: 20px 0;">
+          <table style="width: 100%; border-collapse: collapse;">
+            <tr><th style="text-align: left;">Item</th><th style="text-align: right;">In stock</th><th style="text-align: right;">Threshold</th></tr>
+            ${this.renderStockRows(items)}
+          </table>
+        </div>
+        <a href="${inventoryUrl}" style="display: inline-block; background-color: #3B82F6; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px; margin: 20px 0;">Review Inventory</a>
+        <p>Best regards,<br>The Buildcart.ai Team</p>
+      </div>
+    `;
+
+    return this.sendEmail(store.user.email, subject, html);
+  }
+
+  // Daily digest of every item below its low-stock threshold
+  async sendLowStockDigest(store, items) {
+    const inventoryUrl = `${process.env.FRONTEND_URL || 'http://localhost:3000'}/stores/${store.id}/inventory`;
+    const subject = `Daily low-stock summary for "${store.name}": ${items.length} item(s)`;
+    const html = `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h1 style="color: #3B82F6;">Low Stock Summary</h1>
+        <p>Hi ${store.user.name},</p>
+        <p>${items.length} item(s) in "${store.name}" are currently below their low-stock threshold:</p>
+        <div style="background-color: #f8f9fa; padding: 20px; border-radius: 6px; margin: 20px 0;">
+          <table style="width: 100%; border-collapse: collapse;">
+            <tr><th style="text-align: left;">Item</th><th style="text-align: right;">In stock</th><th style="text-align: right;">Threshold</th></tr>
+            ${this.renderStockRows(items)}
+          </table>
+        </div>
+        <a href="${inventoryUrl}" style="display: inline-block; background-color: #3B82F6; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px; margin: 20px 0;">Review Inventory</a>
+        <p>Best regards,<br>The Buildcart.ai Team</p>
+      </div>
+    `;
+
+    return this.sendEmail(store.user.email, subject, html);
+  }
+
+  // Back-in-stock notification to a customer who signed up on the storefront
+  async sendBackInStockNotification(email, store, item) {
+    const subject = `${item.name} is back in stock at ${store.name}`;
+    const html = `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h1 style="color: #3B82F6;">Back in Stock</h1>
+        <p>Hi,</p>
+        <p>Good news! <strong>${item.name}</strong> is available again at ${store.name}.</p>
+        ${item.url ? `<a href="${item.url}" style="display: inline-block; background-color: #3B82F6; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px; margin: 20px 0;">Shop Now</a>` : ''}
+        <p>You are receiving this email because you asked to be notified when this item was back in stock. We will not email you about it again.</p>
+        <p>Best regards,<br>The ${store.name} Team</p>
+      </div>
+    `;
+
+    return this.sendEmail(email, subject, html);
+  }
+
+  // Store team invitation
+  async sendStoreInvitation(member, store, inviter, token) {
+    const inviteUrl = `${process.env.FRONTEND_URL || 'http://localhost:3000'}/invitations/accept?token=${token}`;
+    const subject = `You've been invited to join "${store.name}" on Buildcart.ai`;
+    const html = `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h1 style="color: #3B82F6;">You're invited!</h1>
+        <p>Hi,</p>
+        <p>${inviter.name} has invited you to help manage the store "${store.name}" as <strong>${member.role.toLowerCase()}</strong>.</p>
+        <a href="${inviteUrl}" style="display: inline-block; background-color: #3B82F6; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px; margin: 20px 0;">Accept Invitation</a>
+        <p>If the button doesn't work, you can copy and paste this link into your browser:</p>
+        <p>${inviteUrl}</p>
+        <p>This invitation will expire in 7 days. You'll need to sign in (or create an account) with ${member.email} to accept it.</p>
+        <p>Best regards,<br>The Buildcart.ai Team</p>
+      </div>
+    `;
+
+    return this.sendEmail(member.email, subject, html);
+  }
+
   // Marketing email
   async sendMarketingEmail(campaign, recipients) {
     const subject = campaign.subject;
@@ -0,0 +1,403 @@
+const { PrismaClient, Prisma } = require('@prisma/client');
+const { NotFoundError, ValidationError, ConflictError } = require('../middleware/errorHandler');
+const stockAlertService = require('./stockAlertService');
+const productBundleService = require('./productBundleService');
+const logger = require('../utils/logger');
+
+const prisma = new PrismaClient();
+
+// Stock adjustments are applied together, so a shipment is received all or nothing
+const ADJUSTMENT_TIMEOUT_MS = 30 * 1000;
+
+// Key of an item's stock level at a location
+const getItemId = ({ productId, variantId }) => variantId || productId;
+
+class InventoryService {
+  // Products and variants whose stock level differs from the sum of their movements
+  async findUnrecordedChanges(client, { productIds, storeId }) {
+    const where = productIds
+      ? Prisma.sql`p."id" IN (${Prisma.join(productIds)})`
+      : storeId ? Prisma.sql`p."storeId" = ${storeId}` : Prisma.sql`TRUE`;
+
+    return client.$queryRaw`
+      SELECT p."storeId", p."id" AS "productId", NULL AS "variantId", p."inventory" AS "balance",
+        (p."inventory" - coalesce(sum(m."quantity"), 0))::int AS "quantity"
+      FROM "products" p
+      LEFT JOIN "inventory_movements" m ON m."productId" = p."id" AND m."variantId" IS NULL
+      WHERE ${where}
+      GROUP BY p."id"
+      HAVING p."inventory" <> coalesce(sum(m."quantity"), 0)
+      UNION ALL
+      SELECT p."storeId", p."id", v."id", v."inventory",
+        (v."inventory" - coalesce(sum(m."quantity"), 0))::int
+      FROM "product_variants" v
+      JOIN "products" p ON p."id" = v."productId"
+      LEFT JOIN "inventory_movements" m ON m."variantId" = v."id"
+      WHERE ${where}
+      GROUP BY p."id", v."id"
+      HAVING v."inventory" <> coalesce(sum(m."quantity"), 0)
+    `;
+  }
+
+  // Active locations of a store in allocation order: the preferred location, or
+  // the default one, first and then by priority. Empty for stores without locations.
+  async getLocations(client, storeId, preferredLocationId = null) {
+    const locations = await client.location.findMany({
+      where: { storeId, isActive: true },
+      orderBy: [{ priority: 'asc' }, { name: 'asc' }]
+    });
+
+    const preferred = preferredLocationId
+      ? locations.find(location => location.id === preferredLocationId)
+      : locations.find(location => location.isDefault);
+
+    if (preferredLocationId && !preferred) {
+      throw new NotFoundError(`Active location not found: ${preferredLocationId}`);
+    }
+
+    return preferred ? [preferred, ...locations.filter(location => location !== preferred)] : locations;
+  }
+
+  // Get a location of a store
+  async getLocation(client, storeId, locationId) {
+    const location = await client.location.findFirst({
+      where: { id: locationId, storeId }
+    });
+
+    if (!location) {
+      throw new NotFoundError(`Location not found: ${locationId}`);
+    }
+
+    return location;
+  }
+
+  // Stock of an item at each of the given locations, in the same order
+  async getLevels(client, item, locations) {
+    const levels = await client.inventoryLevel.findMany({
+      where: { itemId: getItemId(item), locationId: { in: locations.map(location => location.id) } }
+    });
+
+    return locations.map(location => ({
+      location,
+      quantity: (levels.find(level => level.locationId === location.id) || { quantity: 0 }).quantity
+    }));
+  }
+
+  // Add to the stock of an item at a location
+  async changeLevel(client, locationId, { productId, variantId = null }, quantity) {
+    const itemId = getItemId({ productId, variantId });
+
+    return client.inventoryLevel.upsert({
+      where: { locationId_itemId: { locationId, itemId } },
+      create: { locationId, productId, variantId, itemId, quantity },
+      update: { quantity: { increment: quantity } }
+    });
+  }
+
+  // Decide where a quantity is taken from: the first location that holds all of it,
+  // otherwise as much as each location holds, in order. Whatever is still missing
+  // is taken from the first location as a backorder.
+  planAllocation(levels, quantity) {
+    const whole = levels.find(level => level.quantity >= quantity);
+    if (whole) {
+      return [{ location: whole.location, quantity }];
+    }
+
+    const parts = [];
+    let remaining = quantity;
+    for (const level of levels) {
+      const taken = Math.min(Math.max(level.quantity, 0), remaining);
+      if (taken > 0) {
+        parts.push({ location: level.location, quantity: taken });
+        remaining -= taken;
+      }
+    }
+
+    if (remaining > 0) {
+      const first = parts.find(part => part.location === levels[0].location);
+      if (first) {
+        first.quantity += remaining;
+      } else {
+        parts.unshift({ location: levels[0].location, quantity: remaining });
+      }
+    }
+
+    return parts;
+  }
+
+  // Record stock levels that were set directly (product forms, bulk edits, imports)
+  // as corrections, so the ledger keeps adding up to the current stock. Covers the
+  // given products, a store, or every store. In stores with locations, added stock
+  // goes to the default location and removed stock is taken in allocation order.
+  async recordStockLevels(client, { productIds, storeId, userId = null, note = null } = {}) {
+    if (productIds && productIds.length === 0) {
+      return 0;
+    }
+
+    const changes = await this.findUnrecordedChanges(client, { productIds, storeId });
+    const locationsByStore = new Map();
+    const movements = [];
+
+    for (const change of changes) {
+      if (!locationsByStore.has(change.storeId)) {
+        locationsByStore.set(change.storeId, await this.getLocations(client, change.storeId));
+      }
+      const locations = locationsByStore.get(change.storeId);
+
+      if (locations.length === 0) {
+        movements.push({ ...change, locationId: null });
+        continue;
+      }
+
+      const parts = change.quantity > 0
+        ? [{ location: locations[0], quantity: change.quantity }]
+        : this.planAllocation(await this.getLevels(client, change, locations), -change.quantity)
+          .map(part => ({ ...part, quantity: -part.quantity }));
+
+      for (const part of parts) {
+        await this.changeLevel(client, part.location.id, change, part.quantity);
+        movements.push({ ...change, quantity: part.quantity, locationId: part.location.id });
+      }
+    }
+
+    if (movements.length > 0) {
+      await client.inventoryMovement.createMany({
+        data: movements.map(movement => ({ ...movement, reason: 'CORRECTION', note, userId }))
+      });
+    }
+
+    await stockAlertService.checkStockLevels(client, changes);
+
+    return changes.length;
+  }
+
+  // Reconcile stock levels changed outside the API, such as by database edits
+  async reconcileStockLevels() {
+    const count = await prisma.$transaction(
+      (tx) => this.recordStockLevels(tx, { note: 'Reconciled with stock level' }),
+      { timeout: ADJUSTMENT_TIMEOUT_MS }
+    );
+
+    if (count > 0) {
+      logger.warn(`Inventory reconciliation recorded ${count} unexplained stock change(s)`);
+    }
+
+    return count;
+  }
+
+  // Load a product of a store with its stock flags, checking the variant belongs to it.
+  // Bundles hold no stock of their own; their components do.
+  async getStockItem(client, storeId, productId, variantId = null) {
+    const product = await client.product.findFirst({
+      where: { id: productId, storeId },
+      select: {
+        id: true,
+        isBundle: true,
+        trackInventory: true,
+        allowBackorder: true,
+        variants: variantId ? { where: { id: variantId }, select: { id: true } } : false
+      }
+    });
+
+    if (!product) {
+      throw new NotFoundError(`Product not found: ${productId}`);
+    }
+
+    if (product.isBundle) {
+      throw new ValidationError(`Bundle stock is kept on its components: ${productId}`);
+    }
+
+    if (variantId && product.variants.length === 0) {
+      throw new NotFoundError(`Variant not found: ${variantId}`);
+    }
+
+    return product;
+  }
+
+  // Change the stock of an item, at a location when the store has them, and record
+  // the movement. Products that track inventory without backorders cannot go below
+  // zero, at the location or in total.
+  async moveStock(tx, { storeId, product, variantId = null, location = null, quantity, reason, note = null, orderId = null, userId = null }) {
+    const item = { productId: product.id, variantId };
+    const limited = product.trackInventory && !product.allowBackorder;
+
+    if (location) {
+      const level = await this.changeLevel(tx, location.id, item, quantity);
+
+      if (quantity < 0 && level.quantity < 0 && limited) {
+        throw new ValidationError(`Not enough stock for ${getItemId(item)} at ${location.name}: ${level.quantity - quantity} available`);
+      }
+    }
+
+    const { inventory: balance } = variantId
+      ? await tx.productVariant.update({
+        where: { id: variantId },
+        data: { inventory: { increment: quantity } },
+        select: { inventory: true }
+      })
+      : await tx.product.update({
+        where: { id: product.id },
+        data: { inventory: { increment: quantity } },
+        select: { inventory: true }
+      });
+
+    if (quantity < 0 && balance < 0 && limited) {
+      throw new ValidationError(`Not enough stock for ${getItemId(item)}: ${balance - quantity} available`);
+    }
+
+    return tx.inventoryMovement.create({
+      data: {
+        ...item,
+        storeId,
+        locationId: location ? location.id : null,
+        orderId,
+        userId,
+        quantity,
+        balance,
+        reason,
+        note
+      }
+    });
+  }
+
+  // Apply one stock change. Stores with locations change the given location's
+  // stock, or the default location's.
+  async applyAdjustment(tx, storeId, adjustment, userId = null) {
+    const { productId, variantId = null, locationId, quantity, reason, note = null, orderId = null } = adjustment;
+
+    const product = await this.getStockItem(tx, storeId, productId, variantId);
+
+    if (orderId && !(await tx.order.findFirst({ where: { id: orderId, storeId }, select: { id: true } }))) {
+      throw new NotFoundError(`Order not found: ${orderId}`);
+    }
+
+    const location = locationId
+      ? await this.getLocation(tx, storeId, locationId)
+      : (await this.getLocations(tx, storeId))[0] || null;
+
+    // Earlier direct changes are recorded first, so this movement starts from the right balance
+    await this.recordStockLevels(tx, { productIds: [productId], note: 'Reconciled with stock level' });
+
+    return this.moveStock(tx, { storeId, product, variantId, location, quantity, reason, note, orderId, userId });
+  }
+
+  // Apply stock adjustments to products of a store in one transaction
+  async adjustStock(storeId, adjustments, userId) {
+    const movements = await prisma.$transaction(async (tx) => {
+      const created = [];
+      for (const adjustment of adjustments) {
+        created.push(await this.applyAdjustment(tx, storeId, adjustment, userId));
+      }
+
+      await stockAlertService.checkStockLevels(tx, created);
+      return created;
+    }, { timeout: ADJUSTMENT_TIMEOUT_MS });
+
+    logger.info(`Inventory adjusted in store ${storeId}: ${movements.length} movement(s) by user ${userId}`);
+
+    await stockAlertService.sendPendingAlerts(storeId);
+    return movements;
+  }
+
+  // Move stock between two locations. Total stock is unchanged, and a location
+  // cannot send more than it holds, whatever the backorder setting.
+  async transferStock(storeId, { fromLocationId, toLocationId, items, note = null }, userId) {
+    if (fromLocationId === toLocationId) {
+      throw new ValidationError('Choose two different locations');
+    }
+
+    const movements = await prisma.$transaction(async (tx) => {
+      const from = await this.getLocation(tx, storeId, fromLocationId);
+      const to = await this.getLocation(tx, storeId, toLocationId);
+      const created = [];
+
+      for (const { productId, variantId = null, quantity } of items) {
+        const product = await this.getStockItem(tx, storeId, productId, variantId);
+        const item = { productId, variantId };
+
+        const sent = await this.changeLevel(tx, from.id, item, -quantity);
+        if (sent.quantity < 0) {
+          throw new ValidationError(`Not enough stock for ${getItemId(item)} at ${from.name}: ${sent.quantity + quantity} available`);
+        }
+        await this.changeLevel(tx, to.id, item, quantity);
+
+        const { inventory: balance } = variantId
+          ? await tx.productVariant.findUnique({ where: { id: variantId }, select: { inventory: true } })
+          : await tx.product.findUnique({ where: { id: product.id }, select: { inventory: true } });
+
+        const movement = { ...item, storeId, userId, balance, reason: 'TRANSFER', note };
+        created.push(
+          await tx.inventoryMovement.create({ data: { ...movement, locationId: from.id, quantity: -quantity } }),
+          await tx.inventoryMovement.create({ data: { ...movement, locationId: to.id, quantity } })
+        );
+      }
+
+      return created;
+    }, { timeout: ADJUSTMENT_TIMEOUT_MS });
+
+    logger.info(`Inventory transferred in store ${storeId}: ${items.length} item(s) from ${fromLocationId} to ${toLocationId}`);
+    return movements;
+  }
+
+  // Take the stock of an order's items, from the preferred location first (the
+  // default location unless one is given) and then by location priority.
+  // The resulting SALE movements record where each item ships from. Bundles
+  // take the stock of their components, and their order items record the
+  // components they ship as.
+  async allocateOrder(storeId, orderId, { preferredLocationId = null } = {}, userId = null) {
+    const movements = await prisma.$transaction(async (tx) => {
+      const order = await tx.order.findFirst({
+        where: { id: orderId, storeId },
+        include: { items: true }
+      });
+
+      if (!order) {
+        throw new NotFoundError('Order not found');
+      }
+
+      if (await tx.inventoryMovement.count({ where: { orderId, reason: 'SALE' } }) > 0) {
+        throw new ConflictError('Stock has already been allocated to this order');
+      }
+
+      const locations = await this.getLocations(tx, storeId, preferredLocationId);
+      const created = [];
+
+      for (const orderItem of order.items) {
+        const components = orderItem.components || await productBundleService.getOrderItemComponents(tx, orderItem);
+
+        if (components && !orderItem.components) {
+          await tx.orderItem.update({ where: { id: orderItem.id }, data: { components } });
+        }
+
+        const note = components ? `Order ${order.orderNumber} (${orderItem.title})` : `Order ${order.orderNumber}`;
+
+        for (const { productId, variantId = null, quantity } of components || [orderItem]) {
+          const product = await this.getStockItem(tx, storeId, productId, variantId);
+          const sale = { storeId, product, variantId, reason: 'SALE', note, orderId, userId };
+
+          await this.recordStockLevels(tx, { productIds: [productId], note: 'Reconciled with stock level' });
+
+          if (locations.length === 0) {
+            created.push(await this.moveStock(tx, { ...sale, quantity: -quantity }));
+            continue;
+          }
+
+          const parts = this.planAllocation(await this.getLevels(tx, { productId, variantId }, locations), quantity);
+          for (const part of parts) {
+            created.push(await this.moveStock(tx, { ...sale, location: part.location, quantity: -part.quantity }));
+          }
+        }
+      }
+
+      await stockAlertService.checkStockLevels(tx, created);
+      return created;
+    }, { timeout: ADJUSTMENT_TIMEOUT_MS });
+
+    logger.info(`Stock allocated to order ${orderId}: ${movements.length} movement(s)`);
+
+    await stockAlertService.sendPendingAlerts(storeId);
+    return movements;
+  }
+}
+
+module.exports = new InventoryService();
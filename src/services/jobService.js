@@ -0,0 +1,105 @@
+const { PrismaClient } = require('@prisma/client');
+const { NotFoundError } = require('../middleware/errorHandler');
+const logger = require('../utils/logger');
+
+const prisma = new PrismaClient();
+
+// Jobs run inside the API process; a job still running after this long was
+// interrupted by a restart and is marked as failed
+const STALE_JOB_MINUTES = parseInt(process.env.STALE_JOB_MINUTES, 10) || 60;
+
+class JobService {
+  // Record a new job
+  async createJob(storeId, userId, type, input = {}, total = 0) {
+    return prisma.job.create({
+      data: { storeId, userId, type, input, total }
+    });
+  }
+
+  // Get a job of a store
+  async getJob(storeId, jobId) {
+    const job = await prisma.job.findFirst({
+      where: { id: jobId, storeId }
+    });
+
+    if (!job) {
+      throw new NotFoundError('Job not found');
+    }
+
+    return job;
+  }
+
+  // Run a job and record its status. The handler receives a progress callback
+  // and returns the job result; a thrown error fails the job.
+  async run(job, handler) {
+    await prisma.job.update({
+      where: { id: job.id },
+      data: { status: 'RUNNING', startedAt: new Date() }
+    });
+
+    const reportProgress = (processed) => prisma.job.update({
+      where: { id: job.id },
+      data: { processed }
+    });
+
+    try {
+      const result = await handler(reportProgress);
+
+      const completed = await prisma.job.update({
+        where: { id: job.id },
+        data: {
+          status: 'COMPLETED',
+          result,
+          processed: job.total,
+          completedAt: new Date()
+        }
+      });
+
+      logger.info(`Job completed: ${job.type} (${job.id})`);
+      return completed;
+    } catch (error) {
+      logger.error(`Job failed: ${job.type} (${job.id})`, error);
+
+      return prisma.job.update({
+        where: { id: job.id },
+        data: {
+          status: 'FAILED',
+          error: error.message,
+          completedAt: new Date()
+        }
+      });
+    }
+  }
+
+  // Start a job without waiting for it; its progress is read back from the job record
+  runInBackground(job, handler) {
+    setImmediate(() => {
+      this.run(job, handler).catch(error => logger.error(`Failed to run job ${job.id}:`, error));
+    });
+  }
+
+  // Fail jobs that were left running by a stopped process
+  async failStaleJobs(staleMinutes = STALE_JOB_MINUTES) {
+    const cutoff = new Date(Date.now() - staleMinutes * 60 * 1000);
+
+    const { count } = await prisma.job.updateMany({
+      where: {
+        status: { in: ['PENDING', 'RUNNING'] },
+        createdAt: { lt: cutoff }
+      },
+      data: {
+        status: 'FAILED',
+        error: 'Job was interrupted',
+        completedAt: new Date()
+      }
+    });
+
+    if (count > 0) {
+      logger.warn(`Marked ${count} interrupted job(s) as failed`);
+    }
+
+    return count;
+  }
+}
+
+module.exports = new JobService();
@@ -0,0 +1,165 @@
+const { PrismaClient } = require('@prisma/client');
+const { ValidationError, ConflictError } = require('../middleware/errorHandler');
+const inventoryService = require('./inventoryService');
+const logger = require('../utils/logger');
+
+const prisma = new PrismaClient();
+
+class LocationService {
+  // Locations of a store with the total stock they hold
+  async getLocations(storeId) {
+    const [locations, totals] = await Promise.all([
+      prisma.location.findMany({
+        where: { storeId },
+        orderBy: [{ priority: 'asc' }, { name: 'asc' }]
+      }),
+      prisma.inventoryLevel.groupBy({
+        by: ['locationId'],
+        where: { location: { storeId } },
+        _sum: { quantity: true }
+      })
+    ]);
+
+    return locations.map(location => ({
+      ...location,
+      totalQuantity: (totals.find(total => total.locationId === location.id) || { _sum: {} })._sum.quantity || 0
+    }));
+  }
+
+  // Location names are unique within a store
+  async assertNameAvailable(storeId, name, excludeId = null) {
+    const existing = await prisma.location.findUnique({
+      where: { storeId_name: { storeId, name } },
+      select: { id: true }
+    });
+
+    if (existing && existing.id !== excludeId) {
+      throw new ConflictError('A location with this name already exists');
+    }
+  }
+
+  // Create a location. The first location of a store becomes its default and
+  // takes over the stock the store already has.
+  async createLocation(storeId, data) {
+    await this.assertNameAvailable(storeId, data.name);
+
+    const location = await prisma.$transaction(async (tx) => {
+      const count = await tx.location.count({ where: { storeId } });
+
+      if (count === 0) {
+        if (data.isActive === false) {
+          throw new ValidationError('The first location of a store must be active');
+        }
+
+        // Record direct changes first so the ledger matches the stock being handed over
+        await inventoryService.recordStockLevels(tx, { storeId, note: 'Reconciled with stock level' });
+      } else if (data.isDefault) {
+        await tx.location.updateMany({ where: { storeId }, data: { isDefault: false } });
+      }
+
+      const created = await tx.location.create({
+        data: { ...data, isDefault: count === 0 || Boolean(data.isDefault), storeId }
+      });
+
+      if (count === 0) {
+        await this.assignExistingStock(tx, storeId, created.id);
+      }
+
+      return created;
+    });
+
+    logger.info(`Location created: ${location.name} (${location.id}) in store ${storeId}`);
+    return location;
+  }
+
+  // Put the current stock of every product and variant of a store at a location
+  async assignExistingStock(tx, storeId, locationId) {
+    const products = await tx.product.findMany({
+      where: { storeId },
+      select: { id: true, inventory: true, variants: { select: { id: true, inventory: true } } }
+    });
+
+    const levels = products.flatMap(product => [
+      { productId: product.id, variantId: null, itemId: product.id, quantity: product.inventory },
+      ...product.variants.map(variant => ({
+        productId: product.id,
+        variantId: variant.id,
+        itemId: variant.id,
+        quantity: variant.inventory
+      }))
+    ]).filter(level => level.quantity !== 0);
+
+    if (levels.length > 0) {
+      await tx.inventoryLevel.createMany({
+        data: levels.map(level => ({ ...level, locationId }))
+      });
+    }
+  }
+
+  // Update a location. Making a location the default replaces the previous one;
+  // the default location cannot be deactivated.
+  async updateLocation(storeId, locationId, data) {
+    const existing = await inventoryService.getLocation(prisma, storeId, locationId);
+
+    if (data.name && data.name !== existing.name) {
+      await this.assertNameAvailable(storeId, data.name, locationId);
+    }
+
+    if (existing.isDefault && data.isDefault === false) {
+      throw new ValidationError('Make another location the default instead');
+    }
+
+    if ((existing.isDefault || data.isDefault) && data.isActive === false) {
+      throw new ValidationError('The default location must be active');
+    }
+
+    const location = await prisma.$transaction(async (tx) => {
+      if (data.isDefault && !existing.isDefault) {
+        await tx.location.updateMany({ where: { storeId }, data: { isDefault: false } });
+      }
+
+      return tx.location.update({
+        where: { id: locationId },
+        data
+      });
+    });
+
+    logger.info(`Location updated: ${location.name} (${location.id})`);
+    return location;
+  }
+
+  // Delete a location that holds no stock. When it was the default, the next
+  // active location by priority takes over.
+  async deleteLocation(storeId, locationId) {
+    const existing = await inventoryService.getLocation(prisma, storeId, locationId);
+
+    const stocked = await prisma.inventoryLevel.count({
+      where: { locationId, quantity: { not: 0 } }
+    });
+
+    if (stocked > 0) {
+      throw new ConflictError('Transfer the stock of this location elsewhere before deleting it');
+    }
+
+    await prisma.$transaction(async (tx) => {
+      await tx.location.delete({ where: { id: locationId } });
+
+      if (existing.isDefault) {
+        const next = await tx.location.findFirst({
+          where: { storeId, isActive: true },
+          orderBy: [{ priority: 'asc' }, { name: 'asc' }]
+        });
+
+        if (next) {
+          await tx.location.update({ where: { id: next.id }, data: { isDefault: true } });
+        } else if (await tx.location.count({ where: { storeId } }) > 0) {
+          throw new ValidationError('Activate another location before deleting the default one');
+        }
+      }
+    });
+
+    logger.info(`Location deleted: ${existing.name} (${existing.id})`);
+  }
+}
+
+module.exports = new LocationService();
@@ -0,0 +1,181 @@
+const { PrismaClient, Prisma } = require('@prisma/client');
+const { ValidationError } = require('../middleware/errorHandler');
+const logger = require('../utils/logger');
+
+const prisma = new PrismaClient();
+
+// API field name of each association type
+const ASSOCIATION_TYPES = {
+  related: 'RELATED',
+  upsell: 'UPSELL',
+  crossSell: 'CROSS_SELL'
+};
+
+// Types that fall back to frequently bought together products when none are curated
+const FALLBACK_TYPES = ['related', 'crossSell'];
+
+// Upper bound on frequently bought together suggestions per product
+const MAX_SUGGESTIONS = 8;
+
+// Products bought together in fewer orders than this are not suggested
+const MIN_ORDERS_TOGETHER = 2;
+
+// Only recent orders count towards frequently bought together
+const ORDER_WINDOW_DAYS = 365;
+
+// Fields of linked products returned by the API
+const ASSOCIATED_PRODUCT_SELECT = {
+  id: true,
+  name: true,
+  price: true,
+  comparePrice: true,
+  images: true,
+  urlHandle: true,
+  status: true,
+  isActive: true
+};
+
+class ProductAssociationService {
+  // Products most often ordered together with each product, most frequent
+  // first. Returns a Map of product id to related product ids.
+  async getFrequentlyBoughtTogether(storeId, productIds = null) {
+    const since = new Date(Date.now() - ORDER_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+    const productFilter = productIds ? Prisma.sql`AND a."productId" IN (${Prisma.join(productIds)})` : Prisma.empty;
+
+    const pairs = await prisma.$queryRaw`
+      SELECT a."productId", b."productId" AS "relatedProductId", COUNT(DISTINCT a."orderId")::int AS "orders"
+      FROM "order_items" a
+      JOIN "order_items" b ON b."orderId" = a."orderId" AND b."productId" <> a."productId"
+      JOIN "orders" o ON o."id" = a."orderId"
+      WHERE o."storeId" = ${storeId}
+        AND o."status" NOT IN ('CANCELLED', 'REFUNDED')
+        AND o."createdAt" >= ${since}
+        ${productFilter}
+      GROUP BY a."productId", b."productId"
+      HAVING COUNT(DISTINCT a."orderId") >= ${MIN_ORDERS_TOGETHER}
+      ORDER BY a."productId", "orders" DESC, b."productId"
+    `;
+
+    const suggestions = new Map();
+    for (const pair of pairs) {
+      const related = suggestions.get(pair.productId) || [];
+      if (related.length < MAX_SUGGESTIONS) {
+        suggestions.set(pair.productId, [...related, pair.relatedProductId]);
+      }
+    }
+
+    return suggestions;
+  }
+
+  // Curated links of a product by type, falling back to frequently bought
+  // together products. Each list says where its products came from.
+  async getAssociations(product) {
+    const [links, suggestions] = await Promise.all([
+      prisma.productAssociation.findMany({
+        where: { productId: product.id },
+        orderBy: { position: 'asc' },
+        include: { relatedProduct: { select: ASSOCIATED_PRODUCT_SELECT } }
+      }),
+      this.getFrequentlyBoughtTogether(product.storeId, [product.id])
+    ]);
+
+    const suggestedIds = suggestions.get(product.id) || [];
+    const suggested = suggestedIds.length === 0 ? [] : await prisma.product.findMany({
+      where: { id: { in: suggestedIds }, isActive: true },
+      select: ASSOCIATED_PRODUCT_SELECT
+    });
+    const suggestedProducts = suggestedIds
+      .map(id => suggested.find(candidate => candidate.id === id))
+      .filter(Boolean);
+
+    const associations = {};
+    for (const [field, type] of Object.entries(ASSOCIATION_TYPES)) {
+      const curated = links.filter(link => link.type === type).map(link => link.relatedProduct);
+
+      associations[field] = curated.length === 0 && FALLBACK_TYPES.includes(field)
+        ? { source: 'FREQUENTLY_BOUGHT_TOGETHER', products: suggestedProducts }
+        : { source: 'MANUAL', products: curated };
+    }
+
+    return associations;
+  }
+
+  // Replace the curated links of the given types; types left out are kept.
+  // Linked products must belong to the same store.
+  async setAssociations(product, lists) {
+    const ids = [...new Set(Object.values(lists).flat())];
+
+    if (ids.includes(product.id)) {
+      throw new ValidationError('A product cannot be linked to itself');
+    }
+
+    const found = await prisma.product.count({
+      where: { id: { in: ids }, storeId: product.storeId }
+    });
+
+    if (found !== ids.length) {
+      throw new ValidationError('Linked products must belong to the same store');
+    }
+
+    await prisma.$transaction(async (tx) => {
+      for (const [field, relatedIds] of Object.entries(lists)) {
+        const type = ASSOCIATION_TYPES[field];
+
+        await tx.productAssociation.deleteMany({
+          where: { productId: product.id, type }
+        });
+
+        await tx.productAssociation.createMany({
+          data: relatedIds.map((relatedProductId, position) => ({
+            productId: product.id,
+            relatedProductId,
+            type,
+            position
+          }))
+        });
+      }
+    });
+
+    logger.info(`Associations updated for product ${product.id}: ${Object.keys(lists).join(', ')}`);
+    return this.getAssociations(product);
+  }
+
+  // Linked products of every storefront product, for the site generator.
+  // `products` are the published products; links to other products are dropped.
+  async getStoreAssociations(storeId, products) {
+    const [links, suggestions] = await Promise.all([
+      prisma.productAssociation.findMany({
+        where: { product: { storeId } },
+        orderBy: { position: 'asc' },
+        select: { productId: true, relatedProductId: true, type: true }
+      }),
+      this.getFrequentlyBoughtTogether(storeId)
+    ]);
+
+    const byId = new Map(products.map(product => [product.id, product]));
+    const toProducts = (ids) => ids.map(id => byId.get(id)).filter(Boolean);
+
+    const linksByProduct = new Map();
+    for (const link of links) {
+      linksByProduct.set(link.productId, [...(linksByProduct.get(link.productId) || []), link]);
+    }
+
+    const associations = new Map();
+    for (const product of products) {
+      const productLinks = linksByProduct.get(product.id) || [];
+      const suggested = toProducts(suggestions.get(product.id) || []);
+      const lists = {};
+
+      for (const [field, type] of Object.entries(ASSOCIATION_TYPES)) {
+        const curated = toProducts(productLinks.filter(link => link.type === type).map(link => link.relatedProductId));
+        lists[field] = curated.length === 0 && FALLBACK_TYPES.includes(field) ? suggested : curated;
+      }
+
+      associations.set(product.id, lists);
+    }
+
+    return associations;
+  }
+}
+
+module.exports = new ProductAssociationService();
@@ -0,0 +1,160 @@
+const { PrismaClient } = require('@prisma/client');
+const { ValidationError } = require('../middleware/errorHandler');
+const logger = require('../utils/logger');
+
+const prisma = new PrismaClient();
+
+// Key of a component's stock item
+const getItemId = ({ productId, variantId }) => variantId || productId;
+
+// Component fields needed to list a bundle's contents and work out its availability
+const BUNDLE_ITEM_INCLUDE = {
+  product: {
+    select: { id: true, name: true, sku: true, urlHandle: true, inventory: true, trackInventory: true, allowBackorder: true }
+  },
+  variant: {
+    select: { id: true, title: true, sku: true, inventory: true }
+  }
+};
+
+class ProductBundleService {
+  // How many bundles the stock of their components makes up. null when no
+  // component limits it, because none tracks inventory without backorders.
+  getAvailability(items) {
+    if (items.length === 0) {
+      return 0;
+    }
+
+    const limits = items
+      .filter(item => item.product.trackInventory && !item.product.allowBackorder)
+      .map(item => Math.floor(Math.max((item.variant || item.product).inventory, 0) / item.quantity));
+
+    return limits.length === 0 ? null : Math.min(...limits);
+  }
+
+  // Components of a bundle in order, with the number of bundles available
+  async getBundle(product) {
+    const items = await prisma.bundleItem.findMany({
+      where: { bundleId: product.id },
+      orderBy: { position: 'asc' },
+      include: BUNDLE_ITEM_INCLUDE
+    });
+
+    return { items, availability: this.getAvailability(items) };
+  }
+
+  // Components and availability of every bundle of a store, for the site
+  // generator. Returns a Map of bundle id to { items, availability }.
+  async getStoreBundles(storeId) {
+    const items = await prisma.bundleItem.findMany({
+      where: { bundle: { storeId, isBundle: true } },
+      orderBy: { position: 'asc' },
+      include: BUNDLE_ITEM_INCLUDE
+    });
+
+    const itemsByBundle = new Map();
+    for (const item of items) {
+      itemsByBundle.set(item.bundleId, [...(itemsByBundle.get(item.bundleId) || []), item]);
+    }
+
+    return new Map([...itemsByBundle].map(([bundleId, bundleItems]) => [
+      bundleId,
+      { items: bundleItems, availability: this.getAvailability(bundleItems) }
+    ]));
+  }
+
+  // Replace the components of a bundle. Components are other products of the
+  // store that are not bundles; products with variants are added per variant.
+  async setItems(product, items) {
+    if (!product.isBundle) {
+      throw new ValidationError('Only bundle products have components; set isBundle first');
+    }
+
+    if (product.variants.length > 0) {
+      throw new ValidationError('Bundles cannot have variants; create a bundle for each combination instead');
+    }
+
+    const itemIds = items.map(getItemId);
+    if (new Set(itemIds).size !== itemIds.length) {
+      throw new ValidationError('List each product or variant once and set its quantity instead');
+    }
+
+    if (items.some(item => item.productId === product.id)) {
+      throw new ValidationError('A bundle cannot contain itself');
+    }
+
+    const components = await prisma.product.findMany({
+      where: { id: { in: items.map(item => item.productId) }, storeId: product.storeId },
+      select: { id: true, name: true, isBundle: true, variants: { select: { id: true } } }
+    });
+
+    for (const { productId, variantId } of items) {
+      const component = components.find(candidate => candidate.id === productId);
+
+      if (!component) {
+        throw new ValidationError(`Product not found in this store: ${productId}`);
+      }
+
+      if (component.isBundle) {
+        throw new ValidationError(`${component.name} is a bundle; bundles cannot contain other bundles`);
+      }
+
+      if (variantId && !component.variants.some(variant => variant.id === variantId)) {
+        throw new ValidationError(`Variant ${variantId} does not belong to ${component.name}`);
+      }
+
+      if (!variantId && component.variants.length > 0) {
+        throw new ValidationError(`Choose a variant of ${component.name}`);
+      }
+    }
+
+    await prisma.$transaction(async (tx) => {
+      await tx.bundleItem.deleteMany({ where: { bundleId: product.id } });
+      await tx.bundleItem.createMany({
+        data: items.map(({ productId, variantId = null, quantity }, position) => ({
+          bundleId: product.id,
+          productId,
+          variantId,
+          itemId: getItemId({ productId, variantId }),
+          quantity,
+          position
+        }))
+      });
+    });
+
+    logger.info(`Bundle components updated for product ${product.id}: ${items.length} item(s)`);
+    return this.getBundle(product);
+  }
+
+  // What an order item ships as when it is a bundle: each component with the
+  // quantity for the whole line. null for order items that are not bundles.
+  async getOrderItemComponents(client, orderItem) {
+    const product = await client.product.findUnique({
+      where: { id: orderItem.productId },
+      select: {
+        name: true,
+        isBundle: true,
+        bundleItems: { orderBy: { position: 'asc' }, include: BUNDLE_ITEM_INCLUDE }
+      }
+    });
+
+    if (!product || !product.isBundle) {
+      return null;
+    }
+
+    if (product.bundleItems.length === 0) {
+      throw new ValidationError(`Bundle ${product.name} has no components`);
+    }
+
+    return product.bundleItems.map(item => ({
+      productId: item.productId,
+      variantId: item.variantId,
+      title: item.product.name,
+      variant: item.variant ? item.variant.title : null,
+      sku: (item.variant && item.variant.sku) || item.product.sku,
+      quantity: item.quantity * orderItem.quantity
+    }));
+  }
+}
+
+module.exports = new ProductBundleService();
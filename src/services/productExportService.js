@@ -0,0 +1,206 @@
+const { PrismaClient } = require('@prisma/client');
+const { stringifyCsv } = require('../utils/csv');
+const productBundleService = require('./productBundleService');
+const { PRODUCT_FIELDS, VARIANT_FIELDS, OPTION_POSITIONS, CSV_COLUMNS } = require('../utils/productFields');
+const { getStoreSettings } = require('../utils/storeSettings');
+const logger = require('../utils/logger');
+
+const prisma = new PrismaClient();
+
+// Product fields holding lists, written as comma-separated cells
+const LIST_FIELDS = ['tags', 'images'];
+
+// Escape text for XML content
+const escapeXml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+// Plain text of an HTML description, as feeds expect
+const toPlainText = (html) => String(html)
+  .replace(/<[^>]*>/g, ' ')
+  .replace(/&nbsp;/g, ' ')
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&quot;/g, '"')
+  .replace(/&#39;/g, "'")
+  .replace(/&amp;/g, '&')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+class ProductExportService {
+  // Load the catalog of a store with options and variants, and the components of bundles
+  async getProducts(storeId, filters = {}) {
+    const [products, bundles] = await Promise.all([
+      prisma.product.findMany({
+        where: {
+          storeId,
+          ...(filters.status && { status: filters.status })
+        },
+        orderBy: { createdAt: 'asc' },
+        include: {
+          options: { orderBy: { position: 'asc' } },
+          variants: { orderBy: { createdAt: 'asc' } }
+        }
+      }),
+      productBundleService.getStoreBundles(storeId)
+    ]);
+
+    return products.map(product => (product.isBundle
+      ? { ...product, bundleItems: (bundles.get(product.id) || { items: [] }).items }
+      : product));
+  }
+
+  // The handle that groups a product's rows; products without one use the id,
+  // as the storefront does for their page URL
+  getHandle(product) {
+    return product.urlHandle || product.id;
+  }
+
+  // Write products in the bulk import CSV layout: the first row of a product holds
+  // its fields and option names, and each variant adds a row under the same handle
+  toCsv(products) {
+    const rows = [CSV_COLUMNS];
+
+    for (const product of products) {
+      const productRow = {};
+
+      for (const field of PRODUCT_FIELDS) {
+        const value = product[field];
+        productRow[field] = LIST_FIELDS.includes(field) ? (value || []).join(', ') : value;
+      }
+      productRow.urlHandle = this.getHandle(product);
+
+      for (const option of product.options || []) {
+        productRow[`option${option.position}.name`] = option.name;
+      }
+
+      const variantRows = (product.variants || []).map((variant, index) => {
+        const row = index === 0 ? productRow : { urlHandle: productRow.urlHandle };
+
+        for (const field of VARIANT_FIELDS) {
+          row[`variant.${field}`] = variant[field];
+        }
+        for (const position of OPTION_POSITIONS) {
+          row[`option${position}.value`] = variant[`option${position}`];
+        }
+
+        return row;
+      });
+
+      const productRows = variantRows.length > 0 ? variantRows : [productRow];
+      rows.push(...productRows.map(row => CSV_COLUMNS.map(column => row[column])));
+    }
+
+    return stringifyCsv(rows);
+  }
+
+  // Export products as JSON
+  toJson(products) {
+    return {
+      exportedAt: new Date().toISOString(),
+      total: products.length,
+      products
+    };
+  }
+
+  // Availability as merchant platforms expect it. Bundles are available while
+  // their components make up at least one.
+  getAvailability(product, inventory) {
+    if (product.isBundle) {
+      const available = productBundleService.getAvailability(product.bundleItems || []);
+      return available === null || available > 0 ? 'in_stock' : 'out_of_stock';
+    }
+
+    if (!product.trackInventory || inventory > 0) {
+      return 'in_stock';
+    }
+    return product.allowBackorder ? 'backorder' : 'out_of_stock';
+  }
+
+  // Feed items for a product: one per variant, grouped by the product id,
+  // or a single item for a product without variants
+  getFeedItems(product) {
+    const description = toPlainText(product.description || product.shortDescription || product.name);
+
+    const item = {
+      id: product.sku || product.id,
+      title: product.name,
+      description,
+      handle: this.getHandle(product),
+      images: product.images || [],
+      category: product.category,
+      price: product.price,
+      comparePrice: product.comparePrice
+    };
+
+    if (!product.variants || product.variants.length === 0) {
+      return [{ ...item, availability: this.getAvailability(product, product.inventory) }];
+    }
+
+    return product.variants.map(variant => ({
+      ...item,
+      id: variant.sku || variant.id,
+      groupId: product.id,
+      title: `${product.name} - ${variant.title}`,
+      price: variant.price,
+      comparePrice: variant.comparePrice,
+      availability: this.getAvailability(product, variant.inventory)
+    }));
+  }
+
+  // Google Merchant Center / Meta catalog RSS feed of the published products
+  toMerchantFeed(store, products, storeUrl) {
+    const { currency } = getStoreSettings(store);
+    const formatAmount = (amount) => `${Number(amount).toFixed(2)} ${currency}`;
+    const toAbsoluteUrl = (url) => (/^https?:\/\//.test(url) ? url : `${storeUrl}/${String(url).replace(/^\//, '')}`);
+
+    const items = products
+      .filter(product => product.status === 'PUBLISHED' && product.isActive)
+      .flatMap(product => this.getFeedItems(product));
+
+    const renderItem = (item) => {
+      const onSale = item.comparePrice !== null && item.comparePrice !== undefined &&
+        Number(item.comparePrice) > Number(item.price);
+      const [image, ...additionalImages] = item.images.map(toAbsoluteUrl);
+
+      const fields = [
+        `<g:id>${escapeXml(item.id)}</g:id>`,
+        item.groupId && `<g:item_group_id>${escapeXml(item.groupId)}</g:item_group_id>`,
+        `<g:title>${escapeXml(item.title)}</g:title>`,
+        `<g:description>${escapeXml(item.description)}</g:description>`,
+        `<g:link>${escapeXml(`${storeUrl}/product/${item.handle}`)}</g:link>`,
+        image && `<g:image_link>${escapeXml(image)}</g:image_link>`,
+        ...additionalImages.slice(0, 10).map(url => `<g:additional_image_link>${escapeXml(url)}</g:additional_image_link>`),
+        `<g:availability>${item.availability}</g:availability>`,
+        `<g:price>${formatAmount(onSale ? item.comparePrice : item.price)}</g:price>`,
+        onSale && `<g:sale_price>${formatAmount(item.price)}</g:sale_price>`,
+        item.category && `<g:product_type>${escapeXml(item.category)}</g:product_type>`,
+        `<g:brand>${escapeXml(store.name)}</g:brand>`,
+        '<g:condition>new</g:condition>',
+        '<g:identifier_exists>no</g:identifier_exists>'
+      ];
+
+      return `
+    <item>
+      ${fields.filter(Boolean).join('\n      ')}
+    </item>`;
+    };
+
+    logger.info(`Merchant feed generated for store ${store.id}: ${items.length} items`);
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:g="http://base.google.com/ns/1.0">
+  <channel>
+    <title>${escapeXml(store.name)}</title>
+    <link>${escapeXml(storeUrl)}</link>
+    <description>${escapeXml(store.description || `Products from ${store.name}`)}</description>${items.map(renderItem).join('')}
+  </channel>
+</rss>
+`;
+  }
+}
+
+module.exports = new ProductExportService();
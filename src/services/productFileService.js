@@ -0,0 +1,91 @@
+const { PrismaClient } = require('@prisma/client');
+const { NotFoundError, ValidationError } = require('../middleware/errorHandler');
+const { getStorage } = require('./storage');
+const logger = require('../utils/logger');
+
+const prisma = new PrismaClient();
+
+// Upper bound on downloadable files per product
+const MAX_PRODUCT_FILES = 10;
+
+class ProductFileService {
+  // Downloadable files of a product in display order
+  async getFiles(productId) {
+    return prisma.productFile.findMany({
+      where: { productId },
+      orderBy: { position: 'asc' }
+    });
+  }
+
+  // Store a downloadable file and attach it to the product. `name` is the file
+  // name customers see; it defaults to the uploaded file's name.
+  async uploadFile(product, file, name) {
+    const count = await prisma.productFile.count({ where: { productId: product.id } });
+
+    if (count >= MAX_PRODUCT_FILES) {
+      throw new ValidationError(`Products can have up to ${MAX_PRODUCT_FILES} downloadable files`);
+    }
+
+    const storage = getStorage();
+    const stored = await storage.saveFile(file.buffer, {
+      folder: `downloads/${product.storeId}`,
+      filename: file.originalname
+    });
+
+    try {
+      const last = await prisma.productFile.findFirst({
+        where: { productId: product.id },
+        orderBy: { position: 'desc' },
+        select: { position: true }
+      });
+
+      const created = await prisma.productFile.create({
+        data: {
+          productId: product.id,
+          name: name || file.originalname,
+          contentType: file.mimetype || 'application/octet-stream',
+          size: file.size,
+          storageDriver: storage.name,
+          storageKey: stored.key,
+          position: last ? last.position + 1 : 0
+        }
+      });
+
+      logger.info(`Uploaded file ${created.name} to product ${product.id}`);
+      return created;
+    } catch (error) {
+      await this.deleteStoredFiles([{ storageDriver: storage.name, storageKey: stored.key }]);
+      throw error;
+    }
+  }
+
+  // Delete a downloadable file. Customers who bought it can no longer download it.
+  async deleteFile(product, fileId) {
+    const file = await prisma.productFile.findFirst({
+      where: { id: fileId, productId: product.id }
+    });
+
+    if (!file) {
+      throw new NotFoundError('File not found');
+    }
+
+    await prisma.productFile.delete({ where: { id: fileId } });
+    await this.deleteStoredFiles([file]);
+
+    logger.info(`File deleted: ${file.id} from product ${product.id}`);
+  }
+
+  // Remove stored downloadable files. Failures are logged rather than thrown,
+  // like deleted images.
+  async deleteStoredFiles(files) {
+    for (const file of files) {
+      try {
+        await getStorage(file.storageDriver).deleteFile(file.storageKey);
+      } catch (error) {
+        logger.error(`Failed to delete stored file ${file.storageKey}:`, error);
+      }
+    }
+  }
+}
+
+module.exports = new ProductFileService();
@@ -0,0 +1,181 @@
+const { PrismaClient } = require('@prisma/client');
+const sharp = require('sharp');
+const { NotFoundError, ValidationError } = require('../middleware/errorHandler');
+const { IMAGE_SIZES, getStorage } = require('./storage');
+const logger = require('../utils/logger');
+
+const prisma = new PrismaClient();
+
+// Upper bound on uploaded images per product
+const MAX_PRODUCT_IMAGES = 20;
+
+// Formats accepted after decoding, whatever the file extension claims
+const IMAGE_FORMATS = ['jpeg', 'png', 'webp', 'gif'];
+
+class ProductImageService {
+  // Uploaded images of a product in display order
+  async getImages(productId, client = prisma) {
+    return client.productImage.findMany({
+      where: { productId },
+      orderBy: { position: 'asc' }
+    });
+  }
+
+  // Get an uploaded image of a product
+  async getImage(productId, imageId) {
+    const image = await prisma.productImage.findFirst({
+      where: { id: imageId, productId }
+    });
+
+    if (!image) {
+      throw new NotFoundError('Image not found');
+    }
+
+    return image;
+  }
+
+  // Reject files that are not decodable images
+  async assertImage(file) {
+    try {
+      const { format } = await sharp(file.buffer).metadata();
+      if (IMAGE_FORMATS.includes(format)) {
+        return;
+      }
+    } catch (error) {
+      // Not an image; reported below
+    }
+
+    throw new ValidationError(`${file.originalname} is not a valid image. Allowed formats: ${IMAGE_FORMATS.join(', ')}`);
+  }
+
+  // Rewrite Product.images: uploaded image URLs in order, then the external URLs
+  // it already held. `removedUrls` are URLs of images deleted from storage.
+  async syncImageUrls(tx, product, removedUrls = []) {
+    const images = await this.getImages(product.id, tx);
+    const uploadedUrls = images.map(image => image.url);
+    const externalUrls = (Array.isArray(product.images) ? product.images : [])
+      .filter(url => !uploadedUrls.includes(url) && !removedUrls.includes(url));
+
+    await tx.product.update({
+      where: { id: product.id },
+      data: { images: [...uploadedUrls, ...externalUrls] }
+    });
+
+    return images;
+  }
+
+  // Store the files and their responsive sizes, then append them to the product images
+  async uploadImages(product, files) {
+    const count = await prisma.productImage.count({ where: { productId: product.id } });
+
+    if (count + files.length > MAX_PRODUCT_IMAGES) {
+      throw new ValidationError(`Products can have up to ${MAX_PRODUCT_IMAGES} uploaded images`);
+    }
+
+    for (const file of files) {
+      await this.assertImage(file);
+    }
+
+    const storage = getStorage();
+    const stored = [];
+
+    try {
+      // One at a time: resizing is CPU-bound and holds the decoded image in memory
+      for (const file of files) {
+        stored.push(await storage.saveImage(file.buffer, {
+          folder: `products/${product.storeId}`,
+          sizes: IMAGE_SIZES
+        }));
+      }
+
+      const images = await prisma.$transaction(async (tx) => {
+        const last = await tx.productImage.findFirst({
+          where: { productId: product.id },
+          orderBy: { position: 'desc' },
+          select: { position: true }
+        });
+        const start = last ? last.position + 1 : 0;
+
+        await tx.productImage.createMany({
+          data: stored.map((asset, index) => ({
+            productId: product.id,
+            url: asset.url,
+            width: asset.width,
+            height: asset.height,
+            sizes: asset.sizes,
+            storageDriver: storage.name,
+            storageKey: asset.key,
+            position: start + index
+          }))
+        });
+
+        return this.syncImageUrls(tx, product);
+      });
+
+      logger.info(`Uploaded ${files.length} image(s) to product ${product.id}`);
+      return images;
+    } catch (error) {
+      // Do not leave orphaned files behind when the upload fails part way
+      await this.deleteStoredImages(stored.map(asset => ({ storageDriver: storage.name, storageKey: asset.key })));
+      throw error;
+    }
+  }
+
+  // Update the alt text of an image
+  async updateImage(productId, imageId, data) {
+    await this.getImage(productId, imageId);
+
+    return prisma.productImage.update({
+      where: { id: imageId },
+      data: { altText: data.altText || null }
+    });
+  }
+
+  // Reorder the uploaded images of a product; every image must be listed once
+  async reorderImages(product, imageIds) {
+    const images = await this.getImages(product.id);
+    const currentIds = images.map(image => image.id);
+
+    if (imageIds.length !== currentIds.length || !currentIds.every(id => imageIds.includes(id))) {
+      throw new ValidationError('imageIds must list every image of the product exactly once');
+    }
+
+    return prisma.$transaction(async (tx) => {
+      for (const [position, id] of imageIds.entries()) {
+        await tx.productImage.update({
+          where: { id },
+          data: { position }
+        });
+      }
+
+      return this.syncImageUrls(tx, product);
+    });
+  }
+
+  // Delete an image and its stored files
+  async deleteImage(product, imageId) {
+    const image = await this.getImage(product.id, imageId);
+
+    await prisma.$transaction(async (tx) => {
+      await tx.productImage.delete({ where: { id: imageId } });
+      await this.syncImageUrls(tx, product, [image.url]);
+    });
+
+    await this.deleteStoredImages([image]);
+    logger.info(`Image deleted: ${image.id} from product ${product.id}`);
+  }
+
+  // Remove the files of deleted images. Failures are logged rather than thrown:
+  // the database rows are already gone and the request should not fail on cleanup.
+  async deleteStoredImages(images) {
+    for (const image of images) {
+      try {
+        await getStorage(image.storageDriver).deleteImage(image.storageKey);
+      } catch (error) {
+        logger.error(`Failed to delete stored image ${image.storageKey}:`, error);
+      }
+    }
+  }
+}
+
+module.exports = new ProductImageService();
@@ -0,0 +1,420 @@
+const path = require('path');
+const { PrismaClient } = require('@prisma/client');
+const { AppError, ValidationError } = require('../middleware/errorHandler');
+const { productSchemas } = require('../middleware/validation');
+const productService = require('./productService');
+const { parseCsv } = require('../utils/csv');
+const { PRODUCT_FIELDS, VARIANT_FIELDS, OPTION_POSITIONS } = require('../utils/productFields');
+const logger = require('../utils/logger');
+
+const prisma = new PrismaClient();
+
+// Imports with more products than this run as a background job
+const SYNC_IMPORT_LIMIT = 100;
+
+// Everything a column can be mapped to. `image` adds one image URL per row;
+// `variant.*` and `optionN.*` columns describe one variant per row.
+const IMPORT_FIELDS = [
+  ...PRODUCT_FIELDS,
+  'image',
+  ...VARIANT_FIELDS.map(field => `variant.${field}`),
+  ...OPTION_POSITIONS.flatMap(position => [`option${position}.name`, `option${position}.value`])
+];
+
+// Columns recognised without a mapping: our own field names and Shopify's product CSV headers
+const DEFAULT_COLUMN_MAPPING = {
+  ...Object.fromEntries(IMPORT_FIELDS.map(field => [field.toLowerCase(), field])),
+  'handle': 'urlHandle',
+  'title': 'name',
+  'body (html)': 'description',
+  'type': 'category',
+  'cost per item': 'costPrice',
+  'seo title': 'metaTitle',
+  'seo description': 'metaDescription',
+  'image src': 'image',
+  'variant sku': 'variant.sku',
+  'variant price': 'variant.price',
+  'variant compare at price': 'variant.comparePrice',
+  'variant inventory qty': 'variant.inventory',
+  'variant weight': 'variant.weight',
+  ...Object.fromEntries(OPTION_POSITIONS.flatMap(position => [
+    [`option${position} name`, `option${position}.name`],
+    [`option${position} value`, `option${position}.value`]
+  ]))
+};
+
+// Shopify product statuses
+const STATUS_ALIASES = {
+  active: 'PUBLISHED',
+  draft: 'DRAFT',
+  archived: 'ARCHIVED'
+};
+
+// Columns holding lists
+const splitList = (value) => value.split(',').map(item => item.trim()).filter(Boolean);
+
+// Copy only the given keys of an object
+const pick = (source, keys) => Object.fromEntries(
+  Object.entries(source).filter(([key]) => keys.includes(key))
+);
+
+class ProductImportService {
+  // Read an uploaded CSV or XLSX file into rows of cell text
+  async parseFile(file) {
+    const extension = path.extname(file.originalname).toLowerCase();
+
+    if (extension === '.xlsx') {
+      return this.parseWorkbook(file.buffer);
+    }
+
+    return parseCsv(file.buffer.toString('utf8'));
+  }
+
+  // Read the first worksheet of an XLSX workbook
+  async parseWorkbook(buffer) {
+    // Loaded on demand; only XLSX imports need it
+    const ExcelJS = require('exceljs');
+    const workbook = new ExcelJS.Workbook();
+
+    try {
+      await workbook.xlsx.load(buffer);
+    } catch (error) {
+      throw new ValidationError('Import file is not a valid XLSX workbook');
+    }
+
+    const sheet = workbook.worksheets[0];
+    if (!sheet) {
+      throw new ValidationError('Import workbook has no worksheets');
+    }
+
+    const rows = Array.from({ length: sheet.rowCount }, () => []);
+    sheet.eachRow({ includeEmpty: true }, (row, rowNumber) => {
+      rows[rowNumber - 1] = Array.from({ length: sheet.columnCount }, (_, index) => row.getCell(index + 1).text);
+    });
+
+    return rows;
+  }
+
+  // Resolve the field each column fills; an explicit mapping overrides the defaults
+  // and maps a column to null to skip it
+  mapColumns(header, mapping = {}) {
+    const unknown = Object.values(mapping).find(field => field !== null && !IMPORT_FIELDS.includes(field));
+    if (unknown) {
+      throw new ValidationError(`Unknown import field "${unknown}". Columns can be mapped to: ${IMPORT_FIELDS.join(', ')}`);
+    }
+
+    const overrides = Object.fromEntries(
+      Object.entries(mapping).map(([column, field]) => [column.trim().toLowerCase(), field])
+    );
+
+    return header.map(column => {
+      const key = String(column).trim().toLowerCase();
+      return key in overrides ? overrides[key] : DEFAULT_COLUMN_MAPPING[key] || null;
+    });
+  }
+
+  // Convert a cell to the value its field expects; empty cells are left out
+  parseCell(field, text) {
+    const value = String(text).trim();
+
+    if (value === '') {
+      return undefined;
+    }
+
+    if (field === 'tags' || field === 'images') {
+      return splitList(value);
+    }
+
+    if (field === 'status') {
+      return STATUS_ALIASES[value.toLowerCase()] || value.toUpperCase();
+    }
+
+    return value;
+  }
+
+  // Group spreadsheet rows into product payloads. Rows sharing a urlHandle (Shopify's
+  // "Handle") belong to one product: the first row holds the product fields and every
+  // row with variant or option values adds a variant. Rows without a handle are
+  // products of their own. Row numbers count the header as row 1.
+  buildProducts(rows, mapping = {}) {
+    const [header = [], ...records] = rows;
+    const fields = this.mapColumns(header, mapping);
+
+    if (!fields.includes('name')) {
+      throw new ValidationError('Import file needs a product name column (e.g. "name" or "Title")');
+    }
+
+    const groups = new Map();
+
+    records.forEach((record, index) => {
+      const values = {};
+      fields.forEach((field, column) => {
+        const value = field ? this.parseCell(field, record[column] || '') : undefined;
+        if (value !== undefined) {
+          values[field] = value;
+        }
+      });
+
+      if (Object.keys(values).length === 0) {
+        return;
+      }
+
+      const row = { row: index + 2, values };
+      const key = values.urlHandle ? `handle:${values.urlHandle}` : `row:${row.row}`;
+
+      if (!groups.has(key)) {
+        groups.set(key, []);
+      }
+      groups.get(key).push(row);
+    });
+
+    return [...groups.values()].map(groupRows => this.buildProduct(groupRows));
+  }
+
+  // Build one product payload from its rows
+  buildProduct(groupRows) {
+    const [first] = groupRows;
+    const payload = {};
+
+    for (const field of PRODUCT_FIELDS) {
+      if (first.values[field] !== undefined) {
+        payload[field] = first.values[field];
+      }
+    }
+
+    const images = [
+      ...(payload.images || []),
+      ...groupRows.map(({ values }) => values.image).filter(Boolean)
+    ];
+    if (images.length > 0) {
+      payload.images = [...new Set(images)];
+    }
+
+    let options = OPTION_POSITIONS
+      .filter(position => first.values[`option${position}.name`])
+      .map(position => ({ position, name: first.values[`option${position}.name`], values: [] }));
+
+    const variantRows = groupRows.filter(({ values }) => Object.keys(values).some(field =>
+      field.startsWith('variant.') || /^option\d\.value$/.test(field)
+    ));
+
+    // Shopify writes products without options as a single "Title: Default Title" variant
+    const isDefaultVariant = options.length === 1 && options[0].name === 'Title' &&
+      variantRows.every(({ values }) => values['option1.value'] === 'Default Title');
+
+    if (isDefaultVariant) {
+      options = [];
+    }
+
+    let variants = variantRows.map(({ row, values }) => {
+      const variant = { row };
+
+      for (const field of VARIANT_FIELDS) {
+        if (values[`variant.${field}`] !== undefined) {
+          variant[field] = values[`variant.${field}`];
+        }
+      }
+
+      options.forEach((option, index) => {
+        const value = values[`option${option.position}.value`];
+        if (value !== undefined) {
+          variant[`option${index + 1}`] = value;
+          if (!option.values.includes(value)) {
+            option.values.push(value);
+          }
+        }
+      });
+
+      return variant;
+    });
+
+    // A single variant without options is the product itself
+    if (options.length === 0 && variants.length === 1) {
+      const [{ row, title, ...variant }] = variants;
+      for (const [field, value] of Object.entries(variant)) {
+        if (payload[field] === undefined) {
+          payload[field] = value;
+        }
+      }
+      variants = [];
+    }
+
+    variants.forEach(variant => {
+      if (variant.price === undefined && payload.price !== undefined) {
+        variant.price = payload.price;
+      }
+      if (variant.title === undefined) {
+        const values = OPTION_POSITIONS.map(position => variant[`option${position}`]).filter(Boolean);
+        variant.title = values.length > 0 ? values.join(' / ') : variant.sku || payload.name;
+      }
+    });
+
+    if (payload.price === undefined && variants.length > 0) {
+      payload.price = variants[0].price;
+    }
+
+    if (options.length > 0) {
+      payload.options = options.map(({ name, values }) => ({ name, values }));
+    }
+    if (variants.length > 0) {
+      payload.variants = variants.map(({ row, ...variant }) => variant);
+    }
+
+    return {
+      rows: groupRows.map(({ row }) => row),
+      variantRows: variants.map(({ row }) => row),
+      payload
+    };
+  }
+
+  // Whether an import is large enough to run in the background
+  isLargeImport(products) {
+    return products.length > SYNC_IMPORT_LIMIT;
+  }
+
+  // Validate a product payload; errors are reported against the row they came from
+  validateProduct(product) {
+    const { error, value } = productSchemas.create.validate(product.payload, {
+      abortEarly: false,
+      stripUnknown: true
+    });
+
+    const errors = error
+      ? error.details.map(detail => {
+        const [key, index] = detail.path;
+        const row = key === 'variants' ? product.variantRows[index] : product.rows[0];
+        return { row, field: detail.path.join('.'), message: detail.message };
+      })
+      : [];
+
+    return { value, errors };
+  }
+
+  // Find the product a row updates
+  async findExisting(storeId, matchBy, value) {
+    if (!value[matchBy]) {
+      return null;
+    }
+
+    // Catalog exports write the id as the handle of products that have none
+    const where = matchBy === 'urlHandle'
+      ? { storeId, OR: [{ urlHandle: value.urlHandle }, { id: value.urlHandle }] }
+      : { storeId, sku: value.sku };
+
+    return prisma.product.findFirst({
+      where,
+      include: { options: true, variants: true }
+    });
+  }
+
+  // Update a matched product with the columns present in the file; schema defaults
+  // are not applied so missing columns keep their current values. Options and variants
+  // are only replaced when the file lists variants for the product.
+  async updateExisting(existing, value, payload, userId = null) {
+    const { options, variants, ...fields } = pick(value, Object.keys(payload));
+
+    if (!variants) {
+      return productService.updateProduct(existing.id, fields, userId);
+    }
+
+    const { product } = await productService.setOptions(existing.id, options || []);
+
+    // Keep the ids of variants that match by SKU or option values so they are updated in place
+    const optionKey = (variant) => OPTION_POSITIONS.map(position => variant[`option${position}`] || '').join('\u0000');
+    const matched = new Set();
+    const findVariant = (variant) => product.variants.find(current => !matched.has(current.id) && (
+      variant.sku ? current.sku === variant.sku : product.options.length > 0 && optionKey(current) === optionKey(variant)
+    ));
+
+    return productService.updateProduct(existing.id, {
+      ...fields,
+      variants: variants.map((variant, index) => {
+        const current = findVariant(variant);
+        if (!current) {
+          return variant;
+        }
+        matched.add(current.id);
+        return { ...pick(variant, Object.keys(payload.variants[index])), id: current.id };
+      })
+    }, userId);
+  }
+
+  // Import products into a store. Each product is written on its own, so one bad row
+  // does not stop the rest. With dryRun nothing is written and the report shows
+  // what would be created or updated.
+  async importProducts(storeId, products, options = {}, reportProgress = async () => {}) {
+    const { dryRun = false, matchBy = 'sku', userId = null } = options;
+    const summary = { total: products.length, created: 0, updated: 0, failed: 0 };
+    const errors = [];
+    const seen = new Map();
+
+    for (const [index, product] of products.entries()) {
+      const { value, errors: rowErrors } = this.validateProduct(product);
+      const key = value[matchBy];
+
+      if (rowErrors.length === 0 && key && seen.has(key)) {
+        rowErrors.push({
+          row: product.rows[0],
+          field: matchBy,
+          message: `${matchBy} "${key}" is also used on row ${seen.get(key)}`
+        });
+      }
+
+      if (rowErrors.length > 0) {
+        summary.failed += 1;
+        errors.push(...rowErrors);
+        continue;
+      }
+
+      if (key) {
+        seen.set(key, product.rows[0]);
+      }
+
+      try {
+        const existing = await this.findExisting(storeId, matchBy, value);
+
+        if (dryRun) {
+          if (value.variants && !existing) {
+            productService.assertVariantOptions(
+              (value.options || []).map((option, position) => ({ ...option, position: position + 1 })),
+              value.variants
+            );
+          }
+          await productService.assertSkusAvailable(
+            prisma,
+            storeId,
+            [value.sku, ...(value.variants || []).map(variant => variant.sku)],
+            existing ? existing.id : null
+          );
+        } else if (existing) {
+          await this.updateExisting(existing, value, product.payload, userId);
+        } else {
+          await productService.createProduct(storeId, value, userId);
+        }
+
+        summary[existing ? 'updated' : 'created'] += 1;
+      } catch (error) {
+        if (!(error instanceof AppError)) {
+          logger.error(`Product import row ${product.rows[0]} failed:`, error);
+        }
+
+        summary.failed += 1;
+        errors.push({
+          row: product.rows[0],
+          field: null,
+          message: error instanceof AppError ? error.message : 'Product could not be saved'
+        });
+      }
+
+      if ((index + 1) % 25 === 0) {
+        await reportProgress(index + 1);
+      }
+    }
+
+    logger.info(`Product import ${dryRun ? '(dry run) ' : ''}for store ${storeId}: ${summary.created} created, ${summary.updated} updated, ${summary.failed} failed`);
+
+    return { ...summary, dryRun, errors };
+  }
+}
+
+module.exports = new ProductImportService();
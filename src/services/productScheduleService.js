@@ -0,0 +1,240 @@
+const { PrismaClient } = require('@prisma/client');
+const { NotFoundError, ValidationError, ConflictError } = require('../middleware/errorHandler');
+const deploymentService = require('./deploymentService');
+const logger = require('../utils/logger');
+
+const prisma = new PrismaClient();
+
+class ProductScheduleService {
+  // Sales of a product, most recent start first
+  async getSales(productId) {
+    return prisma.productSale.findMany({
+      where: { productId },
+      orderBy: { startsAt: 'desc' },
+      include: { variant: { select: { id: true, title: true, sku: true } } }
+    });
+  }
+
+  // Schedule a sale price for a product or one of its variants. Sales of the same
+  // item cannot overlap, and the sale price has to be below the current price.
+  async createSale(product, { variantId = null, price, startsAt, endsAt }) {
+    const item = variantId ? product.variants.find(variant => variant.id === variantId) : product;
+
+    if (!item) {
+      throw new NotFoundError(`Variant not found: ${variantId}`);
+    }
+
+    if (endsAt <= new Date()) {
+      throw new ValidationError('The sale must end in the future');
+    }
+
+    if (price >= Number(item.price)) {
+      throw new ValidationError('The sale price must be lower than the current price');
+    }
+
+    const overlapping = await prisma.productSale.findFirst({
+      where: {
+        productId: product.id,
+        variantId,
+        status: { in: ['SCHEDULED', 'ACTIVE'] },
+        startsAt: { lt: endsAt },
+        endsAt: { gt: startsAt }
+      }
+    });
+
+    if (overlapping) {
+      throw new ConflictError('This item already has a sale in that period');
+    }
+
+    const sale = await prisma.productSale.create({
+      data: { productId: product.id, variantId, price, startsAt, endsAt }
+    });
+
+    logger.info(`Sale scheduled for ${variantId || product.id}: ${price} from ${startsAt.toISOString()} to ${endsAt.toISOString()}`);
+    return sale;
+  }
+
+  // Cancel a sale. An active sale restores the prices right away and the store is redeployed.
+  async cancelSale(product, saleId) {
+    const sale = await prisma.productSale.findFirst({
+      where: { id: saleId, productId: product.id }
+    });
+
+    if (!sale) {
+      throw new NotFoundError('Sale not found');
+    }
+
+    if (!['SCHEDULED', 'ACTIVE'].includes(sale.status)) {
+      throw new ValidationError('Only scheduled or active sales can be cancelled');
+    }
+
+    const cancelled = await prisma.$transaction(async (tx) => {
+      if (sale.status === 'ACTIVE') {
+        await this.restorePrices(tx, sale);
+      }
+
+      return tx.productSale.update({
+        where: { id: saleId },
+        data: { status: 'CANCELLED' }
+      });
+    });
+
+    if (sale.status === 'ACTIVE') {
+      await this.redeployStores([product.storeId]);
+    }
+
+    logger.info(`Sale cancelled: ${saleId}`);
+    return cancelled;
+  }
+
+  // Current prices of the item a sale applies to
+  async getItemPrices(tx, sale) {
+    const select = { price: true, comparePrice: true };
+
+    return sale.variantId
+      ? tx.productVariant.findUnique({ where: { id: sale.variantId }, select })
+      : tx.product.findUnique({ where: { id: sale.productId }, select });
+  }
+
+  // Write prices to the item a sale applies to
+  async setItemPrices(tx, sale, data) {
+    return sale.variantId
+      ? tx.productVariant.update({ where: { id: sale.variantId }, data })
+      : tx.product.update({ where: { id: sale.productId }, data });
+  }
+
+  // Compare-at price shown during a sale: the higher of the price before the sale
+  // and an existing compare-at price
+  getSaleComparePrice(sale) {
+    const original = Number(sale.originalPrice);
+    const compare = sale.originalComparePrice === null ? null : Number(sale.originalComparePrice);
+    return compare !== null && compare > original ? compare : original;
+  }
+
+  // Put a sale price in place, remembering the prices it replaces
+  async startSale(tx, sale) {
+    const prices = await this.getItemPrices(tx, sale);
+    const started = { ...sale, originalPrice: prices.price, originalComparePrice: prices.comparePrice };
+
+    await this.setItemPrices(tx, sale, {
+      price: sale.price,
+      comparePrice: this.getSaleComparePrice(started)
+    });
+
+    return tx.productSale.update({
+      where: { id: sale.id },
+      data: { status: 'ACTIVE', originalPrice: started.originalPrice, originalComparePrice: started.originalComparePrice }
+    });
+  }
+
+  // Put back the prices from before a sale. Prices edited by hand while the
+  // sale was running are left as they are.
+  async restorePrices(tx, sale) {
+    const prices = await this.getItemPrices(tx, sale);
+    const data = {};
+
+    if (Number(prices.price) === Number(sale.price)) {
+      data.price = sale.originalPrice;
+    }
+
+    if (prices.comparePrice !== null && Number(prices.comparePrice) === this.getSaleComparePrice(sale)) {
+      data.comparePrice = sale.originalComparePrice;
+    }
+
+    if (Object.keys(data).length > 0) {
+      await this.setItemPrices(tx, sale, data);
+    }
+  }
+
+  // Apply scheduled publishing and sale windows that are due, then redeploy the
+  // live stores whose storefront changed. Ending sales run before starting ones,
+  // so back-to-back sales of an item hand over cleanly.
+  async applyDueChanges(now = new Date()) {
+    const storeIds = new Set();
+
+    const toPublish = await prisma.product.findMany({
+      where: { publishAt: { lte: now } },
+      select: { id: true, storeId: true }
+    });
+
+    if (toPublish.length > 0) {
+      await prisma.product.updateMany({
+        where: { id: { in: toPublish.map(product => product.id) } },
+        data: { status: 'PUBLISHED', publishAt: null }
+      });
+      toPublish.forEach(product => storeIds.add(product.storeId));
+    }
+
+    const toUnpublish = await prisma.product.findMany({
+      where: { unpublishAt: { lte: now } },
+      select: { id: true, storeId: true }
+    });
+
+    if (toUnpublish.length > 0) {
+      await prisma.product.updateMany({
+        where: { id: { in: toUnpublish.map(product => product.id) } },
+        data: { status: 'DRAFT', unpublishAt: null }
+      });
+      toUnpublish.forEach(product => storeIds.add(product.storeId));
+    }
+
+    const saleInclude = { product: { select: { storeId: true } } };
+
+    const ending = await prisma.productSale.findMany({
+      where: { status: 'ACTIVE', endsAt: { lte: now } },
+      include: saleInclude
+    });
+
+    for (const sale of ending) {
+      await prisma.$transaction(async (tx) => {
+        await this.restorePrices(tx, sale);
+        await tx.productSale.update({ where: { id: sale.id }, data: { status: 'ENDED' } });
+      });
+      storeIds.add(sale.product.storeId);
+    }
+
+    const starting = await prisma.productSale.findMany({
+      where: { status: 'SCHEDULED', startsAt: { lte: now } },
+      orderBy: { startsAt: 'asc' },
+      include: saleInclude
+    });
+
+    for (const sale of starting) {
+      // A sale whose whole window passed while the scheduler was down never starts
+      if (sale.endsAt <= now) {
+        await prisma.productSale.update({ where: { id: sale.id }, data: { status: 'ENDED' } });
+        continue;
+      }
+
+      await prisma.$transaction((tx) => this.startSale(tx, sale));
+      storeIds.add(sale.product.storeId);
+    }
+
+    const changes = toPublish.length + toUnpublish.length + ending.length + starting.length;
+    if (changes > 0) {
+      logger.info(`Product schedules applied: ${toPublish.length} published, ${toUnpublish.length} unpublished, ${starting.length} sale(s) started, ${ending.length} ended`);
+      await this.redeployStores([...storeIds]);
+    }
+
+    return changes;
+  }
+
+  // Rebuild the live sites of the given stores, since product pages embed status
+  // and prices. Stores that were never deployed or are archived are skipped.
+  async redeployStores(storeIds) {
+    const stores = await prisma.store.findMany({
+      where: { id: { in: storeIds }, isDeployed: true, status: { not: 'ARCHIVED' } },
+      select: { id: true }
+    });
+
+    for (const store of stores) {
+      try {
+        await deploymentService.deployStore(store.id, 'production', { notify: false });
+      } catch (error) {
+        logger.error(`Scheduled redeploy failed for store ${store.id}:`, error);
+      }
+    }
+  }
+}
+
+module.exports = new ProductScheduleService();
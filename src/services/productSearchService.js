@@ -0,0 +1,198 @@
+const { PrismaClient, Prisma } = require('@prisma/client');
+const logger = require('../utils/logger');
+
+const prisma = new PrismaClient();
+
+// Text is split on punctuation the same way search terms are, so "LS-001-S" is
+// indexed as "ls 001 s" instead of the parser's "ls" and "-001"
+const searchText = (text) => Prisma.sql`to_tsvector('simple', translate(${text}, '-_./', '    '))`;
+
+// The search document: name and SKUs rank above tags and category, which rank
+// above the description. The 'simple' configuration does not stem, so it works
+// the same for every store language and matches SKUs as written.
+const SEARCH_DOCUMENT = Prisma.sql`
+  setweight(${searchText(Prisma.sql`coalesce(p."name", '') || ' ' || coalesce(p."sku", '') || ' ' ||
+    coalesce((SELECT string_agg(v."sku", ' ') FROM "product_variants" v WHERE v."productId" = p."id"), '')`)}, 'A') ||
+  setweight(${searchText(Prisma.sql`array_to_string(p."tags", ' ') || ' ' || coalesce(p."category", '')`)}, 'B') ||
+  setweight(${searchText(Prisma.sql`regexp_replace(coalesce(p."description", ''), '<[^>]*>', ' ', 'g')`)}, 'C')
+`;
+
+// Upper bounds of the price facet buckets, in the store currency
+const PRICE_BUCKETS = [25, 50, 100, 250, 500, 1000];
+
+// Facets list the most used categories and tags
+const FACET_LIMIT = 50;
+
+const SORT_COLUMNS = {
+  name: 'name',
+  price: 'price',
+  inventory: 'inventory',
+  createdAt: 'createdAt',
+  updatedAt: 'updatedAt'
+};
+
+// A product is in stock when it is not tracked or it or one of its variants has stock.
+// A bundle is in stock when it has components and each limited one has enough
+// stock for a bundle, as productBundleService.getAvailability works it out.
+const IN_STOCK = Prisma.sql`(CASE WHEN p."isBundle" THEN
+  EXISTS (SELECT 1 FROM "bundle_items" b WHERE b."bundleId" = p."id") AND NOT EXISTS (
+    SELECT 1 FROM "bundle_items" b
+    JOIN "products" c ON c."id" = b."productId"
+    LEFT JOIN "product_variants" cv ON cv."id" = b."variantId"
+    WHERE b."bundleId" = p."id" AND c."trackInventory" AND NOT c."allowBackorder"
+      AND coalesce(cv."inventory", c."inventory") < b."quantity"
+  )
+ELSE NOT p."trackInventory" OR p."inventory" > 0 OR EXISTS (
+  SELECT 1 FROM "product_variants" v WHERE v."productId" = p."id" AND v."inventory" > 0
+) END)`;
+
+// Turn search text into a prefix query, so "lin shi" matches "Linen Shirt"
+const toPrefixQuery = (search) => search
+  .split(/[^\p{L}\p{N}]+/u)
+  .filter(Boolean)
+  .slice(0, 10)
+  .map(term => `${term}:*`)
+  .join(' & ');
+
+class ProductSearchService {
+  // Recompute the search document of the given products, or of every product of a store
+  async refreshSearchVectors(client, { productIds, storeId }) {
+    if (productIds && productIds.length === 0) {
+      return 0;
+    }
+
+    const where = productIds
+      ? Prisma.sql`p."id" IN (${Prisma.join(productIds)})`
+      : Prisma.sql`p."storeId" = ${storeId}`;
+
+    return client.$executeRaw`UPDATE "products" p SET "searchVector" = ${SEARCH_DOCUMENT} WHERE ${where}`;
+  }
+
+  // Index products written before search existed or by a write that skipped the refresh
+  async indexMissingSearchVectors() {
+    const count = await prisma.$executeRaw`
+      UPDATE "products" p SET "searchVector" = ${SEARCH_DOCUMENT} WHERE p."searchVector" IS NULL
+    `;
+
+    if (count > 0) {
+      logger.info(`Indexed ${count} product(s) for search`);
+    }
+
+    return count;
+  }
+
+  // SQL conditions for the list filters, keyed so a facet can leave out its own filter
+  buildConditions(storeId, filters, query) {
+    const { status, category, categoryIds, tags, minPrice, maxPrice, stock, isActive, isFeatured } = filters;
+
+    const priceConditions = [
+      minPrice !== undefined && Prisma.sql`p."price" >= ${minPrice}`,
+      maxPrice !== undefined && Prisma.sql`p."price" <= ${maxPrice}`
+    ].filter(Boolean);
+
+    return {
+      store: Prisma.sql`p."storeId" = ${storeId}`,
+      search: query && Prisma.sql`p."searchVector" @@ to_tsquery('simple', ${query})`,
+      status: status && Prisma.sql`p."status"::text = ${status}`,
+      isActive: isActive !== undefined && Prisma.sql`p."isActive" = ${isActive}`,
+      isFeatured: isFeatured !== undefined && Prisma.sql`p."isFeatured" = ${isFeatured}`,
+      stock: stock && (stock === 'in_stock' ? IN_STOCK : Prisma.sql`NOT ${IN_STOCK}`),
+      category: category && Prisma.sql`p."category" = ${category}`,
+      categoryIds: categoryIds && Prisma.sql`p."categoryId" IN (${Prisma.join(categoryIds)})`,
+      tags: tags && tags.length > 0 && Prisma.sql`p."tags" && ARRAY[${Prisma.join(tags)}]::text[]`,
+      price: priceConditions.length > 0 && Prisma.join(priceConditions, ' AND ')
+    };
+  }
+
+  // Join the conditions, leaving out the given filter
+  toWhere(conditions, except = null) {
+    return Prisma.join(
+      Object.entries(conditions)
+        .filter(([key, condition]) => key !== except && condition)
+        .map(([, condition]) => condition),
+      ' AND '
+    );
+  }
+
+  // Count results per category, tag and price range. Each facet ignores its own
+  // filter, so the other values stay visible while one is selected.
+  async getFacets(conditions) {
+    const [categories, tags, buckets] = await Promise.all([
+      prisma.$queryRaw`
+        SELECT p."category" AS value, count(*)::int AS count
+        FROM "products" p
+        WHERE ${this.toWhere(conditions, 'category')} AND p."category" IS NOT NULL
+        GROUP BY p."category"
+        ORDER BY count DESC, value ASC
+        LIMIT ${FACET_LIMIT}
+      `,
+      prisma.$queryRaw`
+        SELECT tag AS value, count(*)::int AS count
+        FROM "products" p CROSS JOIN LATERAL unnest(p."tags") AS tag
+        WHERE ${this.toWhere(conditions, 'tags')}
+        GROUP BY tag
+        ORDER BY count DESC, value ASC
+        LIMIT ${FACET_LIMIT}
+      `,
+      prisma.$queryRaw`
+        SELECT width_bucket(p."price", ARRAY[${Prisma.join(PRICE_BUCKETS)}]::numeric[]) AS bucket, count(*)::int AS count
+        FROM "products" p
+        WHERE ${this.toWhere(conditions, 'price')}
+        GROUP BY bucket
+      `
+    ]);
+
+    const priceRanges = [0, ...PRICE_BUCKETS].map((min, bucket) => ({
+      min,
+      max: PRICE_BUCKETS[bucket] || null,
+      count: (buckets.find(row => row.bucket === bucket) || { count: 0 }).count
+    }));
+
+    return { categories, tags, priceRanges };
+  }
+
+  // Search and filter the products of a store. Results are ranked by relevance
+  // when searching, unless another sort is requested.
+  async search(storeId, filters) {
+    const { page, limit, sortOrder, search } = filters;
+    const query = search ? toPrefixQuery(search) : '';
+    const sortBy = filters.sortBy || (query ? 'relevance' : 'createdAt');
+
+    const conditions = this.buildConditions(storeId, filters, query);
+    const where = this.toWhere(conditions);
+    const direction = Prisma.raw(sortOrder === 'asc' ? 'ASC' : 'DESC');
+
+    const orderBy = sortBy === 'relevance' && query
+      ? Prisma.sql`ts_rank(p."searchVector", to_tsquery('simple', ${query})) DESC, p."createdAt" DESC`
+      : Prisma.sql`p.${Prisma.raw(`"${SORT_COLUMNS[sortBy] || 'createdAt'}"`)} ${direction}, p."id" ASC`;
+
+    const [rows, [{ total }], facets] = await Promise.all([
+      prisma.$queryRaw`
+        SELECT p."id" FROM "products" p
+        WHERE ${where}
+        ORDER BY ${orderBy}
+        LIMIT ${limit} OFFSET ${(page - 1) * limit}
+      `,
+      prisma.$queryRaw`SELECT count(*)::int AS total FROM "products" p WHERE ${where}`,
+      this.getFacets(conditions)
+    ]);
+
+    const ids = rows.map(row => row.id);
+    const products = await prisma.product.findMany({
+      where: { id: { in: ids } },
+      include: {
+        options: { orderBy: { position: 'asc' } },
+        variants: { orderBy: { createdAt: 'asc' } },
+        productImages: { orderBy: { position: 'asc' } }
+      }
+    });
+
+    return {
+      products: ids.map(id => products.find(product => product.id === id)),
+      total,
+      facets
+    };
+  }
+}
+
+module.exports = new ProductSearchService();
@@ -0,0 +1,482 @@
+const { PrismaClient } = require('@prisma/client');
+const { NotFoundError, ValidationError, ConflictError } = require('../middleware/errorHandler');
+const { toSlug } = require('../utils/slug');
+const productSearchService = require('./productSearchService');
+const categoryService = require('./categoryService');
+const productImageService = require('./productImageService');
+const productFileService = require('./productFileService');
+const inventoryService = require('./inventoryService');
+const logger = require('../utils/logger');
+
+const prisma = new PrismaClient();
+
+// Products with many variants are written in one interactive transaction
+const PRODUCT_WRITE_TIMEOUT_MS = 30 * 1000;
+
+// Upper bound on variants per product, including generated option combinations
+const MAX_VARIANTS = 100;
+
+const OPTION_POSITIONS = [1, 2, 3];
+
+const PRODUCT_INCLUDE = {
+  options: { orderBy: { position: 'asc' } },
+  variants: { orderBy: { createdAt: 'asc' } },
+  productImages: { orderBy: { position: 'asc' } },
+  productFiles: { orderBy: { position: 'asc' } }
+};
+
+class ProductService {
+  // Get a product with its variants
+  async getProduct(productId) {
+    const product = await prisma.product.findUnique({
+      where: { id: productId },
+      include: PRODUCT_INCLUDE
+    });
+
+    if (!product) {
+      throw new NotFoundError('Product not found');
+    }
+
+    return product;
+  }
+
+  // SKUs are unique per store across products and variants.
+  // `skus` are the SKUs the product will own; its current SKUs never conflict with themselves.
+  async assertSkusAvailable(tx, storeId, skus, productId = null) {
+    const values = skus.filter(Boolean);
+    const duplicate = values.find((sku, index) => values.indexOf(sku) !== index);
+
+    if (duplicate) {
+      throw new ConflictError(`SKU ${duplicate} is used more than once in this product`);
+    }
+
+    if (values.length === 0) {
+      return;
+    }
+
+    const otherProducts = productId ? { id: { not: productId } } : {};
+
+    const [product, variant] = await Promise.all([
+      tx.product.findFirst({
+        where: { storeId, sku: { in: values }, ...otherProducts },
+        select: { sku: true }
+      }),
+      tx.productVariant.findFirst({
+        where: { sku: { in: values }, product: { storeId, ...otherProducts } },
+        select: { sku: true }
+      })
+    ]);
+
+    const taken = product || variant;
+    if (taken) {
+      throw new ConflictError(`SKU ${taken.sku} is already used in this store`);
+    }
+  }
+
+  // Option values of a variant, in option position order
+  getVariantValues(variant, options) {
+    return options.map(option => variant[`option${option.position}`]);
+  }
+
+  // Default variant title, e.g. "M / Red"
+  getVariantTitle(values) {
+    return values.join(' / ');
+  }
+
+  // A product cannot be scheduled to unpublish before it is published
+  assertPublishWindow(publishAt, unpublishAt) {
+    if (publishAt && unpublishAt && new Date(unpublishAt) <= new Date(publishAt)) {
+      throw new ValidationError('unpublishAt must be after publishAt');
+    }
+  }
+
+  // Variants of a product with options must use exactly one allowed value per option
+  assertVariantOptions(options, variants) {
+    if (options.length === 0) {
+      return;
+    }
+
+    for (const variant of variants) {
+      for (const position of OPTION_POSITIONS) {
+        const option = options.find(candidate => candidate.position === position);
+        const value = variant[`option${position}`];
+
+        if (option && !option.values.includes(value)) {
+          throw new ValidationError(`Variant "${variant.title}" needs a ${option.name} value: ${option.values.join(', ')}`);
+        }
+
+        if (!option && value) {
+          throw new ValidationError(`Variant "${variant.title}" has a value for option ${position}, which the product does not define`);
+        }
+      }
+    }
+
+    const keys = variants.map(variant => this.getVariantValues(variant, options).join('\u0000'));
+    if (new Set(keys).size !== keys.length) {
+      throw new ValidationError('Each variant must have a different combination of option values');
+    }
+  }
+
+  // Variants that are components of bundles cannot be deleted; the bundles
+  // would otherwise keep selling without them
+  async assertVariantsNotBundled(client, variantIds) {
+    if (variantIds.length === 0) {
+      return;
+    }
+
+    const bundled = await client.bundleItem.findMany({
+      where: { variantId: { in: variantIds } },
+      select: { variant: { select: { title: true } }, bundle: { select: { name: true } } }
+    });
+
+    if (bundled.length > 0) {
+      const bundlesByVariant = new Map();
+      for (const item of bundled) {
+        bundlesByVariant.set(item.variant.title, [...(bundlesByVariant.get(item.variant.title) || []), item.bundle.name]);
+      }
+
+      const variants = [...bundlesByVariant].map(([title, bundles]) => `${title} (${bundles.join(', ')})`).join('; ');
+      throw new ValidationError(`Remove these variants from their bundles before deleting them: ${variants}`);
+    }
+  }
+
+  // Products filed under a category carry its name in `category`, which search,
+  // feeds and exports read
+  async applyCategory(client, storeId, fields) {
+    if (!('categoryId' in fields)) {
+      return fields;
+    }
+
+    if (!fields.categoryId) {
+      return { ...fields, category: 'category' in fields ? fields.category : null };
+    }
+
+    const category = await categoryService.getCategory(storeId, fields.categoryId, client);
+    return { ...fields, category: category.name };
+  }
+
+  // Create a product with its options and variants. `userId` is recorded as the
+  // author of the opening stock movements.
+  async createProduct(storeId, data, userId = null) {
+    const { variants = [], options = [], ...productFields } = data;
+    const fields = await this.applyCategory(prisma, storeId, productFields);
+    const productOptions = options.map(({ name, values }, index) => ({ name, values, position: index + 1 }));
+
+    this.assertVariantOptions(productOptions, variants);
+    this.assertPublishWindow(fields.publishAt, fields.unpublishAt);
+
+    // Products of digital stores are digital unless stated otherwise
+    if (fields.isDigital === undefined) {
+      const store = await prisma.store.findUnique({ where: { id: storeId }, select: { storeType: true } });
+      fields.isDigital = Boolean(store && store.storeType === 'DIGITAL');
+    }
+
+    const product = await prisma.$transaction(async (tx) => {
+      await this.assertSkusAvailable(tx, storeId, [fields.sku, ...variants.map(variant => variant.sku)]);
+
+      const created = await tx.product.create({
+        data: {
+          ...fields,
+          storeId,
+          options: { create: productOptions },
+          variants: { create: variants }
+        },
+        include: PRODUCT_INCLUDE
+      });
+
+      await productSearchService.refreshSearchVectors(tx, { productIds: [created.id] });
+      await inventoryService.recordStockLevels(tx, { productIds: [created.id], userId, note: 'Initial stock' });
+      return created;
+    }, { timeout: PRODUCT_WRITE_TIMEOUT_MS });
+
+    logger.info(`Product created: ${product.name} (${product.id}) with ${product.variants.length} variants in store ${storeId}`);
+    return product;
+  }
+
+  // Update a product. When `variants` is given it is the complete list:
+  // variants with an id are updated, new ones created and omitted ones deleted.
+  // Stock levels set here are recorded as corrections by `userId`.
+  async updateProduct(productId, data, userId = null) {
+    const { variants, ...productFields } = data;
+
+    const product = await prisma.$transaction(async (tx) => {
+      const existing = await tx.product.findUnique({
+        where: { id: productId },
+        include: {
+          options: true,
+          variants: { select: { id: true, sku: true } },
+          _count: { select: { bundledIn: true } }
+        }
+      });
+
+      if (!existing) {
+        throw new NotFoundError('Product not found');
+      }
+
+      // Bundles cannot contain other bundles
+      if (productFields.isBundle && !existing.isBundle && existing._count.bundledIn > 0) {
+        throw new ValidationError('Products that are part of a bundle cannot become bundles');
+      }
+
+      const fields = await this.applyCategory(tx, existing.storeId, productFields);
+      this.assertPublishWindow(
+        'publishAt' in fields ? fields.publishAt : existing.publishAt,
+        'unpublishAt' in fields ? fields.unpublishAt : existing.unpublishAt
+      );
+
+      const sku = 'sku' in fields ? fields.sku : existing.sku;
+      const variantSkus = (variants || existing.variants).map(variant => variant.sku);
+      await this.assertSkusAvailable(tx, existing.storeId, [sku, ...variantSkus], productId);
+
+      if (variants) {
+        const existingIds = new Set(existing.variants.map(variant => variant.id));
+        const unknown = variants.find(variant => variant.id && !existingIds.has(variant.id));
+
+        if (unknown) {
+          throw new ValidationError(`Variant ${unknown.id} does not belong to this product`);
+        }
+
+        this.assertVariantOptions(existing.options, variants);
+
+        const keptIds = variants.filter(variant => variant.id).map(variant => variant.id);
+        await this.assertVariantsNotBundled(tx, existing.variants
+          .filter(variant => !keptIds.includes(variant.id))
+          .map(variant => variant.id));
+
+        await tx.productVariant.deleteMany({
+          where: { productId, id: { notIn: keptIds } }
+        });
+
+        for (const { id, ...variant } of variants) {
+          if (id) {
+            await tx.productVariant.update({ where: { id }, data: variant });
+          } else {
+            await tx.productVariant.create({ data: { ...variant, productId } });
+          }
+        }
+      }
+
+      const updated = await tx.product.update({
+        where: { id: productId },
+        data: fields,
+        include: PRODUCT_INCLUDE
+      });
+
+      await productSearchService.refreshSearchVectors(tx, { productIds: [productId] });
+      if ('inventory' in fields || variants) {
+        await inventoryService.recordStockLevels(tx, { productIds: [productId], userId, note: 'Stock level set on product' });
+      }
+      return updated;
+    }, { timeout: PRODUCT_WRITE_TIMEOUT_MS });
+
+    logger.info(`Product updated: ${product.name} (${product.id})`);
+    return product;
+  }
+
+  // Replace a product's options and bring its variants in line with them.
+  // Options are matched to the current ones by id, then by name, so renaming or
+  // reordering keeps variant values. Variants using a removed value are deleted,
+  // a new option gives existing variants its first value, and when variants end
+  // up with the same combination only the first one is kept.
+  async setOptions(productId, options) {
+    const result = await prisma.$transaction(async (tx) => {
+      const product = await tx.product.findUnique({
+        where: { id: productId },
+        include: PRODUCT_INCLUDE
+      });
+
+      if (!product) {
+        throw new NotFoundError('Product not found');
+      }
+
+      const findCurrent = (option) => product.options.find(current => current.id === option.id) ||
+        product.options.find(current => current.name.toLowerCase() === option.name.toLowerCase());
+
+      const unknown = options.find(option => option.id && !product.options.some(current => current.id === option.id));
+      if (unknown) {
+        throw new ValidationError(`Option ${unknown.id} does not belong to this product`);
+      }
+
+      const nextOptions = options.map((option, index) => ({
+        name: option.name,
+        values: option.values,
+        position: index + 1,
+        current: findCurrent(option)
+      }));
+
+      const removed = [];
+      const seen = new Set();
+
+      for (const variant of product.variants) {
+        const values = nextOptions.map(option => {
+          // Variants created before the product had options keep the value stored at the same position
+          const value = variant[`option${option.current ? option.current.position : option.position}`];
+          if (!option.current && (product.options.length > 0 || !value)) {
+            return option.values[0];
+          }
+          return option.values.find(allowed => allowed.toLowerCase() === String(value).toLowerCase());
+        });
+
+        const key = values.join('\u0000');
+        if (values.includes(undefined) || (nextOptions.length > 0 && seen.has(key))) {
+          removed.push(variant.id);
+          continue;
+        }
+        seen.add(key);
+
+        // Titles generated from option values follow the new values; custom titles are kept
+        const currentTitle = this.getVariantTitle(this.getVariantValues(variant, product.options));
+        const title = product.options.length > 0 && variant.title === currentTitle
+          ? this.getVariantTitle(values)
+          : variant.title;
+
+        await tx.productVariant.update({
+          where: { id: variant.id },
+          data: {
+            title,
+            ...Object.fromEntries(OPTION_POSITIONS.map(position => [`option${position}`, values[position - 1] || null]))
+          }
+        });
+      }
+
+      if (removed.length > 0) {
+        await this.assertVariantsNotBundled(tx, removed);
+        await tx.productVariant.deleteMany({
+          where: { id: { in: removed } }
+        });
+      }
+
+      await tx.productOption.deleteMany({ where: { productId } });
+      await tx.productOption.createMany({
+        data: nextOptions.map(({ name, values, position }) => ({ name, values, position, productId }))
+      });
+      await productSearchService.refreshSearchVectors(tx, { productIds: [productId] });
+
+      return {
+        product: await tx.product.findUnique({ where: { id: productId }, include: PRODUCT_INCLUDE }),
+        removedVariants: removed.length
+      };
+    }, { timeout: PRODUCT_WRITE_TIMEOUT_MS });
+
+    logger.info(`Product options updated: ${productId} (${options.length} options, ${result.removedVariants} variants removed)`);
+    return result;
+  }
+
+  // Create a variant for every option value combination the product does not have yet
+  async generateVariants(productId, defaults = {}, userId = null) {
+    const result = await prisma.$transaction(async (tx) => {
+      const product = await tx.product.findUnique({
+        where: { id: productId },
+        include: PRODUCT_INCLUDE
+      });
+
+      if (!product) {
+        throw new NotFoundError('Product not found');
+      }
+
+      if (product.options.length === 0) {
+        throw new ValidationError('Define product options before generating variants');
+      }
+
+      const combinations = product.options.reduce(
+        (partials, option) => partials.flatMap(partial => option.values.map(value => [...partial, value])),
+        [[]]
+      );
+
+      if (combinations.length > MAX_VARIANTS) {
+        throw new ValidationError(`Options produce ${combinations.length} combinations; a product can have at most ${MAX_VARIANTS} variants`);
+      }
+
+      const existing = new Set(product.variants.map(variant => this.getVariantValues(variant, product.options).join('\u0000')));
+
+      const variants = combinations
+        .filter(values => !existing.has(values.join('\u0000')))
+        .map(values => ({
+          title: this.getVariantTitle(values),
+          sku: product.sku ? `${product.sku}-${values.map(value => toSlug(value)).join('-').toUpperCase()}` : undefined,
+          price: defaults.price || product.price,
+          comparePrice: defaults.comparePrice || product.comparePrice,
+          inventory: defaults.inventory || 0,
+          ...Object.fromEntries(product.options.map((option, index) => [`option${option.position}`, values[index]])),
+          productId
+        }));
+
+      await this.assertSkusAvailable(tx, product.storeId, [
+        product.sku,
+        ...product.variants.map(variant => variant.sku),
+        ...variants.map(variant => variant.sku)
+      ], productId);
+
+      await tx.productVariant.createMany({ data: variants });
+      await productSearchService.refreshSearchVectors(tx, { productIds: [productId] });
+      await inventoryService.recordStockLevels(tx, { productIds: [productId], userId, note: 'Initial stock' });
+
+      return {
+        product: await tx.product.findUnique({ where: { id: productId }, include: PRODUCT_INCLUDE }),
+        created: variants.length
+      };
+    }, { timeout: PRODUCT_WRITE_TIMEOUT_MS });
+
+    logger.info(`Variants generated: ${result.created} for product ${productId}`);
+    return result;
+  }
+
+  // Delete a product. Products that appear in orders are kept for order history.
+  async deleteProduct(productId) {
+    const product = await prisma.product.findUnique({
+      where: { id: productId },
+      include: {
+        productImages: true,
+        productFiles: true,
+        _count: { select: { orderItems: true, bundledIn: true } }
+      }
+    });
+
+    if (!product) {
+      throw new NotFoundError('Product not found');
+    }
+
+    if (product._count.orderItems > 0) {
+      throw new ConflictError('Products that have been ordered cannot be deleted; archive them instead');
+    }
+
+    if (product._count.bundledIn > 0) {
+      throw new ConflictError('Remove this product from its bundles before deleting it');
+    }
+
+    await prisma.product.delete({
+      where: { id: productId }
+    });
+
+    await productImageService.deleteStoredImages(product.productImages);
+    await productFileService.deleteStoredFiles(product.productFiles);
+
+    logger.info(`Product deleted: ${product.name} (${product.id})`);
+    return product;
+  }
+
+  // Apply the same kind of quick edits to many products at once
+  async bulkUpdate(updates, userId = null) {
+    const products = await prisma.$transaction(async (tx) => {
+      const updated = [];
+      for (const { id, ...data } of updates) {
+        updated.push(await tx.product.update({
+          where: { id },
+          data
+        }));
+      }
+
+      await inventoryService.recordStockLevels(tx, {
+        productIds: updates.filter(update => 'inventory' in update).map(update => update.id),
+        userId,
+        note: 'Bulk update'
+      });
+      return updated;
+    }, { timeout: PRODUCT_WRITE_TIMEOUT_MS });
+
+    logger.info(`Products bulk updated: ${products.length} products`);
+    return products;
+  }
+}
+
+module.exports = new ProductService();
@@ -0,0 +1,167 @@
+const { PrismaClient } = require('@prisma/client');
+const { NotFoundError, ConflictError, AuthorizationError } = require('../middleware/errorHandler');
+const downloadService = require('./downloadService');
+const logger = require('../utils/logger');
+
+const prisma = new PrismaClient();
+
+// Orders whose items no longer count as purchases
+const REVOKED_ORDER_STATUSES = ['CANCELLED', 'REFUNDED'];
+
+class ReviewService {
+  // Submit a review from a storefront. It waits in the moderation queue until
+  // approved. Each email can review a product once. Reviews sent with the
+  // signed order link of a paid order that includes the product are marked as
+  // verified purchases; the email alone proves nothing.
+  async submitReview(storeId, { productId, rating, title, body, name, email, orderId, token }) {
+    const product = await prisma.product.findFirst({
+      where: { id: productId, storeId, isActive: true },
+      select: { id: true }
+    });
+
+    if (!product) {
+      throw new NotFoundError('Product not found');
+    }
+
+    const normalizedEmail = email.toLowerCase();
+
+    const existing = await prisma.review.findUnique({
+      where: { productId_email: { productId, email: normalizedEmail } },
+      select: { id: true }
+    });
+
+    if (existing) {
+      throw new ConflictError('You have already reviewed this product');
+    }
+
+    if (orderId && !downloadService.isValidOrderToken(orderId, token)) {
+      throw new AuthorizationError('Invalid order link');
+    }
+
+    const purchase = orderId ? await this.findPurchase(storeId, productId, orderId) : null;
+
+    const review = await prisma.review.create({
+      data: {
+        storeId,
+        productId,
+        rating,
+        title: title || null,
+        body: body || null,
+        authorName: name,
+        email: normalizedEmail,
+        isVerifiedPurchase: Boolean(purchase),
+        orderItemId: purchase ? purchase.id : null,
+        customerId: purchase ? purchase.order.customerId : null
+      }
+    });
+
+    logger.info(`Review submitted for product ${productId} in store ${storeId}`);
+    return review;
+  }
+
+  // Links that let the buyer of a paid order review each product in it as a
+  // verified purchase, for order emails. Empty while the store is not deployed
+  // or the order does not count as a purchase. `order.items` need their product.
+  getReviewLinks(store, order) {
+    if (!store.deploymentUrl || order.paymentStatus !== 'PAID' || REVOKED_ORDER_STATUSES.includes(order.status)) {
+      return [];
+    }
+
+    const token = downloadService.getOrderToken(order.id);
+    const products = new Map(order.items.map(item => [item.productId, item]));
+
+    return [...products.values()].map(item => ({
+      title: item.title,
+      url: `${store.deploymentUrl}/product/${item.product.urlHandle || item.productId}.html?order=${order.id}&token=${token}#reviews`
+    }));
+  }
+
+  // The item of the product in an order, if the order is paid and was not
+  // cancelled or refunded
+  async findPurchase(storeId, productId, orderId) {
+    return prisma.orderItem.findFirst({
+      where: {
+        productId,
+        order: {
+          id: orderId,
+          storeId,
+          paymentStatus: 'PAID',
+          status: { notIn: REVOKED_ORDER_STATUSES }
+        }
+      },
+      select: { id: true, order: { select: { customerId: true } } }
+    });
+  }
+
+  // Get a review of a store
+  async getReview(storeId, reviewId) {
+    const review = await prisma.review.findFirst({
+      where: { id: reviewId, storeId }
+    });
+
+    if (!review) {
+      throw new NotFoundError('Review not found');
+    }
+
+    return review;
+  }
+
+  // Approve or reject a review. Only approved reviews are published and rated.
+  async setStatus(storeId, reviewId, status) {
+    const review = await this.getReview(storeId, reviewId);
+
+    const updated = await prisma.$transaction(async (tx) => {
+      const moderated = await tx.review.update({
+        where: { id: reviewId },
+        data: { status }
+      });
+
+      await this.refreshRating(tx, review.productId);
+      return moderated;
+    });
+
+    logger.info(`Review ${reviewId} ${status.toLowerCase()}`);
+    return updated;
+  }
+
+  // Set or clear the store's public reply to a review
+  async reply(storeId, reviewId, reply) {
+    await this.getReview(storeId, reviewId);
+
+    return prisma.review.update({
+      where: { id: reviewId },
+      data: { reply, repliedAt: reply ? new Date() : null }
+    });
+  }
+
+  // Delete a review
+  async deleteReview(storeId, reviewId) {
+    const review = await this.getReview(storeId, reviewId);
+
+    await prisma.$transaction(async (tx) => {
+      await tx.review.delete({ where: { id: reviewId } });
+      await this.refreshRating(tx, review.productId);
+    });
+
+    logger.info(`Review deleted: ${reviewId}`);
+  }
+
+  // Store the average rating and count of a product's approved reviews on the product
+  async refreshRating(client, productId) {
+    const { _avg: avg, _count: count } = await client.review.aggregate({
+      where: { productId, status: 'APPROVED' },
+      _avg: { rating: true },
+      _count: { _all: true }
+    });
+
+    await client.product.update({
+      where: { id: productId },
+      data: {
+        ratingAverage: avg.rating === null ? null : Math.round(avg.rating * 100) / 100,
+        reviewCount: count._all
+      }
+    });
+  }
+}
+
+module.exports = new ReviewService();
@@ -0,0 +1,102 @@
+const { PrismaClient } = require('@prisma/client');
+const logger = require('../utils/logger');
+
+const prisma = new PrismaClient();
+
+// Jobs that are due at boot wait this long, so they don't slow down startup
+const STARTUP_DELAY_MS = 30 * 1000;
+
+class SchedulerService {
+  constructor() {
+    this.jobs = new Map();
+    this.timeouts = [];
+    this.intervals = [];
+    this.stopped = true;
+  }
+
+  // Register a recurring background job
+  register(name, intervalMs, handler) {
+    this.jobs.set(name, { name, intervalMs, handler, running: false });
+  }
+
+  // Run a job once, skipping the tick if the previous run has not finished.
+  // Successful runs are recorded so the schedule survives restarts.
+  async run(name) {
+    const job = this.jobs.get(name);
+
+    if (!job || job.running) {
+      return;
+    }
+
+    job.running = true;
+    try {
+      await job.handler();
+      await prisma.scheduledJobRun.upsert({
+        where: { name },
+        create: { name, lastRunAt: new Date() },
+        update: { lastRunAt: new Date() }
+      });
+    } catch (error) {
+      logger.error(`Scheduled job failed: ${name}`, error);
+    } finally {
+      job.running = false;
+    }
+  }
+
+  // How long until a job is next due: one interval after its last recorded run,
+  // and right away (after the startup delay) when it never ran or is overdue
+  async getFirstDelay(job) {
+    try {
+      const lastRun = await prisma.scheduledJobRun.findUnique({ where: { name: job.name } });
+      const dueIn = lastRun ? lastRun.lastRunAt.getTime() + job.intervalMs - Date.now() : 0;
+      return Math.max(dueIn, STARTUP_DELAY_MS);
+    } catch (error) {
+      logger.error(`Failed to load the last run of scheduled job ${job.name}:`, error);
+      return STARTUP_DELAY_MS;
+    }
+  }
+
+  // Keep a timer without keeping the process alive just for background jobs
+  track(timers, timer) {
+    timer.unref();
+    timers.push(timer);
+  }
+
+  // Run a job when it is next due, then every interval. Nothing is scheduled
+  // when the scheduler was stopped while the last run was being loaded.
+  async schedule(job) {
+    const delay = await this.getFirstDelay(job);
+
+    if (this.stopped) {
+      return;
+    }
+
+    this.track(this.timeouts, setTimeout(() => {
+      this.run(job.name);
+      this.track(this.intervals, setInterval(() => this.run(job.name), job.intervalMs));
+    }, delay));
+  }
+
+  // Start all registered jobs; resolves once each is scheduled
+  async start() {
+    if (!this.stopped) {
+      return;
+    }
+
+    this.stopped = false;
+    await Promise.all([...this.jobs.values()].map(job => this.schedule(job)));
+
+    logger.info(`Scheduler started with ${this.jobs.size} job(s)`);
+  }
+
+  // Stop all jobs, including those still being scheduled
+  stop() {
+    this.stopped = true;
+    this.timeouts.forEach(timer => clearTimeout(timer));
+    this.intervals.forEach(timer => clearInterval(timer));
+    this.timeouts = [];
+    this.intervals = [];
+  }
+}
+
+module.exports = new SchedulerService();
@@ -0,0 +1,224 @@
+const { PrismaClient } = require('@prisma/client');
+const { NotFoundError, ValidationError } = require('../middleware/errorHandler');
+const emailService = require('./emailService');
+const { getStoreSettings } = require('../utils/storeSettings');
+const logger = require('../utils/logger');
+
+const prisma = new PrismaClient();
+
+// Alerts whose email keeps failing are given up on after a day; they stay on the dashboard
+const ALERT_EMAIL_RETRY_MS = 24 * 60 * 60 * 1000;
+
+const ALERT_ITEM_INCLUDE = {
+  product: { select: { name: true, sku: true } },
+  variant: { select: { title: true, sku: true } }
+};
+
+// Name, SKU and stock of an alert or digest row for emails
+const toStockItem = ({ product, variant, quantity, threshold }) => ({
+  name: variant ? `${product.name} - ${variant.title}` : product.name,
+  sku: (variant && variant.sku) || product.sku,
+  quantity,
+  threshold
+});
+
+class StockAlertService {
+  // Low-stock threshold of a product: its own, otherwise the store setting.
+  // null when neither is set, which disables alerts.
+  getThreshold(product, store) {
+    if (product.lowStockThreshold !== null && product.lowStockThreshold !== undefined) {
+      return product.lowStockThreshold;
+    }
+    return getStoreSettings(store).lowStockThreshold;
+  }
+
+  // Open, update or resolve alerts for stock levels that just changed. `changes`
+  // are movements or recorded corrections; the last balance of each item counts.
+  // Runs inside the transaction that changed the stock; returns the new alerts.
+  async checkStockLevels(client, changes) {
+    const latest = new Map();
+    for (const change of changes) {
+      latest.set(change.variantId || change.productId, change);
+    }
+
+    if (latest.size === 0) {
+      return [];
+    }
+
+    const [products, alerts] = await Promise.all([
+      client.product.findMany({
+        where: { id: { in: [...new Set([...latest.values()].map(change => change.productId))] } },
+        select: {
+          id: true,
+          isBundle: true,
+          trackInventory: true,
+          lowStockThreshold: true,
+          store: { select: { settings: true } },
+          _count: { select: { variants: true } }
+        }
+      }),
+      client.stockAlert.findMany({
+        where: { itemId: { in: [...latest.keys()] }, status: { not: 'RESOLVED' } }
+      })
+    ]);
+
+    const raised = [];
+
+    for (const [itemId, change] of latest) {
+      const product = products.find(candidate => candidate.id === change.productId);
+      const alert = alerts.find(candidate => candidate.itemId === itemId);
+
+      // Product-level stock of a product with variants is not sold, so it is not alerted on;
+      // neither is that of bundles, whose components are alerted on instead
+      const tracked = product && product.trackInventory && !product.isBundle &&
+        (change.variantId || product._count.variants === 0);
+      const threshold = tracked ? this.getThreshold(product, product.store) : null;
+      const low = threshold !== null && change.balance < threshold;
+
+      if (low && alert) {
+        await client.stockAlert.update({
+          where: { id: alert.id },
+          data: { quantity: change.balance, threshold }
+        });
+      } else if (low) {
+        raised.push(await client.stockAlert.create({
+          data: {
+            storeId: change.storeId,
+            productId: change.productId,
+            variantId: change.variantId || null,
+            itemId,
+            quantity: change.balance,
+            threshold
+          }
+        }));
+      } else if (alert) {
+        await client.stockAlert.update({
+          where: { id: alert.id },
+          data: { quantity: change.balance, status: 'RESOLVED', resolvedAt: new Date() }
+        });
+      }
+    }
+
+    return raised;
+  }
+
+  // Email store owners about open alerts they have not been told about, one
+  // email per store. Failures are logged; the alerts are retried on the next run.
+  async sendPendingAlerts(storeId = null) {
+    const alerts = await prisma.stockAlert.findMany({
+      where: {
+        status: 'OPEN',
+        emailedAt: null,
+        createdAt: { gte: new Date(Date.now() - ALERT_EMAIL_RETRY_MS) },
+        ...(storeId && { storeId })
+      },
+      orderBy: { createdAt: 'asc' },
+      include: {
+        ...ALERT_ITEM_INCLUDE,
+        store: { include: { user: { select: { name: true, email: true } } } }
+      }
+    });
+
+    const byStore = new Map();
+    for (const alert of alerts) {
+      byStore.set(alert.storeId, [...(byStore.get(alert.storeId) || []), alert]);
+    }
+
+    for (const storeAlerts of byStore.values()) {
+      const { store } = storeAlerts[0];
+
+      try {
+        await emailService.sendLowStockAlert(store, storeAlerts.map(toStockItem));
+        await prisma.stockAlert.updateMany({
+          where: { id: { in: storeAlerts.map(alert => alert.id) } },
+          data: { emailedAt: new Date() }
+        });
+      } catch (error) {
+        logger.error(`Failed to send low-stock alert for store ${store.id}:`, error);
+      }
+    }
+
+    return alerts.length;
+  }
+
+  // Acknowledge an open alert. It stays dismissed until the stock recovers.
+  async dismissAlert(storeId, alertId) {
+    const alert = await prisma.stockAlert.findFirst({
+      where: { id: alertId, storeId }
+    });
+
+    if (!alert) {
+      throw new NotFoundError('Stock alert not found');
+    }
+
+    if (alert.status !== 'OPEN') {
+      throw new ValidationError('Only open alerts can be dismissed');
+    }
+
+    return prisma.stockAlert.update({
+      where: { id: alertId },
+      data: { status: 'DISMISSED' },
+      include: ALERT_ITEM_INCLUDE
+    });
+  }
+
+  // Items below their low-stock threshold in stores that are not archived.
+  // Products with variants are listed by variant, and bundles by their components.
+  async findLowStockItems() {
+    return prisma.$queryRaw`
+      SELECT * FROM (
+        SELECT p."storeId", p."name", NULL AS "variantTitle", p."sku", p."inventory" AS "quantity",
+          coalesce(p."lowStockThreshold", (s."settings"->>'lowStockThreshold')::int) AS "threshold"
+        FROM "products" p
+        JOIN "stores" s ON s."id" = p."storeId"
+        WHERE p."trackInventory" AND NOT p."isBundle" AND s."archivedAt" IS NULL
+          AND NOT EXISTS (SELECT 1 FROM "product_variants" v WHERE v."productId" = p."id")
+        UNION ALL
+        SELECT p."storeId", p."name", v."title", coalesce(v."sku", p."sku"), v."inventory",
+          coalesce(p."lowStockThreshold", (s."settings"->>'lowStockThreshold')::int)
+        FROM "product_variants" v
+        JOIN "products" p ON p."id" = v."productId"
+        JOIN "stores" s ON s."id" = p."storeId"
+        WHERE p."trackInventory" AND s."archivedAt" IS NULL
+      ) items
+      WHERE "quantity" < "threshold"
+      ORDER BY "storeId", "quantity", "name"
+    `;
+  }
+
+  // Email each store owner the list of items currently below threshold
+  async sendDailyDigests() {
+    const items = await this.findLowStockItems();
+
+    const byStore = new Map();
+    for (const item of items) {
+      byStore.set(item.storeId, [...(byStore.get(item.storeId) || []), item]);
+    }
+
+    for (const [storeId, storeItems] of byStore) {
+      try {
+        const store = await prisma.store.findUnique({
+          where: { id: storeId },
+          include: { user: { select: { name: true, email: true } } }
+        });
+
+        await emailService.sendLowStockDigest(store, storeItems.map(item => toStockItem({
+          product: { name: item.name, sku: item.sku },
+          variant: item.variantTitle ? { title: item.variantTitle } : null,
+          quantity: item.quantity,
+          threshold: item.threshold
+        })));
+      } catch (error) {
+        logger.error(`Failed to send low-stock digest for store ${storeId}:`, error);
+      }
+    }
+
+    if (byStore.size > 0) {
+      logger.info(`Low-stock digests sent to ${byStore.size} store(s) for ${items.length} item(s)`);
+    }
+
+    return byStore.size;
+  }
+}
+
+module.exports = new StockAlertService();
@@ -0,0 +1,97 @@
+const path = require('path');
+const crypto = require('crypto');
+const cloudinary = require('cloudinary').v2;
+
+// Stores images on Cloudinary. Sizes are eager transformations, so they are
+// generated at upload time instead of on the first storefront visit.
+class CloudinaryAdapter {
+  constructor() {
+    this.name = 'cloudinary';
+    cloudinary.config({
+      cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
+      api_key: process.env.CLOUDINARY_API_KEY,
+      api_secret: process.env.CLOUDINARY_API_SECRET,
+      secure: true
+    });
+  }
+
+  // Transformation for one size: scale down to the width, never up
+  getTransformation(width) {
+    return { width, crop: 'limit', format: 'webp', quality: 'auto' };
+  }
+
+  // Upload the original and generate a WebP copy per size
+  async saveImage(buffer, { folder, sizes }) {
+    const widths = Object.values(sizes);
+
+    const result = await new Promise((resolve, reject) => {
+      cloudinary.uploader.upload_stream({
+        folder,
+        resource_type: 'image',
+        eager: widths.map(width => this.getTransformation(width))
+      }, (error, uploaded) => (error ? reject(error) : resolve(uploaded))).end(buffer);
+    });
+
+    const urls = {};
+    Object.keys(sizes).forEach((size, index) => {
+      const eager = result.eager && result.eager[index];
+      urls[size] = eager ? eager.secure_url : cloudinary.url(result.public_id, this.getTransformation(widths[index]));
+    });
+
+    return {
+      key: result.public_id,
+      url: result.secure_url,
+      width: result.width,
+      height: result.height,
+      sizes: urls
+    };
+  }
+
+  // Remove the image and its generated sizes, purging CDN caches
+  async deleteImage(key) {
+    const { result } = await cloudinary.uploader.destroy(key, { resource_type: 'image', invalidate: true });
+
+    if (result !== 'ok' && result !== 'not found') {
+      throw new Error(`Cloudinary could not delete ${key}: ${result}`);
+    }
+  }
+
+  // Upload a downloadable file as a private raw asset, so it can only be
+  // fetched through signed URLs
+  async saveFile(buffer, { folder, filename }) {
+    const result = await new Promise((resolve, reject) => {
+      cloudinary.uploader.upload_stream({
+        folder,
+        resource_type: 'raw',
+        type: 'private',
+        // Raw public IDs keep their extension, which the download URL needs
+        public_id: `${crypto.randomBytes(12).toString('hex')}${path.extname(filename).toLowerCase()}`
+      }, (error, uploaded) => (error ? reject(error) : resolve(uploaded))).end(buffer);
+    });
+
+    return { key: result.public_id };
+  }
+
+  // Signed URL that downloads the file until `expiresAt`
+  async getFileDownload(key, { expiresAt }) {
+    return {
+      url: cloudinary.utils.private_download_url(key, '', {
+        resource_type: 'raw',
+        type: 'private',
+        attachment: true,
+        expires_at: Math.floor(expiresAt.getTime() / 1000)
+      })
+    };
+  }
+
+  // Remove a downloadable file, purging CDN caches
+  async deleteFile(key) {
+    const { result } = await cloudinary.uploader.destroy(key, { resource_type: 'raw', type: 'private', invalidate: true });
+
+    if (result !== 'ok' && result !== 'not found') {
+      throw new Error(`Cloudinary could not delete ${key}: ${result}`);
+    }
+  }
+}
+
+module.exports = CloudinaryAdapter;
@@ -0,0 +1,48 @@
+const LocalAdapter = require('./localAdapter');
+const CloudinaryAdapter = require('./cloudinaryAdapter');
+
+// Storage adapters share one interface:
+//   saveImage(buffer, { folder, sizes }) -> { key, url, width, height, sizes }
+//   deleteImage(key)
+//   saveFile(buffer, { folder, filename }) -> { key }     private, never publicly served
+//   getFileDownload(key, { filename, expiresAt }) -> { path } or { url }
+//   deleteFile(key)
+const ADAPTERS = {
+  local: LocalAdapter,
+  cloudinary: CloudinaryAdapter
+};
+
+// Widths of the responsive copies generated for every image
+const IMAGE_SIZES = {
+  thumbnail: 160,
+  small: 480,
+  medium: 960,
+  large: 1600
+};
+
+const instances = {};
+
+// STORAGE_DRIVER picks the adapter for new uploads; without it, Cloudinary is
+// used when configured and the local filesystem otherwise
+const getDefaultDriver = () => {
+  return process.env.STORAGE_DRIVER || (process.env.CLOUDINARY_CLOUD_NAME ? 'cloudinary' : 'local');
+};
+
+// Get an adapter by name. Stored images record their adapter, so they can be
+// deleted after the default driver changes.
+const getStorage = (name = getDefaultDriver()) => {
+  if (!ADAPTERS[name]) {
+    throw new Error(`Unknown storage driver: ${name}`);
+  }
+
+  if (!instances[name]) {
+    instances[name] = new ADAPTERS[name]();
+  }
+
+  return instances[name];
+};
+
+module.exports = {
+  IMAGE_SIZES,
+  getStorage
+};
@@ -0,0 +1,87 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const sharp = require('sharp');
+
+// Stores images on the local filesystem, served by the API under /uploads.
+// Downloadable files live in a separate directory that is never served statically.
+// Meant for development and tests; production stores use Cloudinary.
+class LocalAdapter {
+  constructor() {
+    this.name = 'local';
+    this.root = path.resolve(process.env.UPLOAD_DIR || 'uploads');
+    this.privateRoot = path.resolve(process.env.PRIVATE_UPLOAD_DIR || 'private-uploads');
+    this.baseUrl = (process.env.UPLOAD_BASE_URL || `http://localhost:${process.env.PORT || 3001}/uploads`).replace(/\/$/, '');
+  }
+
+  // Save the original and a WebP copy per size, never upscaling.
+  // The key is the directory holding every file of the image.
+  async saveImage(buffer, { folder, sizes }) {
+    const key = `${folder}/${crypto.randomBytes(12).toString('hex')}`;
+    const directory = path.join(this.root, key);
+    await fs.mkdir(directory, { recursive: true });
+
+    // Apply the EXIF orientation so every file is stored upright
+    const image = sharp(buffer).rotate();
+    const { data, info } = await image.clone().toBuffer({ resolveWithObject: true });
+    const originalFile = `original.${info.format === 'jpeg' ? 'jpg' : info.format}`;
+    await fs.writeFile(path.join(directory, originalFile), data);
+
+    const urls = {};
+    for (const [size, width] of Object.entries(sizes)) {
+      await image.clone()
+        .resize({ width, withoutEnlargement: true })
+        .webp({ quality: 80 })
+        .toFile(path.join(directory, `${size}.webp`));
+      urls[size] = `${this.baseUrl}/${key}/${size}.webp`;
+    }
+
+    return {
+      key,
+      url: `${this.baseUrl}/${key}/${originalFile}`,
+      width: info.width,
+      height: info.height,
+      sizes: urls
+    };
+  }
+
+  // Remove every file of an image
+  async deleteImage(key) {
+    await fs.rm(this.resolveKey(this.root, key), { recursive: true, force: true });
+  }
+
+  // Save a downloadable file under the private root
+  async saveFile(buffer, { folder }) {
+    const key = `${folder}/${crypto.randomBytes(12).toString('hex')}`;
+    const file = this.resolveKey(this.privateRoot, key);
+
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.writeFile(file, buffer);
+
+    return { key };
+  }
+
+  // Downloadable files are streamed by the API, which has already checked the link
+  async getFileDownload(key) {
+    return { path: this.resolveKey(this.privateRoot, key) };
+  }
+
+  // Remove a downloadable file
+  async deleteFile(key) {
+    await fs.rm(this.resolveKey(this.privateRoot, key), { force: true });
+  }
+
+  // Path of a key below a root. Keys come from the database, but never let one
+  // point outside the root.
+  resolveKey(root, key) {
+    const resolved = path.resolve(root, key);
+
+    if (!resolved.startsWith(`${root}${path.sep}`)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+
+    return resolved;
+  }
+}
+
+module.exports = LocalAdapter;
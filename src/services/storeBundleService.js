@@ -0,0 +1,300 @@
+const { PrismaClient } = require('@prisma/client');
+const { NotFoundError, ValidationError } = require('../middleware/errorHandler');
+const storeService = require('./storeService');
+const inventoryService = require('./inventoryService');
+const productSearchService = require('./productSearchService');
+const { mergeStoreSettings } = require('../utils/storeSettings');
+const logger = require('../utils/logger');
+
+const prisma = new PrismaClient();
+
+// Bundle format identifier and the newest version this code can read.
+// Bump BUNDLE_VERSION when the bundle layout changes and keep importing older versions.
+const BUNDLE_FORMAT = 'buildcart-store';
+const BUNDLE_VERSION = 3;
+
+// Store fields that make up its portable configuration
+const STORE_EXPORT_FIELDS = [
+  'name', 'slug', 'industry', 'storeType', 'description', 'targetAudience',
+  'modules', 'settings', 'theme', 'metaTitle', 'metaDescription'
+];
+
+// Fields that only make sense inside the source account. Record ids are kept
+// in the bundle as references and replaced with new ids on import.
+const PRODUCT_EXPORT_EXCLUDED_FIELDS = ['storeId', 'createdAt', 'updatedAt', 'ratingAverage', 'reviewCount'];
+const VARIANT_EXPORT_EXCLUDED_FIELDS = ['productId', 'createdAt', 'updatedAt'];
+const OPTION_EXPORT_EXCLUDED_FIELDS = ['id', 'productId', 'createdAt', 'updatedAt'];
+const PAGE_EXPORT_EXCLUDED_FIELDS = ['storeId', 'createdAt', 'updatedAt'];
+const CURRENCY_EXPORT_EXCLUDED_FIELDS = ['id', 'storeId', 'createdAt', 'updatedAt'];
+const CATEGORY_EXPORT_EXCLUDED_FIELDS = ['storeId', 'createdAt', 'updatedAt'];
+const COLLECTION_EXPORT_EXCLUDED_FIELDS = ['id', 'storeId', 'createdAt', 'updatedAt', 'products'];
+
+const IMPORT_TIMEOUT_MS = 60 * 1000;
+
+class StoreBundleService {
+  // Build a portable bundle of a store's configuration, catalog and content
+  async exportStore(storeId) {
+    const store = await prisma.store.findUnique({
+      where: { id: storeId },
+      include: {
+        products: {
+          include: {
+            options: { orderBy: { position: 'asc' } },
+            variants: { orderBy: { createdAt: 'asc' } },
+            bundleItems: { orderBy: { position: 'asc' } }
+          },
+          orderBy: { createdAt: 'asc' }
+        },
+        currencies: { orderBy: { currency: 'asc' } },
+        categories: { orderBy: { createdAt: 'asc' } },
+        collections: {
+          include: { products: { orderBy: { position: 'asc' } } },
+          orderBy: { createdAt: 'asc' }
+        },
+        pages: { orderBy: { createdAt: 'asc' } },
+        menus: { orderBy: { location: 'asc' } }
+      }
+    });
+
+    if (!store) {
+      throw new NotFoundError('Store not found');
+    }
+
+    const products = store.products.map(({ options, variants, bundleItems, ...product }) => ({
+      ...storeService.copyFields(product, PRODUCT_EXPORT_EXCLUDED_FIELDS),
+      options: options.map(option => storeService.copyFields(option, OPTION_EXPORT_EXCLUDED_FIELDS)),
+      variants: variants.map(variant => storeService.copyFields(variant, VARIANT_EXPORT_EXCLUDED_FIELDS)),
+      bundleItems: bundleItems.map(({ productId, variantId, quantity }) => storeService.copyFields({ productId, variantId, quantity }, []))
+    }));
+
+    return {
+      format: BUNDLE_FORMAT,
+      version: BUNDLE_VERSION,
+      exportedAt: new Date().toISOString(),
+      store: Object.fromEntries(
+        STORE_EXPORT_FIELDS
+          .filter(field => store[field] !== null)
+          .map(field => [field, store[field]])
+      ),
+      currencies: store.currencies.map(currency => storeService.copyFields(currency, CURRENCY_EXPORT_EXCLUDED_FIELDS)),
+      categories: store.categories.map(category => storeService.copyFields(category, CATEGORY_EXPORT_EXCLUDED_FIELDS)),
+      collections: store.collections.map(collection => ({
+        ...storeService.copyFields(collection, COLLECTION_EXPORT_EXCLUDED_FIELDS),
+        products: collection.products.map(({ productId, position }) => ({ productId, position }))
+      })),
+      pages: store.pages.map(page => storeService.copyFields(page, PAGE_EXPORT_EXCLUDED_FIELDS)),
+      menus: store.menus.map(({ location, items }) => ({ location, items })),
+      products,
+      // Images stay where they are hosted; this is the list of files the bundle depends on
+      images: [...new Set(store.products.flatMap(product => this.getImageUrls(product)))]
+    };
+  }
+
+  // Bundle components may only point at other products of the bundle that are
+  // not bundles themselves, by variant when the product has variants
+  assertBundleComponents(products) {
+    const productsById = new Map(products.map(product => [product.id, product]));
+
+    for (const product of products) {
+      const items = product.bundleItems || [];
+      if (items.length === 0) {
+        continue;
+      }
+
+      if (!product.isBundle || product.variants.length > 0) {
+        throw new ValidationError(`${product.name} has bundle components but is not a bundle without variants`);
+      }
+
+      if (new Set(items.map(item => item.variantId || item.productId)).size !== items.length) {
+        throw new ValidationError(`${product.name} lists a bundle component more than once`);
+      }
+
+      for (const { productId, variantId } of items) {
+        const component = productsById.get(productId);
+        const isValid = component && !component.isBundle && (variantId
+          ? component.variants.some(variant => variant.id === variantId)
+          : component.variants.length === 0);
+
+        if (!isValid) {
+          throw new ValidationError(`${product.name} has a bundle component that is not in the bundle: ${variantId || productId}`);
+        }
+      }
+    }
+  }
+
+  // Categories may only have parents, and products categories, from the bundle,
+  // and the parents may not loop. Collections may only hold products from it.
+  assertCatalogReferences(bundle) {
+    const categoriesById = new Map(bundle.categories.map(category => [category.id, category]));
+    const productIds = new Set(bundle.products.map(product => product.id));
+
+    for (const category of bundle.categories) {
+      const seen = new Set([category.id]);
+      for (let parentId = category.parentId; parentId; parentId = categoriesById.get(parentId).parentId) {
+        if (!categoriesById.has(parentId)) {
+          throw new ValidationError(`Category ${category.name} has a parent that is not in the bundle: ${parentId}`);
+        }
+        if (seen.has(parentId)) {
+          throw new ValidationError(`Category ${category.name} is its own ancestor`);
+        }
+        seen.add(parentId);
+      }
+    }
+
+    const product = bundle.products.find(candidate => candidate.categoryId && !categoriesById.has(candidate.categoryId));
+    if (product) {
+      throw new ValidationError(`${product.name} is in a category that is not in the bundle: ${product.categoryId}`);
+    }
+
+    for (const collection of bundle.collections) {
+      const missing = collection.products.find(item => !productIds.has(item.productId));
+      if (missing) {
+        throw new ValidationError(`Collection ${collection.name} holds a product that is not in the bundle: ${missing.productId}`);
+      }
+    }
+  }
+
+  // Image URLs referenced by a product
+  getImageUrls(product) {
+    return Array.isArray(product.images) ? product.images.filter(url => typeof url === 'string') : [];
+  }
+
+  // Recreate a store from a validated bundle under the given user.
+  // All records get new ids; references inside the bundle are remapped.
+  async importStore(bundle, userId, options = {}) {
+    if (bundle.format !== BUNDLE_FORMAT) {
+      throw new ValidationError('File is not a store bundle');
+    }
+
+    if (bundle.version > BUNDLE_VERSION) {
+      throw new ValidationError(`Bundle version ${bundle.version} is not supported; the newest supported version is ${BUNDLE_VERSION}`);
+    }
+
+    // Menu links may only point at pages that travel with the bundle
+    const pageIds = new Set(bundle.pages.map(page => page.id));
+    for (const menu of bundle.menus) {
+      const missing = menu.items.find(item => item.pageId && !pageIds.has(item.pageId));
+      if (missing) {
+        throw new ValidationError(`${menu.location} menu links to a page that is not in the bundle: ${missing.pageId}`);
+      }
+    }
+
+    this.assertCatalogReferences(bundle);
+    this.assertBundleComponents(bundle.products);
+
+    const { store: source } = bundle;
+    const name = options.name || source.name;
+    const slug = await storeService.generateSlug(options.name ? name : source.slug || name);
+
+    const store = await prisma.$transaction(async (tx) => {
+      const created = await tx.store.create({
+        data: {
+          ...source,
+          name,
+          slug,
+          settings: mergeStoreSettings({}, source.settings || {}),
+          status: 'DRAFT',
+          isActive: false,
+          isDeployed: false,
+          userId,
+          themeVersions: {
+            create: { version: 1, theme: source.theme || {}, authorId: userId }
+          },
+          currencies: {
+            create: bundle.currencies
+          }
+        }
+      });
+
+      const pageIdMap = new Map();
+      for (const page of bundle.pages) {
+        const createdPage = await tx.page.create({
+          data: { ...storeService.copyFields(page, ['id']), storeId: created.id }
+        });
+        pageIdMap.set(page.id, createdPage.id);
+      }
+
+      for (const menu of bundle.menus) {
+        await tx.menu.create({
+          data: {
+            location: menu.location,
+            items: menu.items.map(item => (item.pageId ? { ...item, pageId: pageIdMap.get(item.pageId) } : item)),
+            storeId: created.id
+          }
+        });
+      }
+
+      const categoryIds = await storeService.copyCategories(tx, bundle.categories, created.id);
+
+      // New ids of the bundle's products and variants, so bundle components and collections can point at them
+      const productIds = new Map();
+      const variantIds = new Map();
+
+      for (const product of bundle.products) {
+        const createdProduct = await tx.product.create({
+          data: {
+            ...storeService.copyFields(product, ['id', 'categoryId', 'options', 'variants', 'bundleItems']),
+            categoryId: categoryIds.get(product.categoryId),
+            storeId: created.id,
+            options: {
+              create: product.options
+            }
+          }
+        });
+        productIds.set(product.id, createdProduct.id);
+
+        for (const variant of product.variants) {
+          const createdVariant = await tx.productVariant.create({
+            data: { ...storeService.copyFields(variant, ['id']), productId: createdProduct.id }
+          });
+          variantIds.set(variant.id, createdVariant.id);
+        }
+      }
+
+      const bundleItems = bundle.products.flatMap(product => (product.bundleItems || []).map(({ productId, variantId, quantity }, position) => ({
+        bundleId: productIds.get(product.id),
+        productId: productIds.get(productId),
+        variantId: variantId ? variantIds.get(variantId) : null,
+        itemId: variantId ? variantIds.get(variantId) : productIds.get(productId),
+        quantity,
+        position
+      })));
+
+      if (bundleItems.length > 0) {
+        await tx.bundleItem.createMany({ data: bundleItems });
+      }
+
+      await storeService.copyCollections(tx, bundle.collections, created.id, productIds);
+
+      await productSearchService.refreshSearchVectors(tx, { storeId: created.id });
+      await inventoryService.recordStockLevels(tx, { storeId: created.id, userId, note: 'Imported from store bundle' });
+      return created;
+    }, { timeout: IMPORT_TIMEOUT_MS });
+
+    logger.info(`Store imported: ${store.name} (${store.id}) from bundle v${bundle.version} with ${bundle.products.length} products`);
+
+    return {
+      store,
+      slugChanged: slug !== source.slug,
+      imported: {
+        products: bundle.products.length,
+        categories: bundle.categories.length,
+        collections: bundle.collections.length,
+        pages: bundle.pages.length,
+        menus: bundle.menus.length,
+        currencies: bundle.currencies.length
+      }
+    };
+  }
+
+  // Parse an uploaded bundle file
+  parseBundleFile(file) {
+    try {
+      return JSON.parse(file.buffer.toString('utf8').replace(/^\uFEFF/, ''));
+    } catch (error) {
+      throw new ValidationError('Bundle file is not valid JSON');
+    }
+  }
+}
+
+module.exports = new StoreBundleService();
@@ -0,0 +1,427 @@
+const { PrismaClient } = require('@prisma/client');
+const { NotFoundError, ValidationError } = require('../middleware/errorHandler');
+const { generateUniqueSlug } = require('../utils/slug');
+const deploymentService = require('./deploymentService');
+const productSearchService = require('./productSearchService');
+const productImageService = require('./productImageService');
+const productFileService = require('./productFileService');
+const inventoryService = require('./inventoryService');
+const categoryService = require('./categoryService');
+const logger = require('../utils/logger');
+
+const prisma = new PrismaClient();
+
+// Fields that belong to the source record and must never be copied
+const PRODUCT_EXCLUDED_FIELDS = ['id', 'storeId', 'createdAt', 'updatedAt', 'variants', 'options', 'bundleItems', 'categoryId', 'ratingAverage', 'reviewCount'];
+const VARIANT_EXCLUDED_FIELDS = ['id', 'productId', 'createdAt', 'updatedAt'];
+const OPTION_EXCLUDED_FIELDS = ['id', 'productId', 'createdAt', 'updatedAt'];
+const CURRENCY_EXCLUDED_FIELDS = ['id', 'storeId', 'createdAt', 'updatedAt'];
+const CATEGORY_EXCLUDED_FIELDS = ['id', 'storeId', 'parentId', 'createdAt', 'updatedAt'];
+const COLLECTION_EXCLUDED_FIELDS = ['id', 'storeId', 'createdAt', 'updatedAt', 'products'];
+
+// Large catalogs take longer than Prisma's default 5s interactive transaction
+const DUPLICATION_TIMEOUT_MS = 60 * 1000;
+const PURGE_TIMEOUT_MS = 60 * 1000;
+
+// How long archived stores are kept before they are permanently deleted
+const ARCHIVE_RETENTION_DAYS = parseInt(process.env.STORE_ARCHIVE_RETENTION_DAYS, 10) || 30;
+
+class StoreService {
+  // Generate a store slug that is not used by any other store
+  async generateSlug(name, excludeId = null) {
+    return generateUniqueSlug(name, async (slug) => {
+      const existing = await prisma.store.findUnique({
+        where: { slug },
+        select: { id: true }
+      });
+      return Boolean(existing && existing.id !== excludeId);
+    }, 'store');
+  }
+
+  // Copy a record, dropping excluded and empty fields so Prisma applies its defaults
+  copyFields(record, excluded) {
+    return Object.fromEntries(
+      Object.entries(record).filter(([key, value]) => !excluded.includes(key) && value !== null)
+    );
+  }
+
+  // Copy categories into a store, parents first. Returns the new id of each
+  // copied category; categories whose parent is not copied become top-level.
+  async copyCategories(tx, categories, storeId) {
+    const categoryIds = new Map();
+    const depth = (category) => categoryService.getAncestors(categories, category).length;
+
+    for (const category of [...categories].sort((a, b) => depth(a) - depth(b))) {
+      const copy = await tx.category.create({
+        data: {
+          ...this.copyFields(category, CATEGORY_EXCLUDED_FIELDS),
+          parentId: categoryIds.get(category.parentId) || null,
+          storeId
+        }
+      });
+      categoryIds.set(category.id, copy.id);
+    }
+
+    return categoryIds;
+  }
+
+  // Copy collections into a store. Manual collections keep the products that
+  // were copied, through their new ids.
+  async copyCollections(tx, collections, storeId, productIds) {
+    for (const collection of collections) {
+      await tx.collection.create({
+        data: {
+          ...this.copyFields(collection, COLLECTION_EXCLUDED_FIELDS),
+          storeId,
+          products: {
+            create: collection.products
+              .filter(item => productIds.has(item.productId))
+              .map(({ productId, position }) => ({ productId: productIds.get(productId), position }))
+          }
+        }
+      });
+    }
+  }
+
+  // Deep-copy a store with its catalog and configuration. `categories` limits
+  // the copy to products in those categories or below them.
+  // Customers, orders, analytics and deployments are intentionally left behind.
+  async duplicateStore(storeId, userId, options = {}) {
+    const { name, categories } = options;
+
+    const source = await prisma.store.findUnique({
+      where: { id: storeId },
+      include: {
+        categories: true,
+        collections: { include: { products: { orderBy: { position: 'asc' } } } },
+        currencies: true
+      }
+    });
+
+    if (!source) {
+      throw new NotFoundError('Store not found');
+    }
+
+    const missing = (categories || []).find(id => !source.categories.some(category => category.id === id));
+    if (missing) {
+      throw new ValidationError(`Category not found in this store: ${missing}`);
+    }
+
+    const categoryIds = categories
+      ? new Set(categories.flatMap(id => categoryService.getDescendantIds(source.categories, id)))
+      : null;
+
+    const products = await prisma.product.findMany({
+      where: { storeId, ...(categoryIds && { categoryId: { in: [...categoryIds] } }) },
+      include: { variants: true, options: true, bundleItems: { orderBy: { position: 'asc' } } }
+    });
+
+    const storeName = name || `${source.name} (Copy)`;
+    const slug = await this.generateSlug(storeName);
+
+    const store = await prisma.$transaction(async (tx) => {
+      const created = await tx.store.create({
+        data: {
+          name: storeName,
+          slug,
+          industry: source.industry,
+          storeType: source.storeType,
+          description: source.description,
+          targetAudience: source.targetAudience,
+          modules: source.modules,
+          settings: source.settings,
+          theme: source.theme,
+          metaTitle: source.metaTitle,
+          metaDescription: source.metaDescription,
+          status: 'DRAFT',
+          isActive: false,
+          isDeployed: false,
+          userId,
+          themeVersions: {
+            create: { version: 1, theme: source.theme, authorId: userId }
+          },
+          currencies: {
+            create: source.currencies.map(currency => this.copyFields(currency, CURRENCY_EXCLUDED_FIELDS))
+          }
+        }
+      });
+
+      const categoryCopies = await this.copyCategories(
+        tx,
+        categoryIds ? source.categories.filter(category => categoryIds.has(category.id)) : source.categories,
+        created.id
+      );
+
+      // Ids of the copies, so bundle components and collections can point at them
+      const productIds = new Map();
+      const variantIds = new Map();
+
+      // Bundles with components left out by `categories` are copied as drafts without components
+      const copiedIds = new Set(products.map(product => product.id));
+      const isComplete = (product) => product.bundleItems.every(item => copiedIds.has(item.productId));
+
+      for (const product of products) {
+        const copy = await tx.product.create({
+          data: {
+            ...this.copyFields(product, PRODUCT_EXCLUDED_FIELDS),
+            ...(!isComplete(product) && { status: 'DRAFT' }),
+            categoryId: categoryCopies.get(product.categoryId),
+            storeId: created.id,
+            options: {
+              create: product.options.map(option => this.copyFields(option, OPTION_EXCLUDED_FIELDS))
+            }
+          }
+        });
+        productIds.set(product.id, copy.id);
+
+        for (const variant of product.variants) {
+          const variantCopy = await tx.productVariant.create({
+            data: { ...this.copyFields(variant, VARIANT_EXCLUDED_FIELDS), productId: copy.id }
+          });
+          variantIds.set(variant.id, variantCopy.id);
+        }
+      }
+
+      const bundleItems = products
+        .filter(isComplete)
+        .flatMap(product => product.bundleItems)
+        .map(({ bundleId, productId, variantId, quantity, position }) => ({
+          bundleId: productIds.get(bundleId),
+          productId: productIds.get(productId),
+          variantId: variantId ? variantIds.get(variantId) : null,
+          itemId: variantId ? variantIds.get(variantId) : productIds.get(productId),
+          quantity,
+          position
+        }));
+
+      if (bundleItems.length > 0) {
+        await tx.bundleItem.createMany({ data: bundleItems });
+      }
+
+      await this.copyCollections(tx, source.collections, created.id, productIds);
+
+      await productSearchService.refreshSearchVectors(tx, { storeId: created.id });
+      await inventoryService.recordStockLevels(tx, { storeId: created.id, userId, note: `Copied from store ${source.name}` });
+      return created;
+    }, { timeout: DUPLICATION_TIMEOUT_MS });
+
+    logger.info(`Store duplicated: ${source.id} -> ${store.id} (${products.length} products)`);
+
+    return {
+      store,
+      productsCopied: products.length
+    };
+  }
+
+  // Make a theme live and record it as the store's next theme version.
+  // With merge, the theme is applied over the current one (fonts key by key);
+  // data holds other store fields to update in the same transaction.
+  async saveTheme(storeId, changes, authorId, { revertedFrom = null, merge = false, data = {} } = {}) {
+    return prisma.$transaction(async (tx) => {
+      const current = await tx.store.findUnique({
+        where: { id: storeId },
+        select: { theme: true }
+      });
+
+      if (!current) {
+        throw new NotFoundError('Store not found');
+      }
+
+      const theme = merge ? this.mergeTheme(current.theme, changes) : changes;
+
+      const latest = await tx.themeVersion.findFirst({
+        where: { storeId },
+        orderBy: { version: 'desc' },
+        select: { version: true }
+      });
+
+      let version = latest ? latest.version : 0;
+
+      // Stores created before versioning keep their original theme as version 1
+      if (!latest && Object.keys(current.theme || {}).length > 0) {
+        version += 1;
+        await tx.themeVersion.create({
+          data: { storeId, version, theme: current.theme }
+        });
+      }
+
+      const themeVersion = await tx.themeVersion.create({
+        data: { storeId, version: version + 1, theme, authorId, revertedFrom }
+      });
+
+      const store = await tx.store.update({
+        where: { id: storeId },
+        data: { ...data, theme }
+      });
+
+      return { store, themeVersion };
+    });
+  }
+
+  // Apply a partial theme over the current one
+  mergeTheme(currentTheme, changes) {
+    const theme = currentTheme || {};
+
+    return {
+      ...theme,
+      ...changes,
+      ...(changes.fonts && {
+        fonts: { ...(theme.fonts || {}), ...changes.fonts }
+      })
+    };
+  }
+
+  // Get a recorded theme version
+  async getThemeVersion(storeId, version) {
+    const themeVersion = await prisma.themeVersion.findUnique({
+      where: { storeId_version: { storeId, version } }
+    });
+
+    if (!themeVersion) {
+      throw new NotFoundError('Theme version not found');
+    }
+
+    return themeVersion;
+  }
+
+  // Revert the live theme to an earlier version by saving it as a new version
+  async revertTheme(storeId, version, authorId) {
+    const target = await this.getThemeVersion(storeId, version);
+    const result = await this.saveTheme(storeId, target.theme, authorId, { revertedFrom: target.version });
+
+    logger.info(`Store theme reverted: ${storeId} to version ${version}`);
+    return result;
+  }
+
+  // Archive a store: take the deployed site offline but keep all data
+  async archiveStore(storeId) {
+    const store = await prisma.store.findUnique({
+      where: { id: storeId }
+    });
+
+    if (!store) {
+      throw new NotFoundError('Store not found');
+    }
+
+    if (store.status === 'ARCHIVED') {
+      throw new ValidationError('Store is already archived');
+    }
+
+    await deploymentService.takeStoreOffline(store);
+
+    const archived = await prisma.store.update({
+      where: { id: storeId },
+      data: {
+        status: 'ARCHIVED',
+        archivedAt: new Date(),
+        isActive: false,
+        isDeployed: false,
+        deploymentUrl: null
+      }
+    });
+
+    logger.info(`Store archived: ${store.name} (${store.id})`);
+    return archived;
+  }
+
+  // Restore an archived store as a draft; it has to be redeployed to go live again
+  async unarchiveStore(storeId) {
+    const store = await prisma.store.findUnique({
+      where: { id: storeId }
+    });
+
+    if (!store) {
+      throw new NotFoundError('Store not found');
+    }
+
+    if (store.status !== 'ARCHIVED') {
+      throw new ValidationError('Only archived stores can be restored');
+    }
+
+    const restored = await prisma.store.update({
+      where: { id: storeId },
+      data: {
+        status: 'DRAFT',
+        archivedAt: null
+      }
+    });
+
+    logger.info(`Store restored from archive: ${store.name} (${store.id})`);
+    return restored;
+  }
+
+  // Permanently delete a store and everything that belongs to it.
+  // Orders reference the store without a cascade, so they (and their payments)
+  // are removed explicitly before the store row; the remaining relations cascade.
+  async purgeStore(storeId) {
+    const store = await prisma.store.findUnique({
+      where: { id: storeId }
+    });
+
+    if (!store) {
+      throw new NotFoundError('Store not found');
+    }
+
+    const images = await prisma.productImage.findMany({
+      where: { product: { storeId } },
+      select: { storageDriver: true, storageKey: true }
+    });
+
+    const files = await prisma.productFile.findMany({
+      where: { product: { storeId } },
+      select: { storageDriver: true, storageKey: true }
+    });
+
+    await prisma.$transaction(async (tx) => {
+      await tx.payment.deleteMany({
+        where: { order: { storeId } }
+      });
+
+      await tx.order.deleteMany({
+        where: { storeId }
+      });
+
+      await tx.store.delete({
+        where: { id: storeId }
+      });
+    }, { timeout: PURGE_TIMEOUT_MS });
+
+    await deploymentService.removeBuild(store.slug);
+    await productImageService.deleteStoredImages(images);
+    await productFileService.deleteStoredFiles(files);
+
+    logger.info(`Store purged: ${store.name} (${store.id})`);
+    return store;
+  }
+
+  // Hard-delete stores that have been archived for longer than the retention window
+  async purgeExpiredArchivedStores(retentionDays = ARCHIVE_RETENTION_DAYS) {
+    const cutoff = new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000);
+
+    const stores = await prisma.store.findMany({
+      where: {
+        status: 'ARCHIVED',
+        archivedAt: { lt: cutoff }
+      },
+      select: { id: true }
+    });
+
+    let purged = 0;
+    for (const { id } of stores) {
+      try {
+        await this.purgeStore(id);
+        purged += 1;
+      } catch (error) {
+        logger.error(`Failed to purge archived store ${id}:`, error);
+      }
+    }
+
+    if (stores.length > 0) {
+      logger.info(`Archived store purge: ${purged} of ${stores.length} stores deleted`);
+    }
+
+    return { purged, total: stores.length };
+  }
+}
+
+module.exports = new StoreService();
@@ -0,0 +1,61 @@
+// Parse CSV text (RFC 4180: quoted fields may contain commas, quotes and newlines)
+// into an array of records, each an array of strings. Blank lines are kept so
+// record numbers match the rows a spreadsheet shows.
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  const input = String(text).replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i += 1) {
+    const char = input[i];
+
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') {
+        i += 1;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows;
+};
+
+// Write records as CSV text, quoting fields that need it. Null and undefined are empty.
+const stringifyCsv = (rows) => rows
+  .map(row => row.map(value => {
+    const field = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]/.test(field) ? `"${field.replace(/"/g, '""')}"` : field;
+  }).join(','))
+  .join('\r\n');
+
+module.exports = {
+  parseCsv,
+  stringifyCsv
+};
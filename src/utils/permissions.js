@@ -0,0 +1,59 @@
+// Store-level permissions granted to team members
+const PERMISSIONS = {
+  STORE_READ: 'store:read',
+  STORE_UPDATE: 'store:update',
+  STORE_DELETE: 'store:delete',
+  STORE_DEPLOY: 'store:deploy',
+  BILLING_MANAGE: 'billing:manage',
+  MEMBERS_MANAGE: 'members:manage',
+  PRODUCTS_READ: 'products:read',
+  PRODUCTS_WRITE: 'products:write',
+  ORDERS_READ: 'orders:read',
+  ORDERS_FULFILL: 'orders:fulfill',
+  ORDERS_REFUND: 'orders:refund',
+  CUSTOMERS_READ: 'customers:read',
+  CUSTOMERS_WRITE: 'customers:write',
+  ANALYTICS_READ: 'analytics:read'
+};
+
+const P = PERMISSIONS;
+
+// Permissions for each store role. The store creator (Store.userId) and
+// platform admins are always treated as OWNER.
+const ROLE_PERMISSIONS = {
+  OWNER: Object.values(PERMISSIONS),
+  MANAGER: [
+    P.STORE_READ, P.STORE_UPDATE, P.STORE_DEPLOY,
+    P.PRODUCTS_READ, P.PRODUCTS_WRITE,
+    P.ORDERS_READ, P.ORDERS_FULFILL, P.ORDERS_REFUND,
+    P.CUSTOMERS_READ, P.CUSTOMERS_WRITE,
+    P.ANALYTICS_READ
+  ],
+  STAFF: [
+    P.STORE_READ,
+    P.PRODUCTS_READ, P.PRODUCTS_WRITE,
+    P.ORDERS_READ, P.ORDERS_FULFILL,
+    P.CUSTOMERS_READ, P.CUSTOMERS_WRITE
+  ],
+  VIEWER: [
+    P.STORE_READ,
+    P.PRODUCTS_READ,
+    P.ORDERS_READ,
+    P.CUSTOMERS_READ,
+    P.ANALYTICS_READ
+  ]
+};
+
+const STORE_ROLES = Object.keys(ROLE_PERMISSIONS);
+
+// Check whether a store role grants a permission
+const roleHasPermission = (role, permission) => {
+  return Boolean(role && ROLE_PERMISSIONS[role] && ROLE_PERMISSIONS[role].includes(permission));
+};
+
+module.exports = {
+  PERMISSIONS,
+  ROLE_PERMISSIONS,
+  STORE_ROLES,
+  roleHasPermission
+};
@@ -0,0 +1,25 @@
+// Product and variant fields shared by the catalog CSV import and export
+
+const PRODUCT_FIELDS = [
+  'name', 'description', 'shortDescription', 'sku', 'price', 'comparePrice', 'costPrice', 'b2bPrice',
+  'inventory', 'trackInventory', 'allowBackorder', 'weight', 'isDigital', 'category', 'tags', 'images',
+  'metaTitle', 'metaDescription', 'urlHandle', 'status', 'isActive', 'isFeatured'
+];
+
+const VARIANT_FIELDS = ['title', 'sku', 'price', 'comparePrice', 'inventory', 'weight'];
+
+const OPTION_POSITIONS = [1, 2, 3];
+
+// Columns of an exported catalog CSV, in the order they are written
+const CSV_COLUMNS = [
+  ...PRODUCT_FIELDS,
+  ...OPTION_POSITIONS.flatMap(position => [`option${position}.name`, `option${position}.value`]),
+  ...VARIANT_FIELDS.map(field => `variant.${field}`)
+];
+
+module.exports = {
+  PRODUCT_FIELDS,
+  VARIANT_FIELDS,
+  OPTION_POSITIONS,
+  CSV_COLUMNS
+};
@@ -0,0 +1,26 @@
+const slugify = require('slugify');
+
+// Convert free text into a URL-safe slug
+const toSlug = (text) => {
+  return slugify(String(text || ''), { lower: true, strict: true, trim: true });
+};
+
+// Generate a slug that does not collide with existing records.
+// `exists` is an async predicate that returns true when a candidate is taken.
+const generateUniqueSlug = async (text, exists, fallback = 'item') => {
+  const base = toSlug(text) || fallback;
+  let candidate = base;
+  let suffix = 1;
+
+  while (await exists(candidate)) {
+    suffix += 1;
+    candidate = `${base}-${suffix}`;
+  }
+
+  return candidate;
+};
+
+module.exports = {
+  toSlug,
+  generateUniqueSlug
+};
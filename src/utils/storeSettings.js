@@ -0,0 +1,70 @@
+// Defaults applied to every store; Store.settings only stores overrides
+const DEFAULT_STORE_SETTINGS = {
+  currency: 'USD',
+  locale: 'en-US',
+  timezone: 'UTC',
+  weightUnit: 'kg',
+  dimensionUnit: 'cm',
+  taxInclusive: false,
+  orderNumberPrefix: '',
+  lowStockThreshold: null, // Stock level below which owners are alerted; products can override it
+  downloadLimit: 5, // Downloads of each purchased file per order item
+  downloadExpiryDays: 30, // Days after an order is placed that its files can be downloaded
+  contactAddress: null
+};
+
+// Resolve a store's effective settings
+const getStoreSettings = (store) => {
+  return {
+    ...DEFAULT_STORE_SETTINGS,
+    ...((store && store.settings) || {})
+  };
+};
+
+// Merge a partial settings update into the stored overrides.
+// A null value resets the key to its default.
+const mergeStoreSettings = (current, updates) => {
+  const merged = { ...(current || {}) };
+
+  for (const [key, value] of Object.entries(updates)) {
+    if (value === null) {
+      delete merged[key];
+    } else if (key === 'contactAddress' && merged.contactAddress) {
+      merged.contactAddress = { ...merged.contactAddress, ...value };
+    } else {
+      merged[key] = value;
+    }
+  }
+
+  return merged;
+};
+
+// Format a monetary amount in the store's currency and locale
+const formatPrice = (amount, settings = DEFAULT_STORE_SETTINGS) => {
+  return new Intl.NumberFormat(settings.locale, {
+    style: 'currency',
+    currency: settings.currency
+  }).format(Number(amount));
+};
+
+// Order number as customers see it, with the store's prefix
+const formatOrderNumber = (orderNumber, settings = DEFAULT_STORE_SETTINGS) => {
+  const prefix = settings.orderNumberPrefix || '';
+  return orderNumber.startsWith(prefix) ? orderNumber : `${prefix}${orderNumber}`;
+};
+
+// Format a date in the store's locale and timezone
+const formatDate = (date, settings = DEFAULT_STORE_SETTINGS) => {
+  return new Date(date).toLocaleDateString(settings.locale, {
+    timeZone: settings.timezone
+  });
+};
+
+module.exports = {
+  DEFAULT_STORE_SETTINGS,
+  getStoreSettings,
+  mergeStoreSettings,
+  formatPrice,
+  formatOrderNumber,
+  formatDate
+};
@@ -0,0 +1,62 @@
+// Defaults applied to every store; Store.theme only stores overrides
+const DEFAULT_THEME = {
+  primaryColor: '#3B82F6',
+  secondaryColor: '#1F2937',
+  layout: 'modern',
+  fonts: {
+    heading: 'Inter',
+    body: 'Inter'
+  },
+  borderRadius: 'medium',
+  buttonStyle: 'solid',
+  productCardStyle: 'shadow',
+  darkMode: false
+};
+
+// CSS values for each border radius option
+const BORDER_RADIUS = {
+  none: '0',
+  small: '4px',
+  medium: '8px',
+  large: '16px'
+};
+
+// Fonts every browser has, so they are not loaded from Google Fonts
+const SYSTEM_FONTS = ['Arial', 'Helvetica', 'Georgia', 'Times New Roman', 'Verdana', 'system-ui'];
+
+// Resolve a store's effective theme
+const getStoreTheme = (store) => {
+  const theme = (store && store.theme) || {};
+
+  return {
+    ...DEFAULT_THEME,
+    ...theme,
+    fonts: {
+      ...DEFAULT_THEME.fonts,
+      ...(theme.fonts || {})
+    }
+  };
+};
+
+// Google Fonts stylesheet for the theme's web fonts, or null if it only uses system fonts
+const getFontsUrl = (theme) => {
+  const families = [...new Set([theme.fonts.heading, theme.fonts.body])]
+    .filter(font => !SYSTEM_FONTS.includes(font));
+
+  if (families.length === 0) {
+    return null;
+  }
+
+  const query = families
+    .map(font => `family=${font.replace(/ /g, '+')}:wght@400;500;700`)
+    .join('&');
+
+  return `https://fonts.googleapis.com/css2?${query}&display=swap`;
+};
+
+module.exports = {
+  DEFAULT_THEME,
+  BORDER_RADIUS,
+  getStoreTheme,
+  getFontsUrl
+};
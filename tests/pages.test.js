@@ -0,0 +1,127 @@
+const request = require('supertest');
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+const app = require('../src/app');
+const { PrismaClient } = require('@prisma/client');
+
+const prisma = new PrismaClient();
+
+describe('Page and Menu Endpoints', () => {
+  let accessToken;
+  let storeId;
+  let pageId;
+
+  beforeAll(async () => {
+    // Clean up test database
+    await prisma.user.deleteMany({
+      where: { email: 'pages-owner@example.com' }
+    });
+
+    const owner = await prisma.user.create({
+      data: {
+        name: 'Pages Owner',
+        email: 'pages-owner@example.com',
+        password: await bcrypt.hash('securePassword123', 12),
+        emailVerified: true
+      }
+    });
+
+    const store = await prisma.store.create({
+      data: {
+        name: 'Pages Store',
+        slug: `pages-store-${Date.now()}`,
+        industry: 'fashion',
+        storeType: 'B2C',
+        userId: owner.id
+      }
+    });
+
+    accessToken = jwt.sign({ userId: owner.id }, process.env.JWT_SECRET);
+    storeId = store.id;
+  });
+
+  afterAll(async () => {
+    await prisma.user.deleteMany({
+      where: { email: 'pages-owner@example.com' }
+    });
+    await prisma.$disconnect();
+  });
+
+  describe('/api/stores/:storeId/pages', () => {
+    it('should create a page with a slug generated from the title', async () => {
+      const response = await request(app)
+        .post(`/api/stores/${storeId}/pages`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({ title: 'Shipping & Returns', content: '<p>Free shipping</p>', status: 'PUBLISHED' })
+        .expect(201);
+
+      expect(response.body.data.page.slug).toBe('shipping-and-returns');
+      expect(response.body.data.page.publishedAt).not.toBeNull();
+      pageId = response.body.data.page.id;
+    });
+
+    it('should reject a slug that is already used in the store', async () => {
+      await request(app)
+        .post(`/api/stores/${storeId}/pages`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({ title: 'Another', slug: 'shipping-and-returns' })
+        .expect(409);
+    });
+
+    it('should list and update pages', async () => {
+      await request(app)
+        .put(`/api/stores/${storeId}/pages/${pageId}`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({ title: 'Shipping' })
+        .expect(200);
+
+      const response = await request(app)
+        .get(`/api/stores/${storeId}/pages?status=PUBLISHED`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .expect(200);
+
+      expect(response.body.data.pages).toHaveLength(1);
+      expect(response.body.data.pages[0].title).toBe('Shipping');
+    });
+  });
+
+  describe('/api/stores/:storeId/menus', () => {
+    it('should save a header menu linking to a page', async () => {
+      const response = await request(app)
+        .put(`/api/stores/${storeId}/menus/header`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({
+          items: [
+            { label: 'Shop', url: '/products' },
+            { label: 'Shipping', pageId }
+          ]
+        })
+        .expect(200);
+
+      expect(response.body.data.menu.location).toBe('HEADER');
+      expect(response.body.data.menu.items).toHaveLength(2);
+    });
+
+    it('should reject links to pages of other stores', async () => {
+      await request(app)
+        .put(`/api/stores/${storeId}/menus/footer`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({ items: [{ label: 'Missing', pageId: 'not-a-page' }] })
+        .expect(400);
+    });
+
+    it('should reject unsafe link URLs', async () => {
+      await request(app)
+        .put(`/api/stores/${storeId}/menus/footer`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({ items: [{ label: 'Bad', url: 'javascript:alert(1)' }] })
+        .expect(400);
+
+      await request(app)
+        .put(`/api/stores/${storeId}/menus/footer`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({ items: [{ label: 'Bad', url: '/"><script>alert(1)</script>' }] })
+        .expect(400);
+    });
+  });
+});
@@ -0,0 +1,1137 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+const sharp = require('sharp');
+const app = require('../src/app');
+const downloadService = require('../src/services/downloadService');
+const reviewService = require('../src/services/reviewService');
+const backInStockService = require('../src/services/backInStockService');
+const emailService = require('../src/services/emailService');
+const deploymentService = require('../src/services/deploymentService');
+const productAssociationService = require('../src/services/productAssociationService');
+const productExportService = require('../src/services/productExportService');
+const stockAlertService = require('../src/services/stockAlertService');
+const { PrismaClient } = require('@prisma/client');
+
+const prisma = new PrismaClient();
+
+describe('Product Endpoints', () => {
+  let accessToken;
+  let otherAccessToken;
+  let storeId;
+  let productId;
+
+  beforeAll(async () => {
+    // Clean up test database
+    await prisma.user.deleteMany({
+      where: {
+        email: {
+          in: ['products-owner@example.com', 'products-other@example.com']
+        }
+      }
+    });
+
+    const password = await bcrypt.hash('securePassword123', 12);
+
+    const owner = await prisma.user.create({
+      data: {
+        name: 'Products Owner',
+        email: 'products-owner@example.com',
+        password,
+        emailVerified: true
+      }
+    });
+
+    const other = await prisma.user.create({
+      data: {
+        name: 'Other User',
+        email: 'products-other@example.com',
+        password,
+        emailVerified: true
+      }
+    });
+
+    const store = await prisma.store.create({
+      data: {
+        name: 'Products Store',
+        slug: `products-store-${Date.now()}`,
+        industry: 'fashion',
+        storeType: 'B2C',
+        userId: owner.id
+      }
+    });
+
+    accessToken = jwt.sign({ userId: owner.id }, process.env.JWT_SECRET);
+    otherAccessToken = jwt.sign({ userId: other.id }, process.env.JWT_SECRET);
+    storeId = store.id;
+  });
+
+  afterAll(async () => {
+    await prisma.user.deleteMany({
+      where: {
+        email: {
+          in: ['products-owner@example.com', 'products-other@example.com']
+        }
+      }
+    });
+    await prisma.$disconnect();
+  });
+
+  describe('POST /api/stores/:storeId/products', () => {
+    it('should create a product with its variants', async () => {
+      const response = await request(app)
+        .post(`/api/stores/${storeId}/products`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({
+          name: 'Linen Shirt',
+          sku: 'LS-001',
+          price: 49.99,
+          variants: [
+            { title: 'Small', sku: 'LS-001-S', price: 49.99, option1: 'S' },
+            { title: 'Large', sku: 'LS-001-L', price: 49.99, option1: 'L' }
+          ]
+        })
+        .expect(201);
+
+      expect(response.body.data.product.variants).toHaveLength(2);
+      productId = response.body.data.product.id;
+    });
+
+    it('should reject SKUs already used in the store', async () => {
+      await request(app)
+        .post(`/api/stores/${storeId}/products`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({ name: 'Other Shirt', sku: 'LS-001-S', price: 20 })
+        .expect(409);
+    });
+
+    it('should not let other users add products', async () => {
+      await request(app)
+        .post(`/api/stores/${storeId}/products`)
+        .set('Authorization', `Bearer ${otherAccessToken}`)
+        .send({ name: 'Intruder', price: 1 })
+        .expect(403);
+    });
+  });
+
+  describe('PUT /api/products/:id', () => {
+    it('should update, create and remove variants to match the request', async () => {
+      const { body } = await request(app)
+        .get(`/api/products/${productId}`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .expect(200);
+
+      const small = body.data.product.variants.find(variant => variant.sku === 'LS-001-S');
+
+      const response = await request(app)
+        .put(`/api/products/${productId}`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({
+          variants: [
+            { id: small.id, title: 'Small', sku: 'LS-001-S', price: 39.99, option1: 'S' },
+            { title: 'Medium', sku: 'LS-001-M', price: 44.99, option1: 'M' }
+          ]
+        })
+        .expect(200);
+
+      const variants = response.body.data.product.variants;
+      expect(variants).toHaveLength(2);
+      expect(variants.find(variant => variant.id === small.id).price).toBe('39.99');
+      expect(variants.map(variant => variant.sku)).not.toContain('LS-001-L');
+    });
+
+    it('should reject variants of other products', async () => {
+      await request(app)
+        .put(`/api/products/${productId}`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({ variants: [{ id: 'not-a-variant', title: 'Small', price: 10 }] })
+        .expect(400);
+    });
+
+    it('should not let other users read the product', async () => {
+      await request(app)
+        .get(`/api/products/${productId}`)
+        .set('Authorization', `Bearer ${otherAccessToken}`)
+        .expect(403);
+    });
+  });
+
+  describe('GET /api/stores/:storeId/products', () => {
+    it('should list products with pagination', async () => {
+      const response = await request(app)
+        .get(`/api/stores/${storeId}/products?search=linen`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .expect(200);
+
+      expect(response.body.data.products).toHaveLength(1);
+      expect(response.body.data.pagination.total).toBe(1);
+    });
+  });
+
+  describe('Product search', () => {
+    it('should find products by SKU prefix and return facets', async () => {
+      const response = await request(app)
+        .get(`/api/stores/${storeId}/products?search=ls-001`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .expect(200);
+
+      expect(response.body.data.products[0].sku).toBe('LS-001');
+      expect(response.body.data.facets.priceRanges).toContainEqual({ min: 25, max: 50, count: 1 });
+    });
+
+    it('should filter by price range and stock', async () => {
+      const response = await request(app)
+        .get(`/api/stores/${storeId}/products?minPrice=100&stock=in_stock`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .expect(200);
+
+      expect(response.body.data.pagination.total).toBe(0);
+    });
+
+    it('should filter by a maximum price alone', async () => {
+      const response = await request(app)
+        .get(`/api/stores/${storeId}/products?maxPrice=50`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .expect(200);
+
+      expect(response.body.data.pagination.total).toBe(1);
+
+      await request(app)
+        .get(`/api/stores/${storeId}/products?minPrice=50&maxPrice=20`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .expect(400);
+    });
+  });
+
+  describe('Product options', () => {
+    let optionProductId;
+
+    it('should generate a variant for every option combination', async () => {
+      const { body } = await request(app)
+        .post(`/api/stores/${storeId}/products`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({
+          name: 'Canvas Tote',
+          sku: 'TOTE',
+          price: 25,
+          options: [
+            { name: 'Size', values: ['S', 'M', 'L'] },
+            { name: 'Color', values: ['Red', 'Blue'] }
+          ]
+        })
+        .expect(201);
+
+      optionProductId = body.data.product.id;
+
+      const response = await request(app)
+        .post(`/api/products/${optionProductId}/variants/generate`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({ inventory: 5 })
+        .expect(201);
+
+      expect(response.body.data.created).toBe(6);
+      expect(response.body.data.product.variants.map(variant => variant.sku)).toContain('TOTE-M-BLUE');
+    });
+
+    it('should remove variants that use a removed option value', async () => {
+      const response = await request(app)
+        .put(`/api/products/${optionProductId}/options`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({
+          options: [
+            { name: 'Size', values: ['S', 'M'] },
+            { name: 'Color', values: ['Red', 'Blue', 'Green'] }
+          ]
+        })
+        .expect(200);
+
+      expect(response.body.data.removedVariants).toBe(2);
+      expect(response.body.data.product.variants).toHaveLength(4);
+    });
+
+    it('should reject variants with values outside the product options', async () => {
+      await request(app)
+        .put(`/api/products/${optionProductId}`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({ variants: [{ title: 'XL / Red', price: 25, option1: 'XL', option2: 'Red' }] })
+        .expect(400);
+    });
+
+    it('should send product cards with options to the product page until they sell out', async () => {
+      const loadTote = () => prisma.product.findUnique({
+        where: { id: optionProductId },
+        include: { options: true, variants: true }
+      });
+
+      const card = deploymentService.renderCardAction(await loadTote(), '/product/canvas-tote.html');
+      expect(card).toContain('href="/product/canvas-tote.html"');
+      expect(card).toContain('Choose Options');
+
+      await prisma.productVariant.updateMany({ where: { productId: optionProductId }, data: { inventory: 0 } });
+
+      const soldOut = deploymentService.renderCardAction(await loadTote(), '/product/canvas-tote.html');
+      expect(soldOut).toContain('disabled');
+      expect(soldOut).not.toContain('addToCart');
+    });
+  });
+
+  describe('POST /api/stores/:storeId/products/bulk-import', () => {
+    const csv = [
+      'Handle,Title,Option1 Name,Option1 Value,Variant SKU,Variant Price',
+      'mug,Enamel Mug,Size,Small,MUG-S,12',
+      'mug,,,Large,MUG-L,14',
+      'cap,Cap,,,CAP-1,not-a-price'
+    ].join('\n');
+
+    it('should report row errors without writing on a dry run', async () => {
+      const response = await request(app)
+        .post(`/api/stores/${storeId}/products/bulk-import`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .field('dryRun', 'true')
+        .attach('file', Buffer.from(csv), 'products.csv')
+        .expect(200);
+
+      const { job } = response.body.data;
+      expect(job.status).toBe('COMPLETED');
+      expect(job.result.created).toBe(1);
+      expect(job.result.failed).toBe(1);
+      expect(job.result.errors[0]).toMatchObject({ row: 4, field: 'price' });
+      expect(await prisma.product.count({ where: { storeId, urlHandle: 'mug' } })).toBe(0);
+    });
+
+    it('should import products and keep the job for polling', async () => {
+      const response = await request(app)
+        .post(`/api/stores/${storeId}/products/bulk-import`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .attach('file', Buffer.from(csv), 'products.csv')
+        .expect(200);
+
+      const mug = await prisma.product.findFirst({
+        where: { storeId, urlHandle: 'mug' },
+        include: { variants: true }
+      });
+      expect(mug.variants.map(variant => variant.sku).sort()).toEqual(['MUG-L', 'MUG-S']);
+
+      const { body } = await request(app)
+        .get(`/api/stores/${storeId}/jobs/${response.body.data.job.id}`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .expect(200);
+
+      expect(body.data.job.result.created).toBe(1);
+    });
+
+    it('should reject unsupported file types', async () => {
+      await request(app)
+        .post(`/api/stores/${storeId}/products/bulk-import`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .attach('file', Buffer.from(csv), 'products.txt')
+        .expect(400);
+    });
+  });
+
+  describe('GET /api/stores/:storeId/products/export', () => {
+    it('should export a CSV the bulk import can read back', async () => {
+      const response = await request(app)
+        .get(`/api/stores/${storeId}/products/export?format=csv`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .expect('Content-Type', /text\/csv/)
+        .expect(200);
+
+      const [header, ...rows] = response.text.split('\r\n');
+      expect(header.split(',')).toEqual(expect.arrayContaining(['name', 'urlHandle', 'variant.sku', 'option1.value']));
+      expect(rows.some(row => row.includes('MUG-L'))).toBe(true);
+
+      const { body } = await request(app)
+        .post(`/api/stores/${storeId}/products/bulk-import`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .field('dryRun', 'true')
+        .field('matchBy', 'urlHandle')
+        .attach('file', Buffer.from(response.text), 'export.csv')
+        .expect(200);
+
+      expect(body.data.job.result.failed).toBe(0);
+      expect(body.data.job.result.created).toBe(0);
+    });
+
+    it('should export a merchant feed of published products', async () => {
+      await prisma.product.updateMany({ where: { storeId, urlHandle: 'mug' }, data: { status: 'PUBLISHED' } });
+
+      const response = await request(app)
+        .get(`/api/stores/${storeId}/products/export?format=xml`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .expect('Content-Type', /xml/)
+        .expect(200);
+
+      expect(response.text).toContain('<g:id>MUG-S</g:id>');
+      expect(response.text).not.toContain('<g:id>TOTE-S-RED</g:id>');
+    });
+  });
+
+  describe('Product images', () => {
+    let imageIds;
+
+    it('should upload images with responsive sizes', async () => {
+      const image = await sharp({
+        create: { width: 800, height: 600, channels: 3, background: '#336699' }
+      }).png().toBuffer();
+
+      const response = await request(app)
+        .post(`/api/products/${productId}/images`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .attach('images', image, 'front.png')
+        .attach('images', image, 'back.png')
+        .expect(201);
+
+      imageIds = response.body.data.images.map(uploaded => uploaded.id);
+      expect(imageIds).toHaveLength(2);
+      expect(Object.keys(response.body.data.images[0].sizes)).toEqual(['thumbnail', 'small', 'medium', 'large']);
+    });
+
+    it('should reject files that are not images', async () => {
+      await request(app)
+        .post(`/api/products/${productId}/images`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .attach('images', Buffer.from('not an image'), 'fake.png')
+        .expect(400);
+    });
+
+    it('should reorder images and update their alt text', async () => {
+      await request(app)
+        .put(`/api/products/${productId}/images`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({ imageIds: [...imageIds].reverse() })
+        .expect(200);
+
+      await request(app)
+        .put(`/api/products/${productId}/images/${imageIds[1]}`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({ altText: 'Back of the linen shirt' })
+        .expect(200);
+
+      const { body } = await request(app)
+        .get(`/api/products/${productId}`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .expect(200);
+
+      expect(body.data.product.productImages[0]).toMatchObject({ id: imageIds[1], altText: 'Back of the linen shirt' });
+      expect(body.data.product.images[0]).toBe(body.data.product.productImages[0].url);
+    });
+
+    it('should delete an image from the product', async () => {
+      await request(app)
+        .delete(`/api/products/${productId}/images/${imageIds[0]}`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .expect(200);
+
+      expect(await prisma.productImage.count({ where: { productId } })).toBe(1);
+    });
+  });
+
+  describe('Categories and collections', () => {
+    let apparelId;
+    let shirtsId;
+
+    it('should filter products by a category and its subcategories', async () => {
+      const apparel = await request(app)
+        .post(`/api/stores/${storeId}/categories`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({ name: 'Apparel' })
+        .expect(201);
+      apparelId = apparel.body.data.category.id;
+
+      const shirts = await request(app)
+        .post(`/api/stores/${storeId}/categories`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({ name: 'Shirts', parentId: apparelId })
+        .expect(201);
+      shirtsId = shirts.body.data.category.id;
+
+      const updated = await request(app)
+        .put(`/api/products/${productId}`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({ categoryId: shirtsId })
+        .expect(200);
+
+      expect(updated.body.data.product.category).toBe('Shirts');
+
+      const response = await request(app)
+        .get(`/api/stores/${storeId}/products?categoryId=${apparelId}`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .expect(200);
+
+      expect(response.body.data.products.map(product => product.id)).toEqual([productId]);
+    });
+
+    it('should not move a category below its own subcategory', async () => {
+      await request(app)
+        .put(`/api/stores/${storeId}/categories/${apparelId}`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({ parentId: shirtsId })
+        .expect(400);
+    });
+
+    it('should list the products matching a rule-based collection', async () => {
+      const { body } = await request(app)
+        .post(`/api/stores/${storeId}/collections`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({
+          name: 'Linen',
+          type: 'RULE_BASED',
+          rules: [{ field: 'name', operator: 'contains', value: 'linen' }]
+        })
+        .expect(201);
+
+      const response = await request(app)
+        .get(`/api/stores/${storeId}/collections/${body.data.collection.id}/products`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .expect(200);
+
+      expect(response.body.data.products.map(product => product.id)).toEqual([productId]);
+    });
+
+    it('should not set the products of a rule-based collection by hand', async () => {
+      const { body } = await request(app)
+        .get(`/api/stores/${storeId}/collections?type=RULE_BASED`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .expect(200);
+
+      await request(app)
+        .put(`/api/stores/${storeId}/collections/${body.data.collections[0].id}/products`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({ productIds: [productId] })
+        .expect(400);
+    });
+  });
+
+  describe('Inventory ledger', () => {
+    it('should record stock adjustments with their reason', async () => {
+      const response = await request(app)
+        .post(`/api/stores/${storeId}/inventory/adjustments`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({ adjustments: [{ productId, quantity: 10, reason: 'RESTOCK', note: 'Spring delivery' }] })
+        .expect(201);
+
+      expect(response.body.data.movements[0]).toMatchObject({ quantity: 10, balance: 10, reason: 'RESTOCK' });
+    });
+
+    it('should not sell more than the available stock', async () => {
+      await request(app)
+        .post(`/api/stores/${storeId}/inventory/adjustments`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({ adjustments: [{ productId, quantity: -15, reason: 'SALE' }] })
+        .expect(400);
+    });
+
+    it('should record stock levels set on the product as corrections', async () => {
+      await request(app)
+        .put(`/api/products/${productId}`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({ inventory: 4 })
+        .expect(200);
+
+      const response = await request(app)
+        .get(`/api/stores/${storeId}/inventory/movements?productId=${productId}`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .expect(200);
+
+      expect(response.body.data.movements.map(movement => [movement.reason, movement.quantity])).toEqual([
+        ['CORRECTION', -6],
+        ['RESTOCK', 10]
+      ]);
+      expect(response.body.data.movements[0].user.email).toBe('products-owner@example.com');
+    });
+  });
+
+  describe('Locations', () => {
+    let warehouseId;
+    let shopId;
+
+    it('should put existing stock at the first location', async () => {
+      const warehouse = await request(app)
+        .post(`/api/stores/${storeId}/locations`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({ name: 'Warehouse', priority: 1 })
+        .expect(201);
+
+      const shop = await request(app)
+        .post(`/api/stores/${storeId}/locations`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({ name: 'Shop' })
+        .expect(201);
+
+      warehouseId = warehouse.body.data.location.id;
+      shopId = shop.body.data.location.id;
+
+      expect(warehouse.body.data.location.isDefault).toBe(true);
+      expect(shop.body.data.location.isDefault).toBe(false);
+    });
+
+    it('should transfer stock between locations', async () => {
+      await request(app)
+        .post(`/api/stores/${storeId}/inventory/transfers`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({ fromLocationId: warehouseId, toLocationId: shopId, items: [{ productId, quantity: 3 }] })
+        .expect(201);
+
+      const response = await request(app)
+        .get(`/api/stores/${storeId}/inventory/levels?productId=${productId}`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .expect(200);
+
+      const levels = Object.fromEntries(response.body.data.levels.map(level => [level.location.name, level.quantity]));
+      expect(levels).toEqual({ Warehouse: 1, Shop: 3 });
+
+      await request(app)
+        .post(`/api/stores/${storeId}/inventory/transfers`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({ fromLocationId: warehouseId, toLocationId: shopId, items: [{ productId, quantity: 2 }] })
+        .expect(400);
+    });
+
+    it('should not delete a location that holds stock', async () => {
+      await request(app)
+        .delete(`/api/stores/${storeId}/locations/${shopId}`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .expect(409);
+    });
+  });
+
+  describe('Low-stock alerts', () => {
+    let mugId;
+
+    beforeAll(async () => {
+      const { body } = await request(app)
+        .post(`/api/stores/${storeId}/products`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({ name: 'Enamel Mug', price: 12, inventory: 8, lowStockThreshold: 5 })
+        .expect(201);
+
+      mugId = body.data.product.id;
+    });
+
+    it('should raise an alert when stock drops below the threshold', async () => {
+      await request(app)
+        .post(`/api/stores/${storeId}/inventory/adjustments`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({ adjustments: [{ productId: mugId, quantity: -4, reason: 'SALE' }] })
+        .expect(201);
+
+      const response = await request(app)
+        .get(`/api/stores/${storeId}/inventory/alerts?productId=${mugId}`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .expect(200);
+
+      expect(response.body.data.alerts).toHaveLength(1);
+      expect(response.body.data.alerts[0]).toMatchObject({ quantity: 4, threshold: 5, status: 'OPEN' });
+    });
+
+    it('should resolve the alert when the item is restocked', async () => {
+      await request(app)
+        .put(`/api/products/${mugId}`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({ inventory: 20 })
+        .expect(200);
+
+      const response = await request(app)
+        .get(`/api/stores/${storeId}/inventory/alerts?status=RESOLVED&productId=${mugId}`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .expect(200);
+
+      expect(response.body.data.alerts[0].quantity).toBe(20);
+    });
+
+    it('should only take back-in-stock sign-ups for sold-out items', async () => {
+      await request(app)
+        .post(`/api/storefront/${storeId}/stock-notifications`)
+        .send({ productId: mugId, email: 'shopper@example.com' })
+        .expect(400);
+
+      await request(app)
+        .put(`/api/products/${mugId}`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({ inventory: 0 })
+        .expect(200);
+
+      await request(app)
+        .post(`/api/storefront/${storeId}/stock-notifications`)
+        .send({ productId: mugId, email: 'shopper@example.com' })
+        .expect(201);
+    });
+
+    it('should put off back-in-stock emails that fail to send', async () => {
+      const send = jest.spyOn(emailService, 'sendBackInStockNotification')
+        .mockRejectedValue(new Error('Mailbox does not exist'));
+      await prisma.product.update({ where: { id: mugId }, data: { inventory: 5 } });
+
+      await backInStockService.sendNotifications();
+      await backInStockService.sendNotifications();
+
+      const attempts = send.mock.calls.filter(([email]) => email === 'shopper@example.com');
+      const notification = await prisma.stockNotification.findFirst({
+        where: { productId: mugId, email: 'shopper@example.com' }
+      });
+
+      expect(attempts).toHaveLength(1);
+      expect(notification).toMatchObject({ notifiedAt: null, attempts: 1, lastError: 'Mailbox does not exist' });
+      expect(notification.nextAttemptAt.getTime()).toBeGreaterThan(Date.now());
+
+      send.mockRestore();
+    });
+  });
+
+  describe('Scheduling', () => {
+    let saleId;
+
+    it('should not unpublish a product before it is published', async () => {
+      await request(app)
+        .put(`/api/products/${productId}`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({ publishAt: '2030-02-01T00:00:00.000Z', unpublishAt: '2030-01-01T00:00:00.000Z' })
+        .expect(400);
+    });
+
+    it('should schedule a sale price', async () => {
+      const response = await request(app)
+        .post(`/api/products/${productId}/sales`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({ price: 39.99, startsAt: '2030-06-01T00:00:00.000Z', endsAt: '2030-06-15T00:00:00.000Z' })
+        .expect(201);
+
+      saleId = response.body.data.sale.id;
+      expect(response.body.data.sale.status).toBe('SCHEDULED');
+    });
+
+    it('should reject overlapping sales of the same item', async () => {
+      await request(app)
+        .post(`/api/products/${productId}/sales`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({ price: 29.99, startsAt: '2030-06-10T00:00:00.000Z', endsAt: '2030-06-20T00:00:00.000Z' })
+        .expect(409);
+    });
+
+    it('should cancel a scheduled sale', async () => {
+      const response = await request(app)
+        .delete(`/api/products/${productId}/sales/${saleId}`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .expect(200);
+
+      expect(response.body.data.sale.status).toBe('CANCELLED');
+    });
+  });
+
+  describe('Product associations', () => {
+    let relatedProductId;
+
+    it('should link curated related products', async () => {
+      const { body } = await request(app)
+        .post(`/api/stores/${storeId}/products`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({ name: 'Linen Scarf', price: 19.99 })
+        .expect(201);
+
+      relatedProductId = body.data.product.id;
+
+      await request(app)
+        .put(`/api/products/${productId}/associations`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({ related: [relatedProductId] })
+        .expect(200);
+
+      const response = await request(app)
+        .get(`/api/products/${productId}/associations`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .expect(200);
+
+      const { related, crossSell } = response.body.data.associations;
+      expect(related.source).toBe('MANUAL');
+      expect(related.products.map(product => product.id)).toEqual([relatedProductId]);
+      expect(crossSell).toEqual({ source: 'FREQUENTLY_BOUGHT_TOGETHER', products: [] });
+    });
+
+    it('should not link a product to itself', async () => {
+      await request(app)
+        .put(`/api/products/${productId}/associations`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({ upsell: [productId] })
+        .expect(400);
+    });
+
+    it('should leave sold-out products out of cart cross-sells', async () => {
+      const soldOut = await request(app)
+        .post(`/api/stores/${storeId}/products`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({ name: 'Silk Scarf', price: 29, inventory: 0 })
+        .expect(201);
+
+      const hat = await request(app)
+        .post(`/api/stores/${storeId}/products`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({ name: 'Knit Hat', price: 18, options: [{ name: 'Size', values: ['S', 'L'] }] })
+        .expect(201);
+
+      const soldOutId = soldOut.body.data.product.id;
+      const hatId = hat.body.data.product.id;
+
+      await request(app)
+        .post(`/api/products/${hatId}/variants/generate`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({ inventory: 3 })
+        .expect(201);
+
+      await request(app)
+        .put(`/api/products/${productId}/associations`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({ crossSell: [soldOutId, hatId] })
+        .expect(200);
+
+      const products = await prisma.product.findMany({
+        where: { storeId },
+        include: { options: true, variants: true }
+      });
+      const linkedProducts = await productAssociationService.getStoreAssociations(storeId, products);
+      const store = { products: products.map(product => ({ ...product, linkedProducts: linkedProducts.get(product.id) })) };
+
+      const buildPath = await fs.mkdtemp(path.join(os.tmpdir(), 'cross-sells-'));
+      try {
+        await deploymentService.generateCrossSells(store, buildPath);
+        const crossSells = JSON.parse(await fs.readFile(path.join(buildPath, 'cross-sells.json'), 'utf8'));
+
+        expect(crossSells[productId]).toHaveLength(1);
+        expect(crossSells[productId][0]).toMatchObject({ id: hatId, hasOptions: true });
+      } finally {
+        await fs.rm(buildPath, { recursive: true, force: true });
+      }
+    });
+  });
+
+  describe('Reviews', () => {
+    let reviewId;
+
+    it('should queue storefront reviews for moderation', async () => {
+      await request(app)
+        .post(`/api/storefront/${storeId}/reviews`)
+        .send({ productId, rating: 4, title: 'Lovely fit', body: 'Soft and light.', name: 'Ada', email: 'ada@example.com' })
+        .expect(201);
+
+      await request(app)
+        .post(`/api/storefront/${storeId}/reviews`)
+        .send({ productId, rating: 1, name: 'Ada', email: 'ADA@example.com' })
+        .expect(409);
+
+      await request(app)
+        .post(`/api/storefront/${storeId}/reviews`)
+        .send({ productId, rating: 5, name: 'Bob', email: 'bob@example.com', orderId: productId, token: 'a'.repeat(64) })
+        .expect(403);
+
+      const { body } = await request(app)
+        .get(`/api/stores/${storeId}/reviews`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .expect(200);
+
+      expect(body.data.reviews).toHaveLength(1);
+      expect(body.data.reviews[0]).toMatchObject({ status: 'PENDING', isVerifiedPurchase: false });
+      reviewId = body.data.reviews[0].id;
+    });
+
+    it('should verify reviews sent with the link of a paid order', async () => {
+      const customer = await prisma.customer.create({
+        data: { email: 'reviewer@example.com', firstName: 'Cy', lastName: 'Buyer', storeId }
+      });
+      const order = await prisma.order.create({
+        data: {
+          orderNumber: `RV-${Date.now()}`,
+          subtotal: 30,
+          total: 30,
+          paymentStatus: 'PAID',
+          billingAddress: {},
+          shippingAddress: {},
+          customerId: customer.id,
+          storeId,
+          items: { create: { quantity: 1, price: 30, title: 'Linen Shirt', productId } }
+        },
+        include: { items: { include: { product: true } } }
+      });
+
+      const [link] = reviewService.getReviewLinks({ deploymentUrl: 'https://shop.example.com' }, order);
+      const { searchParams } = new URL(link.url);
+
+      await request(app)
+        .post(`/api/storefront/${storeId}/reviews`)
+        .send({ productId, rating: 5, name: 'Cy', email: 'cy@example.com', orderId: searchParams.get('order'), token: searchParams.get('token') })
+        .expect(201);
+
+      const review = await prisma.review.findFirst({ where: { productId, email: 'cy@example.com' } });
+      expect(review).toMatchObject({ isVerifiedPurchase: true, orderItemId: order.items[0].id, customerId: customer.id });
+
+      await prisma.review.delete({ where: { id: review.id } });
+      await prisma.order.delete({ where: { id: order.id } });
+    });
+
+    it('should count approved reviews in the product rating', async () => {
+      await request(app)
+        .post(`/api/stores/${storeId}/reviews/${reviewId}/approve`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .expect(200);
+
+      const product = await prisma.product.findUnique({ where: { id: productId } });
+      expect(product.reviewCount).toBe(1);
+      expect(Number(product.ratingAverage)).toBe(4);
+    });
+
+    it('should let the store reply to a review', async () => {
+      const response = await request(app)
+        .put(`/api/stores/${storeId}/reviews/${reviewId}/reply`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({ reply: 'Thanks, Ada!' })
+        .expect(200);
+
+      expect(response.body.data.review.reply).toBe('Thanks, Ada!');
+    });
+
+    it('should not let other users moderate reviews', async () => {
+      await request(app)
+        .post(`/api/stores/${storeId}/reviews/${reviewId}/reject`)
+        .set('Authorization', `Bearer ${otherAccessToken}`)
+        .expect(403);
+    });
+  });
+
+  describe('Digital downloads', () => {
+    let digitalProductId;
+    let orderId;
+
+    afterAll(async () => {
+      await prisma.order.deleteMany({ where: { id: orderId } });
+    });
+
+    it('should attach a downloadable file to a digital product', async () => {
+      const { body } = await request(app)
+        .post(`/api/stores/${storeId}/products`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({ name: 'Pattern Guide', price: 12, isDigital: true, trackInventory: false })
+        .expect(201);
+
+      digitalProductId = body.data.product.id;
+
+      const response = await request(app)
+        .post(`/api/products/${digitalProductId}/files`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .field('name', 'Pattern Guide.pdf')
+        .attach('file', Buffer.from('%PDF-1.4 guide'), 'guide.pdf')
+        .expect(201);
+
+      expect(response.body.data.file).toMatchObject({ name: 'Pattern Guide.pdf', size: 14 });
+    });
+
+    it('should serve the files of a paid order through signed links', async () => {
+      const customer = await prisma.customer.create({
+        data: { email: 'buyer@example.com', firstName: 'Ada', lastName: 'Buyer', storeId }
+      });
+      const order = await prisma.order.create({
+        data: {
+          orderNumber: `DL-${Date.now()}`,
+          subtotal: 12,
+          total: 12,
+          paymentStatus: 'PAID',
+          billingAddress: {},
+          customerId: customer.id,
+          storeId,
+          items: { create: { quantity: 1, price: 12, title: 'Pattern Guide', productId: digitalProductId } }
+        }
+      });
+      orderId = order.id;
+
+      await request(app)
+        .get(`/api/storefront/${storeId}/orders/${orderId}/downloads`)
+        .query({ token: 'a'.repeat(64) })
+        .expect(403);
+
+      const { body } = await request(app)
+        .get(`/api/storefront/${storeId}/orders/${orderId}/downloads`)
+        .query({ token: downloadService.getOrderToken(orderId) })
+        .expect(200);
+
+      const [file] = body.data.items[0].files;
+      expect(file.remaining).toBe(5);
+
+      const { pathname, search } = new URL(file.url);
+      const download = await request(app).get(`${pathname}${search}`).expect(200);
+      expect(download.headers['content-disposition']).toContain('Pattern Guide.pdf');
+    })
+    it('should show the order number with the store prefix', async () => {
+      await request(app)
+        .patch(`/api/stores/${storeId}/settings`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({ orderNumberPrefix: 'SHOP-' })
+        .expect(200);
+
+      const { body } = await request(app)
+        .get(`/api/storefront/${storeId}/orders/${orderId}/downloads`)
+        .query({ token: downloadService.getOrderToken(orderId) })
+        .expect(200);
+
+      expect(body.data.orderNumber).toMatch(/^SHOP-DL-/);
+
+      await request(app)
+        .patch(`/api/stores/${storeId}/settings`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({ orderNumberPrefix: null })
+        .expect(200);
+    });
+  });
+
+  describe('Bundles', () => {
+    let componentId;
+    let bundleId;
+    let orderId;
+
+    afterAll(async () => {
+      await prisma.order.deleteMany({ where: { id: orderId } });
+    });
+
+    it('should compute bundle availability from component stock', async () => {
+      const component = await request(app)
+        .post(`/api/stores/${storeId}/products`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({ name: 'Wool Skein', price: 6, inventory: 10 })
+        .expect(201);
+
+      const bundle = await request(app)
+        .post(`/api/stores/${storeId}/products`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({ name: 'Knitting Kit', price: 25, isBundle: true })
+        .expect(201);
+
+      componentId = component.body.data.product.id;
+      bundleId = bundle.body.data.product.id;
+
+      await request(app)
+        .put(`/api/products/${bundleId}/bundle`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({ items: [{ productId: bundleId }] })
+        .expect(400);
+
+      const response = await request(app)
+        .put(`/api/products/${bundleId}/bundle`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({ items: [{ productId: componentId, quantity: 3 }] })
+        .expect(200);
+
+      expect(response.body.data.bundle.availability).toBe(3);
+    });
+
+    it('should take component stock when a bundle is sold', async () => {
+      const customer = await prisma.customer.create({
+        data: { email: 'kit-buyer@example.com', firstName: 'Kit', lastName: 'Buyer', storeId }
+      });
+      const order = await prisma.order.create({
+        data: {
+          orderNumber: `KIT-${Date.now()}`,
+          subtotal: 50,
+          total: 50,
+          billingAddress: {},
+          customerId: customer.id,
+          storeId,
+          items: { create: { quantity: 2, price: 25, title: 'Knitting Kit', productId: bundleId } }
+        }
+      });
+      orderId = order.id;
+
+      await request(app)
+        .post(`/api/stores/${storeId}/inventory/allocations`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({ orderId })
+        .expect(201);
+
+      const component = await prisma.product.findUnique({ where: { id: componentId } });
+      expect(component.inventory).toBe(4);
+
+      const [orderItem] = await prisma.orderItem.findMany({ where: { orderId } });
+      expect(orderItem.components).toEqual([
+        { productId: componentId, variantId: null, title: 'Wool Skein', variant: null, sku: null, quantity: 6 }
+      ]);
+    });
+
+    it('should take bundle stock from components in search, exports and alerts', async () => {
+      await prisma.product.update({ where: { id: bundleId }, data: { lowStockThreshold: 5 } });
+
+      const isListed = async () => {
+        const { body } = await request(app)
+          .get(`/api/stores/${storeId}/products?search=knitting&stock=in_stock`)
+          .set('Authorization', `Bearer ${accessToken}`)
+          .expect(200);
+        return body.data.products.some(product => product.id === bundleId);
+      };
+      const getAvailability = async () => {
+        const products = await productExportService.getProducts(storeId);
+        const bundle = products.find(product => product.id === bundleId);
+        return productExportService.getAvailability(bundle, bundle.inventory);
+      };
+
+      // The kit's own stock is 0, but 4 skeins make up one kit of 3
+      expect(await isListed()).toBe(true);
+      expect(await getAvailability()).toBe('in_stock');
+
+      const lowStock = await stockAlertService.findLowStockItems();
+      expect(lowStock.filter(item => item.storeId === storeId).map(item => item.name)).not.toContain('Knitting Kit');
+
+      await prisma.product.update({ where: { id: componentId }, data: { inventory: 2 } });
+
+      expect(await isListed()).toBe(false);
+      expect(await getAvailability()).toBe('out_of_stock');
+
+      await prisma.product.update({ where: { id: componentId }, data: { inventory: 4 } });
+    });
+
+    it('should not delete variants that are part of a bundle', async () => {
+      const { body } = await request(app)
+        .post(`/api/stores/${storeId}/products`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({
+          name: 'Knitting Needles',
+          price: 8,
+          options: [{ name: 'Size', values: ['4mm', '5mm'] }],
+          variants: [
+            { title: '4mm', price: 8, inventory: 5, option1: '4mm' },
+            { title: '5mm', price: 8, inventory: 5, option1: '5mm' }
+          ]
+        })
+        .expect(201);
+
+      const [small, large] = body.data.product.variants;
+
+      await request(app)
+        .put(`/api/products/${bundleId}/bundle`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({ items: [{ productId: componentId, quantity: 3 }, { productId: body.data.product.id, variantId: small.id }] })
+        .expect(200);
+
+      await request(app)
+        .put(`/api/products/${body.data.product.id}`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({ variants: [{ id: large.id, title: '5mm', price: 8, option1: '5mm' }] })
+        .expect(400);
+    });
+
+    it('should not delete products that are part of a bundle', async () => {
+      await request(app)
+        .delete(`/api/products/${componentId}`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .expect(409);
+    });
+  });
+
+  describe('DELETE /api/products/:id', () => {
+    it('should delete the product and its variants', async () => {
+      await request(app)
+        .delete(`/api/products/${productId}`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .expect(200);
+
+      expect(await prisma.productVariant.count({ where: { productId } })).toBe(0);
+    });
+  });
+});
@@ -0,0 +1,74 @@
+const { PrismaClient } = require('@prisma/client');
+const scheduler = require('../src/services/schedulerService');
+
+const prisma = new PrismaClient();
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+describe('Background job scheduler', () => {
+  beforeAll(async () => {
+    await prisma.scheduledJobRun.deleteMany({ where: { name: { startsWith: 'test-' } } });
+  });
+
+  afterEach(() => {
+    scheduler.stop();
+  });
+
+  afterAll(async () => {
+    await prisma.scheduledJobRun.deleteMany({ where: { name: { startsWith: 'test-' } } });
+    await prisma.$disconnect();
+  });
+
+  it('should schedule a job one interval after its last run', async () => {
+    await prisma.scheduledJobRun.create({
+      data: { name: 'test-daily', lastRunAt: new Date(Date.now() - HOUR_MS) }
+    });
+
+    const delay = await scheduler.getFirstDelay({ name: 'test-daily', intervalMs: DAY_MS });
+
+    expect(delay).toBeGreaterThan(22 * HOUR_MS);
+    expect(delay).toBeLessThanOrEqual(23 * HOUR_MS);
+  });
+
+  it('should run overdue and new jobs shortly after startup', async () => {
+    await prisma.scheduledJobRun.create({
+      data: { name: 'test-overdue', lastRunAt: new Date(Date.now() - 2 * DAY_MS) }
+    });
+
+    expect(await scheduler.getFirstDelay({ name: 'test-overdue', intervalMs: DAY_MS })).toBe(30 * 1000);
+    expect(await scheduler.getFirstDelay({ name: 'test-new', intervalMs: DAY_MS })).toBe(30 * 1000);
+  });
+
+  it('should record successful runs only', async () => {
+    scheduler.register('test-succeeds', DAY_MS, jest.fn());
+    scheduler.register('test-fails', DAY_MS, jest.fn().mockRejectedValue(new Error('boom')));
+
+    await scheduler.run('test-succeeds');
+    await scheduler.run('test-fails');
+
+    const [succeeded, failed] = await Promise.all([
+      prisma.scheduledJobRun.findUnique({ where: { name: 'test-succeeds' } }),
+      prisma.scheduledJobRun.findUnique({ where: { name: 'test-fails' } })
+    ]);
+    expect(Date.now() - succeeded.lastRunAt.getTime()).toBeLessThan(HOUR_MS);
+    expect(failed).toBeNull();
+  });
+
+  it('should not leave timers behind when stopped during startup', async () => {
+    const started = scheduler.start();
+    scheduler.stop();
+    await started;
+
+    expect(scheduler.timeouts).toHaveLength(0);
+    expect(scheduler.intervals).toHaveLength(0);
+  });
+
+  it('should clear the timers of started jobs', async () => {
+    await scheduler.start();
+    expect(scheduler.timeouts).toHaveLength(scheduler.jobs.size);
+
+    scheduler.stop();
+    expect(scheduler.timeouts).toHaveLength(0);
+  });
+});
@@ -0,0 +1,836 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+const app = require('../src/app');
+const currencyService = require('../src/services/currencyService');
+const deploymentService = require('../src/services/deploymentService');
+const { getStoreSettings, formatOrderNumber } = require('../src/utils/storeSettings');
+const { PrismaClient } = require('@prisma/client');
+
+const prisma = new PrismaClient();
+
+describe('Store Endpoints', () => {
+  let accessToken;
+  let otherAccessToken;
+  let storeId;
+
+  beforeAll(async () => {
+    // Clean up test database
+    await prisma.user.deleteMany({
+      where: {
+        email: {
+          in: ['store-owner@example.com', 'store-other@example.com']
+        }
+      }
+    });
+
+    const password = await bcrypt.hash('securePassword123', 12);
+
+    const owner = await prisma.user.create({
+      data: {
+        name: 'Store Owner',
+        email: 'store-owner@example.com',
+        password,
+        emailVerified: true
+      }
+    });
+
+    const other = await prisma.user.create({
+      data: {
+        name: 'Other User',
+        email: 'store-other@example.com',
+        password,
+        emailVerified: true
+      }
+    });
+
+    accessToken = jwt.sign({ userId: owner.id }, process.env.JWT_SECRET);
+    otherAccessToken = jwt.sign({ userId: other.id }, process.env.JWT_SECRET);
+  });
+
+  afterAll(async () => {
+    await prisma.user.deleteMany({
+      where: {
+        email: {
+          in: ['store-owner@example.com', 'store-other@example.com']
+        }
+      }
+    });
+    await prisma.$disconnect();
+  });
+
+  describe('POST /api/stores', () => {
+    it('should create a store with a generated slug', async () => {
+      const response = await request(app)
+        .post('/api/stores')
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({
+          name: 'Test Store',
+          industry: 'fashion',
+          storeType: 'B2C'
+        })
+        .expect(201);
+
+      expect(response.body.success).toBe(true);
+      expect(response.body.data.store.slug).toMatch(/^test-store/);
+      expect(response.body.data.store.status).toBe('DRAFT');
+
+      storeId = response.body.data.store.id;
+    });
+
+    it('should generate a unique slug for a duplicate name', async () => {
+      const response = await request(app)
+        .post('/api/stores')
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({
+          name: 'Test Store',
+          industry: 'fashion',
+          storeType: 'B2C'
+        })
+        .expect(201);
+
+      const firstStore = await prisma.store.findUnique({ where: { id: storeId } });
+      expect(response.body.data.store.slug).not.toBe(firstStore.slug);
+    });
+
+    it('should fail with an invalid store type', async () => {
+      const response = await request(app)
+        .post('/api/stores')
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({
+          name: 'Broken Store',
+          industry: 'fashion',
+          storeType: 'UNKNOWN'
+        })
+        .expect(400);
+
+      expect(response.body.success).toBe(false);
+      expect(response.body.error.message).toContain('Validation failed');
+    });
+  });
+
+  describe('GET /api/stores', () => {
+    it('should list the user stores with pagination', async () => {
+      const response = await request(app)
+        .get('/api/stores?sortBy=name&sortOrder=asc&limit=1')
+        .set('Authorization', `Bearer ${accessToken}`)
+        .expect(200);
+
+      expect(response.body.success).toBe(true);
+      expect(response.body.data.stores).toHaveLength(1);
+      expect(response.body.data.pagination.total).toBe(2);
+      expect(response.body.data.pagination.pages).toBe(2);
+    });
+
+    it('should reject unsupported sort fields', async () => {
+      await request(app)
+        .get('/api/stores?sortBy=password')
+        .set('Authorization', `Bearer ${accessToken}`)
+        .expect(400);
+    });
+  });
+
+  describe('PUT /api/stores/:id', () => {
+    it('should update the store', async () => {
+      const response = await request(app)
+        .put(`/api/stores/${storeId}`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({ description: 'Updated description' })
+        .expect(200);
+
+      expect(response.body.data.store.description).toBe('Updated description');
+    });
+
+    it('should deny access to other users', async () => {
+      await request(app)
+        .put(`/api/stores/${storeId}`)
+        .set('Authorization', `Bearer ${otherAccessToken}`)
+        .send({ description: 'Hijacked' })
+        .expect(403);
+    });
+  });
+
+  describe('PUT /api/stores/:id/theme', () => {
+    it('should merge theme updates', async () => {
+      await request(app)
+        .put(`/api/stores/${storeId}/theme`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({ primaryColor: '#FF0000', fonts: { heading: 'Lora' } })
+        .expect(200);
+
+      const response = await request(app)
+        .put(`/api/stores/${storeId}/theme`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({ fonts: { body: 'Inter' } })
+        .expect(200);
+
+      expect(response.body.data.store.theme.primaryColor).toBe('#FF0000');
+      expect(response.body.data.store.theme.fonts).toEqual({ heading: 'Lora', body: 'Inter' });
+    });
+
+    it('should reject invalid colors', async () => {
+      await request(app)
+        .put(`/api/stores/${storeId}/theme`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({ primaryColor: 'red' })
+        .expect(400);
+    });
+
+    it('should reject unknown component variants and unsafe font names', async () => {
+      await request(app)
+        .put(`/api/stores/${storeId}/theme`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({ buttonStyle: 'glow' })
+        .expect(400);
+
+      await request(app)
+        .put(`/api/stores/${storeId}/theme`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({ fonts: { heading: "Inter'; } body { display: none" } })
+        .expect(400);
+    });
+  });
+
+  describe('/api/stores/:id/theme/versions', () => {
+    it('should record every theme save with its author', async () => {
+      const response = await request(app)
+        .get(`/api/stores/${storeId}/theme/versions`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .expect(200);
+
+      // Initial theme plus the two saves above
+      expect(response.body.data.pagination.total).toBe(3);
+      expect(response.body.data.versions[0].version).toBe(3);
+      expect(response.body.data.versions[0].author.email).toBe('store-owner@example.com');
+    });
+
+    it('should build a preview without changing the live theme', async () => {
+      const response = await request(app)
+        .post(`/api/stores/${storeId}/theme/versions/1/preview`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .expect(200);
+
+      expect(response.body.data.preview.version).toBe(1);
+
+      const store = await prisma.store.findUnique({ where: { id: storeId } });
+      expect(store.theme.primaryColor).toBe('#FF0000');
+    });
+
+    it('should revert to an earlier version as a new version', async () => {
+      const response = await request(app)
+        .post(`/api/stores/${storeId}/theme/versions/2/revert`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .expect(200);
+
+      expect(response.body.data.version).toBe(4);
+      expect(response.body.data.store.theme.fonts).toEqual({ heading: 'Lora' });
+    });
+
+    it('should return 404 for an unknown version', async () => {
+      await request(app)
+        .post(`/api/stores/${storeId}/theme/versions/99/revert`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .expect(404);
+    });
+
+    it('should merge a theme sent to the general update as one version', async () => {
+      const response = await request(app)
+        .put(`/api/stores/${storeId}`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({ description: 'Rethemed', theme: { fonts: { body: 'Inter' } } })
+        .expect(200);
+
+      expect(response.body.data.store.description).toBe('Rethemed');
+      expect(response.body.data.store.theme.primaryColor).toBe('#FF0000');
+      expect(response.body.data.store.theme.fonts).toEqual({ heading: 'Lora', body: 'Inter' });
+
+      const versions = await prisma.themeVersion.findMany({
+        where: { storeId },
+        orderBy: { version: 'desc' }
+      });
+      expect(versions).toHaveLength(5);
+      expect(versions[0].theme).toEqual(response.body.data.store.theme);
+    });
+  });
+
+  describe('/api/stores/:id/settings', () => {
+    it('should return defaults for unset settings', async () => {
+      const response = await request(app)
+        .get(`/api/stores/${storeId}/settings`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .expect(200);
+
+      expect(response.body.data.settings.currency).toBe('USD');
+      expect(response.body.data.settings.timezone).toBe('UTC');
+    });
+
+    it('should merge partial updates', async () => {
+      await request(app)
+        .patch(`/api/stores/${storeId}/settings`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({ currency: 'eur', locale: 'de-DE' })
+        .expect(200);
+
+      const response = await request(app)
+        .patch(`/api/stores/${storeId}/settings`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({ timezone: 'Europe/Berlin' })
+        .expect(200);
+
+      expect(response.body.data.settings).toMatchObject({
+        currency: 'EUR',
+        locale: 'de-DE',
+        timezone: 'Europe/Berlin'
+      });
+    });
+
+    it('should reject unknown keys and invalid values', async () => {
+      await request(app)
+        .patch(`/api/stores/${storeId}/settings`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({ shippingZones: [] })
+        .expect(400);
+
+      await request(app)
+        .patch(`/api/stores/${storeId}/settings`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({ timezone: 'Mars/Olympus_Mons' })
+        .expect(400);
+    });
+
+    it('should label tax and prefix order numbers as configured', async () => {
+      const response = await request(app)
+        .patch(`/api/stores/${storeId}/settings`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({ taxInclusive: true, orderNumberPrefix: 'BER-' })
+        .expect(200);
+
+      const settings = getStoreSettings({ settings: response.body.data.settings });
+      expect(deploymentService.renderTaxNote(settings)).toContain('Tax included');
+      expect(formatOrderNumber('1001', settings)).toBe('BER-1001');
+      expect(formatOrderNumber('BER-1001', settings)).toBe('BER-1001');
+
+      await request(app)
+        .patch(`/api/stores/${storeId}/settings`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({ taxInclusive: null, orderNumberPrefix: null })
+        .expect(200);
+    });
+  });
+
+  describe('/api/stores/:id/currencies', () => {
+    it('should add a presentment currency with a rounding rule', async () => {
+      const response = await request(app)
+        .put(`/api/stores/${storeId}/currencies/gbp`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({ rate: 0.79, roundingMode: 'UP', roundingIncrement: 1 })
+        .expect(200);
+
+      expect(response.body.data.currency.currency).toBe('GBP');
+      expect(response.body.data.currency.source).toBe('MANUAL');
+    });
+
+    it('should import rates from a CSV file', async () => {
+      const response = await request(app)
+        .post(`/api/stores/${storeId}/currencies/import`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .attach('file', Buffer.from('currency,rate\nUSD,1.08\nGBP,0.85\n'), 'rates.csv')
+        .expect(200);
+
+      expect(response.body.data.currencies).toHaveLength(2);
+
+      const list = await request(app)
+        .get(`/api/stores/${storeId}/currencies`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .expect(200);
+
+      expect(list.body.data.baseCurrency).toBe('EUR');
+      expect(list.body.data.currencies.map(c => c.currency)).toEqual(['GBP', 'USD']);
+    });
+
+    it('should read quoted CSV fields and a byte order mark', async () => {
+      const response = await request(app)
+        .post(`/api/stores/${storeId}/currencies/import`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .attach('file', Buffer.from('\uFEFF"currency","rate","roundingMode"\r\n"CHF","0.95","NEAREST"\r\n'), 'rates.csv')
+        .expect(200);
+
+      expect(response.body.data.currencies).toHaveLength(1);
+      expect(response.body.data.currencies[0]).toMatchObject({ currency: 'CHF', roundingMode: 'NEAREST' });
+      expect(Number(response.body.data.currencies[0].rate)).toBe(0.95);
+    });
+
+    it('should return orders converted at the rate locked in when they were placed', async () => {
+      const store = await prisma.store.findUnique({ where: { id: storeId } });
+      const customer = await prisma.customer.create({
+        data: { email: 'currency-buyer@example.com', firstName: 'Ada', lastName: 'Buyer', storeId }
+      });
+      const order = await prisma.order.create({
+        data: {
+          orderNumber: `CUR-${Date.now()}`,
+          subtotal: 100,
+          total: 100,
+          billingAddress: {},
+          customerId: customer.id,
+          storeId,
+          ...(await currencyService.getOrderCurrencyFields(store, 'USD'))
+        }
+      });
+
+      await request(app)
+        .put(`/api/stores/${storeId}/currencies/USD`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({ rate: 1.2 })
+        .expect(200);
+
+      const locked = await request(app)
+        .get(`/api/stores/${storeId}/orders/${order.id}`)
+        .query({ currency: 'USD' })
+        .set('Authorization', `Bearer ${accessToken}`)
+        .expect(200);
+
+      expect(locked.body.data.order).toMatchObject({ currency: 'USD', presentmentCurrency: 'USD', total: 108 });
+
+      const list = await request(app)
+        .get(`/api/stores/${storeId}/orders`)
+        .query({ currency: 'GBP' })
+        .set('Authorization', `Bearer ${accessToken}`)
+        .expect(200);
+
+      expect(list.body.data.orders[0]).toMatchObject({ id: order.id, currency: 'GBP', total: 85 });
+
+      await prisma.order.delete({ where: { id: order.id } });
+    });
+
+    it('should store the presentment currency and rate of orders and send it from checkout', async () => {
+      const store = await prisma.store.findUnique({ where: { id: storeId }, include: { currencies: true } });
+      const customer = await prisma.customer.findFirst({ where: { storeId, email: 'currency-buyer@example.com' } });
+
+      expect(await currencyService.getOrderCurrencyFields(store, undefined))
+        .toEqual({ presentmentCurrency: null, exchangeRate: null });
+
+      const order = await prisma.order.create({
+        data: {
+          orderNumber: `GBP-${Date.now()}`,
+          subtotal: 50,
+          total: 50,
+          billingAddress: {},
+          customerId: customer.id,
+          storeId,
+          ...(await currencyService.getOrderCurrencyFields(store, 'GBP'))
+        }
+      });
+      const saved = await prisma.order.findUnique({ where: { id: order.id } });
+
+      expect(saved.presentmentCurrency).toBe('GBP');
+      expect(Number(saved.exchangeRate)).toBe(0.85);
+
+      const buildPath = await fs.mkdtemp(path.join(os.tmpdir(), 'checkout-'));
+      try {
+        await deploymentService.generateScripts(store, buildPath);
+        const scripts = await fs.readFile(path.join(buildPath, 'scripts.js'), 'utf8');
+        expect(scripts).toContain('orderData.presentmentCurrency');
+      } finally {
+        await fs.rm(buildPath, { recursive: true, force: true });
+        await prisma.order.delete({ where: { id: order.id } });
+      }
+    });
+
+    it('should reject a rate for the store currency', async () => {
+      await request(app)
+        .put(`/api/stores/${storeId}/currencies/EUR`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({ rate: 1 })
+        .expect(400);
+    });
+  });
+
+  describe('POST /api/stores/:id/duplicate', () => {
+    it('should duplicate the store as a draft', async () => {
+      const response = await request(app)
+        .post(`/api/stores/${storeId}/duplicate`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .expect(201);
+
+      expect(response.body.data.store.id).not.toBe(storeId);
+      expect(response.body.data.store.status).toBe('DRAFT');
+      expect(response.body.data.store.theme.primaryColor).toBe('#FF0000');
+    });
+
+    it('should copy products, variants and subcategories from the selected categories only', async () => {
+      const summer = await prisma.category.create({ data: { name: 'Summer', slug: 'summer', storeId } });
+      const sandals = await prisma.category.create({ data: { name: 'Sandals', slug: 'sandals', parentId: summer.id, storeId } });
+      const winter = await prisma.category.create({ data: { name: 'Winter', slug: 'winter', storeId } });
+
+      const shirt = await prisma.product.create({
+        data: {
+          name: 'Summer Shirt',
+          price: 25,
+          categoryId: summer.id,
+          storeId,
+          variants: {
+            create: [{ title: 'Small', price: 25, option1: 'S' }]
+          }
+        }
+      });
+      await prisma.product.create({
+        data: { name: 'Beach Sandals', price: 30, categoryId: sandals.id, storeId }
+      });
+      const coat = await prisma.product.create({
+        data: { name: 'Winter Coat', price: 120, categoryId: winter.id, storeId }
+      });
+      await prisma.collection.create({
+        data: {
+          name: 'Staff Picks',
+          slug: 'staff-picks',
+          storeId,
+          products: { create: [{ productId: coat.id, position: 0 }, { productId: shirt.id, position: 1 }] }
+        }
+      });
+
+      const response = await request(app)
+        .post(`/api/stores/${storeId}/duplicate`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({ name: 'Summer Store', categories: [summer.id] })
+        .expect(201);
+
+      expect(response.body.data.productsCopied).toBe(2);
+
+      const copyId = response.body.data.store.id;
+      const [products, categories, collection] = await Promise.all([
+        prisma.product.findMany({
+          where: { storeId: copyId },
+          include: { variants: true, category: true },
+          orderBy: { name: 'asc' }
+        }),
+        prisma.category.findMany({ where: { storeId: copyId } }),
+        prisma.collection.findFirst({ where: { storeId: copyId }, include: { products: { include: { product: true } } } })
+      ]);
+
+      expect(products.map(product => product.name)).toEqual(['Beach Sandals', 'Summer Shirt']);
+      expect(products[0].category).toMatchObject({ slug: 'sandals', storeId: copyId });
+      expect(products[1].variants).toHaveLength(1);
+      expect(categories).toHaveLength(2);
+      expect(categories.find(category => category.slug === 'sandals').parentId)
+        .toBe(categories.find(category => category.slug === 'summer').id);
+      expect(collection.products.map(item => item.product.name)).toEqual(['Summer Shirt']);
+    });
+
+    it('should reject categories of other stores', async () => {
+      await request(app)
+        .post(`/api/stores/${storeId}/duplicate`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({ categories: ['not-a-category'] })
+        .expect(400);
+    })
+    it('should copy bundle components and draft bundles whose components are left out', async () => {
+      const kits = await prisma.category.create({ data: { name: 'Kits', slug: 'kits', storeId } });
+      const spares = await prisma.category.create({ data: { name: 'Spares', slug: 'spares', storeId } });
+
+      const yarn = await prisma.product.create({
+        data: {
+          name: 'Yarn Ball',
+          price: 4,
+          categoryId: kits.id,
+          storeId,
+          variants: { create: [{ title: 'Red', price: 4, option1: 'Red' }] }
+        },
+        include: { variants: true }
+      });
+      const [red] = yarn.variants;
+      const hook = await prisma.product.create({
+        data: { name: 'Crochet Hook', price: 3, categoryId: spares.id, storeId }
+      });
+      const yarnKit = await prisma.product.create({
+        data: {
+          name: 'Yarn Kit',
+          price: 10,
+          isBundle: true,
+          status: 'PUBLISHED',
+          categoryId: kits.id,
+          storeId,
+          bundleItems: { create: { productId: yarn.id, variantId: red.id, itemId: red.id, quantity: 3 } }
+        }
+      });
+      const crochetKit = await prisma.product.create({
+        data: {
+          name: 'Crochet Kit',
+          price: 12,
+          isBundle: true,
+          status: 'PUBLISHED',
+          categoryId: kits.id,
+          storeId,
+          bundleItems: {
+            create: [
+              { productId: yarn.id, variantId: red.id, itemId: red.id, quantity: 2, position: 0 },
+              { productId: hook.id, itemId: hook.id, quantity: 1, position: 1 }
+            ]
+          }
+        }
+      });
+
+      const response = await request(app)
+        .post(`/api/stores/${storeId}/duplicate`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({ name: 'Kit Store', categories: [kits.id] })
+        .expect(201);
+
+      expect(response.body.data.productsCopied).toBe(3);
+
+      const copyId = response.body.data.store.id;
+      const [yarnKitCopy, crochetKitCopy] = await Promise.all(['Yarn Kit', 'Crochet Kit'].map(name => prisma.product.findFirst({
+        where: { storeId: copyId, name },
+        include: { bundleItems: { include: { product: true, variant: true } } }
+      })));
+
+      expect(yarnKitCopy.status).toBe('PUBLISHED');
+      expect(yarnKitCopy.bundleItems).toHaveLength(1);
+      expect(yarnKitCopy.bundleItems[0]).toMatchObject({ quantity: 3, itemId: yarnKitCopy.bundleItems[0].variantId });
+      expect(yarnKitCopy.bundleItems[0].product).toMatchObject({ name: 'Yarn Ball', storeId: copyId });
+      expect(yarnKitCopy.bundleItems[0].variant).toMatchObject({ title: 'Red', productId: yarnKitCopy.bundleItems[0].productId });
+      expect(crochetKitCopy.status).toBe('DRAFT');
+      expect(crochetKitCopy.bundleItems).toHaveLength(0);
+
+      await prisma.product.deleteMany({ where: { id: { in: [yarnKit.id, crochetKit.id, yarn.id, hook.id] } } });
+      await prisma.category.deleteMany({ where: { id: { in: [kits.id, spares.id] } } });
+    });
+  });
+
+  describe('Store export and import', () => {
+    let bundle;
+
+    it('should export the store as a versioned bundle', async () => {
+      const page = await prisma.page.create({
+        data: { title: 'About Us', slug: 'about', content: '<p>Hi</p>', status: 'PUBLISHED', storeId }
+      });
+      await prisma.menu.create({
+        data: { location: 'HEADER', items: [{ label: 'About', pageId: page.id }], storeId }
+      });
+
+      const response = await request(app)
+        .get(`/api/stores/${storeId}/export`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .expect(200);
+
+      bundle = response.body;
+      expect(response.headers['content-disposition']).toContain('attachment');
+      expect(bundle.format).toBe('buildcart-store');
+      expect(bundle.version).toBe(3);
+      expect(bundle.products).toHaveLength(3);
+      expect(bundle.categories).toHaveLength(3);
+      expect(bundle.collections).toHaveLength(1);
+      expect(bundle.pages).toHaveLength(1);
+    });
+
+    it('should import the bundle as a new store for another user with remapped ids', async () => {
+      const response = await request(app)
+        .post('/api/stores/import')
+        .set('Authorization', `Bearer ${otherAccessToken}`)
+        .send(bundle)
+        .expect(201);
+
+      const { store, slugChanged, imported } = response.body.data;
+      expect(store.id).not.toBe(storeId);
+      expect(store.status).toBe('DRAFT');
+      expect(slugChanged).toBe(true);
+      expect(imported.products).toBe(3);
+
+      const [pages, menu, sandals, collection] = await Promise.all([
+        prisma.page.findMany({ where: { storeId: store.id } }),
+        prisma.menu.findFirst({ where: { storeId: store.id, location: 'HEADER' } }),
+        prisma.product.findFirst({ where: { storeId: store.id, name: 'Beach Sandals' }, include: { category: { include: { parent: true } } } }),
+        prisma.collection.findFirst({ where: { storeId: store.id }, include: { products: { include: { product: true } } } })
+      ]);
+      expect(pages).toHaveLength(1);
+      expect(menu.items[0].pageId).toBe(pages[0].id);
+      expect(sandals.category).toMatchObject({ slug: 'sandals', storeId: store.id });
+      expect(sandals.category.parent).toMatchObject({ slug: 'summer', storeId: store.id });
+      expect(collection.products.map(item => item.product.storeId)).toEqual([store.id, store.id]);
+    });
+
+    it('should carry bundle components through export and import', async () => {
+      const component = await prisma.product.create({
+        data: {
+          name: 'Enamel Mug',
+          price: 8,
+          inventory: 4,
+          storeId,
+          variants: { create: [{ title: 'Blue', price: 8, inventory: 4, option1: 'Blue' }] }
+        },
+        include: { variants: true }
+      });
+      const [variant] = component.variants;
+      const kit = await prisma.product.create({
+        data: {
+          name: 'Mug Kit',
+          price: 14,
+          isBundle: true,
+          storeId,
+          bundleItems: { create: { productId: component.id, variantId: variant.id, itemId: variant.id, quantity: 2 } }
+        }
+      });
+
+      const { body: exported } = await request(app)
+        .get(`/api/stores/${storeId}/export`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .expect(200);
+
+      expect(exported.products.find(product => product.id === kit.id).bundleItems)
+        .toEqual([{ productId: component.id, variantId: variant.id, quantity: 2 }]);
+
+      const response = await request(app)
+        .post('/api/stores/import')
+        .set('Authorization', `Bearer ${otherAccessToken}`)
+        .send(exported)
+        .expect(201);
+
+      const importedStoreId = response.body.data.store.id;
+      const imported = await prisma.product.findFirst({
+        where: { storeId: importedStoreId, name: 'Mug Kit' },
+        include: { bundleItems: { include: { product: true, variant: true } } }
+      });
+
+      expect(imported.isBundle).toBe(true);
+      expect(imported.bundleItems).toHaveLength(1);
+      expect(imported.bundleItems[0]).toMatchObject({ quantity: 2, itemId: imported.bundleItems[0].variantId });
+      expect(imported.bundleItems[0].product).toMatchObject({ name: 'Enamel Mug', storeId: importedStoreId });
+      expect(imported.bundleItems[0].variant).toMatchObject({ title: 'Blue', productId: imported.bundleItems[0].productId });
+
+      await prisma.product.deleteMany({ where: { id: { in: [kit.id, component.id] } } });
+    });
+
+    it('should reject bundles from a newer version', async () => {
+      await request(app)
+        .post('/api/stores/import')
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({ ...bundle, version: 99 })
+        .expect(400);
+    });
+  });
+
+  describe('Store team members', () => {
+    let memberId;
+
+    it('should invite a team member', async () => {
+      const response = await request(app)
+        .post(`/api/stores/${storeId}/members`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({ email: 'store-other@example.com', role: 'STAFF' })
+        .expect(201);
+
+      expect(response.body.data.member.status).toBe('PENDING');
+      memberId = response.body.data.member.id;
+    });
+
+    it('should let the invited user accept and access the store with their role', async () => {
+      const { inviteToken } = await prisma.storeMember.findUnique({ where: { id: memberId } });
+
+      await request(app)
+        .post('/api/stores/invitations/accept')
+        .set('Authorization', `Bearer ${otherAccessToken}`)
+        .send({ token: inviteToken })
+        .expect(200);
+
+      await request(app)
+        .get(`/api/stores/${storeId}`)
+        .set('Authorization', `Bearer ${otherAccessToken}`)
+        .expect(200);
+
+      // Staff cannot deploy or manage the team
+      await request(app)
+        .post(`/api/deployment/stores/${storeId}/deploy`)
+        .set('Authorization', `Bearer ${otherAccessToken}`)
+        .send({})
+        .expect(403);
+
+      await request(app)
+        .post(`/api/stores/${storeId}/members`)
+        .set('Authorization', `Bearer ${otherAccessToken}`)
+        .send({ email: 'someone@example.com' })
+        .expect(403);
+    });
+
+    it('should revoke the member access', async () => {
+      await request(app)
+        .delete(`/api/stores/${storeId}/members/${memberId}`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .expect(200);
+
+      await request(app)
+        .get(`/api/stores/${storeId}`)
+        .set('Authorization', `Bearer ${otherAccessToken}`)
+        .expect(403);
+    });
+  });
+
+  describe('Store archiving', () => {
+    it('should refuse to delete a store that is not archived', async () => {
+      const response = await request(app)
+        .delete(`/api/stores/${storeId}`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .expect(400);
+
+      expect(response.body.error.message).toContain('must be archived');
+    });
+
+    it('should archive the store and take it offline', async () => {
+      const response = await request(app)
+        .post(`/api/stores/${storeId}/archive`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .expect(200);
+
+      expect(response.body.data.store.status).toBe('ARCHIVED');
+      expect(response.body.data.store.isDeployed).toBe(false);
+      expect(response.body.data.store.archivedAt).not.toBeNull();
+    });
+
+    it('should restore the archived store as a draft', async () => {
+      const response = await request(app)
+        .post(`/api/stores/${storeId}/unarchive`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .expect(200);
+
+      expect(response.body.data.store.status).toBe('DRAFT');
+      expect(response.body.data.store.archivedAt).toBeNull();
+    });
+  });
+
+  describe('DELETE /api/stores/:id', () => {
+    it('should delete an archived store including its orders', async () => {
+      const customer = await prisma.customer.create({
+        data: { email: 'buyer@example.com', firstName: 'Buyer', lastName: 'Test', storeId }
+      });
+      const product = await prisma.product.findFirst({ where: { storeId } });
+      await prisma.order.create({
+        data: {
+          orderNumber: `TEST-${Date.now()}`,
+          subtotal: 25,
+          total: 25,
+          billingAddress: {},
+          customerId: customer.id,
+          storeId,
+          items: {
+            create: [{ quantity: 1, price: 25, title: product.name, productId: product.id }]
+          }
+        }
+      });
+
+      await request(app)
+        .post(`/api/stores/${storeId}/archive`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .expect(200);
+
+      await request(app)
+        .delete(`/api/stores/${storeId}`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .expect(200);
+
+      const store = await prisma.store.findUnique({ where: { id: storeId } });
+      expect(store).toBeNull();
+      expect(await prisma.order.count({ where: { storeId } })).toBe(0);
+    });
+  });
+});